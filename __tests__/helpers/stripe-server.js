@@ -0,0 +1,113 @@
+/**
+ * Local Stripe API Mock
+ * A minimal HTTP server answering the Stripe endpoints the billing router
+ * uses, so tests run the real Stripe SDK end to end without network access.
+ * Point the SDK at it with STRIPE_API_BASE (lib/stripe.js).
+ *
+ * Requests are recorded with their form-encoded bodies as flat key/value
+ * pairs, e.g. { 'line_items[0][price]': 'price_...' }.
+ */
+
+const http = require('http');
+
+function stripeError(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: { type: 'invalid_request_error', message } }));
+}
+
+function send(res, body) {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Start the mock on a free port
+ * @param {object} [options]
+ * @param {object} [options.subscriptions] - id → subscription for GET /v1/subscriptions/:id
+ * @param {object[]} [options.promotionCodes] - Promotion codes for GET /v1/promotion_codes
+ * @returns {Promise<{url, requests, subscriptions, promotionCodes, failNext, close}>}
+ */
+function startStripeServer({ subscriptions = {}, promotionCodes = [] } = {}) {
+  const requests = [];
+  let sessionCount = 0;
+  let failure = null;
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const body = Object.fromEntries(new URLSearchParams(raw));
+      requests.push({ method: req.method, path: url.pathname, body });
+
+      if (failure) {
+        const { status, message } = failure;
+        failure = null;
+        return stripeError(res, status, message);
+      }
+
+      if (req.method === 'POST' && url.pathname === '/v1/checkout/sessions') {
+        const id = `cs_test_${++sessionCount}`;
+        return send(res, {
+          id,
+          object: 'checkout.session',
+          mode: body.mode,
+          customer: body.customer || null,
+          customer_email: body.customer_email || null,
+          url: `https://checkout.stripe.com/c/pay/${id}`
+        });
+      }
+
+      if (req.method === 'POST' && url.pathname === '/v1/billing_portal/sessions') {
+        const id = `bps_test_${++sessionCount}`;
+        return send(res, {
+          id,
+          object: 'billing_portal.session',
+          customer: body.customer,
+          return_url: body.return_url,
+          url: `https://billing.stripe.com/p/session/${id}`
+        });
+      }
+
+      if (req.method === 'GET' && url.pathname === '/v1/promotion_codes') {
+        const code = url.searchParams.get('code');
+        const active = url.searchParams.get('active');
+        return send(res, {
+          object: 'list',
+          has_more: false,
+          data: promotionCodes.filter(promo =>
+            (!code || promo.code.toLowerCase() === code.toLowerCase()) &&
+            (active === null || String(promo.active) === active))
+        });
+      }
+
+      const subscription = url.pathname.match(/^\/v1\/subscriptions\/([^/]+)$/);
+      if (req.method === 'GET' && subscription) {
+        const found = subscriptions[subscription[1]];
+        return found
+          ? send(res, found)
+          : stripeError(res, 404, `No such subscription: '${subscription[1]}'`);
+      }
+
+      stripeError(res, 404, `Unrecognized request URL (${req.method}: ${url.pathname})`);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        subscriptions,
+        promotionCodes,
+        // Answer the next request with a Stripe error
+        failNext(status = 500, message = 'Stripe API error') {
+          failure = { status, message };
+        },
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startStripeServer };
@@ -0,0 +1,172 @@
+/**
+ * Fake Telegram Bot API
+ * A minimal HTTP server answering the Bot API methods the bots use, so
+ * tests can run long polling (and anything else that calls the Bot API)
+ * without network access. Point the app at it with TELEGRAM_API_BASE.
+ *
+ * Updates queued with pushUpdate() are served by getUpdates, which long-polls
+ * like the real one: it waits up to `timeout` seconds for an update, and
+ * passing an offset confirms (drops) every update before it. getUpdates is
+ * refused with 409 while a webhook is set, as Telegram does.
+ *
+ * Requests are recorded as { token, method, body }.
+ */
+
+const http = require('http');
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Start the fake on a free port
+ * @param {object} [options]
+ * @param {object[]} [options.bots] - { token, username } - getMe answers for these
+ * @returns {Promise<{url, requests, webhooks, pushUpdate, sent, failNext, close}>}
+ */
+function startTelegramServer({ bots = [] } = {}) {
+  const requests = [];
+  const updates = new Map(); // token → pending updates
+  const waiting = new Map(); // token → long polls waiting for an update
+  const webhooks = new Map(); // token → webhook URL
+  const nextUpdateId = new Map(); // token → next update_id
+  let messageCount = 0;
+  let failure = null;
+
+  function pendingFrom(token, offset) {
+    const queue = (updates.get(token) || []).filter(u => offset == null || u.update_id >= offset);
+    updates.set(token, queue);
+    return queue;
+  }
+
+  function getUpdates(token, body, res) {
+    const offset = body.offset;
+    const pending = pendingFrom(token, offset);
+    if (pending.length > 0 || !body.timeout) {
+      return send(res, 200, { ok: true, result: pending });
+    }
+
+    // Long poll: answer when an update arrives or the timeout passes
+    const waiter = {
+      respond: () => {
+        clearTimeout(waiter.timer);
+        waiting.set(token, (waiting.get(token) || []).filter(w => w !== waiter));
+        if (!res.writableEnded) send(res, 200, { ok: true, result: pendingFrom(token, offset) });
+      }
+    };
+    waiter.timer = setTimeout(waiter.respond, body.timeout * 1000);
+    waiting.set(token, [...(waiting.get(token) || []), waiter]);
+    res.on('close', () => {
+      clearTimeout(waiter.timer);
+      waiting.set(token, (waiting.get(token) || []).filter(w => w !== waiter));
+    });
+  }
+
+  function handle(token, method, body, res) {
+    if (method === 'getUpdates') {
+      if (webhooks.has(token)) {
+        return send(res, 409, {
+          ok: false,
+          error_code: 409,
+          description: "Conflict: can't use getUpdates method while webhook is active; use deleteWebhook to delete the webhook first"
+        });
+      }
+      return getUpdates(token, body, res);
+    }
+
+    if (method === 'setWebhook') {
+      webhooks.set(token, body.url);
+      return send(res, 200, { ok: true, result: true });
+    }
+    if (method === 'deleteWebhook') {
+      webhooks.delete(token);
+      if (body.drop_pending_updates) updates.set(token, []);
+      return send(res, 200, { ok: true, result: true });
+    }
+    if (method === 'getWebhookInfo') {
+      return send(res, 200, {
+        ok: true,
+        result: { url: webhooks.get(token) || '', pending_update_count: pendingFrom(token).length }
+      });
+    }
+
+    if (method === 'getMe') {
+      const bot = bots.find(b => b.token === token);
+      return bot
+        ? send(res, 200, { ok: true, result: { id: Number(token.split(':')[0]), is_bot: true, first_name: bot.username, username: bot.username } })
+        : send(res, 401, { ok: false, error_code: 401, description: 'Unauthorized' });
+    }
+
+    if (method === 'sendMessage') {
+      return send(res, 200, {
+        ok: true,
+        result: { message_id: ++messageCount, chat: { id: body.chat_id }, date: Math.floor(Date.now() / 1000), text: body.text }
+      });
+    }
+
+    // sendChatAction, leaveChat, answerCallbackQuery...
+    send(res, 200, { ok: true, result: true });
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const match = url.pathname.match(/^\/bot([^/]+)\/(\w+)$/);
+      if (!match) {
+        return send(res, 404, { ok: false, error_code: 404, description: 'Not Found' });
+      }
+
+      const [, token, method] = match;
+      const body = raw ? JSON.parse(raw) : Object.fromEntries(url.searchParams);
+      requests.push({ token, method, body });
+
+      if (failure && (!failure.method || failure.method === method)) {
+        const { status, description } = failure;
+        failure = null;
+        return send(res, status, { ok: false, error_code: status, description });
+      }
+
+      handle(token, method, body, res);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        webhooks,
+
+        // Queue an update for a bot (update_id assigned if missing)
+        pushUpdate(token, update) {
+          const updateId = update.update_id ?? nextUpdateId.get(token) ?? 1;
+          nextUpdateId.set(token, updateId + 1);
+          updates.set(token, [...(updates.get(token) || []), { ...update, update_id: updateId }]);
+          for (const waiter of [...(waiting.get(token) || [])]) waiter.respond();
+          return updateId;
+        },
+
+        // Bodies of the messages a bot has sent
+        sent(token) {
+          return requests.filter(r => r.token === token && r.method === 'sendMessage').map(r => r.body);
+        },
+
+        // Answer the next request (to `method`, if given) with a Bot API error
+        failNext(status = 500, description = 'Internal Server Error', method = null) {
+          failure = { status, description, method };
+        },
+
+        close: () => new Promise(done => {
+          for (const waiters of waiting.values()) waiters.forEach(w => w.respond());
+          server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+module.exports = { startTelegramServer };
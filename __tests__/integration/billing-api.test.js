@@ -0,0 +1,363 @@
+/**
+ * Integration Tests for the Billing API
+ * Runs the real Stripe SDK against the local Stripe mock
+ * (__tests__/helpers/stripe-server.js) with a mocked database
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { startStripeServer } = require('../helpers/stripe-server');
+
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  return {
+    Pool: jest.fn(() => mockPool),
+    __mockPool: mockPool,
+  };
+});
+
+const { __mockPool } = require('pg');
+
+const STARTER_PRICE = 'price_1SwtCbBfSldKMuDjM3p0kyG4';
+const PRO_PRICE = 'price_1SwtCbBfSldKMuDjDmRHqErh';
+const WORKSPACE_ID = 'claw_test_12345678';
+const API_KEY = 'claw_sk_test_key';
+
+function customerRow(overrides = {}) {
+  return {
+    workspace_id: WORKSPACE_ID,
+    email: 'user@example.com',
+    stripe_customer_id: 'cus_TestCustomer0001',
+    subscription_id: 'sub_TestSubscription01',
+    plan: 'Starter',
+    price_id: STARTER_PRICE,
+    status: 'active',
+    ...overrides,
+  };
+}
+
+// customers lookup by workspace + API key
+function mockCustomer(row) {
+  __mockPool.query.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM customers') && row && params[0] === row.workspace_id && params[1] === API_KEY) {
+      return { rows: [row] };
+    }
+    return { rows: [] };
+  });
+}
+
+describe('Billing API', () => {
+  let stripeServer;
+  let app;
+  const originalApiBase = process.env.STRIPE_API_BASE;
+
+  beforeAll(async () => {
+    stripeServer = await startStripeServer({
+      subscriptions: {
+        sub_TestSubscription01: {
+          id: 'sub_TestSubscription01',
+          object: 'subscription',
+          items: { object: 'list', data: [{ id: 'si_TestItem0001', price: { id: STARTER_PRICE } }] },
+        },
+      },
+      promotionCodes: [
+        { id: 'promo_1Launch20', object: 'promotion_code', code: 'LAUNCH20', active: true, coupon: { id: 'launch20', percent_off: 20 } },
+        { id: 'promo_1Expired', object: 'promotion_code', code: 'BETA50', active: false, coupon: { id: 'beta50', percent_off: 50 } },
+      ],
+    });
+    process.env.STRIPE_API_BASE = stripeServer.url;
+  });
+
+  afterAll(async () => {
+    process.env.STRIPE_API_BASE = originalApiBase;
+    if (originalApiBase === undefined) delete process.env.STRIPE_API_BASE;
+    await stripeServer.close();
+  });
+
+  beforeEach(() => {
+    // Fresh router (and signup rate limiter) per test
+    jest.resetModules();
+    jest.doMock('pg', () => ({
+      Pool: jest.fn(() => __mockPool),
+    }));
+
+    stripeServer.requests.length = 0;
+    mockCustomer(customerRow());
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/billing', require('../../api/billing'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function lastStripeRequest() {
+    return stripeServer.requests[stripeServer.requests.length - 1];
+  }
+
+  describe('GET /api/billing/plans', () => {
+    it('should list every plan that can be bought', async () => {
+      const res = await request(app).get('/api/billing/plans');
+
+      expect(res.status).toBe(200);
+      expect(res.body.plans.map(p => p.name)).toEqual(['Starter', 'Pro', 'Team']);
+      expect(res.body.plans[1]).toMatchObject({
+        priceId: PRO_PRICE,
+        currency: 'usd',
+        interval: 'month',
+        amount: 7900,
+        priceMonthly: 79,
+        messageLimit: 20000,
+        trialDays: 14,
+        overagePricePerMessage: 0.005,
+      });
+    });
+  });
+
+  describe('POST /api/billing/checkout', () => {
+    it('should create a subscription checkout session with the plan trial', async () => {
+      const res = await request(app)
+        .post('/api/billing/checkout')
+        .send({ priceId: PRO_PRICE, email: 'New@Example.com' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.id).toMatch(/^cs_test_/);
+      expect(res.body.url).toContain(res.body.id);
+
+      const { path, body } = lastStripeRequest();
+      expect(path).toBe('/v1/checkout/sessions');
+      expect(body).toMatchObject({
+        mode: 'subscription',
+        'line_items[0][price]': PRO_PRICE,
+        'line_items[0][quantity]': '1',
+        customer_email: 'new@example.com',
+        'subscription_data[trial_period_days]': '14',
+        success_url: 'https://setupclaw.com/success?session={CHECKOUT_SESSION_ID}',
+        cancel_url: 'https://setupclaw.com/pricing',
+      });
+    });
+
+    it('should let customers enter a promotion code on Stripe\'s page', async () => {
+      await request(app)
+        .post('/api/billing/checkout')
+        .send({ priceId: PRO_PRICE, email: 'new@example.com' });
+
+      expect(lastStripeRequest().body.allow_promotion_codes).toBe('true');
+    });
+
+    it('should apply a promotion code entered on the pricing page', async () => {
+      const res = await request(app)
+        .post('/api/billing/checkout')
+        .send({ priceId: PRO_PRICE, email: 'new@example.com', promotionCode: 'launch20' });
+
+      expect(res.status).toBe(200);
+      expect(stripeServer.requests.map(r => r.path)).toEqual(['/v1/promotion_codes', '/v1/checkout/sessions']);
+      expect(lastStripeRequest().body).toMatchObject({ 'discounts[0][promotion_code]': 'promo_1Launch20' });
+      expect(lastStripeRequest().body).not.toHaveProperty('allow_promotion_codes');
+    });
+
+    it('should reject unknown and inactive promotion codes', async () => {
+      for (const promotionCode of ['NOPE', 'BETA50', 42]) {
+        const res = await request(app)
+          .post('/api/billing/checkout')
+          .send({ priceId: PRO_PRICE, email: 'new@example.com', promotionCode });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Invalid or expired promotion code');
+      }
+      expect(stripeServer.requests.map(r => r.path)).not.toContain('/v1/checkout/sessions');
+    });
+
+    it('should reject price IDs that are not in the plan list', async () => {
+      for (const priceId of ['price_unknown', 'constructor', undefined]) {
+        const res = await request(app)
+          .post('/api/billing/checkout')
+          .send({ priceId, email: 'new@example.com' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Invalid price ID');
+      }
+      expect(stripeServer.requests).toHaveLength(0);
+    });
+
+    it('should reject invalid emails', async () => {
+      const res = await request(app)
+        .post('/api/billing/checkout')
+        .send({ priceId: PRO_PRICE, email: 'not-an-email' });
+
+      expect(res.status).toBe(400);
+      expect(stripeServer.requests).toHaveLength(0);
+    });
+
+    it('should return 502 when Stripe fails', async () => {
+      stripeServer.failNext(400, 'No such price');
+
+      const res = await request(app)
+        .post('/api/billing/checkout')
+        .send({ priceId: PRO_PRICE, email: 'new@example.com' });
+
+      expect(res.status).toBe(502);
+      expect(res.body.error).toBe('Failed to create checkout session');
+    });
+
+    it('should rate limit signups', async () => {
+      for (let i = 0; i < 10; i++) {
+        await request(app).post('/api/billing/checkout').send({ priceId: 'price_unknown' });
+      }
+
+      const res = await request(app)
+        .post('/api/billing/checkout')
+        .send({ priceId: PRO_PRICE, email: 'new@example.com' });
+
+      expect(res.status).toBe(429);
+    });
+  });
+
+  describe('authentication', () => {
+    it('should require a bearer token', async () => {
+      const res = await request(app).post(`/api/billing/${WORKSPACE_ID}/portal`).send({});
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should reject another workspace\'s API key', async () => {
+      const res = await request(app)
+        .post('/api/billing/claw_othr_87654321/portal')
+        .set('Authorization', `Bearer ${API_KEY}`)
+        .send({});
+
+      expect(res.status).toBe(403);
+      expect(stripeServer.requests).toHaveLength(0);
+    });
+  });
+
+  describe('POST /api/billing/:workspaceId/checkout', () => {
+    it('should start a checkout for a cancelled customer on their Stripe customer', async () => {
+      mockCustomer(customerRow({ status: 'cancelled' }));
+
+      const res = await request(app)
+        .post(`/api/billing/${WORKSPACE_ID}/checkout`)
+        .set('Authorization', `Bearer ${API_KEY}`)
+        .send({ priceId: PRO_PRICE });
+
+      expect(res.status).toBe(200);
+      const { body } = lastStripeRequest();
+      expect(body).toMatchObject({
+        customer: 'cus_TestCustomer0001',
+        'line_items[0][price]': PRO_PRICE,
+      });
+      expect(body).not.toHaveProperty('subscription_data[trial_period_days]');
+    });
+
+    it('should apply a promotion code to a resubscription', async () => {
+      mockCustomer(customerRow({ status: 'cancelled' }));
+
+      const res = await request(app)
+        .post(`/api/billing/${WORKSPACE_ID}/checkout`)
+        .set('Authorization', `Bearer ${API_KEY}`)
+        .send({ priceId: PRO_PRICE, promotionCode: 'LAUNCH20' });
+
+      expect(res.status).toBe(200);
+      expect(lastStripeRequest().body).toMatchObject({ 'discounts[0][promotion_code]': 'promo_1Launch20' });
+    });
+
+    it('should send subscribed customers to the portal instead', async () => {
+      const res = await request(app)
+        .post(`/api/billing/${WORKSPACE_ID}/checkout`)
+        .set('Authorization', `Bearer ${API_KEY}`)
+        .send({ priceId: PRO_PRICE });
+
+      expect(res.status).toBe(409);
+      expect(stripeServer.requests).toHaveLength(0);
+    });
+  });
+
+  describe('POST /api/billing/:workspaceId/portal', () => {
+    function portal(body = {}) {
+      return request(app)
+        .post(`/api/billing/${WORKSPACE_ID}/portal`)
+        .set('Authorization', `Bearer ${API_KEY}`)
+        .send(body);
+    }
+
+    it('should open the portal for the workspace\'s Stripe customer', async () => {
+      const res = await portal();
+
+      expect(res.status).toBe(200);
+      expect(res.body.url).toMatch(/^https:\/\/billing\.stripe\.com\//);
+      expect(lastStripeRequest()).toEqual({
+        method: 'POST',
+        path: '/v1/billing_portal/sessions',
+        body: {
+          customer: 'cus_TestCustomer0001',
+          return_url: 'https://setupclaw.com/dashboard',
+        },
+      });
+    });
+
+    it('should let suspended customers in to update their card', async () => {
+      mockCustomer(customerRow({ status: 'suspended' }));
+
+      const res = await portal({ flow: 'payment_method_update' });
+
+      expect(res.status).toBe(200);
+      expect(lastStripeRequest().body).toMatchObject({ 'flow_data[type]': 'payment_method_update' });
+    });
+
+    it('should go straight to confirming a plan change', async () => {
+      const res = await portal({ flow: 'subscription_update', priceId: PRO_PRICE });
+
+      expect(res.status).toBe(200);
+      expect(stripeServer.requests.map(r => r.path)).toEqual([
+        '/v1/subscriptions/sub_TestSubscription01',
+        '/v1/billing_portal/sessions',
+      ]);
+      expect(lastStripeRequest().body).toMatchObject({
+        'flow_data[type]': 'subscription_update_confirm',
+        'flow_data[subscription_update_confirm][subscription]': 'sub_TestSubscription01',
+        'flow_data[subscription_update_confirm][items][0][id]': 'si_TestItem0001',
+        'flow_data[subscription_update_confirm][items][0][price]': PRO_PRICE,
+      });
+    });
+
+    it('should open the cancellation flow for the subscription', async () => {
+      await portal({ flow: 'subscription_cancel' });
+
+      expect(lastStripeRequest().body).toMatchObject({
+        'flow_data[type]': 'subscription_cancel',
+        'flow_data[subscription_cancel][subscription]': 'sub_TestSubscription01',
+      });
+    });
+
+    it('should validate the flow and price ID', async () => {
+      expect((await portal({ flow: 'something_else' })).status).toBe(400);
+      expect((await portal({ flow: 'subscription_update', priceId: 'price_unknown' })).status).toBe(400);
+      expect((await portal({ priceId: PRO_PRICE })).status).toBe(400);
+      expect(stripeServer.requests).toHaveLength(0);
+    });
+
+    it('should refuse subscription flows without a subscription', async () => {
+      mockCustomer(customerRow({ subscription_id: null, status: 'cancelled' }));
+
+      const res = await portal({ flow: 'subscription_cancel' });
+
+      expect(res.status).toBe(409);
+    });
+
+    it('should return 502 when Stripe fails', async () => {
+      stripeServer.failNext(400, 'No configuration provided');
+
+      const res = await portal();
+
+      expect(res.status).toBe(502);
+    });
+  });
+});
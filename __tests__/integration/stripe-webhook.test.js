@@ -0,0 +1,383 @@
+/**
+ * Integration Tests for the Stripe Webhook Router
+ * Posts signed fixture events (__tests__/fixtures/stripe) through real
+ * signature verification and the event ledger, against an in-memory
+ * customers / stripe_events / stripe_disputes store
+ */
+
+const express = require('express');
+const request = require('supertest');
+const fs = require('fs');
+const path = require('path');
+
+// Real webhook verification, stubbed API calls
+jest.mock('stripe', () => {
+  const Stripe = jest.requireActual('stripe');
+  const mockClient = Stripe('sk_test_mock_key');
+  mockClient.charges.retrieve = jest.fn();
+  mockClient.subscriptions.retrieve = jest.fn();
+
+  const factory = jest.fn(() => mockClient);
+  factory.__mockClient = mockClient;
+  return factory;
+});
+
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  return {
+    Pool: jest.fn(() => mockPool),
+    __mockPool: mockPool,
+  };
+});
+
+jest.mock('../../email', () => ({
+  sendWelcomeEmail: jest.fn(),
+  sendPaymentFailedEmail: jest.fn(),
+  sendCancellationEmail: jest.fn(),
+  sendPlanChangedEmail: jest.fn(),
+  sendTrialEndingEmail: jest.fn(),
+  sendDisputeAlertEmail: jest.fn(),
+}));
+
+jest.mock('../../lib/security', () => ({
+  logSecurityEvent: jest.fn(),
+}));
+
+const { __mockPool } = require('pg');
+const { __mockClient: stripeClient } = require('stripe');
+const email = require('../../email');
+const { logSecurityEvent } = require('../../lib/security');
+const { webhooks } = jest.requireActual('stripe');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'stripe');
+
+function loadFixture(type) {
+  return fs.readFileSync(path.join(FIXTURES, `${type}.json`), 'utf8');
+}
+
+function sign(payload, secret = process.env.STRIPE_WEBHOOK_SECRET) {
+  return webhooks.generateTestHeaderString({ payload, secret });
+}
+
+// In-memory stand-in for the tables the handlers touch
+function createStore(customer) {
+  const store = { customer, events: new Map(), disputes: new Map(), jobs: [] };
+
+  __mockPool.query.mockImplementation(async (sql, params = []) => {
+    // Event ledger
+    if (sql.includes('INSERT INTO stripe_events')) {
+      if (!store.events.has(params[0])) {
+        store.events.set(params[0], { id: params[0], type: params[1], status: 'received' });
+      }
+      return { rows: [] };
+    }
+    if (sql.includes('SET status = \'processing\'')) {
+      const event = store.events.get(params[0]);
+      if (!['received', 'failed'].includes(event.status)) return { rows: [] };
+      event.status = 'processing';
+      return { rows: [{ id: event.id }] };
+    }
+    if (sql.includes('UPDATE stripe_events')) {
+      Object.assign(store.events.get(params[0]), { status: params[1], error: params[2] });
+      return { rows: [] };
+    }
+    if (sql.includes('SELECT status FROM stripe_events')) {
+      return { rows: [store.events.get(params[0])] };
+    }
+    if (sql.includes('FROM stripe_events')) {
+      return { rows: [] };
+    }
+
+    // Disputes
+    if (sql.includes('INSERT INTO stripe_disputes')) {
+      const [id, customerId, chargeId, amount, currency, reason, status, evidenceDueBy] = params;
+      store.disputes.set(id, { id, customerId, chargeId, amount, currency, reason, status, evidenceDueBy });
+      return { rows: [] };
+    }
+
+    // Customers
+    const known = store.customer && params.includes(store.customer.stripe_customer_id);
+    if (sql.includes('UPDATE customers')) {
+      if (!known) return { rows: [] };
+      if (sql.includes('SET email = $1')) {
+        if (store.customer.email === params[0]) return { rows: [] };
+        store.customer.email = params[0];
+        return { rows: [{ id: 1 }] };
+      }
+      if (sql.includes('SET status = $1, discount = $3')) {
+        Object.assign(store.customer, { status: params[0], discount: params[2] });
+        return { rows: [] };
+      }
+      const status = sql.match(/SET status = '(\w+)'/)[1];
+      const from = sql.match(/AND status = '(\w+)'/);
+      const blocked = sql.match(/status NOT IN \(([^)]+)\)/);
+      if (from && store.customer.status !== from[1]) return { rows: [] };
+      if (blocked && blocked[1].includes(`'${store.customer.status}'`)) return { rows: [] };
+      store.customer.status = status;
+      return { rows: [{ email: store.customer.email }] };
+    }
+    if (sql.includes('FROM customers')) {
+      return { rows: known ? [store.customer] : [] };
+    }
+
+    if (sql.includes('UPDATE provisioning_jobs')) {
+      store.jobs.filter(j => j.stripe_customer_id === params[1] && ['queued', 'running'].includes(j.status))
+        .forEach(j => { j.email = params[0]; });
+      return { rows: [] };
+    }
+
+    return { rows: [] };
+  });
+
+  return store;
+}
+
+function customerRow(overrides = {}) {
+  return {
+    stripe_customer_id: 'cus_TestCustomer0001',
+    email: 'user@example.com',
+    plan: 'Pro',
+    status: 'active',
+    ...overrides,
+  };
+}
+
+describe('Stripe Webhook Router', () => {
+  let app;
+  let router;
+
+  beforeAll(() => {
+    router = require('../../api/stripe-webhook');
+    app = express();
+    app.use('/webhook/stripe', router);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function post(type, payload = loadFixture(type)) {
+    return request(app)
+      .post('/webhook/stripe')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', sign(payload))
+      .send(payload);
+  }
+
+  describe('signature verification', () => {
+    it('should reject payloads signed with another secret', async () => {
+      const store = createStore(customerRow());
+      const payload = loadFixture('invoice.payment_succeeded');
+
+      const res = await request(app)
+        .post('/webhook/stripe')
+        .set('Content-Type', 'application/json')
+        .set('Stripe-Signature', sign(payload, 'whsec_someone_else'))
+        .send(payload);
+
+      expect(res.status).toBe(400);
+      expect(store.events.size).toBe(0);
+    });
+
+    it('should reject tampered payloads', async () => {
+      createStore(customerRow());
+      const payload = loadFixture('customer.updated');
+
+      const res = await request(app)
+        .post('/webhook/stripe')
+        .set('Content-Type', 'application/json')
+        .set('Stripe-Signature', sign(payload))
+        .send(payload.replace('new-address@example.com', 'attacker@example.com'));
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('customer.subscription.trial_will_end', () => {
+    it('should email the customer the date their trial ends', async () => {
+      createStore(customerRow({ status: 'trialing' }));
+
+      const res = await post('customer.subscription.trial_will_end');
+
+      expect(res.status).toBe(200);
+      expect(email.sendTrialEndingEmail).toHaveBeenCalledWith(
+        'user@example.com',
+        new Date(1760259200 * 1000),
+        'Pro'
+      );
+    });
+
+    it('should send the reminder once when Stripe redelivers', async () => {
+      createStore(customerRow());
+
+      await post('customer.subscription.trial_will_end');
+      const res = await post('customer.subscription.trial_will_end');
+
+      expect(res.body).toEqual({ received: true, duplicate: true });
+      expect(email.sendTrialEndingEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('should ask Stripe to retry a redelivery while the event is still processing', async () => {
+      const store = createStore(customerRow());
+      let redelivery;
+      email.sendTrialEndingEmail.mockImplementationOnce(async () => {
+        redelivery = await post('customer.subscription.trial_will_end');
+      });
+
+      const res = await post('customer.subscription.trial_will_end');
+
+      expect(res.status).toBe(200);
+      expect(redelivery.status).toBe(409);
+      expect(email.sendTrialEndingEmail).toHaveBeenCalledTimes(1);
+      expect([...store.events.values()][0].status).toBe('processed');
+    });
+  });
+
+  describe('invoice.payment_succeeded', () => {
+    it('should reactivate a customer suspended for failed payments', async () => {
+      const store = createStore(customerRow({ status: 'suspended' }));
+
+      const res = await post('invoice.payment_succeeded');
+
+      expect(res.status).toBe(200);
+      expect(store.customer.status).toBe('active');
+    });
+
+    it('should leave customers in other states alone', async () => {
+      const store = createStore(customerRow({ status: 'cancelled' }));
+
+      await post('invoice.payment_succeeded');
+
+      expect(store.customer.status).toBe('cancelled');
+    });
+  });
+
+  describe('customer.subscription.updated', () => {
+    it('should store the subscription\'s discount', async () => {
+      const store = createStore(customerRow({ price_id: 'price_1SwtCbBfSldKMuDjDmRHqErh' }));
+
+      const res = await post('customer.subscription.updated');
+
+      expect(res.status).toBe(200);
+      expect(store.customer.discount).toEqual({
+        coupon: 'LAUNCH20',
+        name: 'Launch 20% off',
+        percentOff: 20,
+        amountOff: null,
+        currency: null,
+        duration: 'repeating',
+        durationInMonths: 3,
+        promotionCode: 'promo_TestLaunch0001',
+        endsAt: '2025-10-09T08:53:20.000Z',
+      });
+      expect(email.sendPlanChangedEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('customer.subscription.paused / resumed', () => {
+    it('should pause and resume the customer', async () => {
+      const store = createStore(customerRow());
+
+      await post('customer.subscription.paused');
+      expect(store.customer.status).toBe('paused');
+
+      await post('customer.subscription.resumed');
+      expect(store.customer.status).toBe('active');
+    });
+
+    it('should not pause a cancelled customer', async () => {
+      const store = createStore(customerRow({ status: 'cancelled' }));
+
+      await post('customer.subscription.paused');
+
+      expect(store.customer.status).toBe('cancelled');
+    });
+  });
+
+  describe('charge.dispute.created', () => {
+    it('should record the dispute against the charge\'s customer and alert support', async () => {
+      const store = createStore(customerRow());
+      stripeClient.charges.retrieve.mockResolvedValue({ id: 'ch_1TestCharge000000001', customer: 'cus_TestCustomer0001' });
+
+      const res = await post('charge.dispute.created');
+
+      expect(res.status).toBe(200);
+      expect(stripeClient.charges.retrieve).toHaveBeenCalledWith('ch_1TestCharge000000001');
+      expect(store.disputes.get('dp_1TestDispute00000001')).toEqual({
+        id: 'dp_1TestDispute00000001',
+        customerId: 'cus_TestCustomer0001',
+        chargeId: 'ch_1TestCharge000000001',
+        amount: 9900,
+        currency: 'usd',
+        reason: 'fraudulent',
+        status: 'needs_response',
+        evidenceDueBy: new Date(1760745600 * 1000),
+      });
+      expect(email.sendDisputeAlertEmail).toHaveBeenCalledWith(expect.objectContaining({
+        id: 'dp_1TestDispute00000001',
+        customerId: 'cus_TestCustomer0001',
+        email: 'user@example.com',
+      }));
+      expect(logSecurityEvent).toHaveBeenCalledWith('CHARGE_DISPUTED', expect.objectContaining({
+        disputeId: 'dp_1TestDispute00000001',
+      }));
+    });
+
+    it('should fail the event so Stripe retries when the charge lookup fails', async () => {
+      const store = createStore(customerRow());
+      stripeClient.charges.retrieve.mockRejectedValue(new Error('Stripe API down'));
+
+      const res = await post('charge.dispute.created');
+
+      expect(res.status).toBe(500);
+      expect(store.events.get('evt_1DisputeCreated00000001').status).toBe('failed');
+      expect(email.sendDisputeAlertEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('customer.updated', () => {
+    it('should store the new email and hand it to a queued provisioning job', async () => {
+      const store = createStore(customerRow());
+      store.jobs.push({ stripe_customer_id: 'cus_TestCustomer0001', status: 'queued', email: 'user@example.com' });
+
+      const res = await post('customer.updated');
+
+      expect(res.status).toBe(200);
+      expect(store.customer.email).toBe('new-address@example.com');
+      expect(store.jobs[0].email).toBe('new-address@example.com');
+    });
+
+    it('should ignore updates that did not change the email', async () => {
+      const store = createStore(customerRow());
+      const event = JSON.parse(loadFixture('customer.updated'));
+      event.data.previous_attributes = { name: 'Old Name' };
+
+      await post('customer.updated', JSON.stringify(event));
+
+      expect(store.customer.email).toBe('user@example.com');
+    });
+  });
+
+  it('should acknowledge event types it does not handle', async () => {
+    const store = createStore(customerRow());
+    const payload = JSON.stringify({
+      id: 'evt_unhandled',
+      object: 'event',
+      type: 'customer.created',
+      created: 1760000000,
+      data: { object: { id: 'cus_TestCustomer0001', object: 'customer' } },
+    });
+
+    const res = await post('customer.created', payload);
+
+    expect(res.body).toEqual({ received: true });
+    expect(store.events.get('evt_unhandled').status).toBe('ignored');
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Integration Tests for Telegram long polling
+ * Runs the workspace bot and the Ally bot in polling mode against the fake
+ * Bot API (__tests__/helpers/telegram-server.js) with an in-memory store, the
+ * same way index.js wires them up
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('pg', () => {
+  const mockPool = {
+    query: jest.fn(),
+  };
+  return {
+    Pool: jest.fn(() => mockPool),
+    __mockPool: mockPool,
+  };
+});
+
+jest.mock('../../lib/security', () => ({
+  logSecurityEvent: jest.fn(),
+}));
+
+const { __mockPool } = require('pg');
+const { startTelegramServer } = require('../helpers/telegram-server');
+const llm = require('../../lib/llm');
+
+const WORKSPACE = 'claw_test_12345678';
+const PRO = 'price_1SwtCbBfSldKMuDjDmRHqErh';
+const WORKSPACE_TOKEN = '123456:ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const ALLY_TOKEN = '654321:ALLY_TEST_TOKEN';
+
+function textUpdate(text) {
+  return {
+    message: {
+      message_id: 10,
+      chat: { id: 555, type: 'private' },
+      from: { id: 777, first_name: 'Sam' },
+      date: 1760000000,
+      text,
+    },
+  };
+}
+
+// In-memory stand-in for the tables the bots and the runner touch
+function createStore() {
+  const store = { offsets: new Map(), conversations: [] };
+
+  __mockPool.query.mockImplementation(async (sql, params = []) => {
+    if (sql.includes('FROM telegram_update_offsets')) {
+      return { rows: store.offsets.has(params[0]) ? [{ next_offset: String(store.offsets.get(params[0])) }] : [] };
+    }
+    if (sql.includes('INSERT INTO telegram_update_offsets')) {
+      store.offsets.set(params[0], params[1]);
+      return { rows: [] };
+    }
+    if (sql.includes('FROM telegram_bots')) {
+      return { rows: [{ workspace_id: WORKSPACE, token_encrypted: `plain:${WORKSPACE_TOKEN}`, bot_id: '123456', bot_username: 'ClawTestBot' }] };
+    }
+    if (sql.includes('FROM customers')) {
+      return { rows: [{ workspace_id: WORKSPACE, plan: 'Pro', price_id: PRO, status: 'active' }] };
+    }
+    if (sql.includes('FROM usage_tracking')) {
+      return { rows: [{ count: '0' }] };
+    }
+    if (sql.includes('INSERT INTO conversations')) {
+      store.conversations.push(params[2]);
+      return { rows: [{ id: store.conversations.length }] };
+    }
+    return { rows: [] };
+  });
+
+  return store;
+}
+
+// Resolves once a bot has sent `count` messages, or after 4s
+async function waitForMessages(server, token, count) {
+  for (let i = 0; i < 400 && server.sent(token).length < count; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return server.sent(token);
+}
+
+describe('Telegram long polling', () => {
+  const originalEnv = { ...process.env };
+  let server;
+  let telegramRouter;
+  let allyRouter;
+  let createPollingRunner;
+
+  beforeAll(async () => {
+    server = await startTelegramServer({ bots: [{ token: WORKSPACE_TOKEN, username: 'ClawTestBot' }] });
+    process.env.TELEGRAM_API_BASE = server.url;
+    process.env.TELEGRAM_UPDATE_MODE = 'polling';
+    process.env.ALLY_BOT_TOKEN = ALLY_TOKEN;
+    process.env.ADMIN_API_KEY = 'admin_test_key';
+
+    // The routers read the Bot API base and the Ally token when loaded
+    telegramRouter = require('../../api/telegram');
+    allyRouter = require('../../api/ally');
+    ({ createPollingRunner } = require('../../lib/telegram-polling'));
+  });
+
+  afterAll(async () => {
+    process.env = { ...originalEnv };
+    await server.close();
+  });
+
+  beforeEach(() => {
+    llm.setProvider(llm.createFakeProvider({ reply: 'Got it' }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    llm.setProvider(null);
+    jest.restoreAllMocks();
+  });
+
+  function createRunner() {
+    return createPollingRunner(__mockPool, {
+      listBots: async () => [
+        ...allyRouter.listPollingBots(),
+        ...await telegramRouter.listPollingBots()
+      ],
+      timeoutSeconds: 5
+    });
+  }
+
+  it('should answer workspace bot and Ally messages received by polling', async () => {
+    createStore();
+    const runner = createRunner();
+
+    await runner.start();
+    server.pushUpdate(WORKSPACE_TOKEN, textUpdate('Hello'));
+    server.pushUpdate(ALLY_TOKEN, textUpdate('/help'));
+    const workspaceReplies = await waitForMessages(server, WORKSPACE_TOKEN, 1);
+    const allyReplies = await waitForMessages(server, ALLY_TOKEN, 1);
+    await runner.stop();
+
+    expect(workspaceReplies.map(m => m.text)).toEqual(['Got it']);
+    expect(allyReplies[0].text).toContain('Ally Commands');
+
+    const getUpdates = server.requests.filter(r => r.method === 'getUpdates');
+    expect(getUpdates.find(r => r.token === WORKSPACE_TOKEN).body.allowed_updates).toEqual(['message', 'callback_query', 'my_chat_member']);
+    expect(getUpdates.find(r => r.token === ALLY_TOKEN).body.allowed_updates).toEqual(['message']);
+  });
+
+  it('should carry on from the stored offset after a restart', async () => {
+    const store = createStore();
+    const before = server.sent(WORKSPACE_TOKEN).length;
+
+    let runner = createRunner();
+    await runner.start();
+    const id = server.pushUpdate(WORKSPACE_TOKEN, textUpdate('First'));
+    await waitForMessages(server, WORKSPACE_TOKEN, before + 1);
+    await runner.stop();
+    expect(store.offsets.get('123456')).toBe(id + 1);
+
+    runner = createRunner();
+    await runner.start();
+    server.pushUpdate(WORKSPACE_TOKEN, textUpdate('Second'));
+    await waitForMessages(server, WORKSPACE_TOKEN, before + 2);
+    await runner.stop();
+
+    expect(store.conversations.filter(text => text === 'First')).toHaveLength(1);
+    expect(store.conversations).toContain('Second');
+  });
+
+  it('should connect a workspace bot without setting a webhook', async () => {
+    createStore();
+    const app = express();
+    app.use(express.json());
+    app.use('/api/telegram', telegramRouter);
+
+    const res = await request(app)
+      .post(`/api/telegram/${WORKSPACE}/connect`)
+      .set('Authorization', 'Bearer valid_api_key')
+      .send({ token: WORKSPACE_TOKEN })
+      .expect(200);
+
+    expect(res.body).toMatchObject({ success: true, webhookUrl: null, webhookStatus: 'polling' });
+    expect(server.webhooks.has(WORKSPACE_TOKEN)).toBe(false);
+  });
+
+  it('should refuse to set the Ally webhook', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/ally', allyRouter);
+
+    await request(app)
+      .post('/api/ally/setup-webhook')
+      .send({ adminKey: 'admin_test_key' })
+      .expect(409);
+
+    expect(server.webhooks.has(ALLY_TOKEN)).toBe(false);
+  });
+});
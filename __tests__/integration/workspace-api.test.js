@@ -5,6 +5,8 @@
 
 const express = require('express');
 const request = require('supertest');
+const os = require('os');
+const path = require('path');
 
 // Mock the pg module
 jest.mock('pg', () => {
@@ -36,9 +38,32 @@ jest.mock('../../lib/security', () => ({
 
 const { Pool, __mockPool } = require('pg');
 
+// Stub model client (Anthropic messages interface) so chat runs offline
+const stubModelClient = {
+  messages: {
+    create: jest.fn(),
+  },
+};
+
+// Parse a text/event-stream body into [{ event, data }]
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .filter((block) => block.startsWith('event:'))
+    .map((block) => {
+      const [eventLine, dataLine] = block.split('\n');
+      return {
+        event: eventLine.replace('event: ', ''),
+        data: JSON.parse(dataLine.replace('data: ', '')),
+      };
+    });
+}
+
 describe('Workspace API', () => {
   let app;
   let workspaceRouter;
+  let llm;
+  let embeddings;
 
   beforeEach(() => {
     // Reset mocks
@@ -52,8 +77,18 @@ describe('Workspace API', () => {
       Pool: jest.fn(() => __mockPool),
     }));
 
+    // Keep daily memory files out of the repo
+    process.env.WORKSPACES_DIR = path.join(os.tmpdir(), 'clawdbot-test-workspaces');
+
     // Import router
     workspaceRouter = require('../../api/workspace');
+    llm = require('../../lib/llm');
+    llm.setProvider(llm.createAnthropicProvider({ client: stubModelClient }));
+    embeddings = require('../../lib/embeddings');
+    stubModelClient.messages.create.mockResolvedValue({
+      content: [{ text: 'Hello from the model' }],
+      usage: { input_tokens: 420, output_tokens: 37 },
+    });
     
     // Create test app
     app = express();
@@ -104,6 +139,136 @@ describe('Workspace API', () => {
     });
   });
 
+  describe('GET /api/workspace/:id/provisioning', () => {
+    const jobRow = (overrides = {}) => ({
+      id: 7,
+      workspace_id: 'ws_test_1700000000000',
+      status: 'running',
+      current_step: 'workspace_build',
+      last_error: null,
+      run_after: new Date('2024-01-01T00:00:00Z'),
+      created_at: new Date('2024-01-01T00:00:00Z'),
+      completed_at: null,
+      ...overrides,
+    });
+
+    const stepRow = (step, status, overrides = {}) => ({
+      step,
+      status,
+      attempts: 1,
+      error: null,
+      started_at: new Date('2024-01-01T00:00:00Z'),
+      completed_at: status === 'completed' ? new Date('2024-01-01T00:00:42Z') : null,
+      ...overrides,
+    });
+
+    it('should return per-step state, timings and failures without error details', async () => {
+      __mockPool.query
+        .mockResolvedValueOnce({ rows: [jobRow({ status: 'queued', last_error: 'Railway API down' })] })
+        .mockResolvedValueOnce({
+          rows: [
+            stepRow('railway_deploy', 'completed'),
+            stepRow('workspace_build', 'retrying', { attempts: 2, error: 'Railway API down' }),
+          ],
+        });
+
+      const res = await request(app)
+        .get('/api/workspace/ws_test_1700000000000/provisioning')
+        .expect(200);
+
+      expect(res.body).toMatchObject({
+        workspaceId: 'ws_test_1700000000000',
+        jobId: 7,
+        status: 'queued',
+        currentStep: 'workspace_build',
+        progress: { completed: 1, total: 5 },
+        lastError: 'Setup step failed',
+        nextAttemptAt: '2024-01-01T00:00:00.000Z',
+      });
+      expect(res.body.steps.map((s) => [s.step, s.status])).toEqual([
+        ['railway_deploy', 'completed'],
+        ['workspace_build', 'retrying'],
+        ['neon_database', 'pending'],
+        ['runtime_init', 'pending'],
+        ['health_check', 'pending'],
+      ]);
+      expect(res.body.steps[0]).toMatchObject({
+        label: 'Deploying Railway service',
+        durationMs: 42000,
+        completedAt: '2024-01-01T00:00:42.000Z',
+      });
+      expect(res.body.steps[1]).toMatchObject({ attempts: 2, error: 'Setup step failed', durationMs: null });
+      expect(res.body.steps[0].error).toBeNull();
+      expect(res.text).not.toContain('Railway API down');
+    });
+
+    it('should return 404 when no job exists', async () => {
+      __mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      const res = await request(app)
+        .get('/api/workspace/ws_none_0/provisioning')
+        .expect(404);
+
+      expect(res.body.error).toContain('No provisioning job');
+    });
+
+    it('should handle database errors gracefully', async () => {
+      __mockPool.query.mockRejectedValueOnce(new Error('DB connection failed'));
+
+      const res = await request(app)
+        .get('/api/workspace/ws_test_1700000000000/provisioning')
+        .expect(500);
+
+      expect(res.body.error).toBeDefined();
+    });
+
+    it('should stream step transitions until the job is done', async () => {
+      __mockPool.query
+        // Snapshot: first step running
+        .mockResolvedValueOnce({ rows: [jobRow({ current_step: 'railway_deploy' })] })
+        .mockResolvedValueOnce({ rows: [stepRow('railway_deploy', 'running')] })
+        // Next poll: everything done
+        .mockResolvedValueOnce({ rows: [jobRow({ status: 'completed', current_step: null, completed_at: new Date('2024-01-01T00:03:00Z') })] })
+        .mockResolvedValueOnce({
+          rows: ['railway_deploy', 'workspace_build', 'neon_database', 'runtime_init', 'health_check']
+            .map((step) => stepRow(step, 'completed')),
+        });
+
+      const res = await request(app)
+        .get('/api/workspace/ws_test_1700000000000/provisioning')
+        .set('Accept', 'text/event-stream')
+        .expect(200);
+
+      expect(res.headers['content-type']).toContain('text/event-stream');
+
+      const events = parseEvents(res.text);
+      expect(events.map((e) => e.event)).toEqual(['snapshot', 'step', 'step', 'step', 'step', 'step', 'done']);
+      expect(events[0].data.steps[0].status).toBe('running');
+      expect(events[1].data).toMatchObject({
+        step: 'railway_deploy',
+        status: 'completed',
+        jobStatus: 'completed',
+        progress: { completed: 5, total: 5 },
+      });
+      expect(events[6].data).toMatchObject({ status: 'completed', durationMs: 180000 });
+    });
+
+    it('should send the snapshot and close when the job already finished', async () => {
+      __mockPool.query
+        .mockResolvedValueOnce({ rows: [jobRow({ status: 'failed', last_error: 'Health check failed' })] })
+        .mockResolvedValueOnce({ rows: [stepRow('railway_deploy', 'failed', { attempts: 5, error: 'Health check failed' })] });
+
+      const res = await request(app)
+        .get('/api/workspace/ws_test_1700000000000/provisioning?stream=true')
+        .expect(200);
+
+      const events = parseEvents(res.text);
+      expect(events.map((e) => e.event)).toEqual(['snapshot', 'done']);
+      expect(events[1].data.lastError).toBe('Setup step failed');
+      expect(res.text).not.toContain('Health check failed');
+    });
+  });
+
   describe('GET /api/workspace/:id/status', () => {
     it('should require authentication', async () => {
       const res = await request(app)
@@ -141,6 +306,85 @@ describe('Workspace API', () => {
       expect(res.body.limits).toBeDefined();
     });
 
+    it('should include this month\'s and projected overage', async () => {
+      __mockPool.query.mockResolvedValueOnce({
+        rows: [{ workspace_id: 'claw_test_12345678', plan: 'Pro', status: 'active', overage_spending_limit: '25.00' }],
+      });
+      __mockPool.query.mockResolvedValueOnce({
+        rows: [{ messages_this_month: 21000, tokens_this_month: 100000 }],
+      });
+
+      const res = await request(app)
+        .get('/api/workspace/claw_test_12345678/status')
+        .set('Authorization', 'Bearer valid_api_key')
+        .expect(200);
+
+      expect(res.body.overage).toMatchObject({
+        enabled: true,
+        pricePerMessage: 0.005,
+        spendingLimit: 25,
+        messages: 1000,
+        cost: 5,
+      });
+      expect(res.body.overage.projectedCost).toBeGreaterThanOrEqual(5);
+      expect(res.body.overage.projectedCost).toBeLessThanOrEqual(25);
+    });
+
+    it('should include the billing interval, price and active discount', async () => {
+      const discount = { coupon: 'LAUNCH20', percentOff: 20, duration: 'repeating', durationInMonths: 3, endsAt: '2999-01-01T00:00:00.000Z' };
+      __mockPool.query.mockResolvedValueOnce({
+        rows: [{ workspace_id: 'claw_test_12345678', plan: 'Pro', price_id: 'price_1SwtCbBfSldKMuDjDmRHqErh', status: 'active', discount }],
+      });
+      __mockPool.query.mockResolvedValueOnce({
+        rows: [{ messages_this_month: 10, tokens_this_month: 100 }],
+      });
+
+      const res = await request(app)
+        .get('/api/workspace/claw_test_12345678/status')
+        .set('Authorization', 'Bearer valid_api_key')
+        .expect(200);
+
+      expect(res.body.billing).toEqual({ interval: 'month', currency: 'usd', amount: 7900, discount });
+    });
+
+    it('should drop a discount that has already ended', async () => {
+      __mockPool.query.mockResolvedValueOnce({
+        rows: [{
+          workspace_id: 'claw_test_12345678',
+          plan: 'Pro',
+          price_id: 'price_1SwtCbBfSldKMuDjDmRHqErh',
+          status: 'active',
+          discount: { coupon: 'LAUNCH20', percentOff: 20, endsAt: '2020-01-01T00:00:00.000Z' },
+        }],
+      });
+      __mockPool.query.mockResolvedValueOnce({
+        rows: [{ messages_this_month: 10, tokens_this_month: 100 }],
+      });
+
+      const res = await request(app)
+        .get('/api/workspace/claw_test_12345678/status')
+        .set('Authorization', 'Bearer valid_api_key')
+        .expect(200);
+
+      expect(res.body.billing.discount).toBeNull();
+    });
+
+    it('should report no overage mode for plans without one', async () => {
+      __mockPool.query.mockResolvedValueOnce({
+        rows: [{ workspace_id: 'claw_test_12345678', plan: 'Starter', status: 'active' }],
+      });
+      __mockPool.query.mockResolvedValueOnce({
+        rows: [{ messages_this_month: 100, tokens_this_month: 1000 }],
+      });
+
+      const res = await request(app)
+        .get('/api/workspace/claw_test_12345678/status')
+        .set('Authorization', 'Bearer valid_api_key')
+        .expect(200);
+
+      expect(res.body.overage).toBeNull();
+    });
+
     it('should reject inactive subscriptions', async () => {
       __mockPool.query.mockResolvedValueOnce({
         rows: [
@@ -174,6 +418,61 @@ describe('Workspace API', () => {
     });
   });
 
+  describe('PUT /api/workspace/:id/overage', () => {
+    function mockCustomer(plan) {
+      __mockPool.query.mockImplementation((query) => {
+        if (query.includes('SELECT workspace_id')) {
+          return Promise.resolve({ rows: [{ workspace_id: 'claw_test_12345678', plan, status: 'active' }] });
+        }
+        return Promise.resolve({ rows: [{ instance_id: null }] });
+      });
+    }
+
+    it('should store the spending limit', async () => {
+      mockCustomer('Team');
+
+      const res = await request(app)
+        .put('/api/workspace/claw_test_12345678/overage')
+        .set('Authorization', 'Bearer valid_api_key')
+        .send({ spendingLimit: 49.999 })
+        .expect(200);
+
+      expect(res.body).toEqual({ enabled: true, spendingLimit: 50, pricePerMessage: 0.004 });
+      const update = __mockPool.query.mock.calls.find((call) => call[0].includes('SET overage_spending_limit'));
+      expect(update[1]).toEqual([50, 'claw_test_12345678']);
+    });
+
+    it('should opt out with a limit of 0', async () => {
+      mockCustomer('Pro');
+
+      const res = await request(app)
+        .put('/api/workspace/claw_test_12345678/overage')
+        .set('Authorization', 'Bearer valid_api_key')
+        .send({ spendingLimit: 0 })
+        .expect(200);
+
+      expect(res.body.enabled).toBe(false);
+    });
+
+    it('should reject plans without overage and invalid limits', async () => {
+      mockCustomer('Starter');
+      await request(app)
+        .put('/api/workspace/claw_test_12345678/overage')
+        .set('Authorization', 'Bearer valid_api_key')
+        .send({ spendingLimit: 10 })
+        .expect(400);
+
+      mockCustomer('Pro');
+      for (const spendingLimit of [-1, '10', 1000000, null]) {
+        await request(app)
+          .put('/api/workspace/claw_test_12345678/overage')
+          .set('Authorization', 'Bearer valid_api_key')
+          .send({ spendingLimit })
+          .expect(400);
+      }
+    });
+  });
+
   describe('POST /api/workspace/:id/chat', () => {
     beforeEach(() => {
       // Default auth mock
@@ -227,6 +526,17 @@ describe('Workspace API', () => {
       expect(res.body.error).toContain('too long');
     });
 
+    it('should not chat on the Telegram group channel', async () => {
+      const res = await request(app)
+        .post('/api/workspace/claw_test_12345678/chat')
+        .set('Authorization', 'Bearer valid_api_key')
+        .send({ message: 'Hi', channel: 'telegram_group' })
+        .expect(400);
+
+      expect(res.body.error).toContain('channel');
+      expect(__mockPool.query.mock.calls.some(([sql]) => sql.includes('FROM conversations'))).toBe(false);
+    });
+
     it('should track usage and return remaining messages', async () => {
       const res = await request(app)
         .post('/api/workspace/claw_test_12345678/chat')
@@ -240,100 +550,205 @@ describe('Workspace API', () => {
       expect(res.body.usage.messagesRemaining).toBeDefined();
     });
 
-    // BUG CATCHER: Rate limiting on chat
-    it('should enforce message limits', async () => {
-      // Mock user at limit
-      __mockPool.query.mockImplementation((query) => {
-        if (query.includes('SELECT workspace_id')) {
+    it('should return the model reply and record real token usage', async () => {
+      const res = await request(app)
+        .post('/api/workspace/claw_test_12345678/chat')
+        .set('Authorization', 'Bearer valid_api_key')
+        .send({ message: 'What did we talk about?' })
+        .expect(200);
+
+      expect(res.body.response).toBe('Hello from the model');
+      expect(res.body.usage.inputTokens).toBe(420);
+      expect(res.body.usage.outputTokens).toBe(37);
+
+      const modelCall = stubModelClient.messages.create.mock.calls[0][0];
+      expect(modelCall.system).toContain('Plan: Pro');
+      expect(modelCall.messages).toEqual([{ role: 'user', content: 'What did we talk about?' }]);
+
+      const usageInsert = __mockPool.query.mock.calls.find(
+        (call) => call[0].includes('INSERT INTO usage_tracking')
+      );
+      expect(usageInsert[1]).toContain(457);
+
+      const assistantInsert = __mockPool.query.mock.calls.find(
+        (call) => call[0].includes("'assistant'")
+      );
+      expect(assistantInsert[1]).toContain('Hello from the model');
+    });
+
+    it('should send the agent history and store the new message afterwards', async () => {
+      const defaultQuery = __mockPool.query.getMockImplementation();
+      __mockPool.query.mockImplementation((query, params) => {
+        if (query.includes('FROM agents')) {
+          return Promise.resolve({
+            rows: [{ agent_id: 'calendar', name: 'Calendar', persona: null, model: null, skills: [] }],
+          });
+        }
+        if (query.includes('FROM conversations')) {
           return Promise.resolve({
             rows: [
-              {
-                workspace_id: 'claw_test_12345678',
-                email: 'user@example.com',
-                plan: 'Starter',
-                status: 'active',
-              },
+              { role: 'assistant', message: 'Your meeting is at 3pm.' },
+              { role: 'user', message: 'When is my meeting?' },
             ],
           });
         }
-        if (query.includes('SUM(messages_sent)')) {
-          return Promise.resolve({ rows: [{ count: 5000 }] }); // At limit
-        }
-        return Promise.resolve({ rows: [] });
+        return defaultQuery(query, params);
       });
 
-      const res = await request(app)
+      await request(app)
         .post('/api/workspace/claw_test_12345678/chat')
         .set('Authorization', 'Bearer valid_api_key')
-        .send({ message: 'Hello' })
-        .expect(429);
+        .send({ message: 'Can you move it to 4pm?', agentId: 'calendar' })
+        .expect(200);
 
-      expect(res.body.error).toContain('limit');
+      const modelCall = stubModelClient.messages.create.mock.calls[0][0];
+      expect(modelCall.messages).toEqual([
+        { role: 'user', content: 'When is my meeting?' },
+        { role: 'assistant', content: 'Your meeting is at 3pm.' },
+        { role: 'user', content: 'Can you move it to 4pm?' },
+      ]);
+
+      const queries = __mockPool.query.mock.calls.map((call) => call[0]);
+      const historyIndex = queries.findIndex((q) => q.includes('FROM conversations'));
+      const userInsertIndex = queries.findIndex((q) => q.includes("'user'"));
+      expect(__mockPool.query.mock.calls[historyIndex][1]).toContain('calendar');
+      expect(userInsertIndex).toBeGreaterThan(historyIndex);
     });
-  });
 
-  describe('GET /api/workspace/:id/conversations', () => {
-    beforeEach(() => {
-      __mockPool.query.mockImplementation((query) => {
-        if (query.includes('SELECT workspace_id')) {
+    it('should route chat to the agent persona', async () => {
+      const defaultQuery = __mockPool.query.getMockImplementation();
+      __mockPool.query.mockImplementation((query, params) => {
+        if (query.includes('FROM agents')) {
           return Promise.resolve({
-            rows: [
-              {
-                workspace_id: 'claw_test_12345678',
-                email: 'user@example.com',
-                plan: 'Pro',
-                status: 'active',
-              },
-            ],
+            rows: [{
+              agent_id: 'coach',
+              name: 'Coach',
+              persona: 'You are an upbeat fitness coach.',
+              model: 'claude-coach-model',
+              skills: ['chat'],
+            }],
           });
         }
-        if (query.includes('FROM conversations')) {
+        return defaultQuery(query, params);
+      });
+
+      await request(app)
+        .post('/api/workspace/claw_test_12345678/chat')
+        .set('Authorization', 'Bearer valid_api_key')
+        .send({ message: 'Plan my week', agentId: 'coach' })
+        .expect(200);
+
+      const modelCall = stubModelClient.messages.create.mock.calls[0][0];
+      expect(modelCall.system).toContain('upbeat fitness coach');
+      expect(modelCall.model).toBe('claude-coach-model');
+    });
+
+    it('should reject chat with an agent suspended after a downgrade', async () => {
+      const defaultQuery = __mockPool.query.getMockImplementation();
+      __mockPool.query.mockImplementation((query, params) => {
+        if (query.includes('FROM agents')) {
           return Promise.resolve({
-            rows: [
-              { message: 'Hello', role: 'user', created_at: new Date() },
-              { message: 'Hi there!', role: 'assistant', created_at: new Date() },
-            ],
+            rows: [{ agent_id: 'coach', name: 'Coach', skills: [], suspended_at: new Date('2024-01-01') }],
           });
         }
-        return Promise.resolve({ rows: [] });
+        return defaultQuery(query, params);
       });
+
+      const res = await request(app)
+        .post('/api/workspace/claw_test_12345678/chat')
+        .set('Authorization', 'Bearer valid_api_key')
+        .send({ message: 'Hi', agentId: 'coach' })
+        .expect(403);
+
+      expect(res.body.error).toContain('suspended');
+      expect(stubModelClient.messages.create).not.toHaveBeenCalled();
     });
 
-    it('should return conversation history', async () => {
+    it('should return 404 for unknown agents', async () => {
       const res = await request(app)
-        .get('/api/workspace/claw_test_12345678/conversations')
+        .post('/api/workspace/claw_test_12345678/chat')
+        .set('Authorization', 'Bearer valid_api_key')
+        .send({ message: 'Hi', agentId: 'ghost' })
+        .expect(404);
+
+      expect(res.body.error).toContain('Agent not found');
+      expect(stubModelClient.messages.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 when the model call fails', async () => {
+      stubModelClient.messages.create.mockRejectedValueOnce(
+        Object.assign(new Error('invalid_request_error'), { status: 400 })
+      );
+
+      const res = await request(app)
+        .post('/api/workspace/claw_test_12345678/chat')
+        .set('Authorization', 'Bearer valid_api_key')
+        .send({ message: 'Hello' })
+        .expect(500);
+
+      expect(res.body.error).toContain('Chat failed');
+    });
+
+    it('should stream tokens over SSE and persist the final reply', async () => {
+      llm.setProvider(llm.createFakeProvider({ reply: 'Hello streaming world' }));
+
+      const res = await request(app)
+        .post('/api/workspace/claw_test_12345678/chat')
         .set('Authorization', 'Bearer valid_api_key')
+        .set('Accept', 'text/event-stream')
+        .send({ message: 'Hi' })
         .expect(200);
 
-      expect(res.body.conversations).toBeDefined();
-      expect(Array.isArray(res.body.conversations)).toBe(true);
+      expect(res.headers['content-type']).toContain('text/event-stream');
+
+      const events = parseEvents(res.text);
+      const tokens = events.filter((e) => e.event === 'token').map((e) => e.data.text);
+      expect(tokens.length).toBeGreaterThan(1);
+      expect(tokens.join('')).toBe('Hello streaming world');
+
+      const done = events[events.length - 1];
+      expect(done.event).toBe('done');
+      expect(done.data.response).toBe('Hello streaming world');
+      expect(done.data.usage.messagesUsed).toBe(101);
+
+      const assistantInsert = __mockPool.query.mock.calls.find(
+        (call) => call[0].includes("'assistant'")
+      );
+      expect(assistantInsert[1]).toContain('Hello streaming world');
     });
 
-    it('should respect limit parameter', async () => {
+    it('should accept stream: true in the body', async () => {
+      llm.setProvider(llm.createFakeProvider({ reply: 'ok' }));
+
       const res = await request(app)
-        .get('/api/workspace/claw_test_12345678/conversations?limit=10')
+        .post('/api/workspace/claw_test_12345678/chat')
         .set('Authorization', 'Bearer valid_api_key')
+        .send({ message: 'Hi', stream: true })
         .expect(200);
 
-      expect(res.body.pagination.limit).toBe(10);
+      expect(parseEvents(res.text).map((e) => e.event)).toEqual(['token', 'done']);
     });
 
-    it('should cap limit at 100', async () => {
+    it('should send an error event when the stream fails', async () => {
+      llm.setProvider({
+        name: 'fake',
+        stream: jest.fn().mockRejectedValue(Object.assign(new Error('bad'), { status: 400 })),
+      });
+
       const res = await request(app)
-        .get('/api/workspace/claw_test_12345678/conversations?limit=500')
+        .post('/api/workspace/claw_test_12345678/chat')
         .set('Authorization', 'Bearer valid_api_key')
+        .set('Accept', 'text/event-stream')
+        .send({ message: 'Hi' })
         .expect(200);
 
-      // Verify the query was called with capped limit
-      const queryCall = __mockPool.query.mock.calls.find(
-        (call) => call[0].includes('LIMIT')
-      );
-      expect(queryCall[1]).toContain(100); // Max limit
+      const events = parseEvents(res.text);
+      expect(events[events.length - 1]).toEqual({ event: 'error', data: { error: 'Chat failed' } });
     });
-  });
 
-  describe('POST /api/workspace/:id/memory', () => {
-    beforeEach(() => {
+    // BUG CATCHER: Rate limiting on chat
+    it('should enforce message limits', async () => {
+      // Mock user at limit
       __mockPool.query.mockImplementation((query) => {
         if (query.includes('SELECT workspace_id')) {
           return Promise.resolve({
@@ -341,20 +756,192 @@ describe('Workspace API', () => {
               {
                 workspace_id: 'claw_test_12345678',
                 email: 'user@example.com',
-                plan: 'Pro',
+                plan: 'Starter',
                 status: 'active',
               },
             ],
           });
         }
-        if (query.includes('INSERT INTO memories')) {
-          return Promise.resolve({ rows: [{ id: 123 }] });
+        if (query.includes('SUM(messages_sent)')) {
+          return Promise.resolve({ rows: [{ count: 5000 }] }); // At limit
         }
         return Promise.resolve({ rows: [] });
       });
-    });
 
-    it('should store memory successfully', async () => {
+      const res = await request(app)
+        .post('/api/workspace/claw_test_12345678/chat')
+        .set('Authorization', 'Bearer valid_api_key')
+        .send({ message: 'Hello' })
+        .expect(429);
+
+      expect(res.body.error).toContain('limit');
+    });
+
+    // BUG CATCHER: Streaming must not bypass the plan limit
+    it('should enforce message limits before streaming starts', async () => {
+      __mockPool.query.mockImplementation((query) => {
+        if (query.includes('SELECT workspace_id')) {
+          return Promise.resolve({
+            rows: [{ workspace_id: 'claw_test_12345678', plan: 'Starter', status: 'active' }],
+          });
+        }
+        if (query.includes('SUM(messages_sent)')) {
+          return Promise.resolve({ rows: [{ count: 5000 }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      const res = await request(app)
+        .post('/api/workspace/claw_test_12345678/chat')
+        .set('Authorization', 'Bearer valid_api_key')
+        .set('Accept', 'text/event-stream')
+        .send({ message: 'Hello' })
+        .expect(429);
+
+      expect(res.headers['content-type']).toContain('application/json');
+      expect(stubModelClient.messages.create).not.toHaveBeenCalled();
+    });
+
+    it('should keep serving past the limit with overage opted in', async () => {
+      llm.setProvider(llm.createFakeProvider({ reply: 'ok' }));
+      __mockPool.query.mockImplementation((query) => {
+        if (query.includes('SELECT workspace_id')) {
+          return Promise.resolve({
+            rows: [{ workspace_id: 'claw_test_12345678', plan: 'Pro', status: 'active', overage_spending_limit: '10.00' }],
+          });
+        }
+        if (query.includes('SUM(messages_sent)')) {
+          return Promise.resolve({ rows: [{ count: 20100 }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      const res = await request(app)
+        .post('/api/workspace/claw_test_12345678/chat')
+        .set('Authorization', 'Bearer valid_api_key')
+        .send({ message: 'Hello' })
+        .expect(200);
+
+      expect(res.body.usage).toMatchObject({ messagesRemaining: 0, overageMessages: 101 });
+    });
+
+    it('should stop at the overage spending limit', async () => {
+      __mockPool.query.mockImplementation((query) => {
+        if (query.includes('SELECT workspace_id')) {
+          return Promise.resolve({
+            rows: [{ workspace_id: 'claw_test_12345678', plan: 'Pro', status: 'active', overage_spending_limit: '1.00' }],
+          });
+        }
+        if (query.includes('SUM(messages_sent)')) {
+          return Promise.resolve({ rows: [{ count: 20200 }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      const res = await request(app)
+        .post('/api/workspace/claw_test_12345678/chat')
+        .set('Authorization', 'Bearer valid_api_key')
+        .send({ message: 'Hello' })
+        .expect(429);
+
+      expect(res.body.error).toBe('Overage spending limit reached');
+    });
+  });
+
+  describe('GET /api/workspace/:id/conversations', () => {
+    beforeEach(() => {
+      __mockPool.query.mockImplementation((query) => {
+        if (query.includes('SELECT workspace_id')) {
+          return Promise.resolve({
+            rows: [
+              {
+                workspace_id: 'claw_test_12345678',
+                email: 'user@example.com',
+                plan: 'Pro',
+                status: 'active',
+              },
+            ],
+          });
+        }
+        if (query.includes('FROM conversations')) {
+          return Promise.resolve({
+            rows: [
+              { message: 'Hello', role: 'user', created_at: new Date() },
+              { message: 'Hi there!', role: 'assistant', created_at: new Date() },
+            ],
+          });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+    });
+
+    it('should return conversation history', async () => {
+      const res = await request(app)
+        .get('/api/workspace/claw_test_12345678/conversations')
+        .set('Authorization', 'Bearer valid_api_key')
+        .expect(200);
+
+      expect(res.body.conversations).toBeDefined();
+      expect(Array.isArray(res.body.conversations)).toBe(true);
+    });
+
+    it('should respect limit parameter', async () => {
+      const res = await request(app)
+        .get('/api/workspace/claw_test_12345678/conversations?limit=10')
+        .set('Authorization', 'Bearer valid_api_key')
+        .expect(200);
+
+      expect(res.body.pagination.limit).toBe(10);
+    });
+
+    it('should leave out Telegram group messages', async () => {
+      await request(app)
+        .get('/api/workspace/claw_test_12345678/conversations')
+        .set('Authorization', 'Bearer valid_api_key')
+        .expect(200);
+
+      const [sql, params] = __mockPool.query.mock.calls.find(([query]) => query.includes('FROM conversations'));
+      expect(sql).toContain('channel <> $5');
+      expect(params[4]).toBe('telegram_group');
+    });
+
+    it('should cap limit at 100', async () => {
+      const res = await request(app)
+        .get('/api/workspace/claw_test_12345678/conversations?limit=500')
+        .set('Authorization', 'Bearer valid_api_key')
+        .expect(200);
+
+      // Verify the query was called with capped limit
+      const queryCall = __mockPool.query.mock.calls.find(
+        (call) => call[0].includes('LIMIT')
+      );
+      expect(queryCall[1]).toContain(100); // Max limit
+    });
+  });
+
+  describe('POST /api/workspace/:id/memory', () => {
+    beforeEach(() => {
+      __mockPool.query.mockImplementation((query) => {
+        if (query.includes('SELECT workspace_id')) {
+          return Promise.resolve({
+            rows: [
+              {
+                workspace_id: 'claw_test_12345678',
+                email: 'user@example.com',
+                plan: 'Pro',
+                status: 'active',
+              },
+            ],
+          });
+        }
+        if (query.includes('INSERT INTO memories')) {
+          return Promise.resolve({ rows: [{ id: 123 }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+    });
+
+    it('should store memory successfully', async () => {
       const res = await request(app)
         .post('/api/workspace/claw_test_12345678/memory')
         .set('Authorization', 'Bearer valid_api_key')
@@ -387,6 +974,40 @@ describe('Workspace API', () => {
 
       expect(res.body.success).toBe(true);
     });
+
+    it('should store an embedding when pgvector is available', async () => {
+      embeddings.setEmbedder(embeddings.createLocalEmbedder());
+      const defaultQuery = __mockPool.query.getMockImplementation();
+      __mockPool.query.mockImplementation((query, params) => {
+        if (query.includes('information_schema.columns')) {
+          return Promise.resolve({ rows: [{ exists: 1 }] });
+        }
+        return defaultQuery(query, params);
+      });
+
+      const res = await request(app)
+        .post('/api/workspace/claw_test_12345678/memory')
+        .set('Authorization', 'Bearer valid_api_key')
+        .send({ content: 'User prefers green tea' })
+        .expect(200);
+
+      const update = __mockPool.query.mock.calls.find((call) => call[0].includes('SET embedding'));
+      expect(res.body.embedded).toBe(true);
+      expect(update[1][1]).toBe(123);
+    });
+
+    it('should store memories without embeddings when pgvector is missing', async () => {
+      embeddings.setEmbedder(embeddings.createLocalEmbedder());
+
+      const res = await request(app)
+        .post('/api/workspace/claw_test_12345678/memory')
+        .set('Authorization', 'Bearer valid_api_key')
+        .send({ content: 'User prefers green tea' })
+        .expect(200);
+
+      expect(res.body.success).toBe(true);
+      expect(res.body.embedded).toBe(false);
+    });
   });
 
   describe('GET /api/workspace/:id/memory/search', () => {
@@ -457,6 +1078,553 @@ describe('Workspace API', () => {
       expect(searchQuery).toBeDefined();
       // The escaped pattern should be in the query params
     });
+
+    it('should rank by embedding similarity when pgvector is available', async () => {
+      embeddings.setEmbedder(embeddings.createLocalEmbedder());
+      __mockPool.query.mockImplementation((query) => {
+        if (query.includes('SELECT workspace_id')) {
+          return Promise.resolve({
+            rows: [{ workspace_id: 'claw_test_12345678', plan: 'Pro', status: 'active' }],
+          });
+        }
+        if (query.includes('information_schema.columns')) {
+          return Promise.resolve({ rows: [{ exists: 1 }] });
+        }
+        if (query.includes('<=>')) {
+          return Promise.resolve({
+            rows: [{ id: 7, content: 'User prefers green tea', metadata: {}, similarity: 0.82 }],
+          });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      const res = await request(app)
+        .get('/api/workspace/claw_test_12345678/memory/search?query=what%20does%20the%20user%20drink&limit=1')
+        .set('Authorization', 'Bearer valid_api_key')
+        .expect(200);
+
+      const vectorQuery = __mockPool.query.mock.calls.find((call) => call[0].includes('<=>'));
+      expect(res.body.mode).toBe('semantic');
+      expect(res.body.memories[0].similarity).toBe(0.82);
+      expect(vectorQuery[1]).toContain('claw_test_12345678');
+    });
+  });
+
+  describe('Memory CRUD', () => {
+    const memoryRow = {
+      id: 5,
+      agent_id: 'main',
+      content: 'User prefers green tea',
+      metadata: { tags: ['drinks'] },
+      created_at: new Date('2024-02-01'),
+      updated_at: null,
+    };
+
+    function mockMemoryQueries(handler) {
+      __mockPool.query.mockImplementation((query, params) => {
+        if (query.includes('SELECT workspace_id')) {
+          return Promise.resolve({
+            rows: [{ workspace_id: 'claw_test_12345678', plan: 'Pro', status: 'active' }],
+          });
+        }
+        return Promise.resolve(handler(query, params) || { rows: [] });
+      });
+    }
+
+    function findQuery(text) {
+      return __mockPool.query.mock.calls.find((call) => call[0].includes(text));
+    }
+
+    beforeEach(() => {
+      mockMemoryQueries(() => null);
+    });
+
+    describe('GET /api/workspace/:id/memory', () => {
+      it('should list memories with pagination', async () => {
+        mockMemoryQueries((query) => {
+          if (query.includes('COUNT(*) OVER()')) {
+            return { rows: [{ ...memoryRow, total: '3' }] };
+          }
+        });
+
+        const res = await request(app)
+          .get('/api/workspace/claw_test_12345678/memory?limit=1&offset=1')
+          .set('Authorization', 'Bearer valid_api_key')
+          .expect(200);
+
+        expect(res.body.memories).toHaveLength(1);
+        expect(res.body.memories[0].total).toBeUndefined();
+        expect(res.body.pagination).toEqual({ limit: 1, offset: 1, total: 3, hasMore: true });
+
+        const [, params] = findQuery('COUNT(*) OVER()');
+        expect(params).toEqual(['claw_test_12345678', 1, 1]);
+      });
+
+      it('should filter by agent, tag and metadata', async () => {
+        mockMemoryQueries(() => ({ rows: [] }));
+
+        await request(app)
+          .get('/api/workspace/claw_test_12345678/memory')
+          .query({ agentId: 'research', tag: 'drinks', 'metadata[category]': 'preferences' })
+          .set('Authorization', 'Bearer valid_api_key')
+          .expect(200);
+
+        const [sql, params] = findQuery('FROM memories');
+        expect(sql).toContain('agent_id = $2');
+        expect(sql).toContain('metadata @> $3::jsonb');
+        expect(JSON.parse(params[2])).toEqual({ category: 'preferences', tags: ['drinks'] });
+      });
+
+      it('should accept a JSON metadata filter', async () => {
+        mockMemoryQueries(() => ({ rows: [] }));
+
+        await request(app)
+          .get('/api/workspace/claw_test_12345678/memory')
+          .query({ metadata: JSON.stringify({ importance: 'high' }) })
+          .set('Authorization', 'Bearer valid_api_key')
+          .expect(200);
+
+        const [, params] = findQuery('FROM memories');
+        expect(JSON.parse(params[1])).toEqual({ importance: 'high' });
+      });
+
+      it('should reject a malformed metadata filter', async () => {
+        mockMemoryQueries(() => ({ rows: [] }));
+
+        const res = await request(app)
+          .get('/api/workspace/claw_test_12345678/memory?metadata=not-json')
+          .set('Authorization', 'Bearer valid_api_key')
+          .expect(400);
+
+        expect(res.body.error).toContain('metadata');
+      });
+
+      it('should reject an invalid agent filter', async () => {
+        const res = await request(app)
+          .get('/api/workspace/claw_test_12345678/memory?agentId=Research%20Agent')
+          .set('Authorization', 'Bearer valid_api_key')
+          .expect(400);
+
+        expect(res.body.error).toContain('agentId');
+      });
+
+      it('should cap the page size at 100', async () => {
+        mockMemoryQueries(() => ({ rows: [] }));
+
+        const res = await request(app)
+          .get('/api/workspace/claw_test_12345678/memory?limit=500')
+          .set('Authorization', 'Bearer valid_api_key')
+          .expect(200);
+
+        expect(res.body.pagination.limit).toBe(100);
+        expect(res.body.pagination.hasMore).toBe(false);
+      });
+    });
+
+    describe('POST /api/workspace/:id/memory', () => {
+      it('should store the agent and tags', async () => {
+        mockMemoryQueries((query) => {
+          if (query.includes('INSERT INTO memories')) return { rows: [{ id: 9 }] };
+        });
+
+        await request(app)
+          .post('/api/workspace/claw_test_12345678/memory')
+          .set('Authorization', 'Bearer valid_api_key')
+          .send({ content: 'Likes tea', agentId: 'research', tags: ['drinks'], metadata: { source: 'manual' } })
+          .expect(200);
+
+        const [, params] = findQuery('INSERT INTO memories');
+        expect(params[1]).toBe('research');
+        expect(JSON.parse(params[3])).toEqual({ source: 'manual', tags: ['drinks'] });
+      });
+
+      it('should reject invalid tags', async () => {
+        const res = await request(app)
+          .post('/api/workspace/claw_test_12345678/memory')
+          .set('Authorization', 'Bearer valid_api_key')
+          .send({ content: 'Likes tea', tags: 'drinks' })
+          .expect(400);
+
+        expect(res.body.error).toContain('Tags');
+      });
+
+      it('should reject an invalid agent ID', async () => {
+        const res = await request(app)
+          .post('/api/workspace/claw_test_12345678/memory')
+          .set('Authorization', 'Bearer valid_api_key')
+          .send({ content: 'Likes tea', agentId: 'Research Agent' })
+          .expect(400);
+
+        expect(res.body.error).toContain('agentId');
+      });
+    });
+
+    describe('GET /api/workspace/:id/memory/:memoryId', () => {
+      it('should return the memory', async () => {
+        mockMemoryQueries((query) => {
+          if (query.includes('FROM memories')) return { rows: [memoryRow] };
+        });
+
+        const res = await request(app)
+          .get('/api/workspace/claw_test_12345678/memory/5')
+          .set('Authorization', 'Bearer valid_api_key')
+          .expect(200);
+
+        expect(res.body.memory.content).toBe('User prefers green tea');
+        expect(findQuery('FROM memories')[1]).toEqual(['claw_test_12345678', 5]);
+      });
+
+      it('should return 404 for memories in other workspaces', async () => {
+        mockMemoryQueries(() => ({ rows: [] }));
+
+        await request(app)
+          .get('/api/workspace/claw_test_12345678/memory/999')
+          .set('Authorization', 'Bearer valid_api_key')
+          .expect(404);
+      });
+
+      it('should reject non-numeric IDs', async () => {
+        const res = await request(app)
+          .get('/api/workspace/claw_test_12345678/memory/abc')
+          .set('Authorization', 'Bearer valid_api_key')
+          .expect(400);
+
+        expect(res.body.error).toContain('Invalid memory ID');
+      });
+
+      it('should reject IDs past the int4 range without querying', async () => {
+        const res = await request(app)
+          .get('/api/workspace/claw_test_12345678/memory/2147483648')
+          .set('Authorization', 'Bearer valid_api_key')
+          .expect(400);
+
+        expect(res.body.error).toContain('Invalid memory ID');
+        expect(__mockPool.query.mock.calls.some(([sql]) => sql.includes('FROM memories'))).toBe(false);
+      });
+    });
+
+    describe('PATCH /api/workspace/:id/memory/:memoryId', () => {
+      it('should update content, merge metadata and remove null keys', async () => {
+        mockMemoryQueries((query) => {
+          if (query.includes('UPDATE memories')) {
+            return { rows: [{ ...memoryRow, content: 'User prefers oolong tea' }] };
+          }
+        });
+
+        const res = await request(app)
+          .patch('/api/workspace/claw_test_12345678/memory/5')
+          .set('Authorization', 'Bearer valid_api_key')
+          .send({ content: 'User prefers oolong tea', tags: ['drinks', 'tea'], metadata: { importance: 'high', draft: null } })
+          .expect(200);
+
+        expect(res.body.memory.content).toBe('User prefers oolong tea');
+
+        const [, params] = findQuery('UPDATE memories');
+        expect(params[2]).toBe('User prefers oolong tea');
+        expect(params[3]).toBeNull();
+        expect(JSON.parse(params[4])).toEqual({ importance: 'high', tags: ['drinks', 'tea'] });
+        expect(params[5]).toEqual(['draft']);
+      });
+
+      it('should re-embed edited content', async () => {
+        embeddings.setEmbedder(embeddings.createLocalEmbedder());
+        mockMemoryQueries((query) => {
+          if (query.includes('information_schema.columns')) return { rows: [{ exists: 1 }] };
+          if (query.includes('UPDATE memories') && query.includes('RETURNING')) return { rows: [memoryRow] };
+        });
+
+        await request(app)
+          .patch('/api/workspace/claw_test_12345678/memory/5')
+          .set('Authorization', 'Bearer valid_api_key')
+          .send({ content: 'User prefers green tea' })
+          .expect(200);
+
+        expect(findQuery('SET embedding')).toBeDefined();
+      });
+
+      it('should require at least one field', async () => {
+        const res = await request(app)
+          .patch('/api/workspace/claw_test_12345678/memory/5')
+          .set('Authorization', 'Bearer valid_api_key')
+          .send({})
+          .expect(400);
+
+        expect(res.body.error).toContain('Nothing to update');
+      });
+
+      it('should return 404 when the memory does not exist', async () => {
+        mockMemoryQueries(() => ({ rows: [] }));
+
+        await request(app)
+          .patch('/api/workspace/claw_test_12345678/memory/5')
+          .set('Authorization', 'Bearer valid_api_key')
+          .send({ tags: ['x'] })
+          .expect(404);
+      });
+
+      it('should reject an invalid agent ID without updating', async () => {
+        const res = await request(app)
+          .patch('/api/workspace/claw_test_12345678/memory/5')
+          .set('Authorization', 'Bearer valid_api_key')
+          .send({ agentId: '../other' })
+          .expect(400);
+
+        expect(res.body.error).toContain('agentId');
+        expect(__mockPool.query.mock.calls.some(([sql]) => sql.includes('UPDATE memories'))).toBe(false);
+      });
+    });
+
+    describe('DELETE /api/workspace/:id/memory/:memoryId', () => {
+      it('should delete the memory', async () => {
+        mockMemoryQueries((query) => {
+          if (query.includes('DELETE FROM memories')) return { rows: [{ id: 5 }] };
+        });
+
+        const res = await request(app)
+          .delete('/api/workspace/claw_test_12345678/memory/5')
+          .set('Authorization', 'Bearer valid_api_key')
+          .expect(200);
+
+        expect(res.body).toEqual({ success: true, memoryId: 5 });
+        expect(findQuery('DELETE FROM memories')[1]).toEqual(['claw_test_12345678', 5]);
+      });
+
+      it('should return 404 when nothing was deleted', async () => {
+        mockMemoryQueries(() => ({ rows: [] }));
+
+        await request(app)
+          .delete('/api/workspace/claw_test_12345678/memory/5')
+          .set('Authorization', 'Bearer valid_api_key')
+          .expect(404);
+      });
+    });
+
+    describe('POST /api/workspace/:id/memory/bulk-delete', () => {
+      it('should delete the given memories in this workspace', async () => {
+        mockMemoryQueries((query) => {
+          if (query.includes('DELETE FROM memories')) return { rows: [{ id: 1 }, { id: 2 }] };
+        });
+
+        const res = await request(app)
+          .post('/api/workspace/claw_test_12345678/memory/bulk-delete')
+          .set('Authorization', 'Bearer valid_api_key')
+          .send({ ids: [1, 2, 3] })
+          .expect(200);
+
+        expect(res.body).toEqual({ success: true, deleted: 2, ids: [1, 2] });
+        expect(findQuery('DELETE FROM memories')[1]).toEqual(['claw_test_12345678', [1, 2, 3]]);
+      });
+
+      it('should validate ids', async () => {
+        for (const ids of [undefined, [], ['x'], [1.5], [2147483648], new Array(1001).fill(1)]) {
+          await request(app)
+            .post('/api/workspace/claw_test_12345678/memory/bulk-delete')
+            .set('Authorization', 'Bearer valid_api_key')
+            .send({ ids })
+            .expect(400);
+        }
+      });
+    });
+  });
+
+  describe('Agents', () => {
+    const agentRow = {
+      agent_id: 'research',
+      name: 'Research',
+      persona: 'Be thorough.',
+      model: null,
+      skills: ['web_search'],
+    };
+
+    function mockAgentQueries(plan, handler) {
+      __mockPool.query.mockImplementation((query, params) => {
+        if (query.includes('SELECT workspace_id')) {
+          return Promise.resolve({
+            rows: [{ workspace_id: 'claw_test_12345678', plan, status: 'active' }],
+          });
+        }
+        return Promise.resolve(handler(query, params) || { rows: [] });
+      });
+    }
+
+    function findQuery(text) {
+      return __mockPool.query.mock.calls.find((call) => call[0].includes(text));
+    }
+
+    beforeEach(() => {
+      mockAgentQueries('Starter', () => null);
+    });
+
+    it('should list agents with the plan quota', async () => {
+      mockAgentQueries('Pro', (query) => {
+        if (query.includes('FROM agents')) return { rows: [agentRow] };
+      });
+
+      const res = await request(app)
+        .get('/api/workspace/claw_test_12345678/agents')
+        .set('Authorization', 'Bearer valid_api_key')
+        .expect(200);
+
+      expect(res.body.agents).toEqual([agentRow]);
+      expect(res.body.quota).toEqual({ used: 1, limit: 10 });
+    });
+
+    it('should not count suspended agents against the quota', async () => {
+      const suspended = { ...agentRow, agent_id: 'writer', suspended_at: '2024-01-01T00:00:00.000Z' };
+      mockAgentQueries('Starter', (query) => {
+        if (query.includes('FROM agents')) return { rows: [agentRow, suspended] };
+      });
+
+      const res = await request(app)
+        .get('/api/workspace/claw_test_12345678/agents')
+        .set('Authorization', 'Bearer valid_api_key')
+        .expect(200);
+
+      expect(res.body.agents).toHaveLength(2);
+      expect(res.body.quota).toEqual({ used: 1, limit: 3 });
+    });
+
+    it('should create an agent with an ID derived from its name', async () => {
+      mockAgentQueries('Starter', (query) => {
+        if (query.includes('COUNT(*)')) return { rows: [{ count: '1' }] };
+        if (query.includes('INSERT INTO agents')) return { rows: [agentRow] };
+      });
+
+      const res = await request(app)
+        .post('/api/workspace/claw_test_12345678/agents')
+        .set('Authorization', 'Bearer valid_api_key')
+        .send({ name: 'Research Assistant', persona: 'Be thorough.', skills: ['web_search'] })
+        .expect(201);
+
+      const [, params] = findQuery('INSERT INTO agents');
+      expect(res.body.agent).toEqual(agentRow);
+      expect(params.slice(1, 3)).toEqual(['research-assistant', 'Research Assistant']);
+      expect(JSON.parse(params[5])).toEqual(['web_search']);
+    });
+
+    it('should reject creation once the plan quota is reached', async () => {
+      mockAgentQueries('Starter', (query) => {
+        if (query.includes('COUNT(*)')) return { rows: [{ count: '3' }] };
+      });
+
+      const res = await request(app)
+        .post('/api/workspace/claw_test_12345678/agents')
+        .set('Authorization', 'Bearer valid_api_key')
+        .send({ name: 'Fourth' })
+        .expect(403);
+
+      expect(res.body).toMatchObject({ error: 'Agent limit reached for your plan', limit: 3, used: 3 });
+      expect(findQuery('INSERT INTO agents')).toBeUndefined();
+    });
+
+    it('should not count agents on unlimited plans', async () => {
+      mockAgentQueries('Team', (query) => {
+        if (query.includes('INSERT INTO agents')) return { rows: [agentRow] };
+      });
+
+      await request(app)
+        .post('/api/workspace/claw_test_12345678/agents')
+        .set('Authorization', 'Bearer valid_api_key')
+        .send({ name: 'Research' })
+        .expect(201);
+
+      expect(findQuery('COUNT(*)')).toBeUndefined();
+    });
+
+    it('should reject skills outside the plan', async () => {
+      const res = await request(app)
+        .post('/api/workspace/claw_test_12345678/agents')
+        .set('Authorization', 'Bearer valid_api_key')
+        .send({ name: 'Mailer', skills: ['gmail'] })
+        .expect(400);
+
+      expect(res.body.error).toContain('gmail');
+    });
+
+    it('should reject the reserved main ID and invalid IDs', async () => {
+      for (const agentId of ['main', 'Has Spaces', '-leading']) {
+        await request(app)
+          .post('/api/workspace/claw_test_12345678/agents')
+          .set('Authorization', 'Bearer valid_api_key')
+          .send({ name: 'Agent', agentId })
+          .expect(400);
+      }
+    });
+
+    it('should return 409 for duplicate agent IDs', async () => {
+      mockAgentQueries('Pro', (query) => {
+        if (query.includes('COUNT(*)')) return { rows: [{ count: '1' }] };
+        if (query.includes('INSERT INTO agents')) {
+          throw Object.assign(new Error('duplicate key'), { code: '23505' });
+        }
+      });
+
+      await request(app)
+        .post('/api/workspace/claw_test_12345678/agents')
+        .set('Authorization', 'Bearer valid_api_key')
+        .send({ name: 'Research' })
+        .expect(409);
+    });
+
+    it('should fetch an agent', async () => {
+      mockAgentQueries('Pro', (query) => {
+        if (query.includes('FROM agents')) return { rows: [agentRow] };
+      });
+
+      const res = await request(app)
+        .get('/api/workspace/claw_test_12345678/agents/research')
+        .set('Authorization', 'Bearer valid_api_key')
+        .expect(200);
+
+      expect(res.body.agent.name).toBe('Research');
+      expect(findQuery('FROM agents')[1]).toEqual(['claw_test_12345678', 'research']);
+    });
+
+    it('should return 404 for unknown agents', async () => {
+      await request(app)
+        .get('/api/workspace/claw_test_12345678/agents/ghost')
+        .set('Authorization', 'Bearer valid_api_key')
+        .expect(404);
+    });
+
+    it('should update only the given fields', async () => {
+      mockAgentQueries('Pro', (query) => {
+        if (query.includes('UPDATE agents')) return { rows: [{ ...agentRow, model: 'gpt-4o' }] };
+      });
+
+      const res = await request(app)
+        .patch('/api/workspace/claw_test_12345678/agents/research')
+        .set('Authorization', 'Bearer valid_api_key')
+        .send({ model: 'gpt-4o', skills: ['gmail'] })
+        .expect(200);
+
+      const [sql, params] = findQuery('UPDATE agents');
+      expect(res.body.agent.model).toBe('gpt-4o');
+      expect(sql).toContain('model = $3, skills = $4');
+      expect(sql).not.toContain('name =');
+      expect(params).toEqual(['claw_test_12345678', 'research', 'gpt-4o', '["gmail"]']);
+    });
+
+    it('should reject empty updates', async () => {
+      await request(app)
+        .patch('/api/workspace/claw_test_12345678/agents/research')
+        .set('Authorization', 'Bearer valid_api_key')
+        .send({ unknown: true })
+        .expect(400);
+    });
+
+    it('should delete an agent', async () => {
+      mockAgentQueries('Pro', (query) => {
+        if (query.includes('DELETE FROM agents')) return { rows: [{ agent_id: 'research' }] };
+      });
+
+      const res = await request(app)
+        .delete('/api/workspace/claw_test_12345678/agents/research')
+        .set('Authorization', 'Bearer valid_api_key')
+        .expect(200);
+
+      expect(res.body).toEqual({ success: true, agentId: 'research' });
+    });
   });
 
   describe('Security', () => {
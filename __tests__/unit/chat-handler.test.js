@@ -7,26 +7,6 @@ const path = require('path');
 const fs = require('fs').promises;
 
 // Mock modules before importing
-jest.mock('@anthropic-ai/sdk', () => ({
-  __esModule: true,
-  default: jest.fn().mockImplementation(() => ({
-    messages: {
-      create: jest.fn(),
-    },
-  })),
-}));
-
-jest.mock('openai', () => ({
-  __esModule: true,
-  default: jest.fn().mockImplementation(() => ({
-    chat: {
-      completions: {
-        create: jest.fn(),
-      },
-    },
-  })),
-}));
-
 jest.mock('fs', () => ({
   promises: {
     readFile: jest.fn(),
@@ -38,25 +18,34 @@ jest.mock('fs', () => ({
   },
 }));
 
+jest.mock('pg', () => {
+  const mockPool = { query: jest.fn() };
+  return {
+    Pool: jest.fn(() => mockPool),
+    __mockPool: mockPool,
+  };
+});
+
 describe('Chat Handler', () => {
   let chatHandler;
-  let Anthropic;
-  let OpenAI;
+  let llm;
   let mockFs;
+  let mockPool;
 
   beforeEach(() => {
     jest.clearAllMocks();
     jest.resetModules();
 
-    Anthropic = require('@anthropic-ai/sdk').default;
-    OpenAI = require('openai').default;
     mockFs = require('fs').promises;
+    mockPool = require('pg').__mockPool;
+    mockPool.query.mockResolvedValue({ rows: [] }); // No history by default
 
     // Set up environment
     process.env.ANTHROPIC_API_KEY = 'test-anthropic-key';
     process.env.OPENAI_API_KEY = 'test-openai-key';
 
-    // Import handler
+    // Import handler (and the provider layer it shares)
+    llm = require('../../lib/llm');
     chatHandler = require('../../api/chat-handler');
   });
 
@@ -194,95 +183,308 @@ describe('Chat Handler', () => {
   });
 
   describe('chat', () => {
-    it('should use Claude when Anthropic key is available', async () => {
-      const mockCreate = jest.fn().mockResolvedValue({
-        content: [{ text: 'Hello! How can I help you?' }],
-      });
-
-      Anthropic.mockImplementation(() => ({
-        messages: { create: mockCreate },
-      }));
-
-      // Re-import to get fresh instance
-      jest.resetModules();
-      process.env.ANTHROPIC_API_KEY = 'test-key';
-      const handler = require('../../api/chat-handler');
-
+    beforeEach(() => {
       mockFs.access.mockRejectedValue(new Error('ENOENT'));
       mockFs.readdir.mockRejectedValue(new Error('ENOENT'));
       mockFs.mkdir.mockResolvedValue(undefined);
       mockFs.appendFile.mockResolvedValue(undefined);
+    });
+
+    it('should return the provider reply', async () => {
+      llm.setProvider(llm.createFakeProvider({ reply: 'Hello! How can I help you?' }));
 
-      const result = await handler.chat('test_workspace', 'Hello', {
+      const result = await chatHandler.chat('test_workspace', 'Hello', {
         plan: 'Pro',
       });
 
       expect(result.response).toBe('Hello! How can I help you?');
     });
 
-    it('should fall back to OpenAI when Anthropic is unavailable', async () => {
+    it('should use the Anthropic client when Anthropic key is available', async () => {
       const mockCreate = jest.fn().mockResolvedValue({
-        choices: [{ message: { content: 'OpenAI response' } }],
+        content: [{ type: 'text', text: 'Claude response' }],
+        usage: { input_tokens: 10, output_tokens: 5 },
       });
+      llm.setProvider(llm.createAnthropicProvider({ client: { messages: { create: mockCreate } } }));
 
-      OpenAI.mockImplementation(() => ({
-        chat: { completions: { create: mockCreate } },
-      }));
+      const result = await chatHandler.chat('test_workspace', 'Hello', {
+        plan: 'Pro',
+      });
 
-      // Re-import with only OpenAI key
-      jest.resetModules();
-      delete process.env.ANTHROPIC_API_KEY;
-      process.env.OPENAI_API_KEY = 'test-openai-key';
-      const handler = require('../../api/chat-handler');
+      expect(result.response).toBe('Claude response');
+      expect(result.usage).toEqual({ inputTokens: 10, outputTokens: 5 });
+      expect(mockCreate.mock.calls[0][0].max_tokens).toBe(2048);
+    });
 
-      mockFs.access.mockRejectedValue(new Error('ENOENT'));
-      mockFs.readdir.mockRejectedValue(new Error('ENOENT'));
-      mockFs.mkdir.mockResolvedValue(undefined);
-      mockFs.appendFile.mockResolvedValue(undefined);
+    it('should fall back to OpenAI when Anthropic is unavailable', async () => {
+      const mockCreate = jest.fn().mockResolvedValue({
+        choices: [{ message: { content: 'OpenAI response' } }],
+        usage: { prompt_tokens: 12, completion_tokens: 3 },
+      });
+      llm.setProvider(llm.createOpenAIProvider({ client: { chat: { completions: { create: mockCreate } } } }));
 
-      const result = await handler.chat('test_workspace', 'Hello', {
+      const result = await chatHandler.chat('test_workspace', 'Hello', {
         plan: 'Pro',
       });
 
       expect(result.response).toBe('OpenAI response');
+      expect(mockCreate.mock.calls[0][0].messages[0].role).toBe('system');
+    });
+
+    it('should pick the model from the plan', async () => {
+      const provider = llm.createFakeProvider();
+      llm.setProvider(provider);
+      const { getPlanModel } = require('../../plans');
+
+      const result = await chatHandler.chat('test_workspace', 'Hello', { plan: 'Starter' });
+
+      expect(provider.calls[0].model).toBe(getPlanModel('Starter', 'fake'));
+      expect(result.model).toBe(getPlanModel('Starter', 'fake'));
     });
 
     it('should throw error when no AI key is configured', async () => {
-      jest.resetModules();
       delete process.env.ANTHROPIC_API_KEY;
       delete process.env.OPENAI_API_KEY;
-      const handler = require('../../api/chat-handler');
-
-      mockFs.access.mockRejectedValue(new Error('ENOENT'));
-      mockFs.readdir.mockRejectedValue(new Error('ENOENT'));
 
       await expect(
-        handler.chat('test_workspace', 'Hello', { plan: 'Pro' })
+        chatHandler.chat('test_workspace', 'Hello', { plan: 'Pro' })
       ).rejects.toThrow('No AI API key configured');
     });
 
     it('should save conversation to daily memory', async () => {
-      const mockCreate = jest.fn().mockResolvedValue({
-        content: [{ text: 'Response' }],
-      });
+      llm.setProvider(llm.createFakeProvider({ reply: 'Response' }));
 
-      Anthropic.mockImplementation(() => ({
-        messages: { create: mockCreate },
-      }));
+      await chatHandler.chat('test_workspace', 'Hello', { plan: 'Pro' });
 
-      jest.resetModules();
-      process.env.ANTHROPIC_API_KEY = 'test-key';
-      const handler = require('../../api/chat-handler');
+      expect(mockFs.mkdir).toHaveBeenCalled();
+      expect(mockFs.appendFile).toHaveBeenCalled();
+    });
+  });
+
+  describe('conversation history', () => {
+    // Rows come back newest first, as the query orders them
+    function historyRows(turns) {
+      return { rows: turns.map(([role, message]) => ({ role, message })).reverse() };
+    }
 
+    beforeEach(() => {
       mockFs.access.mockRejectedValue(new Error('ENOENT'));
       mockFs.readdir.mockRejectedValue(new Error('ENOENT'));
       mockFs.mkdir.mockResolvedValue(undefined);
       mockFs.appendFile.mockResolvedValue(undefined);
+    });
 
-      await handler.chat('test_workspace', 'Hello', { plan: 'Pro' });
+    it('should send recent turns before the new message', async () => {
+      const provider = llm.createFakeProvider();
+      llm.setProvider(provider);
+      mockPool.query.mockResolvedValueOnce(historyRows([
+        ['user', 'My name is Sam'],
+        ['assistant', 'Nice to meet you, Sam!'],
+      ]));
 
-      expect(mockFs.mkdir).toHaveBeenCalled();
-      expect(mockFs.appendFile).toHaveBeenCalled();
+      const result = await chatHandler.chat('test_workspace', 'What is my name?', { plan: 'Pro' });
+
+      expect(provider.calls[0].messages).toEqual([
+        { role: 'user', content: 'My name is Sam' },
+        { role: 'assistant', content: 'Nice to meet you, Sam!' },
+        { role: 'user', content: 'What is my name?' },
+      ]);
+      expect(result.history_turns).toBe(2);
+    });
+
+    it('should load history for the requested agent', async () => {
+      llm.setProvider(llm.createFakeProvider());
+
+      await chatHandler.chat('test_workspace', 'Hi', { plan: 'Pro', agentId: 'research' });
+
+      const [sql, params] = mockPool.query.mock.calls[0];
+      expect(sql).toContain('FROM conversations');
+      expect(params.slice(0, 3)).toEqual(['test_workspace', 'research', 'api']);
+    });
+
+    it('should leave out turns from other channels', async () => {
+      const provider = llm.createFakeProvider();
+      llm.setProvider(provider);
+      const rows = [
+        { channel: 'telegram', role: 'user', message: 'Telegram DM from someone else' },
+        { channel: 'web', role: 'user', message: 'Asked on the web' },
+        { channel: 'web', role: 'assistant', message: 'Answered on the web' },
+      ];
+      mockPool.query.mockImplementationOnce(async (sql, params) => ({
+        rows: rows.filter(row => sql.includes('channel = $3') && row.channel === params[2]).reverse(),
+      }));
+
+      await chatHandler.chat('test_workspace', 'And now?', { plan: 'Pro', channel: 'web' });
+
+      expect(provider.calls[0].messages).toEqual([
+        { role: 'user', content: 'Asked on the web' },
+        { role: 'assistant', content: 'Answered on the web' },
+        { role: 'user', content: 'And now?' },
+      ]);
+    });
+
+    it('should drop the oldest turns beyond the token budget', async () => {
+      const provider = llm.createFakeProvider();
+      llm.setProvider(provider);
+      mockPool.query.mockResolvedValueOnce(historyRows([
+        ['user', 'a'.repeat(400)],
+        ['assistant', 'b'.repeat(400)],
+        ['user', 'short question'],
+        ['assistant', 'short answer'],
+      ]));
+
+      await chatHandler.chat('test_workspace', 'Next', { plan: 'Pro', historyTokenBudget: 50 });
+
+      expect(provider.calls[0].messages.map((m) => m.content)).toEqual([
+        'short question',
+        'short answer',
+        'Next',
+      ]);
+    });
+
+    it('should merge consecutive user turns', async () => {
+      const provider = llm.createFakeProvider();
+      llm.setProvider(provider);
+      mockPool.query.mockResolvedValueOnce(historyRows([
+        ['user', 'Unanswered question'],
+      ]));
+
+      await chatHandler.chat('test_workspace', 'Follow-up', { plan: 'Pro' });
+
+      expect(provider.calls[0].messages).toEqual([
+        { role: 'user', content: 'Unanswered question\n\nFollow-up' },
+      ]);
+    });
+
+    it('should summarise older turns when enabled', async () => {
+      const provider = llm.createFakeProvider({
+        reply: (req) => (req.system.startsWith('Summarise') ? '- User is called Sam' : 'Hi Sam'),
+      });
+      llm.setProvider(provider);
+      mockPool.query.mockResolvedValueOnce(historyRows([
+        ['user', 'My name is Sam. ' + 'x'.repeat(400)],
+        ['assistant', 'Noted. ' + 'y'.repeat(400)],
+        ['user', 'Thanks'],
+        ['assistant', 'Any time'],
+      ]));
+
+      const result = await chatHandler.chat('test_workspace', 'Who am I?', {
+        plan: 'Pro',
+        historyTokenBudget: 20,
+        summarizeHistory: true,
+      });
+
+      expect(provider.calls).toHaveLength(2);
+      expect(provider.calls[0].messages[0].content).toContain('My name is Sam');
+      expect(provider.calls[1].system).toContain('Earlier in this Conversation');
+      expect(provider.calls[1].system).toContain('User is called Sam');
+      expect(provider.calls[1].messages).toHaveLength(3);
+      expect(result.response).toBe('Hi Sam');
+      // Summary tokens are billed too
+      expect(result.usage.outputTokens).toBeGreaterThan(1);
+    });
+
+    it('should not summarise unless enabled', async () => {
+      const provider = llm.createFakeProvider();
+      llm.setProvider(provider);
+      mockPool.query.mockResolvedValueOnce(historyRows([
+        ['user', 'x'.repeat(400)],
+        ['assistant', 'y'.repeat(400)],
+      ]));
+
+      await chatHandler.chat('test_workspace', 'Hi', { plan: 'Pro', historyTokenBudget: 20 });
+
+      expect(provider.calls).toHaveLength(1);
+      expect(provider.calls[0].system).not.toContain('Earlier in this Conversation');
+    });
+
+    it('should answer without history if it cannot be loaded', async () => {
+      const provider = llm.createFakeProvider();
+      llm.setProvider(provider);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockPool.query.mockRejectedValueOnce(new Error('connection refused'));
+
+      const result = await chatHandler.chat('test_workspace', 'Hi', { plan: 'Pro' });
+
+      expect(result.response).toBe('Echo: Hi');
+      expect(provider.calls[0].messages).toEqual([{ role: 'user', content: 'Hi' }]);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('agents', () => {
+    beforeEach(() => {
+      mockFs.access.mockResolvedValue(undefined);
+      mockFs.readFile.mockImplementation((filePath) =>
+        Promise.resolve(filePath.includes('SOUL.md') ? 'Workspace soul' : '')
+      );
+      mockFs.readdir.mockResolvedValue([]);
+      mockFs.mkdir.mockResolvedValue(undefined);
+      mockFs.appendFile.mockResolvedValue(undefined);
+    });
+
+    it('should use the agent persona, name, model and skills', async () => {
+      const provider = llm.createFakeProvider();
+      llm.setProvider(provider);
+
+      await chatHandler.chat('test_workspace', 'Hi', {
+        plan: 'Pro',
+        agentId: 'research',
+        agent: {
+          agent_id: 'research',
+          name: 'Researcher',
+          persona: 'Cite your sources.',
+          model: 'custom-model',
+          skills: ['web_search'],
+        },
+      });
+
+      const request = provider.calls[0];
+      expect(request.system).toContain('You are Researcher, a personal AI assistant');
+      expect(request.system).toContain('Cite your sources.');
+      expect(request.system).not.toContain('Workspace soul');
+      expect(request.system).toContain('Available integrations: web_search');
+      expect(request.model).toBe('custom-model');
+      expect(mockPool.query.mock.calls[0][1][1]).toBe('research');
+    });
+
+    it('should fall back to SOUL.md and the plan model', async () => {
+      const provider = llm.createFakeProvider();
+      llm.setProvider(provider);
+      const { getPlanModel } = require('../../plans');
+
+      await chatHandler.chat('test_workspace', 'Hi', {
+        plan: 'Pro',
+        agent: { agent_id: 'helper', name: 'Helper', persona: null, model: null, skills: [] },
+      });
+
+      expect(provider.calls[0].system).toContain('Workspace soul');
+      expect(provider.calls[0].system).toContain('gmail');
+      expect(provider.calls[0].model).toBe(getPlanModel('Pro', 'fake'));
+    });
+  });
+
+  describe('trimHistory', () => {
+    it('should keep everything that fits', () => {
+      const turns = [
+        { role: 'user', content: 'hi' },
+        { role: 'assistant', content: 'hello' },
+      ];
+
+      expect(chatHandler.trimHistory(turns, 100)).toEqual({ recent: turns, older: [] });
+    });
+
+    it('should never start the recent turns with an assistant reply', () => {
+      const turns = [
+        { role: 'user', content: 'x'.repeat(100) },
+        { role: 'assistant', content: 'reply' },
+        { role: 'user', content: 'again' },
+      ];
+
+      const { recent, older } = chatHandler.trimHistory(turns, 10);
+
+      expect(recent).toEqual([{ role: 'user', content: 'again' }]);
+      expect(older).toHaveLength(2);
     });
   });
 
@@ -360,38 +562,22 @@ describe('Chat Handler', () => {
     });
 
     it('should handle AI API errors', async () => {
-      const mockCreate = jest.fn().mockRejectedValue(new Error('API error'));
-
-      Anthropic.mockImplementation(() => ({
-        messages: { create: mockCreate },
-      }));
-
-      jest.resetModules();
-      process.env.ANTHROPIC_API_KEY = 'test-key';
-      delete process.env.OPENAI_API_KEY;
-      const handler = require('../../api/chat-handler');
+      llm.setProvider({
+        name: 'fake',
+        complete: jest.fn().mockRejectedValue(Object.assign(new Error('API error'), { status: 400 })),
+      });
 
       mockFs.access.mockRejectedValue(new Error('ENOENT'));
       mockFs.readdir.mockRejectedValue(new Error('ENOENT'));
 
       await expect(
-        handler.chat('test_workspace', 'Hello', { plan: 'Pro' })
+        chatHandler.chat('test_workspace', 'Hello', { plan: 'Pro' })
       ).rejects.toThrow('API error');
     });
 
     // BUG CATCHER: Memory save failure shouldn't break chat
     it('should not fail chat if memory save fails', async () => {
-      const mockCreate = jest.fn().mockResolvedValue({
-        content: [{ text: 'Response' }],
-      });
-
-      Anthropic.mockImplementation(() => ({
-        messages: { create: mockCreate },
-      }));
-
-      jest.resetModules();
-      process.env.ANTHROPIC_API_KEY = 'test-key';
-      const handler = require('../../api/chat-handler');
+      llm.setProvider(llm.createFakeProvider({ reply: 'Response' }));
 
       mockFs.access.mockRejectedValue(new Error('ENOENT'));
       mockFs.readdir.mockRejectedValue(new Error('ENOENT'));
@@ -399,7 +585,7 @@ describe('Chat Handler', () => {
       mockFs.appendFile.mockRejectedValue(new Error('Disk full'));
 
       // Should still return response
-      const result = await handler.chat('test_workspace', 'Hello', {
+      const result = await chatHandler.chat('test_workspace', 'Hello', {
         plan: 'Pro',
       });
       expect(result.response).toBe('Response');
@@ -0,0 +1,297 @@
+/**
+ * Unit Tests for Cancellation Deprovisioning
+ * Tests the teardown steps, grace period scheduling and resuming a failed
+ * teardown, using local stand-ins for the Railway and Neon provisioners
+ */
+
+const { deprovisionCustomer, DEPROVISION_STEPS } = require('../../provisioning/index-real');
+const {
+  DEFAULT_GRACE_DAYS,
+  getGracePeriodDays,
+  scheduleDeprovisioning,
+  runDeprovisioning,
+  runDueDeprovisionings,
+} = require('../../provisioning/deprovisioning');
+
+// Local stand-ins for the Railway / Neon APIs: record what was torn down
+function createStandIns() {
+  const torn = [];
+  return {
+    torn,
+    railway: {
+      deprovisionCustomer: jest.fn(async (instanceId) => { torn.push(`railway:${instanceId}`); }),
+    },
+    neon: {
+      deleteDatabase: jest.fn(async (branchId) => { torn.push(`neon:${branchId}`); }),
+    },
+    disconnectTelegram: jest.fn(async (workspaceId) => { torn.push(`telegram:${workspaceId}`); }),
+    archiveWorkspace: jest.fn(async (workspaceId) => { torn.push(`archive:${workspaceId}`); }),
+  };
+}
+
+// In-memory stand-in for the customers / deprovisioning_steps tables
+function createPool(customers) {
+  const steps = new Map();
+
+  const pool = {
+    customers,
+    steps,
+    query: jest.fn(async (sql, params = []) => {
+      if (sql.includes('SET status = \'cancelled\'')) {
+        const customer = customers[params[0]];
+        if (!customer) return { rows: [] };
+        customer.status = 'cancelled';
+        customer.deprovision_after = new Date(Date.now() + params[1] * 86400000);
+        return { rows: [{ deprovision_after: customer.deprovision_after }] };
+      }
+      if (sql.includes('AND deprovision_after <= NOW()')) {
+        return {
+          rows: Object.entries(customers)
+            .filter(([, c]) => c.status === 'cancelled' && !c.deprovisioned_at && c.deprovision_after <= new Date())
+            .map(([id]) => ({ stripe_customer_id: id })),
+        };
+      }
+      if (sql.includes('FROM customers')) {
+        const customer = customers[params[0]];
+        return { rows: customer ? [customer] : [] };
+      }
+      if (sql.includes('FROM deprovisioning_steps')) {
+        return {
+          rows: [...steps.values()]
+            .filter(s => s.customer === params[0] && s.status === 'completed')
+            .map(s => ({ step: s.step })),
+        };
+      }
+      if (sql.includes('INSERT INTO deprovisioning_steps')) {
+        const [customer, step, status, error, attempts] = params;
+        const key = `${customer}:${step}`;
+        const existing = steps.get(key) || { attempts: 0 };
+        steps.set(key, { customer, step, status, error, attempts: existing.attempts + attempts });
+        return { rows: [] };
+      }
+      if (sql.includes('SET status = \'deprovisioned\'')) {
+        customers[params[0]].status = 'deprovisioned';
+        customers[params[0]].deprovisioned_at = new Date();
+        return { rows: [] };
+      }
+      return { rows: [] };
+    }),
+  };
+
+  return pool;
+}
+
+function cancelledCustomer(overrides = {}) {
+  return {
+    email: 'user@example.com',
+    status: 'cancelled',
+    workspace_id: 'claw_test_00000001',
+    instance_id: 'svc_123',
+    database_branch_id: 'br_456',
+    deprovision_after: new Date(Date.now() - 1000),
+    deprovisioned_at: null,
+    ...overrides,
+  };
+}
+
+describe('Cancellation Deprovisioning', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.restoreAllMocks();
+  });
+
+  describe('deprovisionCustomer', () => {
+    const instanceData = {
+      workspaceId: 'claw_test_00000001',
+      instanceId: 'svc_123',
+      databaseBranchId: 'br_456',
+    };
+
+    it('should archive before deleting anything', async () => {
+      const standIns = createStandIns();
+
+      await deprovisionCustomer('cus_1', instanceData, standIns);
+
+      expect(standIns.torn).toEqual([
+        'telegram:claw_test_00000001',
+        'archive:claw_test_00000001',
+        'railway:svc_123',
+        'neon:br_456',
+      ]);
+    });
+
+    it('should skip completed steps', async () => {
+      const standIns = createStandIns();
+
+      await deprovisionCustomer('cus_1', instanceData, {
+        ...standIns,
+        completedSteps: ['disconnect_telegram', 'archive_workspace'],
+      });
+
+      expect(standIns.torn).toEqual(['railway:svc_123', 'neon:br_456']);
+    });
+
+    it('should report each step and stop at the first failure', async () => {
+      const standIns = createStandIns();
+      standIns.railway.deprovisionCustomer.mockRejectedValue(new Error('Railway API down'));
+      const onStep = jest.fn();
+
+      await expect(deprovisionCustomer('cus_1', instanceData, { ...standIns, onStep }))
+        .rejects.toThrow('Railway API down');
+
+      expect(onStep.mock.calls.map(([step, status]) => `${step}:${status}`)).toEqual([
+        'disconnect_telegram:started',
+        'disconnect_telegram:completed',
+        'archive_workspace:started',
+        'archive_workspace:completed',
+        'delete_railway_service:started',
+        'delete_railway_service:failed',
+      ]);
+      expect(standIns.neon.deleteDatabase).not.toHaveBeenCalled();
+    });
+
+    it('should skip resources that were never created', async () => {
+      const standIns = createStandIns();
+
+      await deprovisionCustomer('cus_1', { workspaceId: 'claw_test_00000001' }, standIns);
+
+      expect(standIns.railway.deprovisionCustomer).not.toHaveBeenCalled();
+      expect(standIns.neon.deleteDatabase).not.toHaveBeenCalled();
+    });
+
+    it('should list the steps in teardown order', () => {
+      expect(DEPROVISION_STEPS).toEqual([
+        'disconnect_telegram',
+        'archive_workspace',
+        'delete_railway_service',
+        'delete_database',
+      ]);
+    });
+  });
+
+  describe('getGracePeriodDays', () => {
+    it('should default to 7 days', () => {
+      delete process.env.DEPROVISION_GRACE_DAYS;
+      expect(getGracePeriodDays()).toBe(DEFAULT_GRACE_DAYS);
+    });
+
+    it('should read DEPROVISION_GRACE_DAYS', () => {
+      process.env.DEPROVISION_GRACE_DAYS = '0';
+      expect(getGracePeriodDays()).toBe(0);
+    });
+
+    it('should ignore invalid values', () => {
+      process.env.DEPROVISION_GRACE_DAYS = 'soon';
+      expect(getGracePeriodDays()).toBe(DEFAULT_GRACE_DAYS);
+    });
+  });
+
+  describe('scheduleDeprovisioning', () => {
+    it('should cancel the customer and set the teardown date', async () => {
+      const pool = createPool({ cus_1: cancelledCustomer({ status: 'active', deprovision_after: null }) });
+
+      const result = await scheduleDeprovisioning(pool, 'cus_1', { graceDays: 3 });
+
+      expect(result.graceDays).toBe(3);
+      expect(pool.customers.cus_1.status).toBe('cancelled');
+      expect(pool.customers.cus_1.deprovision_after.getTime()).toBeGreaterThan(Date.now() + 2 * 86400000);
+    });
+  });
+
+  describe('runDeprovisioning', () => {
+    it('should tear down and mark the customer deprovisioned', async () => {
+      const pool = createPool({ cus_1: cancelledCustomer() });
+      const standIns = createStandIns();
+
+      const result = await runDeprovisioning(pool, 'cus_1', standIns);
+
+      expect(result).toEqual({ status: 'deprovisioned', steps: DEPROVISION_STEPS });
+      expect(pool.customers.cus_1.status).toBe('deprovisioned');
+      expect([...pool.steps.values()].every(s => s.status === 'completed')).toBe(true);
+    });
+
+    it('should mark the workspace\'s ledgered resources released', async () => {
+      const pool = createPool({ cus_1: cancelledCustomer() });
+
+      await runDeprovisioning(pool, 'cus_1', createStandIns());
+
+      const released = pool.query.mock.calls
+        .filter(([sql]) => sql.includes('UPDATE provisioning_resources'))
+        .map(([, params]) => params);
+      expect(released).toEqual([
+        ['claw_test_00000001', 'railway_service'],
+        ['claw_test_00000001', 'neon_branch'],
+      ]);
+    });
+
+    it('should resume a failed teardown from the failed step', async () => {
+      const pool = createPool({ cus_1: cancelledCustomer() });
+      const standIns = createStandIns();
+      standIns.neon.deleteDatabase.mockRejectedValueOnce(new Error('Neon timeout'));
+
+      await expect(runDeprovisioning(pool, 'cus_1', standIns)).rejects.toThrow('Neon timeout');
+
+      expect(pool.customers.cus_1.status).toBe('cancelled');
+      expect(pool.steps.get('cus_1:delete_database')).toMatchObject({
+        status: 'failed',
+        error: 'Neon timeout',
+        attempts: 1,
+      });
+
+      const result = await runDeprovisioning(pool, 'cus_1', standIns);
+
+      expect(result.steps).toEqual(['delete_database']);
+      expect(standIns.railway.deprovisionCustomer).toHaveBeenCalledTimes(1);
+      expect(standIns.disconnectTelegram).toHaveBeenCalledTimes(1);
+      expect(pool.steps.get('cus_1:delete_database')).toMatchObject({ status: 'completed', attempts: 2 });
+      expect(pool.customers.cus_1.status).toBe('deprovisioned');
+    });
+
+    it('should leave re-activated customers alone', async () => {
+      const pool = createPool({ cus_1: cancelledCustomer({ status: 'active' }) });
+      const standIns = createStandIns();
+
+      const result = await runDeprovisioning(pool, 'cus_1', standIns);
+
+      expect(result).toEqual({ status: 'skipped', reason: 'Customer is active' });
+      expect(standIns.torn).toEqual([]);
+    });
+
+    it('should not run twice', async () => {
+      const pool = createPool({ cus_1: cancelledCustomer({ deprovisioned_at: new Date() }) });
+
+      const result = await runDeprovisioning(pool, 'cus_1', createStandIns());
+
+      expect(result.status).toBe('skipped');
+    });
+  });
+
+  describe('runDueDeprovisionings', () => {
+    it('should only tear down customers past their grace period', async () => {
+      const pool = createPool({
+        cus_due: cancelledCustomer(),
+        cus_grace: cancelledCustomer({ deprovision_after: new Date(Date.now() + 86400000) }),
+        cus_broken: cancelledCustomer({ instance_id: 'svc_broken' }),
+      });
+      const standIns = createStandIns();
+      standIns.railway.deprovisionCustomer.mockImplementation(async (instanceId) => {
+        if (instanceId === 'svc_broken') throw new Error('Railway API down');
+      });
+
+      const results = await runDueDeprovisionings(pool, standIns);
+
+      expect(results).toEqual([
+        { customerId: 'cus_due', status: 'deprovisioned', steps: DEPROVISION_STEPS },
+        { customerId: 'cus_broken', error: 'Railway API down' },
+      ]);
+      expect(pool.customers.cus_grace.status).toBe('cancelled');
+    });
+  });
+});
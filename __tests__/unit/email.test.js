@@ -3,7 +3,14 @@
  * Tests email sending functions (mocked)
  */
 
-const { sendWelcomeEmail, sendPaymentFailedEmail, sendCancellationEmail } = require('../../email');
+const {
+  sendWelcomeEmail,
+  sendPaymentFailedEmail,
+  sendCancellationEmail,
+  sendPlanChangedEmail,
+  sendTrialEndingEmail,
+  sendDisputeAlertEmail,
+} = require('../../email');
 
 // Mock fetch globally
 global.fetch = jest.fn();
@@ -207,6 +214,82 @@ describe('Email Module', () => {
     });
   });
 
+  describe('sendPlanChangedEmail', () => {
+    const change = {
+      from: 'Pro',
+      to: 'Starter',
+      direction: 'downgrade',
+      suspendedAgents: [],
+      resumedAgents: [],
+    };
+
+    it('should confirm the new plan', async () => {
+      fetch.mockResolvedValueOnce({ ok: true });
+
+      await sendPlanChangedEmail('user@example.com', { ...change, from: 'Starter', to: 'Pro', direction: 'upgrade' });
+
+      const body = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(body.subject).toContain('Pro');
+      expect(body.html).toContain('Starter → Pro');
+      expect(body.html).not.toContain('paused');
+    });
+
+    it('should list agents suspended by a downgrade', async () => {
+      fetch.mockResolvedValueOnce({ ok: true });
+
+      await sendPlanChangedEmail('user@example.com', { ...change, suspendedAgents: ['coach', 'writer'] });
+
+      const body = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(body.subject).toContain('changed to Starter');
+      expect(body.html).toContain('coach, writer');
+    });
+
+    it('should not throw when the API fails', async () => {
+      fetch.mockResolvedValueOnce({ ok: false, text: () => Promise.resolve('Rate limited') });
+
+      await expect(sendPlanChangedEmail('user@example.com', change)).resolves.not.toThrow();
+      expect(console.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('sendTrialEndingEmail', () => {
+    it('should state the real end date and days remaining', async () => {
+      fetch.mockResolvedValueOnce({ ok: true });
+      const trialEnd = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000 - 60 * 1000);
+
+      await sendTrialEndingEmail('user@example.com', trialEnd, 'Pro');
+
+      const body = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(body.subject).toContain('3 days');
+      expect(body.html).toContain(trialEnd.toLocaleDateString('en-US', { month: 'long', timeZone: 'UTC' }));
+      expect(body.html).toContain('<strong>Pro</strong> plan');
+      expect(body.html).not.toContain('[DATE]');
+    });
+  });
+
+  describe('sendDisputeAlertEmail', () => {
+    it('should alert support with the dispute details', async () => {
+      fetch.mockResolvedValueOnce({ ok: true });
+
+      await sendDisputeAlertEmail({
+        id: 'dp_123',
+        chargeId: 'ch_123',
+        amount: 9900,
+        currency: 'usd',
+        reason: 'fraudulent',
+        evidenceDueBy: new Date('2025-10-18T00:00:00Z'),
+        customerId: 'cus_123',
+        email: 'user@example.com',
+      });
+
+      const body = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(body.to).toBe('support@setupclaw.com');
+      expect(body.subject).toContain('99.00 USD');
+      expect(body.html).toContain('dashboard.stripe.com/disputes/dp_123');
+      expect(body.html).toContain('user@example.com');
+    });
+  });
+
   describe('Email security', () => {
     // BUG CATCHER: XSS in email templates
     it('should handle special characters in workspace IDs safely', async () => {
@@ -0,0 +1,242 @@
+/**
+ * Unit Tests for Memory Embeddings
+ * Tests embedders, pgvector detection, and semantic / hybrid / text search
+ */
+
+const {
+  EMBEDDING_DIMENSIONS,
+  searchMemories,
+  storeEmbedding,
+  hasVectorSupport,
+  toPgVector,
+  getEmbedder,
+  setEmbedder,
+  createOpenAIEmbedder,
+  createLocalEmbedder,
+} = require('../../lib/embeddings');
+
+// Fake pg connection: pgvector present or not, canned search rows
+function createDb({ vector = true, semanticRows = [], textRows = [] } = {}) {
+  return {
+    query: jest.fn((sql) => {
+      if (sql.includes('information_schema.columns')) {
+        return Promise.resolve({ rows: vector ? [{ '?column?': 1 }] : [] });
+      }
+      if (sql.includes('<=>')) {
+        return Promise.resolve({ rows: semanticRows });
+      }
+      if (sql.includes('ILIKE')) {
+        return Promise.resolve({ rows: textRows });
+      }
+      return Promise.resolve({ rows: [] });
+    }),
+  };
+}
+
+// Embedders return unit vectors, so the dot product is the cosine similarity
+function dot(a, b) {
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+describe('Memory Embeddings', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    setEmbedder(null);
+    delete process.env.EMBEDDING_PROVIDER;
+    delete process.env.OPENAI_API_KEY;
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    setEmbedder(null);
+    jest.restoreAllMocks();
+  });
+
+  describe('createLocalEmbedder', () => {
+    it('should return normalised vectors of the pgvector column size', async () => {
+      const [vector] = await createLocalEmbedder().embed(['User prefers tea']);
+
+      expect(vector).toHaveLength(EMBEDDING_DIMENSIONS);
+      expect(dot(vector, vector)).toBeCloseTo(1);
+    });
+
+    it('should be deterministic', async () => {
+      const embedder = createLocalEmbedder();
+
+      expect(await embedder.embed(['same text'])).toEqual(await embedder.embed(['same text']));
+    });
+
+    it('should rank related text above unrelated text', async () => {
+      const [query, related, unrelated] = await createLocalEmbedder().embed([
+        'what tea does the user drink',
+        'the user likes to drink green tea',
+        'quarterly revenue report deadline',
+      ]);
+
+      expect(dot(query, related)).toBeGreaterThan(dot(query, unrelated));
+    });
+  });
+
+  describe('createOpenAIEmbedder', () => {
+    it('should request 1536 dimensions and keep input order', async () => {
+      const create = jest.fn().mockResolvedValue({
+        data: [
+          { index: 1, embedding: [0, 1] },
+          { index: 0, embedding: [1, 0] },
+        ],
+      });
+      const embedder = createOpenAIEmbedder({ client: { embeddings: { create } } });
+
+      const vectors = await embedder.embed(['a', 'b']);
+
+      expect(create.mock.calls[0][0]).toMatchObject({
+        model: 'text-embedding-3-small',
+        input: ['a', 'b'],
+        dimensions: EMBEDDING_DIMENSIONS,
+      });
+      expect(vectors).toEqual([[1, 0], [0, 1]]);
+    });
+  });
+
+  describe('embedder selection', () => {
+    it('should be disabled without configuration', () => {
+      expect(getEmbedder()).toBeNull();
+    });
+
+    it('should use OpenAI when its key is set', () => {
+      process.env.OPENAI_API_KEY = 'key';
+      expect(getEmbedder().name).toBe('openai');
+    });
+
+    it('should prefer EMBEDDING_PROVIDER', () => {
+      process.env.OPENAI_API_KEY = 'key';
+      process.env.EMBEDDING_PROVIDER = 'local';
+      expect(getEmbedder().name).toBe('local');
+    });
+
+    it('should reject unknown providers', () => {
+      process.env.EMBEDDING_PROVIDER = 'nope';
+      expect(() => getEmbedder()).toThrow('Unknown embedding provider');
+    });
+  });
+
+  describe('hasVectorSupport', () => {
+    it('should check the column once per connection', async () => {
+      const db = createDb();
+
+      expect(await hasVectorSupport(db)).toBe(true);
+      expect(await hasVectorSupport(db)).toBe(true);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should treat errors as unsupported', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const db = { query: jest.fn().mockRejectedValue(new Error('denied')) };
+
+      expect(await hasVectorSupport(db)).toBe(false);
+    });
+
+    it('should check again after a failed check', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const db = createDb();
+      db.query.mockRejectedValueOnce(new Error('Connection terminated unexpectedly'));
+
+      expect(await hasVectorSupport(db)).toBe(false);
+      expect(await hasVectorSupport(db)).toBe(true);
+      expect(await hasVectorSupport(db)).toBe(true);
+      expect(db.query).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('storeEmbedding', () => {
+    it('should write the vector for the memory', async () => {
+      setEmbedder(createLocalEmbedder());
+      const db = createDb();
+
+      const stored = await storeEmbedding(db, 42, 'User prefers tea');
+
+      const update = db.query.mock.calls.find(([sql]) => sql.includes('UPDATE memories'));
+      expect(stored).toBe(true);
+      expect(update[1][0]).toMatch(/^\[[-0-9.e,]+\]$/);
+      expect(update[1][1]).toBe(42);
+    });
+
+    it('should skip without pgvector', async () => {
+      setEmbedder(createLocalEmbedder());
+      const db = createDb({ vector: false });
+
+      expect(await storeEmbedding(db, 42, 'text')).toBe(false);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not throw when the embedder fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      setEmbedder({ name: 'broken', embed: jest.fn().mockRejectedValue(new Error('quota')) });
+
+      expect(await storeEmbedding(createDb(), 42, 'text')).toBe(false);
+    });
+  });
+
+  describe('searchMemories', () => {
+    it('should use text search without an embedder', async () => {
+      const db = createDb({ textRows: [{ id: 1, content: 'tea' }] });
+
+      const result = await searchMemories(db, { query: '50%_off', scope: { workspace_id: 'claw_x' } });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(result).toEqual({ memories: [{ id: 1, content: 'tea' }], mode: 'text' });
+      expect(sql).toContain('workspace_id = $1');
+      expect(params).toEqual(['claw_x', '%50\\%\\_off%', 10]);
+    });
+
+    it('should use text search without pgvector', async () => {
+      setEmbedder(createLocalEmbedder());
+      const db = createDb({ vector: false, textRows: [{ id: 1 }] });
+
+      expect((await searchMemories(db, { query: 'tea' })).mode).toBe('text');
+    });
+
+    it('should rank by similarity when enough semantic matches exist', async () => {
+      setEmbedder(createLocalEmbedder());
+      const db = createDb({
+        semanticRows: [
+          { id: 1, content: 'a', similarity: '0.9' },
+          { id: 2, content: 'b', similarity: '0.5' },
+        ],
+      });
+
+      const result = await searchMemories(db, { query: 'tea', limit: 2, scope: { workspace_id: 'claw_x' } });
+
+      const [sql, params] = db.query.mock.calls.find(([q]) => q.includes('<=>'));
+      expect(result.mode).toBe('semantic');
+      expect(result.memories.map((m) => m.similarity)).toEqual([0.9, 0.5]);
+      expect(sql).toContain('ORDER BY embedding <=> $1::vector');
+      expect(params[1]).toBe('claw_x');
+    });
+
+    it('should top up weak or missing semantic matches with text matches', async () => {
+      setEmbedder(createLocalEmbedder());
+      const db = createDb({
+        semanticRows: [
+          { id: 1, content: 'close', similarity: 0.8 },
+          { id: 2, content: 'unrelated', similarity: 0.01 },
+        ],
+        textRows: [{ id: 3, content: 'old memory without embedding' }],
+      });
+
+      const result = await searchMemories(db, { query: 'tea', limit: 5 });
+
+      const [, textParams] = db.query.mock.calls.find(([q]) => q.includes('ILIKE'));
+      expect(result.mode).toBe('hybrid');
+      expect(result.memories.map((m) => m.id)).toEqual([1, 3]);
+      expect(textParams).toEqual(['%tea%', [1], 4]);
+    });
+  });
+
+  describe('toPgVector', () => {
+    it('should format a pgvector literal', () => {
+      expect(toPgVector([0.5, -1, 0])).toBe('[0.5,-1,0]');
+    });
+  });
+});
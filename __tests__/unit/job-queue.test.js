@@ -0,0 +1,383 @@
+/**
+ * Unit Tests for the Provisioning Job Queue
+ * Tests enqueueing, checkpointed steps, retries with backoff, stale-lock
+ * recovery and final failure, using local stand-ins for Railway and Neon and
+ * a local HTTP server for the health check
+ */
+
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const {
+  getBackoffMs,
+  enqueueProvisioningJob,
+  claimNextJob,
+  runProvisioningJob,
+  processNextJob,
+} = require('../../provisioning/job-queue');
+
+// In-memory stand-in for provisioning_jobs, provisioning_job_steps and
+// provisioning_resources
+function createPool() {
+  const jobs = [];
+  const steps = [];
+  const resources = [];
+  const customer = {};
+  const now = () => Date.now();
+
+  const active = (job) => job.status === 'queued' || job.status === 'running';
+  const findJob = (id) => jobs.find(j => j.id === id);
+  const findStep = (jobId, step) => steps.find(s => s.job_id === jobId && s.step === step);
+
+  const pool = {
+    jobs,
+    steps,
+    resources,
+    customer,
+    query: jest.fn(async (sql, params = []) => {
+      // --- jobs ---
+      if (sql.includes('INSERT INTO provisioning_jobs')) {
+        const [customerId, workspaceId, email, plan, payload] = params;
+        if (jobs.some(j => j.stripe_customer_id === customerId && active(j))) return { rows: [] };
+        const job = {
+          id: jobs.length + 1,
+          stripe_customer_id: customerId,
+          workspace_id: workspaceId,
+          email,
+          plan,
+          payload: JSON.parse(payload),
+          status: 'queued',
+          run_after: now(),
+        };
+        jobs.push(job);
+        return { rows: [{ id: job.id, workspace_id: workspaceId }] };
+      }
+      if (sql.includes('SET status = \'running\', locked_by')) {
+        const [workerId, lockTimeoutMs] = params;
+        const job = jobs.find(j =>
+          (j.status === 'queued' && j.run_after <= now()) ||
+          (j.status === 'running' && j.locked_at < now() - lockTimeoutMs));
+        if (!job) return { rows: [] };
+        Object.assign(job, { status: 'running', locked_by: workerId, locked_at: now() });
+        return { rows: [{ ...job }] };
+      }
+      if (sql.includes('SELECT id, workspace_id FROM provisioning_jobs')) {
+        return { rows: jobs.filter(j => j.stripe_customer_id === params[0] && active(j)) };
+      }
+      if (sql.includes('SET current_step')) {
+        findJob(params[0]).current_step = params[1];
+        return { rows: [] };
+      }
+      if (sql.includes('UPDATE provisioning_jobs') && sql.includes('SET status = \'queued\'')) {
+        Object.assign(findJob(params[0]), { status: 'queued', last_error: params[1], run_after: now() + params[2], retry_delay: params[2] });
+        return { rows: [] };
+      }
+      if (sql.includes('UPDATE provisioning_jobs') && sql.includes('SET status = \'failed\'')) {
+        Object.assign(findJob(params[0]), { status: 'failed', last_error: params[1] });
+        return { rows: [] };
+      }
+      if (sql.includes('UPDATE provisioning_jobs') && sql.includes('SET status = \'completed\'')) {
+        Object.assign(findJob(params[0]), { status: 'completed', current_step: null });
+        return { rows: [] };
+      }
+
+      // --- job steps ---
+      if (sql.includes('SELECT step, output FROM provisioning_job_steps')) {
+        return { rows: steps.filter(s => s.job_id === params[0] && s.status === 'completed') };
+      }
+      if (sql.includes('INSERT INTO provisioning_job_steps')) {
+        let step = findStep(params[0], params[1]);
+        if (!step) {
+          step = { job_id: params[0], step: params[1], attempts: 0 };
+          steps.push(step);
+        }
+        Object.assign(step, { status: 'running', attempts: step.attempts + 1, error: null });
+        return { rows: [{ attempts: step.attempts }] };
+      }
+      if (sql.includes('UPDATE provisioning_job_steps') && sql.includes('SET status = \'completed\'')) {
+        Object.assign(findStep(params[0], params[1]), { status: 'completed', output: JSON.parse(params[2]) });
+        return { rows: [] };
+      }
+      if (sql.includes('UPDATE provisioning_job_steps')) {
+        Object.assign(findStep(params[0], params[1]), { status: params[2], error: params[3] });
+        return { rows: [] };
+      }
+
+      // --- resource ledger ---
+      if (sql.includes('INSERT INTO provisioning_resources')) {
+        const [customerId, workspaceId, jobId, type, resourceId, details] = params;
+        const existing = resources.find(r => r.resource_type === type && r.resource_id === resourceId);
+        if (existing) {
+          Object.assign(existing, { workspace_id: workspaceId, job_id: jobId, status: 'active', details: JSON.parse(details) });
+        } else {
+          resources.push({
+            id: resources.length + 1,
+            stripe_customer_id: customerId,
+            workspace_id: workspaceId,
+            job_id: jobId,
+            resource_type: type,
+            resource_id: resourceId,
+            details: JSON.parse(details),
+            status: 'active',
+          });
+        }
+        return { rows: [] };
+      }
+      if (sql.includes('FROM provisioning_resources')) {
+        return {
+          rows: resources
+            .filter(r => r.workspace_id === params[0] && ['active', 'release_failed'].includes(r.status))
+            .filter(r => params[1] === null || r.job_id === params[1])
+            .filter(r => params[2] === null || r.details.step === params[2])
+            .sort((a, b) => b.id - a.id),
+        };
+      }
+      if (sql.includes('SET status = \'kept\'')) {
+        resources
+          .filter(r => r.workspace_id === params[0] && r.status === 'active')
+          .forEach(r => { r.status = 'kept'; });
+        return { rows: [] };
+      }
+      if (sql.includes('SET status = \'released\'')) {
+        resources.find(r => r.id === params[0]).status = 'released';
+        return { rows: [] };
+      }
+      if (sql.includes('SET status = \'release_failed\'')) {
+        resources.find(r => r.id === params[0]).status = 'release_failed';
+        return { rows: [] };
+      }
+      if (sql.includes('rollback_status')) {
+        Object.assign(customer, { rollback_status: params[0] });
+        return { rows: [] };
+      }
+      return { rows: [] };
+    }),
+  };
+
+  return pool;
+}
+
+// Local stand-ins for the Railway / Neon APIs
+function createStandIns(accessUrl) {
+  let services = 0;
+  const released = [];
+  return {
+    released,
+    railway: {
+      deployCustomerInstance: jest.fn(async (customerId, email, plan, { onResource, workspaceId }) => {
+        services++;
+        await onResource('railway_service', `svc_${services}`, {});
+        return { instanceId: `svc_${services}`, workspaceId, accessUrl };
+      }),
+      configureEnvironment: jest.fn().mockResolvedValue(),
+      triggerDeployment: jest.fn().mockResolvedValue({ id: 'dep_1' }),
+      deprovisionCustomer: jest.fn(async (serviceId) => { released.push(`railway:${serviceId}`); }),
+    },
+    neon: {
+      createDatabase: jest.fn(async (workspaceId, { onResource }) => {
+        await onResource('neon_branch', 'br_1', { workspaceId });
+        return { branchId: 'br_1', connectionString: 'postgres://fresh' };
+      }),
+      getConnectionString: jest.fn().mockResolvedValue('postgres://refetched'),
+      deleteDatabase: jest.fn(async (branchId) => { released.push(`neon:${branchId}`); }),
+    },
+  };
+}
+
+describe('Provisioning Job Queue', () => {
+  const originalEnv = { ...process.env };
+  let server;
+  let accessUrl;
+  let workspacesDir;
+  let pool;
+  let standIns;
+
+  beforeAll(async () => {
+    // Stands in for the customer's instance answering its health check
+    server = http.createServer((req, res) => {
+      res.writeHead(req.url === '/health' ? 200 : 404);
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    accessUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    workspacesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'clawdbot-jobs-'));
+    process.env.WORKSPACES_DIR = workspacesDir;
+    pool = createPool();
+    standIns = createStandIns(accessUrl);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    process.env = { ...originalEnv };
+    jest.restoreAllMocks();
+    await fs.rm(workspacesDir, { recursive: true, force: true });
+  });
+
+  async function enqueueAndClaim() {
+    await enqueueProvisioningJob(pool, { customerId: 'cus_1', email: 'user@example.com', plan: 'price_x' });
+    return claimNextJob(pool, 'worker-1');
+  }
+
+  describe('getBackoffMs', () => {
+    it('should double the delay each attempt up to the cap', () => {
+      expect(getBackoffMs(1)).toBe(30000);
+      expect(getBackoffMs(2)).toBe(60000);
+      expect(getBackoffMs(20)).toBe(30 * 60 * 1000);
+      expect(getBackoffMs(3, { retryBaseMs: 10 })).toBe(40);
+    });
+  });
+
+  describe('enqueueProvisioningJob', () => {
+    it('should keep a single active job per customer', async () => {
+      const first = await enqueueProvisioningJob(pool, { customerId: 'cus_1', email: 'a@b.c', plan: 'price_x' });
+      const second = await enqueueProvisioningJob(pool, { customerId: 'cus_1', email: 'a@b.c', plan: 'price_x' });
+
+      expect(first).toEqual({ id: 1, workspaceId: expect.stringMatching(/^ws_1_\d+$/), created: true });
+      expect(second).toEqual({ id: 1, workspaceId: first.workspaceId, created: false });
+      expect(pool.jobs).toHaveLength(1);
+    });
+  });
+
+  describe('runProvisioningJob', () => {
+    it('should run every step and hand over the credentials', async () => {
+      const onComplete = jest.fn();
+      const job = await enqueueAndClaim();
+
+      const outcome = await runProvisioningJob(pool, job, { ...standIns, onComplete });
+
+      expect(outcome).toBe('completed');
+      expect(pool.jobs[0].status).toBe('completed');
+      expect(pool.steps.map(s => `${s.step}:${s.status}`)).toEqual([
+        'railway_deploy:completed',
+        'workspace_build:completed',
+        'neon_database:completed',
+        'runtime_init:completed',
+        'health_check:completed',
+      ]);
+      expect(onComplete).toHaveBeenCalledWith(job, expect.objectContaining({
+        workspaceId: job.workspace_id,
+        instanceId: 'svc_1',
+        databaseBranchId: 'br_1',
+        databaseUrl: 'postgres://fresh',
+      }));
+      expect(pool.resources.map(r => [r.resource_type, r.workspace_id, r.status])).toEqual([
+        ['railway_service', job.workspace_id, 'kept'],
+        ['workspace_directory', job.workspace_id, 'kept'],
+        ['neon_branch', job.workspace_id, 'kept'],
+      ]);
+    });
+
+    it('should not checkpoint the database URL', async () => {
+      await runProvisioningJob(pool, await enqueueAndClaim(), standIns);
+
+      const neonStep = pool.steps.find(s => s.step === 'neon_database');
+      expect(neonStep.output).toEqual({ databaseBranchId: 'br_1' });
+    });
+
+    it('should back off and resume at the failed step', async () => {
+      standIns.railway.configureEnvironment.mockRejectedValueOnce(new Error('Railway API down'));
+      const onComplete = jest.fn();
+
+      const first = await runProvisioningJob(pool, await enqueueAndClaim(), { ...standIns, onComplete });
+
+      expect(first).toBe('retrying');
+      expect(pool.jobs[0]).toMatchObject({ status: 'queued', last_error: 'Railway API down', retry_delay: 30000 });
+      expect(pool.steps.find(s => s.step === 'runtime_init')).toMatchObject({ status: 'retrying', attempts: 1 });
+
+      pool.jobs[0].run_after = Date.now(); // Backoff elapsed
+      const second = await runProvisioningJob(pool, await claimNextJob(pool, 'worker-1'), { ...standIns, onComplete });
+
+      expect(second).toBe('completed');
+      expect(standIns.railway.deployCustomerInstance).toHaveBeenCalledTimes(1);
+      expect(standIns.neon.createDatabase).toHaveBeenCalledTimes(1);
+      expect(standIns.neon.getConnectionString).toHaveBeenCalledWith('br_1');
+      expect(onComplete.mock.calls[0][1].databaseUrl).toBe('postgres://refetched');
+    });
+
+    it('should release what a failed attempt created before retrying it', async () => {
+      standIns.neon.createDatabase.mockImplementationOnce(async (workspaceId, { onResource }) => {
+        await onResource('neon_branch', 'br_half', { workspaceId });
+        throw new Error('Schema init failed');
+      });
+
+      await runProvisioningJob(pool, await enqueueAndClaim(), standIns);
+      pool.jobs[0].run_after = Date.now();
+      await runProvisioningJob(pool, await claimNextJob(pool, 'worker-1'), standIns);
+
+      expect(standIns.released).toEqual(['neon:br_half']);
+      expect(pool.jobs[0].status).toBe('completed');
+    });
+
+    it('should only roll back resources the job created', async () => {
+      standIns.railway.configureEnvironment.mockRejectedValue(new Error('Railway API down'));
+      const job = await enqueueAndClaim();
+      // Left in the same workspace by an earlier job
+      pool.resources.push({
+        id: 99, stripe_customer_id: 'cus_1', workspace_id: job.workspace_id, job_id: 41,
+        resource_type: 'neon_branch', resource_id: 'br_other', details: { step: 'runtime_init' }, status: 'active',
+      });
+
+      await runProvisioningJob(pool, job, { ...standIns, maxAttempts: 1 });
+
+      expect(standIns.released).toEqual(['neon:br_1', 'railway:svc_1']);
+      expect(pool.resources.filter(r => r.job_id === job.id)).toHaveLength(3);
+      expect(pool.resources.find(r => r.id === 99).status).toBe('active');
+    });
+
+    it('should fail and roll back once a step runs out of attempts', async () => {
+      standIns.railway.configureEnvironment.mockRejectedValue(new Error('Railway API down'));
+      const onFailed = jest.fn();
+      const options = { ...standIns, onFailed, maxAttempts: 2 };
+
+      await runProvisioningJob(pool, await enqueueAndClaim(), options);
+      pool.jobs[0].run_after = Date.now();
+      const outcome = await runProvisioningJob(pool, await claimNextJob(pool, 'worker-1'), options);
+
+      expect(outcome).toBe('failed');
+      expect(pool.jobs[0]).toMatchObject({ status: 'failed', last_error: 'Railway API down' });
+      expect(standIns.released).toEqual(['neon:br_1', 'railway:svc_1']);
+      expect(pool.customer.rollback_status).toBe('rolled_back');
+      expect(onFailed).toHaveBeenCalledWith(expect.objectContaining({ id: 1 }), expect.any(Error));
+    });
+  });
+
+  describe('claimNextJob', () => {
+    it('should not claim a job before its backoff has elapsed', async () => {
+      standIns.railway.configureEnvironment.mockRejectedValueOnce(new Error('Railway API down'));
+      await runProvisioningJob(pool, await enqueueAndClaim(), standIns);
+
+      expect(await claimNextJob(pool, 'worker-1')).toBeNull();
+    });
+
+    it('should take over a job whose worker stopped responding', async () => {
+      await enqueueAndClaim();
+      pool.jobs[0].locked_at = Date.now() - 60 * 60 * 1000;
+
+      const job = await claimNextJob(pool, 'worker-2');
+
+      expect(job).toMatchObject({ id: 1, locked_by: 'worker-2' });
+      expect(await claimNextJob(pool, 'worker-3')).toBeNull();
+    });
+  });
+
+  describe('processNextJob', () => {
+    it('should report whether there was work', async () => {
+      expect(await processNextJob(pool, 'worker-1', standIns)).toBe(false);
+
+      await enqueueProvisioningJob(pool, { customerId: 'cus_1', email: 'user@example.com', plan: 'price_x' });
+
+      expect(await processNextJob(pool, 'worker-1', standIns)).toBe(true);
+      expect(pool.jobs[0].status).toBe('completed');
+    });
+  });
+});
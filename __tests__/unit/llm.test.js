@@ -0,0 +1,416 @@
+/**
+ * Unit Tests for LLM Provider Layer
+ * Tests provider selection, response normalisation, and retry/backoff
+ */
+
+const {
+  complete,
+  stream,
+  withRetry,
+  estimateTokens,
+  getProvider,
+  setProvider,
+  isConfigured,
+  createAnthropicProvider,
+  createOpenAIProvider,
+  createFakeProvider,
+} = require('../../lib/llm');
+const { getPlanModel } = require('../../plans');
+
+describe('LLM Provider Layer', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    setProvider(null);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    setProvider(null);
+    jest.restoreAllMocks();
+  });
+
+  describe('createFakeProvider', () => {
+    it('should echo the last user message', async () => {
+      const provider = createFakeProvider();
+
+      const result = await provider.complete({
+        system: 'sys',
+        messages: [
+          { role: 'user', content: 'first' },
+          { role: 'assistant', content: 'reply' },
+          { role: 'user', content: 'second' },
+        ],
+        model: 'm',
+      });
+
+      expect(result.text).toBe('Echo: second');
+      expect(result.model).toBe('m');
+    });
+
+    it('should be deterministic', async () => {
+      const provider = createFakeProvider();
+      const request = { system: 'sys', messages: [{ role: 'user', content: 'hi' }], model: 'm' };
+
+      expect(await provider.complete(request)).toEqual(await provider.complete(request));
+    });
+
+    it('should support fixed and computed replies', async () => {
+      const fixed = createFakeProvider({ reply: 'fixed' });
+      const computed = createFakeProvider({ reply: (req) => `model=${req.model}` });
+      const request = { system: '', messages: [{ role: 'user', content: 'hi' }], model: 'x' };
+
+      expect((await fixed.complete(request)).text).toBe('fixed');
+      expect((await computed.complete(request)).text).toBe('model=x');
+    });
+
+    it('should record calls and estimate usage', async () => {
+      const provider = createFakeProvider({ reply: 'abcdefgh' });
+
+      const result = await provider.complete({
+        system: 'abcd',
+        messages: [{ role: 'user', content: 'abcdefgh' }],
+        model: 'm',
+      });
+
+      expect(provider.calls).toHaveLength(1);
+      expect(result.usage).toEqual({ inputTokens: 3, outputTokens: 2 });
+    });
+
+    it('should echo only the text of content blocks', async () => {
+      const provider = createFakeProvider();
+
+      const result = await provider.complete({
+        system: '',
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: 'aGVsbG8=' } },
+            { type: 'text', text: 'What is this?' },
+          ],
+        }],
+        model: 'm',
+      });
+
+      expect(result.text).toBe('Echo: What is this?');
+    });
+  });
+
+  describe('createAnthropicProvider', () => {
+    it('should map the request and normalise the response', async () => {
+      const create = jest.fn().mockResolvedValue({
+        model: 'claude-test',
+        content: [{ type: 'text', text: 'Hello' }, { type: 'text', text: ' there' }],
+        usage: { input_tokens: 11, output_tokens: 4 },
+      });
+      const provider = createAnthropicProvider({ client: { messages: { create } } });
+
+      const result = await provider.complete({
+        system: 'sys',
+        messages: [{ role: 'user', content: 'hi' }],
+        maxTokens: 50,
+        model: 'claude-test',
+      });
+
+      expect(create).toHaveBeenCalledWith({
+        model: 'claude-test',
+        max_tokens: 50,
+        system: 'sys',
+        messages: [{ role: 'user', content: 'hi' }],
+      });
+      expect(result).toEqual({
+        text: 'Hello there',
+        model: 'claude-test',
+        usage: { inputTokens: 11, outputTokens: 4 },
+      });
+    });
+  });
+
+  describe('streaming', () => {
+    it('should stream fake replies word by word', async () => {
+      const provider = createFakeProvider({ reply: 'one two three' });
+      const deltas = [];
+
+      const result = await provider.stream(
+        { system: '', messages: [{ role: 'user', content: 'hi' }], model: 'm' },
+        (text) => deltas.push(text)
+      );
+
+      expect(deltas).toEqual(['one ', 'two ', 'three']);
+      expect(result.text).toBe('one two three');
+    });
+
+    it('should map Anthropic stream events', async () => {
+      async function* events() {
+        yield { type: 'message_start', message: { model: 'claude-test', usage: { input_tokens: 9 } } };
+        yield { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hel' } };
+        yield { type: 'content_block_delta', delta: { type: 'text_delta', text: 'lo' } };
+        yield { type: 'message_delta', usage: { output_tokens: 2 } };
+        yield { type: 'message_stop' };
+      }
+      const create = jest.fn().mockResolvedValue(events());
+      const provider = createAnthropicProvider({ client: { messages: { create } } });
+      const deltas = [];
+
+      const result = await provider.stream(
+        { system: 's', messages: [], model: 'claude-test' },
+        (text) => deltas.push(text)
+      );
+
+      expect(create.mock.calls[0][0].stream).toBe(true);
+      expect(deltas).toEqual(['Hel', 'lo']);
+      expect(result).toEqual({
+        text: 'Hello',
+        model: 'claude-test',
+        usage: { inputTokens: 9, outputTokens: 2 },
+      });
+    });
+
+    it('should map OpenAI stream chunks', async () => {
+      async function* chunks() {
+        yield { model: 'gpt-test', choices: [{ delta: { content: 'Hi' } }] };
+        yield { model: 'gpt-test', choices: [{ delta: { content: '!' } }] };
+        yield { model: 'gpt-test', choices: [], usage: { prompt_tokens: 4, completion_tokens: 2 } };
+      }
+      const create = jest.fn().mockResolvedValue(chunks());
+      const provider = createOpenAIProvider({ client: { chat: { completions: { create } } } });
+
+      const result = await provider.stream({ system: 's', messages: [], model: 'gpt-test' }, () => {});
+
+      expect(result.text).toBe('Hi!');
+      expect(result.usage).toEqual({ inputTokens: 4, outputTokens: 2 });
+    });
+
+    it('should retry a stream that fails before any text', async () => {
+      const provider = {
+        name: 'fake',
+        stream: jest.fn()
+          .mockRejectedValueOnce(Object.assign(new Error('overloaded'), { status: 529 }))
+          .mockImplementationOnce(async (req, onText) => {
+            onText('ok');
+            return { text: 'ok', model: 'm', usage: { inputTokens: 0, outputTokens: 0 } };
+          }),
+      };
+      setProvider(provider);
+      const deltas = [];
+
+      await stream({ system: '', messages: [], retry: { sleep: () => Promise.resolve() } }, (t) => deltas.push(t));
+
+      expect(provider.stream).toHaveBeenCalledTimes(2);
+      expect(deltas).toEqual(['ok']);
+    });
+
+    it('should not retry a stream that already sent text', async () => {
+      const provider = {
+        name: 'fake',
+        stream: jest.fn(async (req, onText) => {
+          onText('partial');
+          throw Object.assign(new Error('connection reset'), { status: 500 });
+        }),
+      };
+      setProvider(provider);
+
+      await expect(
+        stream({ system: '', messages: [], retry: { sleep: () => Promise.resolve() } }, () => {})
+      ).rejects.toThrow('connection reset');
+      expect(provider.stream).toHaveBeenCalledTimes(1);
+    });
+
+    it('should respect a caller\'s shouldRetry when streaming', async () => {
+      const provider = {
+        name: 'fake',
+        stream: jest.fn().mockRejectedValue(Object.assign(new Error('overloaded'), { status: 529 })),
+      };
+      setProvider(provider);
+      const shouldRetry = jest.fn(() => false);
+
+      await expect(
+        stream({ system: '', messages: [], retry: { sleep: () => Promise.resolve(), shouldRetry } }, () => {})
+      ).rejects.toThrow('overloaded');
+      expect(provider.stream).toHaveBeenCalledTimes(1);
+      expect(shouldRetry).toHaveBeenCalledWith(expect.objectContaining({ status: 529 }));
+    });
+  });
+
+  describe('createOpenAIProvider', () => {
+    it('should prepend the system prompt and normalise usage', async () => {
+      const create = jest.fn().mockResolvedValue({
+        choices: [{ message: { content: 'Hi' } }],
+        usage: { prompt_tokens: 7, completion_tokens: 1 },
+      });
+      const provider = createOpenAIProvider({ client: { chat: { completions: { create } } } });
+
+      const result = await provider.complete({
+        system: 'sys',
+        messages: [{ role: 'user', content: 'hi' }],
+        model: 'gpt-test',
+      });
+
+      expect(create.mock.calls[0][0].messages[0]).toEqual({ role: 'system', content: 'sys' });
+      expect(result.text).toBe('Hi');
+      expect(result.usage).toEqual({ inputTokens: 7, outputTokens: 1 });
+    });
+
+    it('should convert image and document blocks', async () => {
+      const create = jest.fn().mockResolvedValue({ choices: [{ message: { content: 'Hi' } }] });
+      const provider = createOpenAIProvider({ client: { chat: { completions: { create } } } });
+
+      await provider.complete({
+        system: 'sys',
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'aW1n' } },
+            { type: 'document', title: 'invoice.pdf', source: { type: 'base64', media_type: 'application/pdf', data: 'cGRm' } },
+            { type: 'text', text: 'Summarise' },
+          ],
+        }],
+        model: 'gpt-test',
+      });
+
+      expect(create.mock.calls[0][0].messages[1].content).toEqual([
+        { type: 'image_url', image_url: { url: 'data:image/png;base64,aW1n' } },
+        { type: 'file', file: { filename: 'invoice.pdf', file_data: 'data:application/pdf;base64,cGRm' } },
+        { type: 'text', text: 'Summarise' },
+      ]);
+    });
+  });
+
+  describe('provider selection', () => {
+    it('should prefer LLM_PROVIDER', () => {
+      process.env.LLM_PROVIDER = 'fake';
+      expect(getProvider().name).toBe('fake');
+    });
+
+    it('should pick Anthropic when its key is set', () => {
+      delete process.env.LLM_PROVIDER;
+      process.env.ANTHROPIC_API_KEY = 'key';
+      expect(getProvider().name).toBe('anthropic');
+    });
+
+    it('should fall back to OpenAI', () => {
+      delete process.env.LLM_PROVIDER;
+      delete process.env.ANTHROPIC_API_KEY;
+      process.env.OPENAI_API_KEY = 'key';
+      expect(getProvider().name).toBe('openai');
+    });
+
+    it('should throw when nothing is configured', () => {
+      delete process.env.LLM_PROVIDER;
+      delete process.env.ANTHROPIC_API_KEY;
+      delete process.env.OPENAI_API_KEY;
+
+      expect(isConfigured()).toBe(false);
+      expect(() => getProvider()).toThrow('No AI API key configured');
+    });
+
+    it('should reject unknown providers', () => {
+      process.env.LLM_PROVIDER = 'nope';
+      expect(() => getProvider()).toThrow('Unknown LLM provider');
+    });
+
+    it('should use the override set with setProvider', () => {
+      const provider = createFakeProvider();
+      setProvider(provider);
+      expect(getProvider()).toBe(provider);
+      expect(isConfigured()).toBe(true);
+    });
+  });
+
+  describe('complete', () => {
+    it('should select the model from the plan', async () => {
+      const provider = createFakeProvider();
+      setProvider(provider);
+
+      await complete({ system: '', messages: [{ role: 'user', content: 'hi' }], plan: 'Pro' });
+
+      expect(provider.calls[0].model).toBe(getPlanModel('Pro', 'fake'));
+    });
+
+    it('should let an explicit model win over the plan', async () => {
+      const provider = createFakeProvider();
+      setProvider(provider);
+
+      await complete({ system: '', messages: [], plan: 'Pro', model: 'custom-model' });
+
+      expect(provider.calls[0].model).toBe('custom-model');
+    });
+
+    it('should retry transient failures', async () => {
+      const provider = {
+        name: 'fake',
+        complete: jest.fn()
+          .mockRejectedValueOnce(Object.assign(new Error('overloaded'), { status: 529 }))
+          .mockResolvedValueOnce({ text: 'ok', model: 'm', usage: { inputTokens: 0, outputTokens: 0 } }),
+      };
+      setProvider(provider);
+
+      const result = await complete({
+        system: '',
+        messages: [],
+        retry: { sleep: () => Promise.resolve() },
+      });
+
+      expect(result.text).toBe('ok');
+      expect(provider.complete).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('withRetry', () => {
+    it('should back off exponentially', async () => {
+      const sleep = jest.fn().mockResolvedValue();
+      const fn = jest.fn()
+        .mockRejectedValueOnce(Object.assign(new Error('rate limited'), { status: 429 }))
+        .mockRejectedValueOnce(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))
+        .mockResolvedValueOnce('done');
+
+      const result = await withRetry(fn, { baseDelayMs: 100, sleep });
+
+      expect(result).toBe('done');
+      expect(sleep.mock.calls.map((c) => c[0])).toEqual([100, 200]);
+    });
+
+    it('should not retry client errors', async () => {
+      const fn = jest.fn().mockRejectedValue(Object.assign(new Error('bad request'), { status: 400 }));
+
+      await expect(withRetry(fn, { sleep: jest.fn() })).rejects.toThrow('bad request');
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should retry network failures and timeouts', async () => {
+      const fetchFailed = new TypeError('fetch failed');
+      fetchFailed.cause = Object.assign(new Error('connect ETIMEDOUT'), { code: 'ETIMEDOUT' });
+      const fn = jest.fn()
+        .mockRejectedValueOnce(fetchFailed)
+        .mockRejectedValueOnce(Object.assign(new Error('request timeout'), { status: 408 }))
+        .mockResolvedValueOnce('done');
+
+      await expect(withRetry(fn, { sleep: jest.fn().mockResolvedValue() })).resolves.toBe('done');
+      expect(fn).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry programming errors', async () => {
+      const fn = jest.fn().mockRejectedValue(new TypeError("Cannot read properties of undefined (reading 'text')"));
+
+      await expect(withRetry(fn, { sleep: jest.fn() })).rejects.toThrow(TypeError);
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give up after the retry budget', async () => {
+      const fn = jest.fn().mockRejectedValue(Object.assign(new Error('down'), { status: 503 }));
+
+      await expect(withRetry(fn, { retries: 2, sleep: jest.fn().mockResolvedValue() })).rejects.toThrow('down');
+      expect(fn).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('estimateTokens', () => {
+    it('should approximate four characters per token', () => {
+      expect(estimateTokens('')).toBe(0);
+      expect(estimateTokens('abcd')).toBe(1);
+      expect(estimateTokens('abcde')).toBe(2);
+      expect(estimateTokens(null)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Unit Tests for Memory Summariser
+ * Tests fact extraction, de-duplication and MEMORY.md / memories table updates
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const llm = require('../../lib/llm');
+const {
+  runSummarizer,
+  summarizeWorkspace,
+  extractFacts,
+  dedupeFacts,
+  parseMemoryFacts,
+  mergeFactsIntoMemory,
+} = require('../../lib/memory-summarizer');
+
+const MEMORY_MD = `# MEMORY.md - Long-Term Memory
+
+## About user@example.com
+
+- Joined: 2024-01-01
+
+## Significant Events
+
+### 2024-01-01 - Started with Clawdbot
+First day!
+
+---
+
+This file stores curated long-term memories. Update it regularly.
+`;
+
+describe('Memory Summariser', () => {
+  let workspacesDir;
+  let pool;
+
+  async function createWorkspace(id, transcripts) {
+    const dir = path.join(workspacesDir, id);
+    await fs.mkdir(path.join(dir, 'memory'), { recursive: true });
+    await fs.writeFile(path.join(dir, 'MEMORY.md'), MEMORY_MD);
+    for (const [date, content] of Object.entries(transcripts)) {
+      await fs.writeFile(path.join(dir, 'memory', `${date}.md`), content);
+    }
+    return dir;
+  }
+
+  beforeEach(async () => {
+    workspacesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'clawdbot-summarizer-'));
+    pool = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    llm.setProvider(llm.createFakeProvider({
+      reply: '- User prefers tea over coffee\n- User is training for a marathon in May',
+    }));
+  });
+
+  afterEach(async () => {
+    llm.setProvider(null);
+    await fs.rm(workspacesDir, { recursive: true, force: true });
+  });
+
+  describe('extractFacts', () => {
+    it('should parse bullet lines from the model reply', async () => {
+      llm.setProvider(llm.createFakeProvider({ reply: 'Facts:\n- One\n* Two\nnot a fact' }));
+
+      const { facts } = await extractFacts('**User:** hi');
+
+      expect(facts).toEqual(['One', 'Two']);
+    });
+
+    it('should return no facts for NONE', async () => {
+      llm.setProvider(llm.createFakeProvider({ reply: 'NONE' }));
+
+      const { facts } = await extractFacts('**User:** hi');
+
+      expect(facts).toEqual([]);
+    });
+
+    it('should pass known facts to the model', async () => {
+      const provider = llm.createFakeProvider({ reply: 'NONE' });
+      llm.setProvider(provider);
+
+      await extractFacts('transcript', { known: ['User likes jazz'] });
+
+      expect(provider.calls[0].messages[0].content).toContain('- User likes jazz');
+    });
+
+    it('should only pass the most recent known facts', async () => {
+      const provider = llm.createFakeProvider({ reply: 'NONE' });
+      llm.setProvider(provider);
+      const known = Array.from({ length: 250 }, (_, i) => `User fact number ${i}`);
+
+      await extractFacts('transcript', { known });
+
+      const prompt = provider.calls[0].messages[0].content;
+      expect(prompt).not.toContain('- User fact number 49\n');
+      expect(prompt).toContain('- User fact number 50\n');
+      expect(prompt).toContain('- User fact number 249\n');
+    });
+  });
+
+  describe('dedupeFacts', () => {
+    it('should ignore case, punctuation and repeats', () => {
+      const facts = dedupeFacts(
+        ['User likes jazz.', 'user LIKES jazz', 'User has a dog', 'User has a dog'],
+        ['User likes Jazz']
+      );
+
+      expect(facts).toEqual(['User has a dog']);
+    });
+
+    it('should keep facts in other scripts and accented text', () => {
+      const facts = dedupeFacts(
+        ['Пользователь любит чай.', 'пользователь ЛЮБИТ чай', '用户喜欢茶', 'User lives in Café Straße'],
+        ['user lives in café straße!']
+      );
+
+      expect(facts).toEqual(['Пользователь любит чай.', '用户喜欢茶']);
+    });
+  });
+
+  describe('mergeFactsIntoMemory', () => {
+    it('should add a Learned Facts section before the footer', () => {
+      const updated = mergeFactsIntoMemory(MEMORY_MD, '2024-02-01', ['User likes jazz']);
+
+      expect(updated).toContain('## Learned Facts\n\n### 2024-02-01\n- User likes jazz');
+      expect(updated.indexOf('## Learned Facts')).toBeLessThan(updated.indexOf('\n---\n'));
+      expect(updated).toContain('This file stores curated long-term memories.');
+    });
+
+    it('should append to an existing date', () => {
+      let content = mergeFactsIntoMemory(MEMORY_MD, '2024-02-01', ['First']);
+      content = mergeFactsIntoMemory(content, '2024-02-02', ['Second']);
+      content = mergeFactsIntoMemory(content, '2024-02-01', ['Third']);
+
+      expect(parseMemoryFacts(content)).toEqual(['First', 'Third', 'Second']);
+      expect(content.match(/### 2024-02-01/g)).toHaveLength(1);
+    });
+
+    it('should leave the file alone when there are no facts', () => {
+      expect(mergeFactsIntoMemory(MEMORY_MD, '2024-02-01', [])).toBe(MEMORY_MD);
+    });
+  });
+
+  describe('summarizeWorkspace', () => {
+    it('should store new facts in MEMORY.md and the memories table', async () => {
+      const dir = await createWorkspace('claw_test_00000001', {
+        '2024-02-01': '**User:** I only drink tea\n**Assistant:** Noted!',
+      });
+
+      const result = await summarizeWorkspace('claw_test_00000001', {
+        pool,
+        workspacesDir,
+        today: '2024-02-02',
+      });
+
+      expect(result.days).toBe(1);
+      expect(result.facts).toHaveLength(2);
+
+      const memory = await fs.readFile(path.join(dir, 'MEMORY.md'), 'utf8');
+      expect(parseMemoryFacts(memory)).toEqual([
+        'User prefers tea over coffee',
+        'User is training for a marathon in May',
+      ]);
+
+      const inserts = pool.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO memories'));
+      expect(inserts).toHaveLength(2);
+      expect(inserts[0][1][0]).toBe('claw_test_00000001');
+      expect(JSON.parse(inserts[0][1][2])).toEqual({ source: 'daily-summary', date: '2024-02-01' });
+    });
+
+    it('should skip facts already in the memories table', async () => {
+      await createWorkspace('claw_test_00000001', { '2024-02-01': 'transcript' });
+      pool.query.mockResolvedValueOnce({ rows: [{ content: 'User prefers tea over coffee.' }] });
+
+      const result = await summarizeWorkspace('claw_test_00000001', {
+        pool,
+        workspacesDir,
+        today: '2024-02-02',
+      });
+
+      expect(result.facts).toEqual(['User is training for a marathon in May']);
+    });
+
+    it('should not summarise today or unchanged days again', async () => {
+      const dir = await createWorkspace('claw_test_00000001', {
+        '2024-02-01': 'yesterday',
+        '2024-02-02': 'today, still being written',
+      });
+      const provider = llm.createFakeProvider({ reply: '- User likes jazz' });
+      llm.setProvider(provider);
+
+      await summarizeWorkspace('claw_test_00000001', { workspacesDir, today: '2024-02-02' });
+      await summarizeWorkspace('claw_test_00000001', { workspacesDir, today: '2024-02-02' });
+
+      expect(provider.calls).toHaveLength(1);
+
+      // New messages appended to the day → summarised again, facts de-duplicated
+      await fs.appendFile(path.join(dir, 'memory', '2024-02-01.md'), '\nmore');
+      const rerun = await summarizeWorkspace('claw_test_00000001', { workspacesDir, today: '2024-02-02' });
+
+      expect(provider.calls).toHaveLength(2);
+      expect(rerun.facts).toEqual([]);
+    });
+
+    it('should do nothing without transcripts', async () => {
+      const result = await summarizeWorkspace('claw_missing_00000000', { workspacesDir });
+
+      expect(result).toEqual({ days: 0, facts: [], usage: { inputTokens: 0, outputTokens: 0 } });
+    });
+  });
+
+  describe('runSummarizer', () => {
+    it('should summarise each active workspace and report failures', async () => {
+      await createWorkspace('claw_test_00000001', { '2000-01-01': 'transcript' });
+      await createWorkspace('claw_test_00000002', { '2000-01-01': 'transcript' });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      pool.query.mockImplementation((sql, params) => {
+        if (sql.includes('FROM customers')) {
+          return Promise.resolve({
+            rows: [
+              { workspace_id: 'claw_test_00000001', plan: 'Pro' },
+              { workspace_id: 'claw_test_00000002', plan: 'Starter' },
+            ],
+          });
+        }
+        if (sql.includes('INSERT INTO memories') && params[0] === 'claw_test_00000002') {
+          return Promise.reject(new Error('insert failed'));
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      const results = await runSummarizer({ pool, workspacesDir });
+
+      expect(results).toEqual([
+        { workspaceId: 'claw_test_00000001', days: 1, facts: 2 },
+        { workspaceId: 'claw_test_00000002', error: 'insert failed' },
+      ]);
+      console.error.mockRestore();
+    });
+  });
+});
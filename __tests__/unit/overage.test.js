@@ -0,0 +1,277 @@
+/**
+ * Unit Tests for Overage Billing
+ * Tests the message allowance past the plan limit, month-end projections
+ * and daily reporting to Stripe against an in-memory usage store
+ */
+
+const {
+  overageCost,
+  parseSpendingLimit,
+  checkMessageAllowance,
+  projectOverage,
+  reportDailyOverage,
+} = require('../../lib/overage');
+const { PLANS } = require('../../plans');
+
+const PRO_PRICE = 'price_1SwtCbBfSldKMuDjDmRHqErh';
+const METERED_PRICE = 'price_pro_overage';
+
+// In-memory stand-in for customers / usage_tracking / overage_reports
+function createPool({ customers, usage, reports = [] }) {
+  return {
+    reports,
+    query: jest.fn(async (sql, params = []) => {
+      if (sql.includes('FROM customers c')) {
+        const [date] = params;
+        const month = date.slice(0, 7);
+        const inMonth = (d) => d.startsWith(month) && d <= date;
+        return {
+          rows: customers
+            .filter(c => c.overage_spending_limit !== null && c.subscription_id)
+            .map(c => ({
+              ...c,
+              used: usage.filter(u => u.workspace_id === c.workspace_id && inMonth(u.date))
+                .reduce((sum, u) => sum + u.messages_sent, 0),
+              reported: reports.filter(r => r.workspace_id === c.workspace_id && r.date.startsWith(month))
+                .reduce((sum, r) => sum + r.messages, 0),
+            }))
+            .filter(row => usage.some(u => u.workspace_id === row.workspace_id && inMonth(u.date))),
+        };
+      }
+      if (sql.includes('INSERT INTO overage_reports')) {
+        const [workspaceId, date, messages, amount, usageRecordId] = params;
+        const existing = reports.find(r => r.workspace_id === workspaceId && r.date === date);
+        if (existing) {
+          existing.messages += messages;
+          existing.amount += amount;
+          existing.stripe_usage_record_id = usageRecordId;
+        } else {
+          reports.push({ workspace_id: workspaceId, date, messages, amount, stripe_usage_record_id: usageRecordId });
+        }
+        return { rows: [] };
+      }
+      return { rows: [] };
+    }),
+  };
+}
+
+function createStripe(items = []) {
+  return {
+    subscriptions: {
+      retrieve: jest.fn(async () => ({ items: { data: items } })),
+    },
+    subscriptionItems: {
+      create: jest.fn(async ({ price }) => {
+        const item = { id: `si_${items.length + 1}`, price: { id: price } };
+        items.push(item);
+        return item;
+      }),
+      createUsageRecord: jest.fn(async () => ({ id: 'mbur_1' })),
+    },
+  };
+}
+
+function proCustomer(overrides = {}) {
+  return {
+    workspace_id: 'claw_test_12345678',
+    plan: 'Pro',
+    subscription_id: 'sub_1',
+    overage_spending_limit: '50.00',
+    ...overrides,
+  };
+}
+
+describe('Overage Billing', () => {
+  const originalPriceId = PLANS[PRO_PRICE].overage.meteredPriceId;
+
+  beforeEach(() => {
+    PLANS[PRO_PRICE].overage.meteredPriceId = METERED_PRICE;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    PLANS[PRO_PRICE].overage.meteredPriceId = originalPriceId;
+    jest.restoreAllMocks();
+  });
+
+  describe('checkMessageAllowance', () => {
+    const pro = { messageLimit: 20000, pricePerMessage: 0.005 };
+
+    it('should allow messages within the plan limit', () => {
+      expect(checkMessageAllowance({ ...pro, used: 19999 })).toEqual({ allowed: true, overage: false });
+    });
+
+    it('should stop at the limit without an opt-in', () => {
+      expect(checkMessageAllowance({ ...pro, used: 20000 })).toEqual({
+        allowed: false,
+        overage: false,
+        error: 'Message limit exceeded',
+      });
+      expect(checkMessageAllowance({ messageLimit: 5000, used: 5000, spendingLimit: 50 }).allowed).toBe(false);
+    });
+
+    it('should allow overage until the spending limit is used up', () => {
+      // $1.00 buys 200 messages at $0.005
+      expect(checkMessageAllowance({ ...pro, used: 20199, spendingLimit: 1 })).toEqual({ allowed: true, overage: true });
+      expect(checkMessageAllowance({ ...pro, used: 20200, spendingLimit: 1 })).toEqual({
+        allowed: false,
+        overage: true,
+        error: 'Overage spending limit reached',
+      });
+    });
+
+    it('should treat a spending limit of 0 as opted out', () => {
+      expect(checkMessageAllowance({ ...pro, used: 20000, spendingLimit: 0 }).allowed).toBe(false);
+    });
+  });
+
+  describe('projectOverage', () => {
+    const now = new Date('2025-06-10T00:00:00Z'); // 9 of 30 days elapsed
+
+    it('should project the current daily rate to month end', () => {
+      const projection = projectOverage({ used: 9000, messageLimit: 20000, pricePerMessage: 0.005, spendingLimit: 100 }, now);
+
+      expect(projection).toEqual({
+        messages: 0,
+        cost: 0,
+        projectedMessages: 10000,
+        projectedCost: 50,
+        capped: false,
+      });
+    });
+
+    it('should cap the projection at the spending limit', () => {
+      const projection = projectOverage({ used: 9000, messageLimit: 20000, pricePerMessage: 0.005, spendingLimit: 20 }, now);
+
+      expect(projection).toMatchObject({ projectedMessages: 4000, projectedCost: 20, capped: true });
+    });
+  });
+
+  describe('helpers', () => {
+    it('should round costs to cents and parse stored limits', () => {
+      expect(overageCost(333, 0.005)).toBe(1.67);
+      expect(parseSpendingLimit('25.50')).toBe(25.5);
+      expect(parseSpendingLimit(null)).toBeNull();
+    });
+  });
+
+  describe('reportDailyOverage', () => {
+    it('should report the day\'s overage to the metered price, adding it to the subscription', async () => {
+      const pool = createPool({
+        customers: [proCustomer()],
+        usage: [
+          { workspace_id: 'claw_test_12345678', date: '2025-06-01', messages_sent: 19900 },
+          { workspace_id: 'claw_test_12345678', date: '2025-06-02', messages_sent: 350 },
+        ],
+      });
+      const stripe = createStripe([{ id: 'si_base', price: { id: PRO_PRICE } }]);
+
+      const reports = await reportDailyOverage(pool, stripe, { date: '2025-06-02' });
+
+      expect(reports).toEqual([{ workspaceId: 'claw_test_12345678', messages: 250, amount: 1.25 }]);
+      expect(stripe.subscriptionItems.create).toHaveBeenCalledWith(
+        { subscription: 'sub_1', price: METERED_PRICE },
+        expect.any(Object)
+      );
+      expect(stripe.subscriptionItems.createUsageRecord).toHaveBeenCalledWith(
+        'si_2',
+        { quantity: 250, timestamp: 'now', action: 'increment' },
+        { idempotencyKey: 'overage-claw_test_12345678-2025-06-02-0' }
+      );
+      expect(pool.reports).toEqual([expect.objectContaining({ date: '2025-06-02', messages: 250 })]);
+    });
+
+    it('should only report overage not already reported this month', async () => {
+      const pool = createPool({
+        customers: [proCustomer()],
+        usage: [
+          { workspace_id: 'claw_test_12345678', date: '2025-06-02', messages_sent: 20250 },
+          { workspace_id: 'claw_test_12345678', date: '2025-06-03', messages_sent: 100 },
+        ],
+        reports: [{ workspace_id: 'claw_test_12345678', date: '2025-06-02', messages: 250 }],
+      });
+      const stripe = createStripe([{ id: 'si_metered', price: { id: METERED_PRICE } }]);
+
+      await reportDailyOverage(pool, stripe, { date: '2025-06-03' });
+      const again = await reportDailyOverage(pool, stripe, { date: '2025-06-03' });
+
+      expect(stripe.subscriptionItems.create).not.toHaveBeenCalled();
+      expect(stripe.subscriptionItems.createUsageRecord).toHaveBeenCalledTimes(1);
+      expect(stripe.subscriptionItems.createUsageRecord.mock.calls[0][1].quantity).toBe(100);
+      expect(again).toEqual([]);
+    });
+
+    it('should not bill again when an earlier day is reported after later ones', async () => {
+      const pool = createPool({
+        customers: [proCustomer()],
+        usage: [
+          { workspace_id: 'claw_test_12345678', date: '2025-06-02', messages_sent: 20250 },
+          { workspace_id: 'claw_test_12345678', date: '2025-06-03', messages_sent: 100 },
+        ],
+        reports: [
+          { workspace_id: 'claw_test_12345678', date: '2025-06-02', messages: 250 },
+          { workspace_id: 'claw_test_12345678', date: '2025-06-03', messages: 100 },
+        ],
+      });
+      const stripe = createStripe([{ id: 'si_metered', price: { id: METERED_PRICE } }]);
+
+      expect(await reportDailyOverage(pool, stripe, { date: '2025-06-02' })).toEqual([]);
+      expect(stripe.subscriptionItems.createUsageRecord).not.toHaveBeenCalled();
+    });
+
+    it('should add to a day that is reported again', async () => {
+      const usage = [{ workspace_id: 'claw_test_12345678', date: '2025-06-02', messages_sent: 20100 }];
+      const pool = createPool({ customers: [proCustomer()], usage });
+      const stripe = createStripe([{ id: 'si_metered', price: { id: METERED_PRICE } }]);
+
+      await reportDailyOverage(pool, stripe, { date: '2025-06-02' });
+      // More messages sent that day after the first run
+      usage[0].messages_sent += 50;
+      await reportDailyOverage(pool, stripe, { date: '2025-06-02' });
+      const next = await reportDailyOverage(pool, stripe, { date: '2025-06-03' });
+
+      expect(stripe.subscriptionItems.createUsageRecord.mock.calls.map(([, body, options]) => [body.quantity, options.idempotencyKey])).toEqual([
+        [100, 'overage-claw_test_12345678-2025-06-02-0'],
+        [50, 'overage-claw_test_12345678-2025-06-02-100'],
+      ]);
+      expect(pool.reports).toEqual([expect.objectContaining({ date: '2025-06-02', messages: 150, amount: 0.75 })]);
+      expect(next).toEqual([]);
+    });
+
+    it('should skip plans without overage and customers under the limit', async () => {
+      const pool = createPool({
+        customers: [
+          proCustomer({ workspace_id: 'claw_star_00000001', plan: 'Starter' }),
+          proCustomer({ workspace_id: 'claw_test_00000002' }),
+        ],
+        usage: [
+          { workspace_id: 'claw_star_00000001', date: '2025-06-02', messages_sent: 9000 },
+          { workspace_id: 'claw_test_00000002', date: '2025-06-02', messages_sent: 15000 },
+        ],
+      });
+      const stripe = createStripe();
+
+      expect(await reportDailyOverage(pool, stripe, { date: '2025-06-02' })).toEqual([]);
+      expect(stripe.subscriptionItems.createUsageRecord).not.toHaveBeenCalled();
+    });
+
+    it('should leave a failed report for the next run', async () => {
+      const pool = createPool({
+        customers: [proCustomer()],
+        usage: [{ workspace_id: 'claw_test_12345678', date: '2025-06-02', messages_sent: 20100 }],
+      });
+      const stripe = createStripe([{ id: 'si_metered', price: { id: METERED_PRICE } }]);
+      stripe.subscriptionItems.createUsageRecord.mockRejectedValueOnce(new Error('Stripe API down'));
+
+      const reports = await reportDailyOverage(pool, stripe, { date: '2025-06-02' });
+
+      expect(reports[0]).toMatchObject({ messages: 100, error: 'Stripe API down' });
+      expect(pool.reports).toEqual([]);
+
+      await reportDailyOverage(pool, stripe, { date: '2025-06-02' });
+      expect(pool.reports).toEqual([expect.objectContaining({ messages: 100 })]);
+    });
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Unit Tests for Plan Changes
+ * Tests applying a subscription's new price: scaling the instance, skills,
+ * agent quota on downgrades and the confirmation email, using a local
+ * stand-in for the Railway provisioner
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { applyPlanChange, enforceAgentQuota } = require('../../provisioning/plan-change');
+const { PLANS } = require('../../plans');
+
+const STARTER = 'price_1SwtCbBfSldKMuDjM3p0kyG4';
+const PRO = 'price_1SwtCbBfSldKMuDjDmRHqErh';
+const TEAM = 'price_1SwtCcBfSldKMuDjEKBqQ6lH';
+const PRO_YEARLY = 'price_proYearlyTest';
+const WORKSPACE = 'ws_test_1';
+
+// In-memory stand-in for the customers / agents / provisioning_jobs tables
+function createPool({ customer, agents = [], jobs = [] }) {
+  return {
+    customer,
+    agents,
+    jobs,
+    query: jest.fn(async (sql, params = []) => {
+      if (sql.includes('FROM customers')) {
+        return { rows: customer && params[0] === 'cus_1' ? [customer] : [] };
+      }
+      if (sql.includes('UPDATE customers')) {
+        Object.assign(customer, { plan: params[0], price_id: params[1] });
+        return { rows: [] };
+      }
+      if (sql.includes('FROM agents')) {
+        return { rows: agents.filter(a => a.workspace_id === params[0]) };
+      }
+      if (sql.includes('SET suspended_at = NOW()')) {
+        agents.filter(a => params[1].includes(a.agent_id)).forEach(a => { a.suspended_at = new Date(); });
+        return { rows: [] };
+      }
+      if (sql.includes('SET suspended_at = NULL')) {
+        agents.filter(a => params[1].includes(a.agent_id)).forEach(a => { a.suspended_at = null; });
+        return { rows: [] };
+      }
+      if (sql.includes('UPDATE provisioning_jobs')) {
+        jobs.filter(j => j.stripe_customer_id === params[0]).forEach(j => { j.plan = params[1]; });
+        return { rows: [] };
+      }
+      return { rows: [] };
+    }),
+  };
+}
+
+function liveCustomer(priceId, plan) {
+  return {
+    email: 'user@example.com',
+    plan,
+    price_id: priceId,
+    workspace_id: WORKSPACE,
+    instance_id: 'svc_1',
+    provisioned_at: new Date('2024-01-01'),
+    deprovisioned_at: null,
+  };
+}
+
+function agentRows(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    workspace_id: WORKSPACE,
+    agent_id: `agent-${i + 1}`,
+    suspended_at: null,
+  }));
+}
+
+function createRailway() {
+  return {
+    scaleService: jest.fn().mockResolvedValue(),
+    configureEnvironment: jest.fn().mockResolvedValue(),
+  };
+}
+
+describe('Plan Changes', () => {
+  const originalEnv = { ...process.env };
+  let workspacesDir;
+  let skillsDir;
+
+  beforeEach(async () => {
+    workspacesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'clawdbot-plan-'));
+    skillsDir = path.join(workspacesDir, WORKSPACE, 'skills');
+    await fs.mkdir(skillsDir, { recursive: true });
+    process.env.WORKSPACES_DIR = workspacesDir;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    process.env = { ...originalEnv };
+    jest.restoreAllMocks();
+    await fs.rm(workspacesDir, { recursive: true, force: true });
+  });
+
+  describe('applyPlanChange', () => {
+    it('should do nothing when the price is unchanged', async () => {
+      const pool = createPool({ customer: liveCustomer(PRO, 'Pro') });
+      const changePlan = jest.fn();
+      const sendEmail = jest.fn();
+
+      const result = await applyPlanChange(pool, 'cus_1', PRO, { changePlan, sendEmail });
+
+      expect(result).toEqual({ changed: false });
+      expect(changePlan).not.toHaveBeenCalled();
+      expect(sendEmail).not.toHaveBeenCalled();
+    });
+
+    it('should scale the instance, install skills and confirm an upgrade', async () => {
+      const pool = createPool({ customer: liveCustomer(STARTER, 'Starter') });
+      const railway = createRailway();
+      const sendEmail = jest.fn();
+
+      const result = await applyPlanChange(pool, 'cus_1', PRO, { railway, sendEmail });
+
+      expect(result).toMatchObject({ changed: true, from: 'Starter', to: 'Pro', direction: 'upgrade' });
+      expect(railway.scaleService).toHaveBeenCalledWith('svc_1', expect.objectContaining({ name: 'Pro' }));
+      expect(railway.configureEnvironment).toHaveBeenCalledWith('svc_1', expect.objectContaining({
+        PLAN_NAME: 'Pro',
+        MESSAGE_LIMIT: '20000',
+        MAX_AGENTS: '10',
+      }));
+      expect((await fs.readdir(skillsDir)).sort()).toEqual(['browser.json', 'calendar.json', 'gmail.json', 'manifest.json']);
+      expect(pool.customer).toMatchObject({ plan: 'Pro', price_id: PRO });
+      expect(sendEmail).toHaveBeenCalledWith('user@example.com', result);
+    });
+
+    it('should remove skills the new plan no longer includes', async () => {
+      await fs.writeFile(path.join(skillsDir, 'gmail.json'), '{}');
+      await fs.writeFile(path.join(skillsDir, 'calendar.json'), '{}');
+      const pool = createPool({ customer: liveCustomer(PRO, 'Pro') });
+
+      await applyPlanChange(pool, 'cus_1', STARTER, { railway: createRailway(), sendEmail: jest.fn() });
+
+      expect(await fs.readdir(skillsDir)).toEqual(['manifest.json']);
+    });
+
+    it('should suspend the newest agents over the downgraded quota', async () => {
+      const pool = createPool({ customer: liveCustomer(PRO, 'Pro'), agents: agentRows(5) });
+      const sendEmail = jest.fn();
+
+      const result = await applyPlanChange(pool, 'cus_1', STARTER, { railway: createRailway(), sendEmail });
+
+      expect(result).toMatchObject({
+        direction: 'downgrade',
+        suspendedAgents: ['agent-4', 'agent-5'],
+        resumedAgents: [],
+      });
+      expect(pool.agents.filter(a => !a.suspended_at).map(a => a.agent_id)).toEqual(['agent-1', 'agent-2', 'agent-3']);
+      expect(sendEmail.mock.calls[0][1].suspendedAgents).toEqual(['agent-4', 'agent-5']);
+    });
+
+    it('should not touch the customer row or email when the instance change fails', async () => {
+      const pool = createPool({ customer: liveCustomer(PRO, 'Pro'), agents: agentRows(5) });
+      const railway = createRailway();
+      railway.scaleService.mockRejectedValue(new Error('Railway API down'));
+      const sendEmail = jest.fn();
+
+      await expect(applyPlanChange(pool, 'cus_1', STARTER, { railway, sendEmail }))
+        .rejects.toThrow('Railway API down');
+
+      expect(pool.customer).toMatchObject({ plan: 'Pro', price_id: PRO });
+      expect(pool.agents.every(a => !a.suspended_at)).toBe(true);
+      expect(sendEmail).not.toHaveBeenCalled();
+    });
+
+    it('should hand the new plan to a customer still being provisioned', async () => {
+      const customer = { ...liveCustomer(STARTER, 'Starter'), instance_id: null, provisioned_at: null };
+      const pool = createPool({ customer, jobs: [{ stripe_customer_id: 'cus_1', plan: STARTER }] });
+      const changePlan = jest.fn();
+
+      const result = await applyPlanChange(pool, 'cus_1', TEAM, { changePlan, sendEmail: jest.fn() });
+
+      expect(result.changed).toBe(true);
+      expect(changePlan).not.toHaveBeenCalled();
+      expect(pool.jobs[0].plan).toBe(TEAM);
+      expect(pool.customer).toMatchObject({ plan: 'Team', price_id: TEAM });
+    });
+
+    describe('between monthly and annual billing', () => {
+      // The shipped catalogue's annual prices get IDs from plans:sync
+      beforeAll(() => {
+        PLANS[PRO_YEARLY] = {
+          ...PLANS[PRO],
+          overage: null,
+          price: { id: PRO_YEARLY, currency: 'usd', interval: 'year', amount: 79000 },
+        };
+      });
+
+      afterAll(() => {
+        delete PLANS[PRO_YEARLY];
+      });
+
+      it('should store the new price without a plan change email', async () => {
+        const pool = createPool({ customer: liveCustomer(PRO, 'Pro'), agents: agentRows(5) });
+        const railway = createRailway();
+        const sendEmail = jest.fn();
+
+        const result = await applyPlanChange(pool, 'cus_1', PRO_YEARLY, { railway, sendEmail });
+
+        expect(result).toMatchObject({ changed: true, from: 'Pro', to: 'Pro', direction: 'interval', suspendedAgents: [] });
+        expect(railway.configureEnvironment).toHaveBeenCalled();
+        expect(pool.customer).toMatchObject({ plan: 'Pro', price_id: PRO_YEARLY });
+        expect(sendEmail).not.toHaveBeenCalled();
+      });
+    });
+
+    it('should ignore unknown prices', async () => {
+      const pool = createPool({ customer: liveCustomer(PRO, 'Pro') });
+      const changePlan = jest.fn();
+
+      expect(await applyPlanChange(pool, 'cus_1', 'price_unknown', { changePlan })).toEqual({ changed: false });
+      expect(changePlan).not.toHaveBeenCalled();
+      expect(pool.customer.plan).toBe('Pro');
+    });
+
+    it('should skip customers it does not know', async () => {
+      const pool = createPool({ customer: null });
+
+      expect(await applyPlanChange(pool, 'cus_1', PRO)).toEqual({ changed: false });
+    });
+  });
+
+  describe('enforceAgentQuota', () => {
+    it('should resume suspended agents up to the new quota', async () => {
+      const agents = agentRows(5);
+      agents.slice(2).forEach(a => { a.suspended_at = new Date(); });
+      const pool = createPool({ customer: null, agents });
+
+      expect(await enforceAgentQuota(pool, WORKSPACE, 3)).toEqual({ suspended: [], resumed: ['agent-3'] });
+      expect(await enforceAgentQuota(pool, WORKSPACE, -1)).toEqual({ suspended: [], resumed: ['agent-4', 'agent-5'] });
+      expect(agents.every(a => !a.suspended_at)).toBe(true);
+    });
+  });
+});
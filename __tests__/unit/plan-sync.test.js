@@ -0,0 +1,195 @@
+/**
+ * Unit Tests for Plan Catalogue Sync
+ * Reconciles the fixture catalogue (__tests__/fixtures/plan-catalogue.json)
+ * against an in-memory Stripe account
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { syncPlanCatalogue, priceLookupKey } = require('../../lib/plan-sync');
+
+const FIXTURE_CATALOGUE = path.join(__dirname, '..', 'fixtures', 'plan-catalogue.json');
+
+function loadFixture() {
+  return JSON.parse(fs.readFileSync(FIXTURE_CATALOGUE, 'utf8'));
+}
+
+// In-memory stand-in for Stripe products and prices
+function createStripe({ products = [], prices = [] } = {}) {
+  let nextId = 1;
+  const list = (items) => ({ autoPagingToArray: async () => items.map(item => ({ ...item })) });
+  const notFound = () => Object.assign(new Error('No such price'), { statusCode: 404, code: 'resource_missing' });
+
+  return {
+    products: {
+      items: products,
+      list: jest.fn(() => list(products)),
+      create: jest.fn(async (params) => {
+        const product = { id: `prod_new${nextId++}`, active: true, ...params };
+        products.push(product);
+        return product;
+      }),
+      update: jest.fn(async (id, params) => Object.assign(products.find(p => p.id === id), params)),
+    },
+    prices: {
+      items: prices,
+      list: jest.fn(({ product }) => list(prices.filter(p => p.product === product))),
+      retrieve: jest.fn(async (id) => {
+        const price = prices.find(p => p.id === id);
+        if (!price) throw notFound();
+        return { ...price };
+      }),
+      create: jest.fn(async ({ product, currency, unit_amount, recurring, active }) => {
+        const price = { id: `price_new${nextId++}`, product, currency, unit_amount, recurring, active };
+        prices.push(price);
+        return price;
+      }),
+      update: jest.fn(async (id, params) => Object.assign(prices.find(p => p.id === id), params)),
+    },
+  };
+}
+
+function stripePrice(id, product, currency, unitAmount, interval, active = true) {
+  return { id, product, currency, unit_amount: unitAmount, recurring: { interval, usage_type: 'licensed' }, active };
+}
+
+// A Stripe account already matching the fixture catalogue
+function syncedAccount() {
+  const catalogue = loadFixture();
+
+  const metadata = (plan, version) => ({
+    plan_id: plan.id,
+    plan_version: String(version.version),
+    messageLimit: String(version.messageLimit),
+    agents: String(version.agents),
+    features: version.features.join(','),
+  });
+  const [starter, pro] = catalogue.plans;
+
+  return {
+    catalogue,
+    products: [
+      { id: 'prod_starter', name: 'Starter', description: 'Starter plan', active: true, metadata: metadata(starter, starter.versions[0]) },
+      { id: 'prod_pro', name: 'Pro', description: 'Pro plan', active: true, metadata: metadata(pro, pro.versions[1]) },
+    ],
+    prices: [
+      stripePrice('price_starterV1Monthly', 'prod_starter', 'usd', 2900, 'month'),
+      stripePrice('price_starterV1Yearly', 'prod_starter', 'usd', 29000, 'year'),
+      stripePrice('price_proV1Monthly', 'prod_pro', 'usd', 7900, 'month', false),
+      stripePrice('price_proV2Monthly', 'prod_pro', 'usd', 8900, 'month'),
+      stripePrice('price_proV2MonthlyEur', 'prod_pro', 'eur', 8500, 'month'),
+      stripePrice('price_proV2Yearly', 'prod_pro', 'usd', 89000, 'year'),
+    ],
+  };
+}
+
+describe('Plan Catalogue Sync', () => {
+  it('should report nothing for an account that matches the catalogue', async () => {
+    const { catalogue, products, prices } = syncedAccount();
+    const stripe = createStripe({ products, prices });
+
+    const result = await syncPlanCatalogue(stripe, catalogue, { apply: true });
+
+    expect(result.changes).toEqual([]);
+    expect(result.problems).toEqual([]);
+    expect(result.catalogue).toEqual(catalogue);
+  });
+
+  it('should only report changes on a dry run', async () => {
+    const stripe = createStripe();
+
+    const catalogue = loadFixture();
+    catalogue.plans[1].versions[1].prices[2].id = null;
+
+    const { changes } = await syncPlanCatalogue(stripe, catalogue);
+
+    expect(changes.map(c => c.type)).toEqual(['create_product', 'create_product', 'create_price']);
+    expect(stripe.products.create).not.toHaveBeenCalled();
+    expect(stripe.prices.create).not.toHaveBeenCalled();
+  });
+
+  it('should create products and missing prices, returning their IDs', async () => {
+    const { products, prices } = syncedAccount();
+    const stripe = createStripe({ products, prices: prices.filter(p => p.id !== 'price_proV2Yearly') });
+    const catalogue = loadFixture();
+    catalogue.plans[1].versions[1].prices[2].id = null;
+
+    const { changes, catalogue: updated } = await syncPlanCatalogue(stripe, catalogue, { apply: true });
+
+    expect(changes).toEqual([
+      { type: 'create_price', plan: 'pro', version: 2, price: 'pro_v2_year_usd' },
+    ]);
+    expect(stripe.prices.create).toHaveBeenCalledWith(expect.objectContaining({
+      product: 'prod_pro',
+      currency: 'usd',
+      unit_amount: 89000,
+      recurring: { interval: 'year' },
+      lookup_key: 'pro_v2_year_usd',
+      active: true,
+    }));
+    expect(updated.plans[1].versions[1].prices[2].id).toMatch(/^price_new/);
+    // The caller's catalogue is left alone
+    expect(catalogue.plans[1].versions[1].prices[2].id).toBeNull();
+  });
+
+  it('should archive superseded versions\' prices and keep current ones active', async () => {
+    const { catalogue, products, prices } = syncedAccount();
+    prices.find(p => p.id === 'price_proV1Monthly').active = true;
+    prices.find(p => p.id === 'price_proV2MonthlyEur').active = false;
+    const stripe = createStripe({ products, prices });
+
+    const { changes } = await syncPlanCatalogue(stripe, catalogue, { apply: true });
+
+    expect(changes).toEqual([
+      { type: 'archive_price', plan: 'pro', version: 1, price: 'price_proV1Monthly' },
+      { type: 'activate_price', plan: 'pro', version: 2, price: 'price_proV2MonthlyEur' },
+    ]);
+    expect(stripe.prices.update).toHaveBeenCalledWith('price_proV1Monthly', { active: false });
+    expect(stripe.prices.update).toHaveBeenCalledWith('price_proV2MonthlyEur', { active: true });
+  });
+
+  it('should adopt a product created before the catalogue and update its details', async () => {
+    const { catalogue, products, prices } = syncedAccount();
+    Object.assign(products[1], {
+      description: 'For power users',
+      metadata: { messageLimit: '20000', agents: '10', features: 'all_starter,gmail' },
+    });
+    const stripe = createStripe({ products, prices });
+
+    const { changes } = await syncPlanCatalogue(stripe, catalogue, { apply: true });
+
+    expect(changes).toEqual([{
+      type: 'update_product',
+      plan: 'pro',
+      product: 'prod_pro',
+      fields: ['description', 'metadata.plan_id', 'metadata.plan_version', 'metadata.messageLimit', 'metadata.features'],
+    }]);
+    expect(products[1]).toMatchObject({
+      description: 'Pro plan',
+      metadata: { plan_id: 'pro', plan_version: '2', messageLimit: '25000', features: 'chat,memory,gmail,browser' },
+    });
+  });
+
+  it('should report prices that differ from the catalogue instead of changing them', async () => {
+    const { catalogue, products, prices } = syncedAccount();
+    prices.find(p => p.id === 'price_proV2Monthly').unit_amount = 9900;
+    prices.splice(prices.findIndex(p => p.id === 'price_starterV1Monthly'), 1);
+    prices.push(stripePrice('price_manual', 'prod_pro', 'usd', 4900, 'month'));
+    prices.push({ ...stripePrice('price_overage', 'prod_pro', 'usd', null, 'month'), recurring: { interval: 'month', usage_type: 'metered' } });
+    const stripe = createStripe({ products, prices });
+
+    const { changes, problems } = await syncPlanCatalogue(stripe, catalogue, { apply: true });
+
+    expect(changes).toEqual([]);
+    expect(problems).toEqual([
+      { type: 'missing_price', plan: 'starter', version: 1, price: 'price_starterV1Monthly' },
+      { type: 'price_mismatch', plan: 'pro', version: 2, price: 'price_proV2Monthly', fields: ['amount 9900 ≠ 8900'] },
+      { type: 'untracked_price', plan: 'pro', price: 'price_manual' },
+    ]);
+    expect(stripe.prices.update).not.toHaveBeenCalled();
+  });
+
+  it('should build stable lookup keys', () => {
+    expect(priceLookupKey({ id: 'team' }, { version: 3 }, { interval: 'year', currency: 'eur' })).toBe('team_v3_year_eur');
+  });
+});
@@ -9,10 +9,19 @@ const {
   getPlan,
   getPlanLimits,
   hasFeature,
+  getOverage,
+  getAttachmentLimits,
+  getPlanModel,
   getAllPriceIds,
+  isKnownPriceId,
   isValidPriceId,
+  validateCatalogue,
 } = require('../../plans');
 
+const path = require('path');
+
+const FIXTURE_CATALOGUE = path.join(__dirname, '..', 'fixtures', 'plan-catalogue.json');
+
 describe('Plans Module', () => {
   describe('PLANS constant', () => {
     it('should have all expected plans', () => {
@@ -182,6 +191,48 @@ describe('Plans Module', () => {
     });
   });
 
+  describe('getOverage', () => {
+    it('should return the overage config for plans that offer it', () => {
+      expect(getOverage('Pro')).toEqual(expect.objectContaining({ pricePerMessage: 0.005 }));
+      expect(getOverage('Team')).toEqual(expect.objectContaining({ pricePerMessage: 0.004 }));
+    });
+
+    it('should return null for plans without overage and unknown plans', () => {
+      expect(getOverage('Starter')).toBeNull();
+      expect(getOverage('InvalidPlan')).toBeNull();
+    });
+  });
+
+  describe('getAttachmentLimits', () => {
+    it('should return each plan\'s attachment limits', () => {
+      expect(getAttachmentLimits('Starter')).toEqual({ maxFileMb: 5, perMonth: 100, voice: false });
+      expect(getAttachmentLimits('Pro')).toEqual({ maxFileMb: 20, perMonth: 1000, voice: true });
+    });
+
+    it('should return null for unknown plans', () => {
+      expect(getAttachmentLimits('InvalidPlan')).toBeNull();
+    });
+  });
+
+  describe('getPlanModel', () => {
+    it('should return the Anthropic model by default', () => {
+      expect(getPlanModel('Pro')).toBe(PLANS['price_1SwtCbBfSldKMuDjDmRHqErh'].models.anthropic);
+    });
+
+    it('should return the model for the requested provider', () => {
+      expect(getPlanModel('Starter', 'openai')).toBe(PLANS[DEFAULT_PLAN_ID].models.openai);
+    });
+
+    it('should fall back to the Anthropic model for unknown providers', () => {
+      expect(getPlanModel('Team', 'fake')).toBe(getPlanModel('Team', 'anthropic'));
+    });
+
+    it('should use the default plan model for unknown plans', () => {
+      expect(getPlanModel('free')).toBe(getPlanModel('Starter'));
+      expect(getPlanModel(undefined)).toBe(getPlanModel('Starter'));
+    });
+  });
+
   describe('getAllPriceIds', () => {
     it('should return an array', () => {
       const priceIds = getAllPriceIds();
@@ -216,6 +267,13 @@ describe('Plans Module', () => {
       expect(isValidPriceId(null)).toBe(false);
     });
 
+    // BUG CATCHER: Inherited object keys are not prices
+    it('should reject Object.prototype property names', () => {
+      expect(isValidPriceId('constructor')).toBe(false);
+      expect(isValidPriceId('__proto__')).toBe(false);
+      expect(getPlan('toString')).toBe(PLANS[DEFAULT_PLAN_ID]);
+    });
+
     // BUG CATCHER: Price ID manipulation
     it('should reject price IDs with modified characters', () => {
       const validPriceId = getAllPriceIds()[0];
@@ -253,4 +311,168 @@ describe('Plans Module', () => {
       });
     });
   });
+
+  describe('Plan catalogue', () => {
+    const catalogue = () => JSON.parse(require('fs').readFileSync(FIXTURE_CATALOGUE, 'utf8'));
+
+    // plans.js loads its catalogue once, from PLAN_CATALOGUE_PATH
+    function loadPlans(file) {
+      const original = process.env.PLAN_CATALOGUE_PATH;
+      process.env.PLAN_CATALOGUE_PATH = file;
+      try {
+        let plans;
+        jest.isolateModules(() => {
+          plans = require('../../plans');
+        });
+        return plans;
+      } finally {
+        if (original === undefined) delete process.env.PLAN_CATALOGUE_PATH;
+        else process.env.PLAN_CATALOGUE_PATH = original;
+      }
+    }
+
+    it('should accept the shipped and fixture catalogues', () => {
+      expect(validateCatalogue(require('../../plan-catalogue.json'))).toEqual([]);
+      expect(validateCatalogue(catalogue())).toEqual([]);
+    });
+
+    it('should report invalid catalogues', () => {
+      const broken = catalogue();
+      broken.plans[1].versions[1].messageLimit = 0;
+      broken.plans[1].versions[1].prices[1].id = 'price_proV1Monthly';
+      broken.plans[1].versions[1].prices.push({ id: null, currency: 'USD', interval: 'week', amount: 10 });
+      broken.defaultPlan = 'free';
+
+      expect(validateCatalogue(broken)).toEqual([
+        'plans[1] (pro) v2: messageLimit must be a positive integer',
+        'plans[1] (pro) v2: price price_proV1Monthly is listed more than once',
+        'plans[1] (pro) v2: currency must be a lowercase ISO code',
+        'plans[1] (pro) v2: interval must be one of month, year',
+        'defaultPlan must be one of the plan ids',
+      ]);
+      expect(validateCatalogue({ plans: [] })).toEqual(['plans must be a non-empty array']);
+    });
+
+    it('should report invalid attachment limits', () => {
+      const broken = catalogue();
+      broken.plans[0].versions[0].attachments = { maxFileMb: 50, perMonth: 0, voice: 'yes' };
+
+      expect(validateCatalogue(broken)).toEqual([
+        'plans[0] (starter) v1: attachments.maxFileMb must be more than 0 and at most 20',
+        'plans[0] (starter) v1: attachments.perMonth must be a positive integer',
+        'plans[0] (starter) v1: attachments.voice must be true or false',
+      ]);
+    });
+
+    it('should refuse to load an invalid catalogue', () => {
+      const fs = require('fs');
+      const os = require('os');
+      const file = path.join(os.tmpdir(), `plan-catalogue-${process.pid}.json`);
+      const broken = catalogue();
+      broken.plans[0].versions[0].prices = [];
+      fs.writeFileSync(file, JSON.stringify(broken));
+
+      try {
+        expect(() => loadPlans(file)).toThrow('plans[0] (starter) v1: prices must be a non-empty array');
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+
+    it('should keep every version\'s prices but only sell the current version', () => {
+      const plans = loadPlans(FIXTURE_CATALOGUE);
+
+      expect(plans.getAllPriceIds()).toEqual([
+        'price_starterV1Monthly',
+        'price_starterV1Yearly',
+        'price_proV2Monthly',
+        'price_proV2MonthlyEur',
+        'price_proV2Yearly',
+      ]);
+      expect(plans.isValidPriceId('price_proV1Monthly')).toBe(false);
+      expect(plans.isKnownPriceId('price_proV1Monthly')).toBe(true);
+      expect(plans.getPlan('price_proV1Monthly')).toMatchObject({ name: 'Pro', version: 1, legacy: true });
+      expect(plans.getPlan('price_proV2MonthlyEur')).toMatchObject({
+        version: 2,
+        priceMonthly: 89,
+        price: { currency: 'eur', interval: 'month', amount: 8500 },
+      });
+    });
+
+    it('should give grandfathered customers their version\'s limits', () => {
+      const plans = loadPlans(FIXTURE_CATALOGUE);
+
+      expect(plans.getPlanLimits('Pro', 'price_proV1Monthly').messagesPerMonth).toBe(20000);
+      expect(plans.getPlanLimits('Pro', 'price_proV2Monthly').messagesPerMonth).toBe(25000);
+      expect(plans.getPlanLimits('Pro').messagesPerMonth).toBe(25000);
+      expect(plans.hasFeature('Pro', 'browser', 'price_proV1Monthly')).toBe(false);
+      expect(plans.hasFeature('Pro', 'browser')).toBe(true);
+      expect(plans.getOverage('Pro', 'price_proV1Monthly').pricePerMessage).toBe(0.005);
+    });
+
+    it('should give grandfathered customers their version\'s model', () => {
+      const fs = require('fs');
+      const os = require('os');
+      const file = path.join(os.tmpdir(), `plan-catalogue-models-${process.pid}.json`);
+      const legacy = catalogue();
+      legacy.plans[1].versions[0].models = { anthropic: 'claude-3-5-sonnet-20241022' };
+      fs.writeFileSync(file, JSON.stringify(legacy));
+
+      try {
+        const plans = loadPlans(file);
+        expect(plans.getPlanModel('Pro', 'anthropic', 'price_proV1Monthly')).toBe('claude-3-5-sonnet-20241022');
+        expect(plans.getPlanModel('Pro', 'anthropic', 'price_proV2Monthly')).toBe('claude-sonnet-4-20250514');
+        expect(plans.getPlanModel('Pro')).toBe('claude-sonnet-4-20250514');
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+
+    it('should ignore a price from another plan', () => {
+      const plans = loadPlans(FIXTURE_CATALOGUE);
+
+      expect(plans.getPlanLimits('Starter', 'price_proV1Monthly').messagesPerMonth).toBe(5000);
+    });
+
+    it('should resolve annual prices to the same plan limits', () => {
+      const plans = loadPlans(FIXTURE_CATALOGUE);
+      const annual = plans.getPlan('price_starterV1Yearly');
+
+      expect(annual).toMatchObject({
+        name: 'Starter',
+        messageLimit: 5000,
+        priceMonthly: 29,
+        priceAnnual: 290,
+        price: { currency: 'usd', interval: 'year', amount: 29000 },
+      });
+      expect(plans.getPlanLimits('Starter', 'price_starterV1Yearly')).toEqual(plans.getPlanLimits('Starter'));
+    });
+
+    it('should not offer overage on annual prices', () => {
+      const plans = loadPlans(FIXTURE_CATALOGUE);
+
+      expect(plans.getOverage('Pro', 'price_proV2Monthly')).not.toBeNull();
+      expect(plans.getOverage('Pro', 'price_proV2Yearly')).toBeNull();
+      expect(plans.getPlan('price_proV2Yearly').overage).toBeNull();
+    });
+
+    it('should skip prices not yet created in Stripe', () => {
+      // The shipped annual prices are created by the first plans:sync
+      const annual = require('../../plan-catalogue.json').plans[0].versions[0].prices
+        .find((price) => price.interval === 'year');
+
+      expect(annual.id).toBeNull();
+      expect(Object.values(PLANS).some((plan) => plan.price.interval === 'year')).toBe(false);
+      expect(PLANS[DEFAULT_PLAN_ID].priceAnnual).toBe(290);
+    });
+  });
+
+  describe('isKnownPriceId', () => {
+    it('should match isValidPriceId while no version is grandfathered', () => {
+      getAllPriceIds().forEach((priceId) => {
+        expect(isKnownPriceId(priceId)).toBe(true);
+      });
+      expect(isKnownPriceId('constructor')).toBe(false);
+    });
+  });
 });
@@ -0,0 +1,236 @@
+/**
+ * Unit Tests for Provisioning Rollback
+ * Tests the provisioning_resources ledger and rolling back a failed
+ * provisioning, using local stand-ins for the Railway and Neon provisioners
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { provisionCustomer, rollbackProvisioning } = require('../../provisioning/index-real');
+
+// In-memory stand-in for provisioning_resources and the customer row
+function createPool() {
+  const resources = [];
+  const customer = {};
+
+  return {
+    resources,
+    customer,
+    query: jest.fn(async (sql, params = []) => {
+      if (sql.includes('INSERT INTO provisioning_resources')) {
+        const [customerId, workspaceId, jobId, type, resourceId, details] = params;
+        const existing = resources.find(r => r.resource_type === type && r.resource_id === resourceId);
+        if (existing) {
+          Object.assign(existing, { workspace_id: workspaceId, job_id: jobId, details: JSON.parse(details), status: 'active' });
+        } else {
+          resources.push({
+            id: resources.length + 1,
+            stripe_customer_id: customerId,
+            workspace_id: workspaceId,
+            job_id: jobId,
+            resource_type: type,
+            resource_id: resourceId,
+            details: JSON.parse(details),
+            status: 'active',
+          });
+        }
+        return { rows: [] };
+      }
+      if (sql.includes('FROM provisioning_resources')) {
+        return {
+          rows: resources
+            .filter(r => r.workspace_id === params[0] && ['active', 'release_failed'].includes(r.status))
+            .filter(r => params[1] === null || r.job_id === params[1])
+            .filter(r => params[2] === null || r.details.step === params[2])
+            .sort((a, b) => b.id - a.id),
+        };
+      }
+      if (sql.includes('SET status = \'kept\'')) {
+        resources
+          .filter(r => r.workspace_id === params[0] && r.status === 'active')
+          .forEach(r => { r.status = 'kept'; });
+        return { rows: [] };
+      }
+      if (sql.includes('SET status = \'released\'')) {
+        Object.assign(resources.find(r => r.id === params[0]), { status: 'released', error: null });
+        return { rows: [] };
+      }
+      if (sql.includes('SET status = \'release_failed\'')) {
+        Object.assign(resources.find(r => r.id === params[0]), { status: 'release_failed', error: params[1] });
+        return { rows: [] };
+      }
+      if (sql.includes('rollback_status')) {
+        Object.assign(customer, { rollback_status: params[0], rollback_error: params[1] });
+        return { rows: [] };
+      }
+      return { rows: [] };
+    }),
+  };
+}
+
+// Local stand-ins for the Railway / Neon APIs: record what was torn down
+function createStandIns() {
+  const released = [];
+  const standIns = {
+    released,
+    workspaceId: null,
+    railway: {
+      deployCustomerInstance: jest.fn(async (customerId, email, plan, { onResource, workspaceId }) => {
+        standIns.workspaceId = workspaceId;
+        await onResource('railway_service', 'svc_1', { name: 'clawdbot-test' });
+        return { instanceId: 'svc_1', workspaceId, accessUrl: 'https://svc-1.example.com' };
+      }),
+      configureEnvironment: jest.fn().mockResolvedValue(),
+      triggerDeployment: jest.fn().mockResolvedValue({ id: 'dep_1' }),
+      deprovisionCustomer: jest.fn(async (serviceId) => { released.push(`railway:${serviceId}`); }),
+    },
+    neon: {
+      createDatabase: jest.fn(async (workspaceId, { onResource }) => {
+        await onResource('neon_branch', 'br_1', { workspaceId });
+        return { branchId: 'br_1', connectionString: 'postgres://customer' };
+      }),
+      deleteDatabase: jest.fn(async (branchId) => { released.push(`neon:${branchId}`); }),
+    },
+  };
+  return standIns;
+}
+
+describe('Provisioning Rollback', () => {
+  const originalEnv = { ...process.env };
+  let workspacesDir;
+
+  beforeEach(async () => {
+    workspacesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'clawdbot-rollback-'));
+    process.env.WORKSPACES_DIR = workspacesDir;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    process.env = { ...originalEnv };
+    jest.restoreAllMocks();
+    await fs.rm(workspacesDir, { recursive: true, force: true });
+  });
+
+  describe('provisionCustomer', () => {
+    it('should record each resource as it is created', async () => {
+      const pool = createPool();
+      const standIns = createStandIns();
+      standIns.railway.configureEnvironment.mockRejectedValue(new Error('Railway API down'));
+
+      await expect(provisionCustomer('cus_1', 'user@example.com', 'price_x', { pool, ...standIns }))
+        .rejects.toThrow('Railway API down');
+
+      expect(pool.resources.map(r => [r.resource_type, r.resource_id])).toEqual([
+        ['railway_service', 'svc_1'],
+        ['workspace_directory', path.join(workspacesDir, standIns.workspaceId)],
+        ['neon_branch', 'br_1'],
+      ]);
+    });
+
+    it('should release everything in reverse order when step 4 fails', async () => {
+      const pool = createPool();
+      const standIns = createStandIns();
+      standIns.railway.configureEnvironment.mockRejectedValue(new Error('Railway API down'));
+
+      await expect(provisionCustomer('cus_1', 'user@example.com', 'price_x', { pool, ...standIns }))
+        .rejects.toThrow('Railway API down');
+
+      expect(standIns.released).toEqual(['neon:br_1', 'railway:svc_1']);
+      await expect(fs.access(path.join(workspacesDir, standIns.workspaceId))).rejects.toThrow();
+      expect(pool.resources.every(r => r.status === 'released')).toBe(true);
+      expect(pool.customer).toEqual({ rollback_status: 'rolled_back', rollback_error: null });
+    });
+
+    it('should release the branch created before step 3 failed', async () => {
+      const pool = createPool();
+      const standIns = createStandIns();
+      standIns.neon.createDatabase.mockImplementation(async (workspaceId, { onResource }) => {
+        await onResource('neon_branch', 'br_half', { workspaceId });
+        throw new Error('Schema init failed');
+      });
+
+      await expect(provisionCustomer('cus_1', 'user@example.com', 'price_x', { pool, ...standIns }))
+        .rejects.toThrow('Schema init failed');
+
+      expect(standIns.released).toEqual(['neon:br_half', 'railway:svc_1']);
+    });
+  });
+
+  describe('rollbackProvisioning', () => {
+    it('should keep going past a failed release and record the outcome', async () => {
+      const pool = createPool();
+      const standIns = createStandIns();
+      standIns.neon.deleteDatabase.mockRejectedValueOnce(new Error('Neon timeout'));
+      standIns.railway.configureEnvironment.mockRejectedValue(new Error('Railway API down'));
+
+      await expect(provisionCustomer('cus_1', 'user@example.com', 'price_x', { pool, ...standIns }))
+        .rejects.toThrow('Railway API down');
+
+      expect(standIns.released).toEqual(['railway:svc_1']);
+      expect(pool.resources.find(r => r.resource_id === 'br_1')).toMatchObject({
+        status: 'release_failed',
+        error: 'Neon timeout',
+      });
+      expect(pool.customer).toEqual({
+        rollback_status: 'rollback_failed',
+        rollback_error: 'neon_branch br_1: Neon timeout',
+      });
+    });
+
+    it('should be idempotent and retry only what failed', async () => {
+      const pool = createPool();
+      const standIns = createStandIns();
+      standIns.neon.deleteDatabase.mockRejectedValueOnce(new Error('Neon timeout'));
+      standIns.railway.configureEnvironment.mockRejectedValue(new Error('Railway API down'));
+      await provisionCustomer('cus_1', 'user@example.com', 'price_x', { pool, ...standIns }).catch(() => {});
+
+      const options = { pool, ...standIns, workspaceId: standIns.workspaceId };
+      const retry = await rollbackProvisioning('cus_1', options);
+      const again = await rollbackProvisioning('cus_1', options);
+
+      expect(retry).toEqual({ released: ['neon_branch br_1'], failed: [] });
+      expect(again).toEqual({ released: [], failed: [] });
+      expect(standIns.railway.deprovisionCustomer).toHaveBeenCalledTimes(1);
+      expect(pool.customer.rollback_status).toBe('rolled_back');
+    });
+
+    it('should treat a branch that is already gone as released', async () => {
+      const pool = createPool();
+      const standIns = createStandIns();
+      const notFound = Object.assign(new Error('Not found'), { response: { status: 404 } });
+      standIns.neon.deleteDatabase.mockRejectedValue(notFound);
+      standIns.railway.configureEnvironment.mockRejectedValue(new Error('Railway API down'));
+
+      await provisionCustomer('cus_1', 'user@example.com', 'price_x', { pool, ...standIns }).catch(() => {});
+
+      expect(pool.customer.rollback_status).toBe('rolled_back');
+    });
+
+    it('should leave resources of the customer\'s other workspaces alone', async () => {
+      const pool = createPool();
+      const standIns = createStandIns();
+      // A returning customer: their old workspace was provisioned (and maybe
+      // torn down) before this attempt
+      pool.resources.push(
+        { id: 1, stripe_customer_id: 'cus_1', workspace_id: 'ws_old', resource_type: 'railway_service', resource_id: 'svc_old', details: {}, status: 'kept' },
+        { id: 2, stripe_customer_id: 'cus_1', workspace_id: 'ws_old', resource_type: 'neon_branch', resource_id: 'br_old', details: {}, status: 'active' }
+      );
+      standIns.railway.configureEnvironment.mockRejectedValue(new Error('Railway API down'));
+
+      await expect(provisionCustomer('cus_1', 'user@example.com', 'price_x', { pool, ...standIns }))
+        .rejects.toThrow('Railway API down');
+
+      expect(standIns.released).toEqual(['neon:br_1', 'railway:svc_1']);
+      expect(pool.resources.filter(r => r.workspace_id === 'ws_old').map(r => r.status)).toEqual(['kept', 'active']);
+    });
+
+    it('should do nothing without a ledger', async () => {
+      expect(await rollbackProvisioning('cus_1')).toEqual({ released: [], failed: [] });
+      expect(await rollbackProvisioning('cus_1', { pool: createPool() })).toEqual({ released: [], failed: [] });
+    });
+  });
+});
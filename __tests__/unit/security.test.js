@@ -13,6 +13,7 @@ const {
   validateWorkspaceId,
   validatePriceId,
   createRateLimiter,
+  requireAdmin,
 } = require('../../lib/security');
 
 describe('Security Module', () => {
@@ -363,4 +364,47 @@ describe('Security Module', () => {
       expect((await limiter.check({ ip: '2.2.2.2' })).allowed).toBe(false);
     });
   });
+
+  describe('requireAdmin', () => {
+    const originalSecret = process.env.ADMIN_SECRET;
+
+    function run(authorization) {
+      const req = { headers: authorization ? { authorization } : {}, path: '/admin/test', ip: '127.0.0.1' };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      requireAdmin(req, res, next);
+      return { res, next };
+    }
+
+    beforeEach(() => {
+      process.env.ADMIN_SECRET = 'admin_test_secret';
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      if (originalSecret === undefined) delete process.env.ADMIN_SECRET;
+      else process.env.ADMIN_SECRET = originalSecret;
+      jest.restoreAllMocks();
+    });
+
+    it('should allow the admin secret', () => {
+      expect(run('Bearer admin_test_secret').next).toHaveBeenCalled();
+    });
+
+    it('should reject a wrong or missing secret', () => {
+      for (const header of ['Bearer wrong', 'admin_test_secret', undefined]) {
+        const { res, next } = run(header);
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(next).not.toHaveBeenCalled();
+      }
+    });
+
+    it('should disable admin endpoints without ADMIN_SECRET', () => {
+      delete process.env.ADMIN_SECRET;
+
+      const { res, next } = run('Bearer ');
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
 });
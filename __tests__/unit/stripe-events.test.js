@@ -0,0 +1,275 @@
+/**
+ * Unit Tests for the Stripe Event Ledger
+ * Tests deduplication, out-of-order subscription events and replaying
+ * failed events, against an in-memory stripe_events table
+ */
+
+const {
+  processStripeEvent,
+  replayStripeEvent,
+  replayFailedStripeEvents,
+  listStripeEvents,
+} = require('../../lib/stripe-events');
+
+// Left 'processing' longer than PROCESSING_TIMEOUT_MS ($2)
+function isStalled(event, timeoutMs) {
+  return event.status === 'processing' && event.updated_at < Date.now() - timeoutMs;
+}
+
+// In-memory stand-in for stripe_events
+function createPool() {
+  const events = new Map();
+
+  return {
+    events,
+    query: jest.fn(async (sql, params = []) => {
+      if (sql.includes('INSERT INTO stripe_events')) {
+        const [id, type, objectId, customerId, created, payload] = params;
+        if (!events.has(id)) {
+          events.set(id, {
+            id,
+            type,
+            object_id: objectId,
+            stripe_customer_id: customerId,
+            stripe_created: created,
+            payload: JSON.parse(payload),
+            status: 'received',
+            attempts: 0,
+            error: null,
+            updated_at: Date.now(),
+          });
+        }
+        return { rows: [] };
+      }
+      if (sql.includes('SET status = \'processing\'')) {
+        const event = events.get(params[0]);
+        if (!event || !(['received', 'failed'].includes(event.status) || isStalled(event, params[1]))) {
+          return { rows: [] };
+        }
+        event.status = 'processing';
+        event.attempts++;
+        event.updated_at = Date.now();
+        return { rows: [{ id: event.id }] };
+      }
+      if (sql.includes('SET status = $2, error = $3')) {
+        Object.assign(events.get(params[0]), { status: params[1], error: params[2], updated_at: Date.now() });
+        return { rows: [] };
+      }
+      if (sql.includes('stripe_created > to_timestamp($2)')) {
+        const newer = [...events.values()]
+          .filter(e => e.object_id === params[0] && params[2].includes(e.type) &&
+            e.status === 'processed' && e.stripe_created > params[1])
+          .sort((a, b) => b.stripe_created - a.stripe_created);
+        return { rows: newer.slice(0, 1) };
+      }
+      if (sql.includes('WHERE id = $1')) {
+        const event = events.get(params[0]);
+        return { rows: event ? [{ ...event, stalled: isStalled(event, params[1]) }] : [] };
+      }
+      if (sql.includes('WHERE status = \'failed\'')) {
+        return {
+          rows: [...events.values()]
+            .filter(e => e.status === 'failed' || isStalled(e, params[1]))
+            .sort((a, b) => a.stripe_created - b.stripe_created)
+            .slice(0, params[0]),
+        };
+      }
+      if (sql.includes('FROM stripe_events')) {
+        const [status] = params;
+        return { rows: [...events.values()].filter(e => !sql.includes('WHERE') || e.status === status) };
+      }
+      return { rows: [] };
+    }),
+  };
+}
+
+function subscriptionEvent(id, created, type = 'customer.subscription.updated') {
+  return {
+    id,
+    type,
+    created,
+    data: { object: { id: 'sub_1', customer: 'cus_1', status: 'active' } },
+  };
+}
+
+describe('Stripe Event Ledger', () => {
+  let pool;
+  let handlers;
+
+  beforeEach(() => {
+    pool = createPool();
+    handlers = {
+      'customer.subscription.updated': jest.fn().mockResolvedValue(),
+      'customer.subscription.deleted': jest.fn().mockResolvedValue(),
+      'invoice.payment_failed': jest.fn().mockResolvedValue(),
+    };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('processStripeEvent', () => {
+    it('should store and handle a new event', async () => {
+      const event = subscriptionEvent('evt_1', 1700000000);
+
+      expect(await processStripeEvent(pool, event, handlers)).toEqual({ status: 'processed' });
+
+      expect(handlers['customer.subscription.updated']).toHaveBeenCalledWith(event.data.object, event);
+      expect(pool.events.get('evt_1')).toMatchObject({
+        type: 'customer.subscription.updated',
+        object_id: 'sub_1',
+        stripe_customer_id: 'cus_1',
+        status: 'processed',
+        attempts: 1,
+      });
+    });
+
+    it('should handle a redelivered event only once', async () => {
+      const event = {
+        id: 'evt_inv',
+        type: 'invoice.payment_failed',
+        created: 1700000000,
+        data: { object: { id: 'in_1', customer: 'cus_1', attempt_count: 1 } },
+      };
+
+      await processStripeEvent(pool, event, handlers);
+      const second = await processStripeEvent(pool, event, handlers);
+
+      expect(second).toEqual({ status: 'duplicate' });
+      expect(handlers['invoice.payment_failed']).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip a subscription event older than one already processed', async () => {
+      await processStripeEvent(pool, subscriptionEvent('evt_deleted', 1700000100, 'customer.subscription.deleted'), handlers);
+
+      const stale = await processStripeEvent(pool, subscriptionEvent('evt_old', 1700000000), handlers);
+
+      expect(stale).toEqual({ status: 'skipped', supersededBy: 'evt_deleted' });
+      expect(handlers['customer.subscription.updated']).not.toHaveBeenCalled();
+      expect(pool.events.get('evt_old')).toMatchObject({ status: 'skipped', error: 'Superseded by evt_deleted' });
+    });
+
+    it('should always handle notifications such as trial_will_end', async () => {
+      handlers['customer.subscription.trial_will_end'] = jest.fn().mockResolvedValue();
+      await processStripeEvent(pool, subscriptionEvent('evt_new', 1700000100), handlers);
+
+      const result = await processStripeEvent(
+        pool, subscriptionEvent('evt_trial', 1700000000, 'customer.subscription.trial_will_end'), handlers
+      );
+
+      expect(result).toEqual({ status: 'processed' });
+      expect(handlers['customer.subscription.trial_will_end']).toHaveBeenCalled();
+    });
+
+    it('should record a failed handler and let the redelivery retry it', async () => {
+      const event = subscriptionEvent('evt_1', 1700000000);
+      handlers['customer.subscription.updated'].mockRejectedValueOnce(new Error('Railway API down'));
+
+      await expect(processStripeEvent(pool, event, handlers)).rejects.toThrow('Railway API down');
+      expect(pool.events.get('evt_1')).toMatchObject({ status: 'failed', error: 'Railway API down' });
+
+      expect(await processStripeEvent(pool, event, handlers)).toEqual({ status: 'processed' });
+      expect(pool.events.get('evt_1')).toMatchObject({ status: 'processed', error: null, attempts: 2 });
+    });
+
+    it('should tell a redelivery the event is still being processed', async () => {
+      const event = subscriptionEvent('evt_1', 1700000000);
+      let redelivery;
+      handlers['customer.subscription.updated'].mockImplementationOnce(async () => {
+        redelivery = await processStripeEvent(pool, event, handlers);
+      });
+
+      expect(await processStripeEvent(pool, event, handlers)).toEqual({ status: 'processed' });
+      expect(redelivery).toEqual({ status: 'in_progress' });
+      expect(handlers['customer.subscription.updated']).toHaveBeenCalledTimes(1);
+    });
+
+    it('should take over an event left processing past the timeout', async () => {
+      const event = subscriptionEvent('evt_1', 1700000000);
+      handlers['customer.subscription.updated'].mockImplementationOnce(() => new Promise(() => {}));
+      processStripeEvent(pool, event, handlers);
+      await new Promise(resolve => setImmediate(resolve));
+      pool.events.get('evt_1').updated_at = Date.now() - 11 * 60 * 1000;
+
+      expect(await processStripeEvent(pool, event, handlers)).toEqual({ status: 'processed' });
+      expect(pool.events.get('evt_1')).toMatchObject({ status: 'processed', attempts: 2 });
+    });
+
+    it('should mark events without a handler as ignored', async () => {
+      const event = { id: 'evt_x', type: 'customer.created', created: 1700000000, data: { object: { id: 'cus_1' } } };
+
+      expect(await processStripeEvent(pool, event, handlers)).toEqual({ status: 'ignored' });
+      expect(pool.events.get('evt_x').status).toBe('ignored');
+    });
+  });
+
+  describe('replay', () => {
+    it('should replay a failed event from its stored payload', async () => {
+      handlers['customer.subscription.updated'].mockRejectedValueOnce(new Error('Railway API down'));
+      await processStripeEvent(pool, subscriptionEvent('evt_1', 1700000000), handlers).catch(() => {});
+
+      expect(await replayStripeEvent(pool, 'evt_1', handlers)).toEqual({ id: 'evt_1', status: 'processed' });
+      expect(handlers['customer.subscription.updated']).toHaveBeenCalledTimes(2);
+    });
+
+    it('should refuse to replay events that did not fail', async () => {
+      await processStripeEvent(pool, subscriptionEvent('evt_1', 1700000000), handlers);
+
+      expect(await replayStripeEvent(pool, 'evt_1', handlers)).toMatchObject({ status: 'processed', error: expect.any(String) });
+      expect(await replayStripeEvent(pool, 'evt_missing', handlers)).toBeNull();
+      expect(handlers['customer.subscription.updated']).toHaveBeenCalledTimes(1);
+    });
+
+    it('should replay an event interrupted while processing, but not one in progress', async () => {
+      handlers['customer.subscription.updated'].mockImplementationOnce(() => new Promise(() => {}));
+      processStripeEvent(pool, subscriptionEvent('evt_1', 1700000000), handlers);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(await replayStripeEvent(pool, 'evt_1', handlers)).toMatchObject({ status: 'processing', error: expect.any(String) });
+      expect(await replayFailedStripeEvents(pool, handlers)).toEqual([]);
+
+      pool.events.get('evt_1').updated_at = Date.now() - 11 * 60 * 1000;
+
+      expect(await replayFailedStripeEvents(pool, handlers)).toEqual([{ id: 'evt_1', status: 'processed' }]);
+      expect(handlers['customer.subscription.updated']).toHaveBeenCalledTimes(2);
+    });
+
+    it('should replay failed events oldest first and report each outcome', async () => {
+      const handler = handlers['customer.subscription.updated'];
+      handler.mockRejectedValue(new Error('Railway API down'));
+      await processStripeEvent(pool, subscriptionEvent('evt_new', 1700000100), handlers).catch(() => {});
+      await processStripeEvent(pool, subscriptionEvent('evt_old', 1700000000), handlers).catch(() => {});
+      await processStripeEvent(pool, {
+        id: 'evt_inv',
+        type: 'invoice.payment_failed',
+        created: 1700000050,
+        data: { object: { id: 'in_1', customer: 'cus_1' } },
+      }, { 'invoice.payment_failed': jest.fn().mockRejectedValue(new Error('Email down')) }).catch(() => {});
+      handler.mockResolvedValue();
+
+      const replayed = await replayFailedStripeEvents(pool, handlers);
+
+      expect(replayed).toEqual([
+        { id: 'evt_old', status: 'processed' },
+        { id: 'evt_inv', status: 'processed' },
+        { id: 'evt_new', status: 'processed' },
+      ]);
+      expect(handler.mock.calls.slice(-2).map(call => call[1].id)).toEqual(['evt_old', 'evt_new']);
+    });
+  });
+
+  describe('listStripeEvents', () => {
+    it('should filter by status', async () => {
+      handlers['customer.subscription.updated'].mockRejectedValueOnce(new Error('Railway API down'));
+      await processStripeEvent(pool, subscriptionEvent('evt_1', 1700000000), handlers).catch(() => {});
+      await processStripeEvent(pool, subscriptionEvent('evt_2', 1700000100), handlers);
+
+      const failed = await listStripeEvents(pool, { status: 'failed' });
+
+      expect(failed.map(e => e.id)).toEqual(['evt_1']);
+      expect(pool.query.mock.calls.at(-1)[1]).toEqual(['failed', 50]);
+    });
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Unit Tests for Telegram message formatting
+ */
+
+const {
+  MAX_MESSAGE_LENGTH,
+  escapeHTML,
+  toTelegramHTML,
+  splitMessage,
+  formatMessage,
+  sendFormattedMessage
+} = require('../../lib/telegram-format');
+
+// Tags Telegram HTML accepts, properly nested
+function isValidTelegramHTML(html) {
+  const stack = [];
+  for (const [, closing, name] of html.matchAll(/<(\/?)([a-z-]+)[^>]*>/g)) {
+    if (!['b', 'i', 's', 'code', 'pre', 'a', 'blockquote'].includes(name)) return false;
+    if (!closing) stack.push(name);
+    else if (stack.pop() !== name) return false;
+  }
+  const text = html.replace(/<[^>]+>/g, '');
+  return stack.length === 0 && !/[<>]/.test(text) && !/&(?!(amp|lt|gt|quot);)/.test(text);
+}
+
+describe('Telegram formatting', () => {
+  describe('escapeHTML', () => {
+    it('should escape the characters Telegram HTML reserves', () => {
+      expect(escapeHTML('a < b && c > d')).toBe('a &lt; b &amp;&amp; c &gt; d');
+    });
+  });
+
+  describe('toTelegramHTML', () => {
+    it('should convert inline markdown', () => {
+      expect(toTelegramHTML('**bold**, *italic*, _italic_, __bold__ and ~~gone~~'))
+        .toBe('<b>bold</b>, <i>italic</i>, <i>italic</i>, <b>bold</b> and <s>gone</s>');
+    });
+
+    it('should escape model output', () => {
+      expect(toTelegramHTML('if a < b && c > d')).toBe('if a &lt; b &amp;&amp; c &gt; d');
+    });
+
+    it('should leave snake_case names, arithmetic and unmatched markers alone', () => {
+      expect(toTelegramHTML('call get_user_id with 2*3*4')).toBe('call get_user_id with 2*3*4');
+      expect(toTelegramHTML('**unclosed and _stray')).toBe('**unclosed and _stray');
+    });
+
+    it('should never produce overlapping tags', () => {
+      const html = toTelegramHTML('**a *b** c*');
+      expect(html).toBe('<b>a *b</b> c*');
+      expect(isValidTelegramHTML(html)).toBe(true);
+    });
+
+    it('should nest formatting inside bold', () => {
+      expect(toTelegramHTML('**see *this* and `that`**')).toBe('<b>see <i>this</i> and <code>that</code></b>');
+    });
+
+    it('should convert code blocks and escape their contents verbatim', () => {
+      expect(toTelegramHTML('```js\nif (a < b && **x**) {}\n```'))
+        .toBe('<pre><code class="language-js">if (a &lt; b &amp;&amp; **x**) {}</code></pre>');
+      expect(toTelegramHTML('```\nplain\n```')).toBe('<pre>plain</pre>');
+    });
+
+    it('should close a code block cut off by the end of the output', () => {
+      expect(toTelegramHTML('Here:\n```py\nprint("<hi>")')).toBe('Here:\n<pre><code class="language-py">print("&lt;hi&gt;")</code></pre>');
+    });
+
+    it('should keep inline code verbatim', () => {
+      expect(toTelegramHTML('Run `rm -rf *_tmp_*`')).toBe('Run <code>rm -rf *_tmp_*</code>');
+    });
+
+    it('should convert links and escape their URLs', () => {
+      expect(toTelegramHTML('[docs](https://example.com/a_b?x=1&y="2")'))
+        .toBe('<a href="https://example.com/a_b?x=1&amp;y=&quot;2&quot;">docs</a>');
+      expect(toTelegramHTML('[not a link](javascript:alert(1))')).toBe('[not a link](javascript:alert(1))');
+    });
+
+    it('should keep inline code inside a link label', () => {
+      const html = toTelegramHTML('[run `npm test`](https://x.io) and `a < b`');
+      expect(html).toBe('<a href="https://x.io">run <code>npm test</code></a> and <code>a &lt; b</code>');
+      expect(html).not.toContain('\u0000');
+      expect(isValidTelegramHTML(html)).toBe(true);
+    });
+
+    it('should convert headings, bullet lists and blockquotes', () => {
+      expect(toTelegramHTML('## Plan **now**\n- one\n* two\n> quoted\n> more\nafter'))
+        .toBe('<b>Plan now</b>\n• one\n• two\n<blockquote>quoted\nmore</blockquote>\nafter');
+    });
+
+    it('should produce valid HTML for messy model output', () => {
+      const samples = [
+        '**bold _mixed** italic_ <tag> & `code` [x](https://x.io) ~~**~~',
+        '*** ___ ``` ** __ * _',
+        '> **quote\n> continues** here',
+        '# _ heading *\n\u0000 nul',
+      ];
+      for (const sample of samples) {
+        expect(isValidTelegramHTML(toTelegramHTML(sample))).toBe(true);
+      }
+    });
+  });
+
+  describe('splitMessage', () => {
+    it('should not split short messages', () => {
+      expect(splitMessage('Hello')).toEqual(['Hello']);
+    });
+
+    it('should split on paragraph breaks first', () => {
+      const text = `${'a'.repeat(60)}\n\n${'b'.repeat(30)}\n${'c'.repeat(30)}`;
+      expect(splitMessage(text, 100)).toEqual(['a'.repeat(60), `${'b'.repeat(30)}\n${'c'.repeat(30)}`]);
+    });
+
+    it('should fall back to sentences, then words, then a hard cut', () => {
+      const sentences = `${'a'.repeat(50)}. ${'b'.repeat(50)} ${'c'.repeat(10)}`;
+      expect(splitMessage(sentences, 100)[0]).toBe(`${'a'.repeat(50)}.`);
+
+      const words = `${'a'.repeat(70)} ${'b'.repeat(70)}`;
+      expect(splitMessage(words, 100)).toEqual(['a'.repeat(70), 'b'.repeat(70)]);
+
+      const chunks = splitMessage('x'.repeat(250), 100);
+      expect(chunks.join('')).toBe('x'.repeat(250));
+      expect(chunks.every(chunk => chunk.length <= 100)).toBe(true);
+    });
+
+    it('should not split emoji', () => {
+      const chunks = splitMessage('😀'.repeat(60), 100);
+      expect(chunks.join('')).toBe('😀'.repeat(60));
+      expect(chunks.every(chunk => !/[\ud800-\udbff]$/.test(chunk))).toBe(true);
+    });
+
+    it('should close and reopen a code block that is split', () => {
+      const code = Array.from({ length: 20 }, (_, i) => `line ${i}`).join('\n');
+      const chunks = splitMessage(`Code:\n\`\`\`js\n${code}\n\`\`\``, 80);
+
+      expect(chunks.length).toBeGreaterThan(1);
+      for (const chunk of chunks) {
+        expect(chunk.length).toBeLessThanOrEqual(80);
+        expect((chunk.match(/```/g) || []).length % 2).toBe(0);
+      }
+      expect(chunks[1].startsWith('```js\n')).toBe(true);
+    });
+  });
+
+  describe('formatMessage', () => {
+    it('should keep every message within Telegram\'s limit', () => {
+      const text = Array.from({ length: 400 }, (_, i) => `**${i}** a < b & c > d`).join('\n');
+      const messages = formatMessage(text);
+
+      expect(messages.length).toBeGreaterThan(1);
+      for (const message of messages) {
+        expect(message.html.length).toBeLessThanOrEqual(MAX_MESSAGE_LENGTH);
+        expect(isValidTelegramHTML(message.html)).toBe(true);
+      }
+    });
+
+    it('should re-split chunks that escaping pushes over the limit', () => {
+      const messages = formatMessage('&'.repeat(4000));
+
+      expect(messages.length).toBeGreaterThan(1);
+      expect(messages.every(message => message.html.length <= MAX_MESSAGE_LENGTH)).toBe(true);
+      expect(messages.map(message => message.plain).join('')).toBe('&'.repeat(4000));
+    });
+  });
+
+  describe('sendFormattedMessage', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should send each message as HTML, replying with the first only', async () => {
+      const send = jest.fn(async () => ({ message_id: 1 }));
+      const text = `${'a'.repeat(3000)}\n\n${'**b** '.repeat(300)}`;
+
+      await sendFormattedMessage(send, 555, text, { reply_to_message_id: 10 });
+
+      expect(send).toHaveBeenCalledTimes(2);
+      expect(send.mock.calls[0][0]).toMatchObject({ chat_id: 555, parse_mode: 'HTML', reply_to_message_id: 10 });
+      expect(send.mock.calls[1][0]).toMatchObject({ chat_id: 555, parse_mode: 'HTML' });
+      expect(send.mock.calls[1][0]).not.toHaveProperty('reply_to_message_id');
+      expect(send.mock.calls[1][0].text.startsWith('<b>b</b>')).toBe(true);
+    });
+
+    it('should send a message Telegram rejects with a 400 as plain text', async () => {
+      const send = jest.fn(async (body) => {
+        if (body.parse_mode) {
+          const error = new Error("Bad Request: can't parse entities");
+          error.code = 400;
+          throw error;
+        }
+        return { message_id: 2 };
+      });
+
+      await sendFormattedMessage(send, 555, 'Hello **there**');
+
+      expect(send).toHaveBeenCalledTimes(2);
+      expect(send.mock.calls[1][0]).toEqual({ chat_id: 555, text: 'Hello **there**' });
+    });
+
+    it('should pass on other errors', async () => {
+      const error = Object.assign(new Error('Forbidden: bot was blocked by the user'), { code: 403 });
+      const send = jest.fn().mockRejectedValue(error);
+
+      await expect(sendFormattedMessage(send, 555, 'Hello')).rejects.toBe(error);
+      expect(send).toHaveBeenCalledTimes(1);
+    });
+  });
+});
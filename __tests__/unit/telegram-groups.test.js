@@ -0,0 +1,63 @@
+/**
+ * Unit Tests for Telegram Groups
+ * Tests group detection and when a group message is addressed to the bot
+ */
+
+const { isGroupChat, isAddressedToBot, stripMention } = require('../../lib/telegram-groups');
+
+const BOT = { id: '999', username: 'ClawTestBot' };
+
+describe('Telegram Groups', () => {
+  describe('isGroupChat', () => {
+    it('should match groups and supergroups only', () => {
+      expect(isGroupChat({ type: 'group' })).toBe(true);
+      expect(isGroupChat({ type: 'supergroup' })).toBe(true);
+      expect(isGroupChat({ type: 'private' })).toBe(false);
+      expect(isGroupChat({ type: 'channel' })).toBe(false);
+    });
+  });
+
+  describe('isAddressedToBot', () => {
+    it('should match @mentions of the bot in text and captions', () => {
+      expect(isAddressedToBot({
+        text: 'hey @clawtestbot, thoughts?',
+        entities: [{ type: 'mention', offset: 4, length: 12 }],
+      }, BOT)).toBe(true);
+      expect(isAddressedToBot({
+        caption: '@ClawTestBot what is this',
+        caption_entities: [{ type: 'mention', offset: 0, length: 12 }],
+      }, BOT)).toBe(true);
+    });
+
+    it('should ignore mentions of other users', () => {
+      expect(isAddressedToBot({
+        text: '@alex see @ClawTestBotFan',
+        entities: [{ type: 'mention', offset: 0, length: 5 }, { type: 'mention', offset: 10, length: 15 }],
+      }, BOT)).toBe(false);
+    });
+
+    it('should match replies, text mentions and commands for the bot', () => {
+      expect(isAddressedToBot({ text: 'ok', reply_to_message: { from: { id: 999 } } }, BOT)).toBe(true);
+      expect(isAddressedToBot({ text: 'ok', reply_to_message: { from: { id: 1 } } }, BOT)).toBe(false);
+      expect(isAddressedToBot({
+        text: 'Claw help',
+        entities: [{ type: 'text_mention', offset: 0, length: 4, user: { id: 999 } }],
+      }, BOT)).toBe(true);
+      expect(isAddressedToBot({
+        text: '/summary@ClawTestBot',
+        entities: [{ type: 'bot_command', offset: 0, length: 20 }],
+      }, BOT)).toBe(true);
+      expect(isAddressedToBot({
+        text: '/summary',
+        entities: [{ type: 'bot_command', offset: 0, length: 8 }],
+      }, BOT)).toBe(false);
+    });
+  });
+
+  describe('stripMention', () => {
+    it('should remove the bot\'s mention and tidy whitespace', () => {
+      expect(stripMention('@ClawTestBot  when is launch?', 'ClawTestBot')).toBe('when is launch?');
+      expect(stripMention('ask @clawtestbot now', 'ClawTestBot')).toBe('ask now');
+    });
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * Unit Tests for Telegram long polling
+ * Pollers run against the fake Bot API in __tests__/helpers/telegram-server.js
+ */
+
+const {
+  isPollingMode,
+  botIdFromToken,
+  loadOffset,
+  saveOffset,
+  createPoller,
+  createPollingRunner
+} = require('../../lib/telegram-polling');
+const { startTelegramServer } = require('../helpers/telegram-server');
+
+const TOKEN = '111111:POLLING_TEST_TOKEN';
+const OTHER_TOKEN = '222222:OTHER_TEST_TOKEN';
+
+function textUpdate(text) {
+  return { message: { message_id: 1, chat: { id: 555, type: 'private' }, from: { id: 777, first_name: 'Sam' }, text } };
+}
+
+// Resolves once `count` updates have been handled
+function collector(count) {
+  const handled = [];
+  let done;
+  const finished = new Promise(resolve => { done = resolve; });
+  return {
+    handled,
+    finished,
+    onUpdate: async (update) => {
+      handled.push(update);
+      if (handled.length >= count) done();
+    }
+  };
+}
+
+// In-memory pool for telegram_update_offsets
+function createOffsetPool(offsets = new Map()) {
+  return {
+    offsets,
+    query: jest.fn(async (sql, params) => {
+      if (sql.includes('SELECT next_offset')) {
+        return { rows: offsets.has(params[0]) ? [{ next_offset: String(offsets.get(params[0])) }] : [] };
+      }
+      if (sql.includes('INSERT INTO telegram_update_offsets')) {
+        offsets.set(params[0], params[1]);
+      }
+      return { rows: [] };
+    })
+  };
+}
+
+describe('Telegram long polling', () => {
+  const originalEnv = { ...process.env };
+  let server;
+
+  beforeEach(async () => {
+    server = await startTelegramServer();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    process.env = { ...originalEnv };
+    jest.restoreAllMocks();
+    await server.close();
+  });
+
+  describe('isPollingMode', () => {
+    it('should only poll when TELEGRAM_UPDATE_MODE is polling', () => {
+      delete process.env.TELEGRAM_UPDATE_MODE;
+      expect(isPollingMode()).toBe(false);
+      process.env.TELEGRAM_UPDATE_MODE = 'webhook';
+      expect(isPollingMode()).toBe(false);
+      process.env.TELEGRAM_UPDATE_MODE = 'polling';
+      expect(isPollingMode()).toBe(true);
+    });
+  });
+
+  describe('offsets', () => {
+    it('should key offsets by bot ID', () => {
+      expect(botIdFromToken(TOKEN)).toBe('111111');
+    });
+
+    it('should load a recent offset as a number', async () => {
+      const pool = createOffsetPool(new Map([['111111', 42]]));
+
+      expect(await loadOffset(pool, '111111')).toBe(42);
+      expect(await loadOffset(pool, '222222')).toBeNull();
+      expect(pool.query.mock.calls[0][0]).toContain("INTERVAL '7 days'");
+    });
+
+    it('should upsert the next offset', async () => {
+      const pool = createOffsetPool();
+
+      await saveOffset(pool, '111111', 43);
+
+      expect(pool.offsets.get('111111')).toBe(43);
+      expect(pool.query.mock.calls[0][0]).toContain('ON CONFLICT (bot_id)');
+    });
+  });
+
+  describe('createPoller', () => {
+    it('should delete the webhook and pass updates to the handler in order', async () => {
+      server.webhooks.set(TOKEN, 'https://example.com/api/telegram/webhook/ws');
+      server.pushUpdate(TOKEN, textUpdate('one'));
+      server.pushUpdate(TOKEN, textUpdate('two'));
+      const updates = collector(3);
+      const saved = [];
+
+      const poller = createPoller({
+        token: TOKEN,
+        allowedUpdates: ['message'],
+        onUpdate: updates.onUpdate,
+        saveOffset: async offset => { saved.push(offset); },
+        apiBase: server.url,
+        timeoutSeconds: 5
+      });
+
+      await poller.start();
+      server.pushUpdate(TOKEN, textUpdate('three'));
+      await updates.finished;
+      await poller.stop();
+
+      expect(server.webhooks.has(TOKEN)).toBe(false);
+      expect(updates.handled.map(u => u.message.text)).toEqual(['one', 'two', 'three']);
+      expect(saved).toEqual([2, 3, 4]);
+
+      const getUpdates = server.requests.find(r => r.method === 'getUpdates');
+      expect(getUpdates.body).toMatchObject({ timeout: 5, allowed_updates: ['message'] });
+    });
+
+    it('should not replay updates before the stored offset after a restart', async () => {
+      server.pushUpdate(TOKEN, textUpdate('one'));
+      server.pushUpdate(TOKEN, textUpdate('two'));
+      let stored = null;
+      const handled = [];
+      const options = {
+        token: TOKEN,
+        onUpdate: async update => { handled.push(update.message.text); },
+        loadOffset: async () => stored,
+        saveOffset: async offset => { stored = offset; },
+        apiBase: server.url,
+        timeoutSeconds: 0
+      };
+
+      await createPoller(options).pollOnce();
+      // Crashed before the next getUpdates confirmed the batch
+      server.pushUpdate(TOKEN, textUpdate('three'));
+      await createPoller(options).pollOnce();
+
+      expect(handled).toEqual(['one', 'two', 'three']);
+      expect(stored).toBe(4);
+    });
+
+    it('should skip an update whose handler fails', async () => {
+      server.pushUpdate(TOKEN, textUpdate('broken'));
+      server.pushUpdate(TOKEN, textUpdate('fine'));
+      const handled = [];
+      let stored = null;
+
+      const poller = createPoller({
+        token: TOKEN,
+        onUpdate: async update => {
+          if (update.message.text === 'broken') throw new Error('boom');
+          handled.push(update.message.text);
+        },
+        saveOffset: async offset => { stored = offset; },
+        apiBase: server.url,
+        timeoutSeconds: 0
+      });
+
+      expect(await poller.pollOnce()).toBe(2);
+      expect(handled).toEqual(['fine']);
+      expect(stored).toBe(3);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('update 1'), expect.any(Error));
+    });
+
+    it('should keep polling after a failed getUpdates', async () => {
+      const updates = collector(1);
+      const poller = createPoller({ token: TOKEN, onUpdate: updates.onUpdate, apiBase: server.url, timeoutSeconds: 5 });
+      server.failNext(502, 'Bad Gateway', 'getUpdates');
+      server.pushUpdate(TOKEN, textUpdate('after'));
+
+      await poller.start();
+      await updates.finished;
+      await poller.stop();
+
+      expect(updates.handled).toHaveLength(1);
+      expect(server.requests.filter(r => r.method === 'getUpdates').length).toBeGreaterThanOrEqual(2);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('retrying in 1000ms'), 'Bad Gateway');
+    });
+
+    it('should stop without waiting for the long poll to time out', async () => {
+      const poller = createPoller({ token: TOKEN, onUpdate: async () => {}, apiBase: server.url, timeoutSeconds: 30 });
+
+      await poller.start();
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const started = Date.now();
+      await poller.stop();
+
+      expect(Date.now() - started).toBeLessThan(1000);
+    });
+  });
+
+  describe('createPollingRunner', () => {
+    it('should poll every listed bot and keep offsets in the database', async () => {
+      const pool = createOffsetPool();
+      const first = collector(1);
+      const second = collector(1);
+      const runner = createPollingRunner(pool, {
+        listBots: async () => [
+          { token: TOKEN, name: 'first', onUpdate: first.onUpdate },
+          { token: OTHER_TOKEN, name: 'second', onUpdate: second.onUpdate }
+        ],
+        apiBase: server.url,
+        timeoutSeconds: 5
+      });
+
+      await runner.start();
+      server.pushUpdate(TOKEN, textUpdate('for first'));
+      server.pushUpdate(OTHER_TOKEN, textUpdate('for second'));
+      await Promise.all([first.finished, second.finished]);
+      await runner.stop();
+
+      expect(first.handled[0].message.text).toBe('for first');
+      expect(second.handled[0].message.text).toBe('for second');
+      expect(pool.offsets).toEqual(new Map([['111111', 2], ['222222', 2]]));
+    });
+
+    it('should start pollers for new bots and stop them for removed or changed ones', async () => {
+      const pool = createOffsetPool();
+      let bots = [{ token: TOKEN, onUpdate: async () => {} }];
+      const runner = createPollingRunner(pool, { listBots: async () => bots, apiBase: server.url, timeoutSeconds: 5 });
+
+      await runner.sync();
+      expect([...runner.pollers.keys()]).toEqual(['111111']);
+
+      bots = [{ token: OTHER_TOKEN, onUpdate: async () => {} }];
+      await runner.sync();
+      expect([...runner.pollers.keys()]).toEqual(['222222']);
+
+      bots = [{ token: '222222:ROTATED_TOKEN', onUpdate: async () => {} }];
+      await runner.sync();
+      expect(runner.pollers.get('222222').token).toBe('222222:ROTATED_TOKEN');
+
+      await runner.stop();
+      expect(runner.pollers.size).toBe(0);
+    });
+
+    it('should retry bots whose poller could not start on the next sync', async () => {
+      const pool = createOffsetPool();
+      const runner = createPollingRunner(pool, {
+        listBots: async () => [{ token: TOKEN, onUpdate: async () => {} }],
+        apiBase: server.url,
+        timeoutSeconds: 5
+      });
+
+      server.failNext(401, 'Unauthorized');
+      await runner.sync();
+      expect(runner.pollers.size).toBe(0);
+
+      await runner.sync();
+      expect(runner.pollers.size).toBe(1);
+      await runner.stop();
+    });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit Tests for Telegram webhook secret tokens
+ */
+
+const {
+  SECRET_HEADER,
+  generateWebhookSecret,
+  deriveWebhookSecret,
+  hasValidSecret
+} = require('../../lib/telegram-webhook');
+
+function requestWith(secret) {
+  return { headers: secret === undefined ? {} : { [SECRET_HEADER]: secret } };
+}
+
+describe('Telegram webhook secrets', () => {
+  describe('generateWebhookSecret', () => {
+    it('should only use characters Telegram allows in a secret token', () => {
+      expect(generateWebhookSecret()).toMatch(/^[A-Za-z0-9_-]{1,256}$/);
+    });
+
+    it('should generate a different secret each time', () => {
+      expect(generateWebhookSecret()).not.toBe(generateWebhookSecret());
+    });
+  });
+
+  describe('deriveWebhookSecret', () => {
+    it('should derive the same secret from the same token', () => {
+      expect(deriveWebhookSecret('123:abc')).toBe(deriveWebhookSecret('123:abc'));
+      expect(deriveWebhookSecret('123:abc')).toMatch(/^[A-Za-z0-9_-]{1,256}$/);
+    });
+
+    it('should derive different secrets for different tokens', () => {
+      expect(deriveWebhookSecret('123:abc')).not.toBe(deriveWebhookSecret('123:abd'));
+    });
+
+    it('should not contain the token', () => {
+      expect(deriveWebhookSecret('123:abc')).not.toContain('abc');
+    });
+  });
+
+  describe('hasValidSecret', () => {
+    const secret = generateWebhookSecret();
+
+    it('should accept the matching secret', () => {
+      expect(hasValidSecret(requestWith(secret), secret)).toBe(true);
+    });
+
+    it('should reject a missing, wrong or truncated secret', () => {
+      expect(hasValidSecret(requestWith(undefined), secret)).toBe(false);
+      expect(hasValidSecret(requestWith(''), secret)).toBe(false);
+      expect(hasValidSecret(requestWith(generateWebhookSecret()), secret)).toBe(false);
+      expect(hasValidSecret(requestWith(secret.slice(0, -1)), secret)).toBe(false);
+    });
+
+    it('should reject everything when the bot has no secret', () => {
+      expect(hasValidSecret(requestWith(''), null)).toBe(false);
+      expect(hasValidSecret(requestWith('anything'), null)).toBe(false);
+    });
+  });
+});
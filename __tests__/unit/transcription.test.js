@@ -0,0 +1,89 @@
+/**
+ * Unit Tests for Voice Transcription
+ * Tests transcriber selection and the Whisper request
+ */
+
+const {
+  transcribe,
+  getTranscriber,
+  setTranscriber,
+  isConfigured,
+  createOpenAITranscriber,
+  createFakeTranscriber,
+} = require('../../lib/transcription');
+
+describe('Voice Transcription', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    setTranscriber(null);
+    delete process.env.TRANSCRIPTION_PROVIDER;
+    delete process.env.OPENAI_API_KEY;
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    setTranscriber(null);
+  });
+
+  describe('createFakeTranscriber', () => {
+    it('should return a fixed or computed transcript and record calls', async () => {
+      const fixed = createFakeTranscriber({ text: 'hello' });
+      const computed = createFakeTranscriber({ text: (req) => req.mimeType });
+      const request = { audio: Buffer.from('abc'), mimeType: 'audio/ogg' };
+
+      expect(await fixed.transcribe(request)).toEqual({ text: 'hello' });
+      expect(await computed.transcribe(request)).toEqual({ text: 'audio/ogg' });
+      expect(fixed.calls).toEqual([request]);
+    });
+
+    it('should describe the audio by default', async () => {
+      expect(await createFakeTranscriber().transcribe({ audio: Buffer.from('abcd') }))
+        .toEqual({ text: 'Voice note (4 bytes)' });
+    });
+  });
+
+  describe('createOpenAITranscriber', () => {
+    it('should send the audio as a named file', async () => {
+      const create = jest.fn().mockResolvedValue({ text: ' Call me back \n' });
+      const transcriber = createOpenAITranscriber({ client: { audio: { transcriptions: { create } } } });
+
+      const result = await transcriber.transcribe({ audio: Buffer.from('OggS'), mimeType: 'audio/ogg', fileName: 'voice.ogg' });
+
+      expect(result).toEqual({ text: 'Call me back' });
+      const request = create.mock.calls[0][0];
+      expect(request.model).toBe('whisper-1');
+      expect(request.file.name).toBe('voice.ogg');
+    });
+  });
+
+  describe('transcriber selection', () => {
+    it('should prefer TRANSCRIPTION_PROVIDER', () => {
+      process.env.TRANSCRIPTION_PROVIDER = 'fake';
+      process.env.OPENAI_API_KEY = 'sk-test';
+      expect(getTranscriber().name).toBe('fake');
+    });
+
+    it('should use Whisper when an OpenAI key is set', () => {
+      process.env.OPENAI_API_KEY = 'sk-test';
+      expect(getTranscriber().name).toBe('openai');
+    });
+
+    it('should report when nothing is configured', () => {
+      expect(isConfigured()).toBe(false);
+      expect(() => getTranscriber()).toThrow('No transcription provider configured');
+    });
+
+    it('should reject unknown providers', () => {
+      process.env.TRANSCRIPTION_PROVIDER = 'nope';
+      expect(() => getTranscriber()).toThrow('Unknown transcription provider: nope');
+    });
+
+    it('should use the override set with setTranscriber', async () => {
+      setTranscriber(createFakeTranscriber({ text: 'override' }));
+
+      expect(isConfigured()).toBe(true);
+      expect(await transcribe({ audio: Buffer.from('x') })).toEqual({ text: 'override' });
+    });
+  });
+});
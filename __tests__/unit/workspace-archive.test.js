@@ -0,0 +1,208 @@
+/**
+ * Unit Tests for Workspace Archives
+ * Tests archiving a workspace's files and rows, checksum verification and
+ * restoring into a new workspace
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { setEmbedder } = require('../../lib/embeddings');
+const {
+  archiveWorkspace,
+  restoreWorkspace,
+  verifyArchive,
+} = require('../../provisioning/workspace-archive');
+
+const OLD_ID = 'claw_test_00000001';
+const NEW_ID = 'claw_test_00000002';
+
+// In-memory stand-in for the archived tables. Rows inserted in a
+// transaction only land in `inserted` when it commits.
+function createPool(tables = {}) {
+  const inserted = [];
+  let pending = null;
+
+  const query = jest.fn(async (sql, params = []) => {
+    if (sql === 'BEGIN') {
+      pending = [];
+      return { rows: [] };
+    }
+    if (sql === 'COMMIT' || sql === 'ROLLBACK') {
+      if (sql === 'COMMIT') inserted.push(...pending);
+      pending = null;
+      return { rows: [] };
+    }
+    const select = sql.match(/^SELECT .+ FROM (\w+) WHERE workspace_id = \$1/);
+    if (select) {
+      return { rows: params[0] === OLD_ID ? tables[select[1]] || [] : [] };
+    }
+    const insert = sql.match(/^INSERT INTO (\w+) \(([^)]+)\)/);
+    if (insert) {
+      const columns = insert[2].split(', ');
+      const rows = pending || inserted;
+      rows.push({ table: insert[1], row: Object.fromEntries(columns.map((c, i) => [c, params[i]])) });
+      return { rows: [{ id: rows.length }] };
+    }
+    return { rows: [] };
+  });
+
+  return {
+    inserted,
+    query,
+    connect: jest.fn(async () => ({ query, release: jest.fn() })),
+  };
+}
+
+describe('Workspace Archives', () => {
+  let root;
+  let options;
+  let pool;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'clawdbot-archive-'));
+    pool = createPool({
+      conversations: [
+        { agent_id: 'main', channel: 'api', message: 'Hi', role: 'user', metadata: null, created_at: '2024-01-01T00:00:00.000Z' },
+      ],
+      memories: [
+        { agent_id: 'main', content: 'User prefers tea', metadata: { tags: ['drinks'] }, created_at: '2024-01-01T00:00:00.000Z', updated_at: null },
+      ],
+      agents: [],
+      usage_tracking: [
+        { date: '2024-01-01', messages_sent: 3, api_calls: 3, tokens_used: '1200', created_at: '2024-01-01T00:00:00.000Z' },
+      ],
+    });
+    options = {
+      pool,
+      customerId: 'cus_1',
+      workspacesDir: path.join(root, 'workspaces'),
+      archivesDir: path.join(root, 'archives'),
+    };
+
+    const workspace = path.join(options.workspacesDir, OLD_ID);
+    await fs.mkdir(path.join(workspace, 'memory'), { recursive: true });
+    await fs.writeFile(path.join(workspace, 'MEMORY.md'), '# Memory\n- User prefers tea\n');
+    await fs.writeFile(path.join(workspace, 'memory', '2024-01-01.md'), '**User:** Hi\n');
+
+    setEmbedder(null);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  describe('archiveWorkspace', () => {
+    it('should write the tarball, data dump and a manifest with checksums', async () => {
+      const { path: archivePath, manifest } = await archiveWorkspace(OLD_ID, options);
+
+      expect(manifest).toMatchObject({
+        version: 1,
+        workspaceId: OLD_ID,
+        customerId: 'cus_1',
+        rows: { conversations: 1, memories: 1, agents: 0, usage_tracking: 1 },
+      });
+      expect(manifest.files['workspace.tar.gz'].sha256).toMatch(/^[a-f0-9]{64}$/);
+      expect(manifest.files['data.json'].sha256).toMatch(/^[a-f0-9]{64}$/);
+
+      const data = JSON.parse(await fs.readFile(path.join(archivePath, 'data.json'), 'utf8'));
+      expect(data.memories[0].content).toBe('User prefers tea');
+    });
+
+    it('should archive data only when the workspace directory is gone', async () => {
+      await fs.rm(path.join(options.workspacesDir, OLD_ID), { recursive: true });
+
+      const { manifest } = await archiveWorkspace(OLD_ID, options);
+
+      expect(Object.keys(manifest.files)).toEqual(['data.json']);
+    });
+
+    it('should require a database pool', async () => {
+      await expect(archiveWorkspace(OLD_ID, { ...options, pool: undefined }))
+        .rejects.toThrow('requires a database pool');
+    });
+  });
+
+  describe('verifyArchive', () => {
+    it('should reject a tampered archive', async () => {
+      const { path: archivePath } = await archiveWorkspace(OLD_ID, options);
+      await fs.appendFile(path.join(archivePath, 'data.json'), ' ');
+
+      await expect(verifyArchive(OLD_ID, options)).rejects.toThrow('data.json is missing or corrupt');
+    });
+
+    it('should reject an archive without a manifest', async () => {
+      await expect(verifyArchive('claw_missing_00000000', options))
+        .rejects.toThrow('No complete archive');
+    });
+  });
+
+  describe('restoreWorkspace', () => {
+    it('should restore files and rows into the new workspace', async () => {
+      await archiveWorkspace(OLD_ID, options);
+      const newWorkspace = path.join(options.workspacesDir, NEW_ID);
+      await fs.mkdir(newWorkspace, { recursive: true });
+      await fs.writeFile(path.join(newWorkspace, 'MEMORY.md'), '# Fresh template\n');
+
+      const { rows } = await restoreWorkspace(OLD_ID, NEW_ID, options);
+
+      expect(rows).toEqual({ conversations: 1, memories: 1, agents: 0, usage_tracking: 1 });
+      expect(await fs.readFile(path.join(newWorkspace, 'MEMORY.md'), 'utf8')).toContain('User prefers tea');
+      expect(await fs.readFile(path.join(newWorkspace, 'memory', '2024-01-01.md'), 'utf8')).toBe('**User:** Hi\n');
+
+      const memory = pool.inserted.find(i => i.table === 'memories').row;
+      expect(memory.workspace_id).toBe(NEW_ID);
+      expect(JSON.parse(memory.metadata)).toEqual({ tags: ['drinks'] });
+      expect(pool.inserted.find(i => i.table === 'usage_tracking').row.tokens_used).toBe('1200');
+    });
+
+    it('should leave this month\'s usage in the archive', async () => {
+      const today = new Date().toISOString().slice(0, 10);
+      pool = createPool({
+        usage_tracking: [
+          { date: '2024-01-01', messages_sent: 3, api_calls: 3, tokens_used: '1200', created_at: '2024-01-01T00:00:00.000Z' },
+          { date: today, messages_sent: 40, api_calls: 40, tokens_used: '9000', created_at: `${today}T00:00:00.000Z` },
+        ],
+      });
+      options.pool = pool;
+      const { manifest } = await archiveWorkspace(OLD_ID, options);
+
+      const { rows } = await restoreWorkspace(OLD_ID, NEW_ID, options);
+
+      expect(manifest.rows.usage_tracking).toBe(2);
+      expect(rows.usage_tracking).toBe(1);
+      expect(pool.inserted.filter(i => i.table === 'usage_tracking').map(i => i.row.date)).toEqual(['2024-01-01']);
+    });
+
+    it('should add no rows when a restore fails, so it can be run again', async () => {
+      await archiveWorkspace(OLD_ID, options);
+      const query = pool.query.getMockImplementation();
+      pool.query.mockImplementation(async (sql, params) => {
+        if (sql.startsWith('INSERT INTO usage_tracking')) throw new Error('connection reset');
+        return query(sql, params);
+      });
+
+      await expect(restoreWorkspace(OLD_ID, NEW_ID, options)).rejects.toThrow('connection reset');
+      expect(pool.inserted).toEqual([]);
+
+      pool.query.mockImplementation(query);
+      await restoreWorkspace(OLD_ID, NEW_ID, options);
+
+      expect(pool.inserted.map(i => i.table)).toEqual(['conversations', 'memories', 'usage_tracking']);
+    });
+
+    it('should not change anything when the archive is corrupt', async () => {
+      const { path: archivePath } = await archiveWorkspace(OLD_ID, options);
+      await fs.writeFile(path.join(archivePath, 'workspace.tar.gz'), 'garbage');
+
+      await expect(restoreWorkspace(OLD_ID, NEW_ID, options)).rejects.toThrow('corrupt');
+
+      expect(pool.inserted).toEqual([]);
+      await expect(fs.access(path.join(options.workspacesDir, NEW_ID))).rejects.toThrow();
+    });
+  });
+});
@@ -6,6 +6,8 @@
 const express = require('express');
 const router = express.Router();
 const { Pool } = require('pg');
+const llm = require('../lib/llm');
+const { sendFormattedMessage } = require('../lib/telegram-format');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -13,7 +15,6 @@ const pool = new Pool({
 });
 
 const TELEGRAM_BOT_TOKEN = process.env.ALLY_BOT_TOKEN;
-const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 const TELEGRAM_API = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}`;
 
 /**
@@ -142,17 +143,13 @@ async function processMessage(chatId, user, text) {
       { role: 'user', content: text }
     ];
 
-    // Call Claude API
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: user.model || 'claude-sonnet-4-20250514',
-        max_tokens: 4096,
+    // Call the model (per-user model override, else the plan's model)
+    let reply;
+    try {
+      const completion = await llm.complete({
+        model: user.model || undefined,
+        plan: user.plan,
+        maxTokens: 4096,
         system: `You are Ally, a helpful AI assistant. You're friendly, concise, and actually useful.
         
 User info:
@@ -161,19 +158,14 @@ User info:
 
 Be conversational but efficient. Remember context from previous messages. Don't be overly formal.`,
         messages
-      })
-    });
-
-    if (!response.ok) {
-      const error = await response.text();
-      console.error('[ALLY] Claude error:', error);
+      });
+      reply = completion.text || "I couldn't generate a response.";
+    } catch (error) {
+      console.error('[ALLY] Model error:', error.message);
       await sendTelegram(chatId, `Sorry, I encountered an error. Please try again.`);
       return;
     }
 
-    const data = await response.json();
-    const reply = data.content?.[0]?.text || "I couldn't generate a response.";
-
     // Store conversation
     await storeMessage(user.id, 'user', text);
     await storeMessage(user.id, 'assistant', reply);
@@ -254,33 +246,24 @@ async function sendTelegram(chatId, text, options = {}) {
 }
 
 /**
- * Send long message (split if > 4096 chars)
+ * Send model output as Telegram HTML, split into messages under the 4096
+ * character limit (lib/telegram-format.js)
  */
 async function sendLongMessage(chatId, text) {
-  const maxLength = 4000; // Leave buffer for Telegram
-  
-  if (text.length <= maxLength) {
-    await sendTelegram(chatId, text);
-    return;
-  }
-
-  // Split by paragraphs or sentences
-  const chunks = [];
-  let current = '';
-  
-  for (const paragraph of text.split('\n\n')) {
-    if ((current + '\n\n' + paragraph).length > maxLength) {
-      if (current) chunks.push(current);
-      current = paragraph;
-    } else {
-      current = current ? current + '\n\n' + paragraph : paragraph;
+  await sendFormattedMessage(async (body) => {
+    const response = await fetch(`${TELEGRAM_API}/sendMessage`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!data.ok) {
+      const error = new Error(data.description || 'Telegram API error');
+      error.code = data.error_code;
+      throw error;
     }
-  }
-  if (current) chunks.push(current);
-
-  for (const chunk of chunks) {
-    await sendTelegram(chatId, chunk);
-  }
+    return data.result;
+  }, chatId, text);
 }
 
 /**
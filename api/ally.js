@@ -20,6 +20,11 @@ const express = require('express');
 const router = express.Router();
 const { Pool } = require('pg');
 const crypto = require('crypto');
+const llm = require('../lib/llm');
+const { logSecurityEvent } = require('../lib/security');
+const { deriveWebhookSecret, hasValidSecret } = require('../lib/telegram-webhook');
+const { isPollingMode } = require('../lib/telegram-polling');
+const { sendFormattedMessage } = require('../lib/telegram-format');
 
 // Database connection
 const pool = new Pool({
@@ -31,11 +36,37 @@ const pool = new Pool({
 
 // Ally Bot token from environment (supports both names)
 const ALLY_BOT_TOKEN = process.env.ALLY_BOT_TOKEN || process.env.TELEGRAM_BOT_TOKEN;
-const TELEGRAM_API = 'https://api.telegram.org/bot';
+const TELEGRAM_API = `${process.env.TELEGRAM_API_BASE || 'https://api.telegram.org'}/bot`;
+
+// setWebhook secret_token - derived from the token, so it needs no storage
+// and scripts/setup-ally-webhook.js registers the same one
+const ALLY_WEBHOOK_SECRET = ALLY_BOT_TOKEN ? deriveWebhookSecret(ALLY_BOT_TOKEN) : null;
 const WEBSITE_URL = process.env.WEBSITE_URL || 'https://setupclaw.com';
 
 /**
- * Helper: Call Telegram Bot API
+ * Helper: Call Telegram Bot API sendMessage
+ * Throws with code set to Telegram's error_code.
+ */
+async function callSendMessage(body) {
+  const response = await fetch(`${TELEGRAM_API}${ALLY_BOT_TOKEN}/sendMessage`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  
+  const data = await response.json();
+  if (!data.ok) {
+    const error = new Error(data.description || 'Telegram API error');
+    error.code = data.error_code;
+    throw error;
+  }
+  return data.result;
+}
+
+/**
+ * Send one of Ally's own (Markdown) messages
+ * Falls back to plain text if Telegram can't parse it, e.g. a name with an
+ * underscore in it.
  */
 async function sendTelegramMessage(chatId, text, options = {}) {
   if (!ALLY_BOT_TOKEN) {
@@ -43,31 +74,30 @@ async function sendTelegramMessage(chatId, text, options = {}) {
     return null;
   }
   
-  const url = `${TELEGRAM_API}${ALLY_BOT_TOKEN}/sendMessage`;
-  
   try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        chat_id: chatId,
-        text,
-        parse_mode: 'Markdown',
-        ...options
-      })
-    });
-    
-    const data = await response.json();
-    if (!data.ok) {
-      console.error('Telegram API error:', data.description);
+    return await callSendMessage({ chat_id: chatId, text, parse_mode: 'Markdown', ...options });
+  } catch (error) {
+    if (error.code !== 400) {
+      console.error('Failed to send Telegram message:', error.message);
+      return null;
     }
-    return data;
+  }
+  
+  try {
+    return await callSendMessage({ chat_id: chatId, text, ...options });
   } catch (error) {
-    console.error('Failed to send Telegram message:', error);
+    console.error('Failed to send Telegram message:', error.message);
     return null;
   }
 }
 
+/**
+ * Send model output, formatted and split into messages (lib/telegram-format.js)
+ */
+async function sendModelReply(chatId, text) {
+  return sendFormattedMessage(callSendMessage, chatId, text);
+}
+
 /**
  * Generate a unique link code for workspace
  */
@@ -220,6 +250,12 @@ router.get('/link-status', async (req, res) => {
 router.post('/webhook', async (req, res) => {
   const update = req.body;
   
+  // Only Telegram knows the secret token (set by /setup-webhook, and again at startup)
+  if (!hasValidSecret(req, ALLY_WEBHOOK_SECRET)) {
+    logSecurityEvent('ALLY_WEBHOOK_REJECTED', { ip: req.ip });
+    return res.status(401).json({ error: 'Invalid secret token' });
+  }
+  
   // Acknowledge immediately (Telegram expects quick response)
   res.sendStatus(200);
   
@@ -522,10 +558,7 @@ async function handleUserMessage(chatId, userId, firstName, workspaceId, text) {
     // Generate AI response
     let response;
     
-    if (process.env.ANTHROPIC_API_KEY) {
-      const Anthropic = require('@anthropic-ai/sdk');
-      const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
-      
+    if (llm.isConfigured()) {
       // Get recent conversation history
       const historyResult = await pool.query(`
         SELECT message, role FROM ally_conversations
@@ -556,9 +589,9 @@ async function handleUserMessage(chatId, userId, firstName, workspaceId, text) {
         // Memories table might not exist for all workspaces
       }
       
-      const completion = await anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 1024,
+      const completion = await llm.complete({
+        plan: workspace.rows[0].plan,
+        maxTokens: 1024,
         system: `You are Ally, a friendly and helpful personal AI assistant on Telegram. 
         
 You're chatting with ${firstName}. Be warm, conversational, and helpful. 
@@ -568,7 +601,7 @@ If they ask about features you don't have yet, be honest and say you're still le
         messages
       });
       
-      response = completion.content[0].text;
+      response = completion.text;
     } else {
       response = `Hello ${firstName}! 👋 I received your message, but my AI brain is still being set up. Check back soon!`;
     }
@@ -589,7 +622,7 @@ If they ask about features you don't have yet, be honest and say you're still le
     `, [workspaceId, today]);
     
     // Send response
-    await sendTelegramMessage(chatId, response);
+    await sendModelReply(chatId, response);
     
   } catch (error) {
     console.error('Message handling error:', error);
@@ -599,6 +632,63 @@ If they ask about features you don't have yet, be honest and say you're still le
   }
 }
 
+/**
+ * Ally webhook URL on this backend
+ */
+function allyWebhookUrl() {
+  const BACKEND_URL = process.env.BACKEND_URL || `https://${process.env.RAILWAY_PUBLIC_DOMAIN}`;
+  return `${BACKEND_URL}/api/ally/webhook`;
+}
+
+/**
+ * Point the Ally webhook at this backend with its secret token
+ * @param {object} options - { dropPendingUpdates }
+ * @returns {Promise<object>} Telegram's response
+ */
+async function setAllyWebhook({ dropPendingUpdates = false } = {}) {
+  const response = await fetch(`${TELEGRAM_API}${ALLY_BOT_TOKEN}/setWebhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      url: allyWebhookUrl(),
+      secret_token: ALLY_WEBHOOK_SECRET,
+      allowed_updates: ['message'],
+      drop_pending_updates: dropPendingUpdates
+    })
+  });
+  
+  return response.json();
+}
+
+/**
+ * Set the Ally webhook again if it already points at this backend
+ * Run at startup: a webhook set before secrets were introduced has none, and
+ * its updates are rejected until then. Telegram doesn't say which secret a
+ * webhook has, so it's always set again; pending updates are kept.
+ *
+ * @returns {Promise<boolean>} Whether the webhook was set
+ */
+async function secureAllyWebhook() {
+  if (!ALLY_BOT_TOKEN || isPollingMode()) {
+    return false;
+  }
+  
+  const response = await fetch(`${TELEGRAM_API}${ALLY_BOT_TOKEN}/getWebhookInfo`);
+  const info = await response.json();
+  
+  // Not set up on this backend (yet) - that's /setup-webhook's job
+  if (!info.ok || info.result.url !== allyWebhookUrl()) {
+    return false;
+  }
+  
+  const data = await setAllyWebhook();
+  if (!data.ok) {
+    throw new Error(data.description || 'Failed to set webhook');
+  }
+  
+  return true;
+}
+
 /**
  * POST /api/ally/setup-webhook
  * Setup Telegram webhook for Ally bot (admin endpoint)
@@ -615,21 +705,15 @@ router.post('/setup-webhook', async (req, res) => {
     return res.status(400).json({ error: 'ALLY_BOT_TOKEN not configured' });
   }
   
-  const BACKEND_URL = process.env.BACKEND_URL || `https://${process.env.RAILWAY_PUBLIC_DOMAIN}`;
-  const webhookUrl = `${BACKEND_URL}/api/ally/webhook`;
+  // A webhook would stop getUpdates from receiving anything
+  if (isPollingMode()) {
+    return res.status(409).json({ error: 'TELEGRAM_UPDATE_MODE is polling - no webhook needed' });
+  }
+  
+  const webhookUrl = allyWebhookUrl();
   
   try {
-    const response = await fetch(`${TELEGRAM_API}${ALLY_BOT_TOKEN}/setWebhook`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        url: webhookUrl,
-        allowed_updates: ['message'],
-        drop_pending_updates: true
-      })
-    });
-    
-    const data = await response.json();
+    const data = await setAllyWebhook({ dropPendingUpdates: true });
     
     if (data.ok) {
       console.log(`✅ Ally webhook set to: ${webhookUrl}`);
@@ -660,4 +744,20 @@ router.get('/webhook-info', async (req, res) => {
   }
 });
 
+/**
+ * The Ally bot, for the polling runner (lib/telegram-polling.js)
+ * @returns {object[]} [{ token, name, allowedUpdates, onUpdate }]
+ */
+function listPollingBots() {
+  if (!ALLY_BOT_TOKEN) return [];
+  return [{
+    token: ALLY_BOT_TOKEN,
+    name: 'Ally',
+    allowedUpdates: ['message'],
+    onUpdate: processAllyUpdate
+  }];
+}
+
 module.exports = router;
+module.exports.listPollingBots = listPollingBots;
+module.exports.secureAllyWebhook = secureAllyWebhook;
@@ -0,0 +1,262 @@
+/**
+ * Billing API Router
+ * Self-service subscriptions: Stripe Checkout for new and returning
+ * customers, and the Stripe Billing Portal for changing plan, updating the
+ * card, viewing invoices and cancelling. The resulting subscription changes
+ * arrive through the Stripe webhook (api/stripe-webhook.js).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { Pool } = require('pg');
+const { PLANS, getAllPriceIds, isValidPriceId } = require('../plans');
+const { createRateLimiter, logSecurityEvent, validateEmail } = require('../lib/security');
+const { createStripeClient } = require('../lib/stripe');
+
+const stripe = createStripeClient();
+
+// Checkout success/cancel and portal return pages
+const WEBSITE_URL = process.env.WEBSITE_URL || 'https://setupclaw.com';
+
+// Subscription statuses that already have a live subscription - these
+// customers change plan through the portal instead of a second checkout
+const SUBSCRIBED_STATUSES = ['active', 'trialing', 'past_due', 'suspended', 'paused'];
+
+// Portal flows a customer can jump straight into
+const PORTAL_FLOWS = ['payment_method_update', 'subscription_update', 'subscription_cancel'];
+
+// Signup checkout is unauthenticated - keep it from being used to spam Stripe
+const signupLimiter = createRateLimiter({ windowMs: 60 * 1000, maxRequests: 10 });
+
+// Database connection
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production'
+    ? { rejectUnauthorized: true }
+    : false
+});
+
+/**
+ * Middleware: Authenticate a customer by workspace API key
+ * Unlike the workspace API, any subscription status is let through -
+ * suspended and cancelled customers are the ones who need billing.
+ */
+async function authenticateCustomer(req, res, next) {
+  const { workspaceId } = req.params;
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Authorization required' });
+  }
+
+  try {
+    const result = await pool.query(`
+      SELECT workspace_id, email, stripe_customer_id, subscription_id, plan, price_id, status
+      FROM customers
+      WHERE workspace_id = $1 AND api_key = $2
+    `, [workspaceId, authHeader.substring(7)]);
+
+    if (result.rows.length === 0) {
+      logSecurityEvent('AUTH_FAILED', {
+        workspaceId,
+        reason: 'Invalid API key or workspace',
+        ip: req.ip || req.headers['x-forwarded-for'] || 'unknown',
+      });
+      return res.status(403).json({ error: 'Invalid API key or workspace' });
+    }
+
+    req.customer = result.rows[0];
+    next();
+  } catch (error) {
+    console.error('Billing auth error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+}
+
+function checkoutUrls() {
+  return {
+    success_url: `${WEBSITE_URL}/success?session={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${WEBSITE_URL}/pricing`
+  };
+}
+
+/**
+ * Discount params for a checkout session
+ * A code entered on our pricing page is checked here, so a typo is reported
+ * before the customer reaches Stripe. Without one, Checkout shows its own
+ * promotion code field.
+ * @param {string} [promotionCode] - Customer-facing code, e.g. LAUNCH20
+ * @returns {Promise<object|null>} Session params, null if the code isn't active
+ */
+async function checkoutDiscount(promotionCode) {
+  if (promotionCode === undefined || promotionCode === null || promotionCode === '') {
+    return { allow_promotion_codes: true };
+  }
+  if (typeof promotionCode !== 'string' || promotionCode.length > 100) {
+    return null;
+  }
+
+  const { data } = await stripe.promotionCodes.list({ code: promotionCode, active: true, limit: 1 });
+  return data.length > 0 ? { discounts: [{ promotion_code: data[0].id }] } : null;
+}
+
+/**
+ * GET /api/billing/plans
+ * Prices available for checkout, one entry per price (public)
+ */
+router.get('/plans', (req, res) => {
+  res.json({
+    plans: getAllPriceIds().map(priceId => {
+      const plan = PLANS[priceId];
+      return {
+        priceId,
+        ...plan.price,
+        name: plan.name,
+        description: plan.description,
+        priceMonthly: plan.priceMonthly,
+        trialDays: plan.trialDays,
+        messageLimit: plan.messageLimit,
+        agents: plan.agents,
+        features: plan.features,
+        overagePricePerMessage: plan.overage ? plan.overage.pricePerMessage : null
+      };
+    })
+  });
+});
+
+/**
+ * POST /api/billing/checkout
+ * Start a subscription for a new customer:
+ * { priceId, email, promotionCode? } → { id, url }
+ * priceId may be any current monthly or annual price.
+ */
+router.post('/checkout', signupLimiter.middleware(), async (req, res) => {
+  const { priceId, email, promotionCode } = req.body;
+
+  if (!isValidPriceId(priceId)) {
+    return res.status(400).json({ error: 'Invalid price ID' });
+  }
+
+  const emailCheck = validateEmail(email);
+  if (!emailCheck.valid) {
+    return res.status(400).json({ error: emailCheck.error });
+  }
+
+  try {
+    const discount = await checkoutDiscount(promotionCode);
+    if (!discount) {
+      return res.status(400).json({ error: 'Invalid or expired promotion code' });
+    }
+
+    const session = await stripe.checkout.sessions.create({
+      mode: 'subscription',
+      line_items: [{ price: priceId, quantity: 1 }],
+      customer_email: emailCheck.email,
+      subscription_data: { trial_period_days: PLANS[priceId].trialDays },
+      ...discount,
+      ...checkoutUrls()
+    });
+
+    res.json({ id: session.id, url: session.url });
+  } catch (error) {
+    console.error('Checkout session error:', error.message);
+    res.status(502).json({ error: 'Failed to create checkout session' });
+  }
+});
+
+/**
+ * POST /api/billing/:workspaceId/checkout
+ * Resubscribe a cancelled customer (no new trial):
+ * { priceId, promotionCode? } → { id, url }
+ * Their archived workspace is restored when the checkout completes.
+ */
+router.post('/:workspaceId/checkout', authenticateCustomer, async (req, res) => {
+  const { priceId, promotionCode } = req.body;
+
+  if (!isValidPriceId(priceId)) {
+    return res.status(400).json({ error: 'Invalid price ID' });
+  }
+
+  if (SUBSCRIBED_STATUSES.includes(req.customer.status)) {
+    return res.status(409).json({
+      error: 'Already subscribed - use the billing portal to change plan',
+      status: req.customer.status
+    });
+  }
+
+  try {
+    const discount = await checkoutDiscount(promotionCode);
+    if (!discount) {
+      return res.status(400).json({ error: 'Invalid or expired promotion code' });
+    }
+
+    const session = await stripe.checkout.sessions.create({
+      mode: 'subscription',
+      line_items: [{ price: priceId, quantity: 1 }],
+      customer: req.customer.stripe_customer_id,
+      ...discount,
+      ...checkoutUrls()
+    });
+
+    res.json({ id: session.id, url: session.url });
+  } catch (error) {
+    console.error('Checkout session error:', error.message);
+    res.status(502).json({ error: 'Failed to create checkout session' });
+  }
+});
+
+/**
+ * POST /api/billing/:workspaceId/portal
+ * Open the Stripe Billing Portal → { url }
+ *
+ * Body (optional):
+ * - flow: 'payment_method_update' | 'subscription_update' | 'subscription_cancel'
+ * - priceId: with flow 'subscription_update', go straight to confirming a
+ *   switch to this plan
+ */
+router.post('/:workspaceId/portal', authenticateCustomer, async (req, res) => {
+  const { flow, priceId } = req.body;
+
+  if (flow !== undefined && !PORTAL_FLOWS.includes(flow)) {
+    return res.status(400).json({ error: `flow must be one of: ${PORTAL_FLOWS.join(', ')}` });
+  }
+
+  if (priceId !== undefined && (flow !== 'subscription_update' || !isValidPriceId(priceId))) {
+    return res.status(400).json({ error: 'Invalid price ID' });
+  }
+
+  const subscriptionId = req.customer.subscription_id;
+  if (flow && flow !== 'payment_method_update' && !subscriptionId) {
+    return res.status(409).json({ error: 'No subscription to change' });
+  }
+
+  try {
+    const params = {
+      customer: req.customer.stripe_customer_id,
+      return_url: `${WEBSITE_URL}/dashboard`
+    };
+
+    if (flow === 'subscription_update' && priceId) {
+      const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+      params.flow_data = {
+        type: 'subscription_update_confirm',
+        subscription_update_confirm: {
+          subscription: subscriptionId,
+          items: [{ id: subscription.items.data[0].id, price: priceId, quantity: 1 }]
+        }
+      };
+    } else if (flow === 'payment_method_update') {
+      params.flow_data = { type: flow };
+    } else if (flow) {
+      params.flow_data = { type: flow, [flow]: { subscription: subscriptionId } };
+    }
+
+    const session = await stripe.billingPortal.sessions.create(params);
+    res.json({ url: session.url });
+  } catch (error) {
+    console.error('Billing portal session error:', error.message);
+    res.status(502).json({ error: 'Failed to create billing portal session' });
+  }
+});
+
+module.exports = router;
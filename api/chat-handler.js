@@ -3,19 +3,24 @@
  * Works without requiring Clawdbot CLI installed on server
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
-const OpenAI = require('openai');
 const fs = require('fs').promises;
 const path = require('path');
-
-// Initialize AI clients
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
+const { Pool } = require('pg');
+const llm = require('../lib/llm');
+const { getPlan, resolvePlan } = require('../plans');
+const { getWorkspacesDir } = require('../lib/workspaces');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production'
+    ? { rejectUnauthorized: true }
+    : false
 });
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Conversation history sent with each message
+const HISTORY_TURN_LIMIT = 50;       // Most recent turns loaded from the database
+const HISTORY_TOKEN_BUDGET = 6000;   // Estimated tokens of history kept verbatim
+const SUMMARY_MAX_TOKENS = 400;
 
 /**
  * Get workspace context (memory files, user info, etc.)
@@ -72,9 +77,12 @@ async function getWorkspaceContext(workspacePath) {
  * Build system prompt from workspace context
  */
 function buildSystemPrompt(context, plan) {
-  const limits = getPlanLimits(plan);
+  const { messageLimit, features } = resolvePlan(plan) || getPlan();
+  const integrations = context.skills && context.skills.length > 0
+    ? context.skills
+    : features;
   
-  return `You are a personal AI assistant with perfect memory. You remember everything about the user.
+  return `You are ${context.agentName ? `${context.agentName}, ` : ''}a personal AI assistant with perfect memory. You remember everything about the user.
 
 ## About the User
 ${context.user || 'No user information available yet. Ask the user to tell you about themselves.'}
@@ -88,11 +96,12 @@ ${context.memory || 'No long-term memory stored yet.'}
 
 ## Recent Context
 ${context.recentConversations.map(c => `### ${c.date}\n${c.content}`).join('\n\n') || 'No recent conversations.'}
+${context.conversationSummary ? `\n## Earlier in this Conversation\n${context.conversationSummary}\n` : ''}
 
 ## Your Capabilities
 - Plan: ${plan}
-- Message limit: ${limits.messages}/month
-- Available integrations: ${limits.integrations.join(', ')}
+- Message limit: ${messageLimit}/month
+- Available integrations: ${integrations.join(', ')}
 
 ## Instructions
 1. Always reference and use your memory when relevant
@@ -103,79 +112,181 @@ ${context.recentConversations.map(c => `### ${c.date}\n${c.content}`).join('\n\n
 }
 
 /**
- * Get plan limits
+ * Load the most recent conversation turns for a workspace agent on one
+ * channel (oldest first), so turns from other chats and people stay out
+ * History is best-effort: if the database is unavailable we answer without it.
  */
-function getPlanLimits(plan) {
-  const plans = {
-    'Starter': {
-      messages: 5000,
-      integrations: ['chat', 'memory', 'web_search']
-    },
-    'Pro': {
-      messages: 20000,
-      integrations: ['chat', 'memory', 'web_search', 'gmail', 'calendar', 'browser']
-    },
-    'Team': {
-      messages: 100000,
-      integrations: ['all']
-    }
+async function loadHistory(workspaceId, agentId = 'main', channel = 'api', limit = HISTORY_TURN_LIMIT) {
+  try {
+    const result = await pool.query(`
+      SELECT message, role FROM conversations
+      WHERE workspace_id = $1 AND agent_id = $2 AND channel = $3
+      ORDER BY created_at DESC
+      LIMIT $4
+    `, [workspaceId, agentId, channel, limit]);
+
+    return result.rows.reverse().map(row => ({
+      role: row.role,
+      content: row.message
+    }));
+  } catch (error) {
+    console.error('Error loading conversation history:', error);
+    return [];
+  }
+}
+
+/**
+ * Split history into the recent turns that fit the token budget and the
+ * older turns that don't. The recent part always starts with a user turn.
+ *
+ * @param {Array<{role: string, content: string}>} turns - Oldest first
+ * @param {number} tokenBudget - Estimated tokens allowed for recent turns
+ * @returns {{recent: Array, older: Array}}
+ */
+function trimHistory(turns, tokenBudget = HISTORY_TOKEN_BUDGET) {
+  let used = 0;
+  let start = turns.length;
+
+  while (start > 0) {
+    const tokens = llm.estimateTokens(turns[start - 1].content);
+    if (used + tokens > tokenBudget) break;
+    used += tokens;
+    start--;
+  }
+
+  // Models expect the conversation to open with the user
+  while (start < turns.length && turns[start].role !== 'user') {
+    start++;
+  }
+
+  return {
+    recent: turns.slice(start),
+    older: turns.slice(0, start)
   };
-  return plans[plan] || plans['Starter'];
+}
+
+/**
+ * Merge consecutive turns from the same role (e.g. a user message whose
+ * reply failed) so roles alternate as the model APIs require
+ */
+function mergeTurns(turns) {
+  const merged = [];
+  for (const turn of turns) {
+    const last = merged[merged.length - 1];
+    if (last && last.role === turn.role) {
+      last.content += `\n\n${turn.content}`;
+    } else {
+      merged.push({ role: turn.role, content: turn.content });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Summarise turns that no longer fit in the history budget
+ */
+async function summarizeTurns(turns, plan, priceId) {
+  const transcript = turns
+    .map(t => `${t.role === 'user' ? 'User' : 'Assistant'}: ${t.content}`)
+    .join('\n\n');
+
+  return llm.complete({
+    plan,
+    priceId,
+    maxTokens: SUMMARY_MAX_TOKENS,
+    system: 'Summarise the earlier part of this conversation in a few short bullet points. ' +
+      'Keep facts, decisions, open questions and anything the user asked you to remember. ' +
+      'Reply with the summary only.',
+    messages: [{ role: 'user', content: transcript }]
+  });
 }
 
 /**
  * Chat with AI
+ * Recent turns for the workspace agent are sent as conversation history.
+ * Pass `options.onText` to stream the reply; it is called with each text delta.
+ *
+ * The caller should store the new user message *after* calling chat(),
+ * otherwise it is loaded back as history and sent twice.
+ *
+ * @param {string} workspaceId
+ * @param {string} message - New user message
+ * @param {object} [options]
+ * @param {string} [options.plan] - Plan name (limits and model)
+ * @param {string} [options.priceId] - The customer's price, for grandfathered models
+ * @param {string} [options.model] - Explicit model override
+ * @param {string} [options.agentId] - Agent whose history to load (default 'main')
+ * @param {string} [options.channel] - Channel whose history to load (default 'api')
+ * @param {object} [options.agent] - Custom agent row (name, persona, model, skills);
+ *   its persona replaces SOUL.md and its model overrides the plan model
+ * @param {number} [options.historyTokenBudget] - Estimated tokens of history to keep
+ * @param {boolean} [options.summarizeHistory] - Summarise turns that don't fit the budget
+ *   (defaults to CHAT_SUMMARIZE_HISTORY=true)
+ * @param {Function} [options.onText] - Streaming callback
  */
 async function chat(workspaceId, message, options = {}) {
-  const workspacePath = path.join('./workspaces', workspaceId);
-  const model = options.model || 'claude-3-sonnet-20240229';
+  const workspacePath = path.join(getWorkspacesDir(), workspaceId);
   const plan = options.plan || 'Starter';
+  const summarizeHistory = options.summarizeHistory ?? process.env.CHAT_SUMMARIZE_HISTORY === 'true';
+  const usage = { inputTokens: 0, outputTokens: 0 };
+
+  const agent = options.agent || null;
 
   // Get workspace context
   const context = await getWorkspaceContext(workspacePath);
-  const systemPrompt = buildSystemPrompt(context, plan);
+  if (agent) {
+    context.agentName = agent.name;
+    context.soul = agent.persona || context.soul;
+    context.skills = agent.skills;
+  }
 
   // Build conversation history
-  const messages = [
-    { role: 'user', content: message }
-  ];
-
-  let response;
-
-  // Use Claude (preferred) or fall back to OpenAI
-  if (process.env.ANTHROPIC_API_KEY) {
-    const completion = await anthropic.messages.create({
-      model: model.startsWith('claude') ? model : 'claude-3-sonnet-20240229',
-      max_tokens: 2048,
-      system: systemPrompt,
-      messages: messages.map(m => ({
-        role: m.role,
-        content: m.content
-      }))
-    });
+  const history = await loadHistory(workspaceId, options.agentId || agent?.agent_id || 'main', options.channel || 'api');
+  const { recent, older } = trimHistory(history, options.historyTokenBudget ?? HISTORY_TOKEN_BUDGET);
+
+  if (summarizeHistory && older.length > 0) {
+    try {
+      const summary = await summarizeTurns(older, plan, options.priceId);
+      context.conversationSummary = summary.text;
+      usage.inputTokens += summary.usage.inputTokens;
+      usage.outputTokens += summary.usage.outputTokens;
+    } catch (error) {
+      // Carry on with the recent turns only
+      console.error('Error summarising conversation history:', error.message);
+    }
+  }
 
-    response = completion.content[0].text;
-  } else if (process.env.OPENAI_API_KEY) {
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4-turbo-preview',
-      max_tokens: 2048,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        ...messages
-      ]
-    });
+  const systemPrompt = buildSystemPrompt(context, plan);
+  const messages = mergeTurns([
+    ...recent,
+    { role: 'user', content: message }
+  ]);
+
+  // Claude or OpenAI depending on configuration; model picked from the plan
+  const request = {
+    system: systemPrompt,
+    messages,
+    maxTokens: 2048,
+    model: options.model || agent?.model || undefined,
+    plan,
+    priceId: options.priceId
+  };
+  const completion = options.onText
+    ? await llm.stream(request, options.onText)
+    : await llm.complete(request);
 
-    response = completion.choices[0].message.content;
-  } else {
-    throw new Error('No AI API key configured');
-  }
+  const response = completion.text;
+  usage.inputTokens += completion.usage.inputTokens;
+  usage.outputTokens += completion.usage.outputTokens;
 
   // Save to daily memory
   await saveToMemory(workspacePath, message, response);
 
   return {
     response,
-    model: model,
+    model: completion.model,
+    usage,
+    history_turns: recent.length,
     memory_updated: true
   };
 }
@@ -219,5 +330,7 @@ async function fileExists(filePath) {
 module.exports = {
   chat,
   getWorkspaceContext,
-  buildSystemPrompt
+  buildSystemPrompt,
+  loadHistory,
+  trimHistory
 };
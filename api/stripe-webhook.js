@@ -0,0 +1,345 @@
+/**
+ * Stripe Webhook
+ * Verifies Stripe's signature, records each event in the ledger
+ * (lib/stripe-events.js) and runs the billing lifecycle handlers:
+ * checkout, plan changes, trials, pauses, payments, disputes and
+ * customer detail changes.
+ *
+ * Mounted before express.json() - signature verification needs the raw body.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { Pool } = require('pg');
+const { getPlan } = require('../plans');
+const { logSecurityEvent } = require('../lib/security');
+const { processStripeEvent } = require('../lib/stripe-events');
+const { createStripeClient, summarizeDiscount } = require('../lib/stripe');
+
+const stripe = createStripeClient();
+
+// Database connection
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production'
+    ? { rejectUnauthorized: true }
+    : false
+});
+
+// RAW body needed for signature verification
+router.post('/', express.raw({ type: 'application/json' }), async (req, res) => {
+  const sig = req.headers['stripe-signature'];
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  let event;
+
+  try {
+    event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+  } catch (err) {
+    console.error('⚠️ Webhook signature verification failed:', err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  console.log('✅ Stripe event received:', event.type);
+
+  // Stored in stripe_events: redeliveries and stale state events are skipped
+  try {
+    const { status } = await processStripeEvent(pool, event, STRIPE_EVENT_HANDLERS);
+    if (status === 'duplicate') {
+      return res.json({ received: true, duplicate: true });
+    }
+    // Not finished yet - a non-2xx keeps Stripe retrying in case it never is
+    if (status === 'in_progress') {
+      return res.status(409).json({ error: 'Event is still being processed' });
+    }
+  } catch (error) {
+    console.error('Error processing webhook:', error);
+    return res.status(500).json({ error: 'Processing failed' });
+  }
+
+  res.json({ received: true });
+});
+
+// ========================================
+// WEBHOOK HANDLERS
+// ========================================
+
+// Stripe event type → handler(object, event)
+const STRIPE_EVENT_HANDLERS = {
+  'checkout.session.completed': handleCheckoutCompleted,
+  'customer.subscription.created': handleSubscriptionChange,
+  'customer.subscription.updated': handleSubscriptionChange,
+  'customer.subscription.deleted': handleSubscriptionCancelled,
+  'customer.subscription.trial_will_end': handleTrialWillEnd,
+  'customer.subscription.paused': handleSubscriptionPaused,
+  'customer.subscription.resumed': handleSubscriptionResumed,
+  'customer.updated': handleCustomerUpdated,
+  'invoice.payment_succeeded': handlePaymentSucceeded,
+  'invoice.payment_failed': handlePaymentFailed,
+  'charge.dispute.created': handleDisputeCreated
+};
+
+async function handleCheckoutCompleted(session) {
+  console.log('🎉 New customer checkout completed:', session.id);
+
+  const customerId = session.customer;
+  const customerEmail = session.customer_details.email;
+  const subscriptionId = session.subscription;
+
+  // BUG-008 fix: Check for idempotency - prevent duplicate provisioning
+  const existingCustomer = await pool.query(
+    'SELECT workspace_id, provisioned_at, deprovisioned_at FROM customers WHERE stripe_customer_id = $1',
+    [customerId]
+  );
+  const existing = existingCustomer.rows[0];
+
+  if (existing && existing.provisioned_at && !existing.deprovisioned_at) {
+    console.log(`⚠️ Customer ${customerId} already provisioned, skipping duplicate webhook`);
+    return;
+  }
+
+  // Returning customer: their old workspace was archived when it was torn down
+  const archivedWorkspaceId = existing && existing.deprovisioned_at ? existing.workspace_id : null;
+
+  // Get subscription details
+  const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+  const plan = subscription.items.data[0].price.id;
+
+  // Store customer in database with checkout_session_id for idempotency tracking
+  // (customers.plan holds the plan name, price_id the Stripe price)
+  await pool.query(`
+    INSERT INTO customers (stripe_customer_id, email, subscription_id, plan, price_id, status, checkout_session_id, discount, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+    ON CONFLICT (stripe_customer_id) DO UPDATE
+    SET subscription_id = $3, plan = $4, price_id = $5, status = $6, checkout_session_id = $7, discount = $8,
+        provisioned_at = NULL, deprovision_after = NULL, deprovisioned_at = NULL,
+        updated_at = NOW()
+    WHERE customers.provisioned_at IS NULL OR customers.deprovisioned_at IS NOT NULL
+  `, [customerId, customerEmail, subscriptionId, getPlan(plan).name, plan, 'active', session.id,
+    summarizeDiscount(subscription.discount)]);
+
+  if (archivedWorkspaceId) {
+    // A later cancellation must run every teardown step again
+    await pool.query('DELETE FROM deprovisioning_steps WHERE stripe_customer_id = $1', [customerId]);
+  }
+
+  console.log('✅ Customer stored in database:', customerEmail);
+
+  // Provisioning takes minutes - the worker picks the job up
+  // (completeProvisioning stores credentials and sends the welcome email)
+  const { enqueueProvisioningJob } = require('../provisioning/job-queue');
+  const job = await enqueueProvisioningJob(pool, {
+    customerId,
+    email: customerEmail,
+    plan,
+    payload: { archivedWorkspaceId }
+  });
+
+  // Known up front so the dashboard can follow /api/workspace/:id/provisioning
+  await pool.query(
+    'UPDATE customers SET workspace_id = $1 WHERE stripe_customer_id = $2',
+    [job.workspaceId, customerId]
+  );
+}
+
+async function handleSubscriptionChange(subscription) {
+  console.log('🔄 Subscription updated:', subscription.id);
+
+  const customerId = subscription.customer;
+  const priceId = subscription.items.data[0].price.id;
+  const status = subscription.status;
+
+  // Promotion codes applied or expired arrive as subscription updates too
+  await pool.query(`
+    UPDATE customers
+    SET status = $1, discount = $3, updated_at = NOW()
+    WHERE stripe_customer_id = $2
+  `, [status, customerId, summarizeDiscount(subscription.discount)]);
+
+  // Scales the instance, adjusts skills and agents, emails the customer;
+  // throws (so Stripe redelivers) if the instance couldn't be changed
+  const { applyPlanChange } = require('../provisioning/plan-change');
+  const change = await applyPlanChange(pool, customerId, priceId);
+
+  if (change.changed) {
+    console.log(`✅ Customer plan changed: ${customerId} (${change.from} → ${change.to})`);
+  }
+}
+
+async function handleSubscriptionCancelled(subscription) {
+  console.log('❌ Subscription cancelled:', subscription.id);
+
+  const customerId = subscription.customer;
+  const { scheduleDeprovisioning, runDeprovisioning } = require('../provisioning/deprovisioning');
+
+  // Marks the customer cancelled; resources are kept for the grace period
+  const { graceDays } = await scheduleDeprovisioning(pool, customerId);
+
+  if (graceDays === 0) {
+    // Don't hold up the webhook response - failures are recorded and retried
+    runDeprovisioning(pool, customerId).catch(error => {
+      console.error('❌ Deprovisioning failed:', customerId, error.message);
+    });
+  }
+}
+
+// Sent 3 days before a trial ends
+async function handleTrialWillEnd(subscription) {
+  console.log('⏰ Trial ending:', subscription.id);
+
+  if (!subscription.trial_end) return;
+
+  const result = await pool.query(
+    'SELECT email, plan FROM customers WHERE stripe_customer_id = $1',
+    [subscription.customer]
+  );
+
+  if (result.rows.length > 0) {
+    const { email, plan } = result.rows[0];
+    const { sendTrialEndingEmail } = require('../email');
+    await sendTrialEndingEmail(email, new Date(subscription.trial_end * 1000), plan);
+  }
+}
+
+// Billing paused from the Stripe dashboard - the workspace stops serving
+// (authenticateWorkspace only lets active customers in) but keeps its data
+async function handleSubscriptionPaused(subscription) {
+  console.log('⏸️ Subscription paused:', subscription.id);
+
+  await pool.query(`
+    UPDATE customers
+    SET status = 'paused', updated_at = NOW()
+    WHERE stripe_customer_id = $1 AND status NOT IN ('cancelled', 'deprovisioned')
+  `, [subscription.customer]);
+}
+
+async function handleSubscriptionResumed(subscription) {
+  console.log('▶️ Subscription resumed:', subscription.id);
+
+  await pool.query(`
+    UPDATE customers
+    SET status = 'active', updated_at = NOW()
+    WHERE stripe_customer_id = $1 AND status = 'paused'
+  `, [subscription.customer]);
+}
+
+async function handlePaymentSucceeded(invoice) {
+  console.log('💰 Payment succeeded:', invoice.id);
+
+  // Lifts a suspension from failed payments (handlePaymentFailed)
+  const result = await pool.query(`
+    UPDATE customers
+    SET status = 'active', updated_at = NOW()
+    WHERE stripe_customer_id = $1 AND status = 'suspended'
+    RETURNING email
+  `, [invoice.customer]);
+
+  if (result.rows.length > 0) {
+    console.log('✅ Customer reactivated after payment:', invoice.customer);
+  }
+}
+
+async function handlePaymentFailed(invoice) {
+  console.log('❌ Payment failed:', invoice.id);
+  console.log('⚠️ Payment failed for customer:', invoice.customer);
+
+  const { sendPaymentFailedEmail } = require('../email');
+
+  // Get customer email
+  const result = await pool.query(
+    'SELECT email FROM customers WHERE stripe_customer_id = $1',
+    [invoice.customer]
+  );
+
+  if (result.rows.length > 0) {
+    const email = result.rows[0].email;
+    const attemptNumber = invoice.attempt_count || 1;
+
+    await sendPaymentFailedEmail(email, attemptNumber);
+
+    // Suspend service after 3 failed attempts
+    if (attemptNumber >= 3) {
+      await pool.query(
+        'UPDATE customers SET status = $1 WHERE stripe_customer_id = $2',
+        ['suspended', invoice.customer]
+      );
+      console.log('⚠️ Customer suspended due to payment failure:', invoice.customer);
+    }
+  }
+}
+
+// Chargeback: record it and alert support, who respond in the Stripe dashboard
+async function handleDisputeCreated(dispute) {
+  console.log('🚨 Dispute created:', dispute.id);
+
+  // Disputes reference the charge, not the customer
+  const charge = typeof dispute.charge === 'string'
+    ? await stripe.charges.retrieve(dispute.charge)
+    : dispute.charge;
+  const customerId = typeof charge.customer === 'string' ? charge.customer : charge.customer?.id || null;
+  const evidenceDueBy = dispute.evidence_details?.due_by
+    ? new Date(dispute.evidence_details.due_by * 1000)
+    : null;
+
+  await pool.query(`
+    INSERT INTO stripe_disputes (id, stripe_customer_id, charge_id, amount, currency, reason, status, evidence_due_by, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+    ON CONFLICT (id) DO UPDATE
+    SET status = $7, evidence_due_by = $8
+  `, [dispute.id, customerId, charge.id, dispute.amount, dispute.currency, dispute.reason, dispute.status, evidenceDueBy]);
+
+  let email = null;
+  if (customerId) {
+    const result = await pool.query(
+      'SELECT email FROM customers WHERE stripe_customer_id = $1',
+      [customerId]
+    );
+    email = result.rows[0]?.email || null;
+  }
+
+  logSecurityEvent('CHARGE_DISPUTED', {
+    disputeId: dispute.id,
+    customerId,
+    amount: dispute.amount,
+    reason: dispute.reason
+  });
+
+  const { sendDisputeAlertEmail } = require('../email');
+  await sendDisputeAlertEmail({
+    id: dispute.id,
+    chargeId: charge.id,
+    amount: dispute.amount,
+    currency: dispute.currency,
+    reason: dispute.reason,
+    evidenceDueBy,
+    customerId,
+    email
+  });
+}
+
+// Email changed in the Stripe dashboard or customer portal
+async function handleCustomerUpdated(customer, event) {
+  const previous = event.data.previous_attributes || {};
+  if (!('email' in previous) || !customer.email) return;
+
+  const result = await pool.query(`
+    UPDATE customers
+    SET email = $1, updated_at = NOW()
+    WHERE stripe_customer_id = $2 AND email IS DISTINCT FROM $1
+    RETURNING id
+  `, [customer.email, customer.id]);
+
+  if (result.rows.length === 0) return;
+
+  // A job still in the queue sends the welcome email to its own copy
+  await pool.query(`
+    UPDATE provisioning_jobs
+    SET email = $1, updated_at = NOW()
+    WHERE stripe_customer_id = $2 AND status IN ('queued', 'running')
+  `, [customer.email, customer.id]);
+
+  console.log('✅ Customer email updated:', customer.id);
+}
+
+module.exports = router;
+module.exports.STRIPE_EVENT_HANDLERS = STRIPE_EVENT_HANDLERS;
@@ -1,6 +1,7 @@
 /**
  * Telegram Bot Integration API
  * Handles bot token registration, webhook setup, and message forwarding
+ * (text, photos, documents and voice notes - see lib/attachments.js)
  */
 
 const express = require('express');
@@ -8,6 +9,30 @@ const router = express.Router();
 const { Pool } = require('pg');
 const { encrypt, decrypt } = require('../lib/encryption');
 const { logSecurityEvent } = require('../lib/security');
+const llm = require('../lib/llm');
+const transcription = require('../lib/transcription');
+const {
+  checkAttachment,
+  toContentBlock,
+  saveAttachment,
+  recordAttachment,
+  countAttachmentsThisMonth
+} = require('../lib/attachments');
+const { checkMessageAllowance, parseSpendingLimit } = require('../lib/overage');
+const {
+  GROUP_CHANNEL,
+  isGroupChat,
+  isAddressedToBot,
+  stripMention,
+  getGroup,
+  recordGroup,
+  setGroupApproval,
+  listGroups
+} = require('../lib/telegram-groups');
+const { generateWebhookSecret, hasValidSecret } = require('../lib/telegram-webhook');
+const { isPollingMode } = require('../lib/telegram-polling');
+const { sendFormattedMessage } = require('../lib/telegram-format');
+const { getPlanLimits, getOverage, getAttachmentLimits } = require('../plans');
 
 // Database connection
 const pool = new Pool({
@@ -17,8 +42,19 @@ const pool = new Pool({
     : false
 });
 
-// Telegram API base URL
-const TELEGRAM_API = 'https://api.telegram.org/bot';
+// Telegram API base URLs
+// TELEGRAM_API_BASE points them at another Bot API server (a local one, or
+// the fake in __tests__/helpers/telegram-server.js)
+const TELEGRAM_API_BASE = process.env.TELEGRAM_API_BASE || 'https://api.telegram.org';
+const TELEGRAM_API = `${TELEGRAM_API_BASE}/bot`;
+const TELEGRAM_FILE_API = `${TELEGRAM_API_BASE}/file/bot`;
+
+// Updates the webhook receives - my_chat_member reports the bot being added
+// to or removed from groups
+const ALLOWED_UPDATES = ['message', 'callback_query', 'my_chat_member'];
+
+// Bot statuses in a chat that mean it's a member
+const MEMBER_STATUSES = ['member', 'administrator', 'restricted'];
 
 // Backend URL for webhook (set in Railway)
 const BACKEND_URL = process.env.BACKEND_URL || process.env.RAILWAY_PUBLIC_DOMAIN 
@@ -44,12 +80,37 @@ async function callTelegramAPI(token, method, body = null) {
   const data = await response.json();
   
   if (!data.ok) {
-    throw new Error(data.description || 'Telegram API error');
+    const error = new Error(data.description || 'Telegram API error');
+    error.code = data.error_code;
+    throw error;
   }
   
   return data.result;
 }
 
+/**
+ * Helper: Download a file sent to the bot
+ * @returns {Promise<Buffer>}
+ */
+async function downloadTelegramFile(token, fileId, maxBytes) {
+  const file = await callTelegramAPI(token, 'getFile', { file_id: fileId });
+
+  if (file.file_size > maxBytes) {
+    throw new Error(`File is larger than ${maxBytes} bytes`);
+  }
+
+  const response = await fetch(`${TELEGRAM_FILE_API}${token}/${file.file_path}`);
+  if (!response.ok) {
+    throw new Error(`Telegram file download failed (${response.status})`);
+  }
+
+  const data = Buffer.from(await response.arrayBuffer());
+  if (data.length > maxBytes) {
+    throw new Error(`File is larger than ${maxBytes} bytes`);
+  }
+  return data;
+}
+
 /**
  * Helper: Authenticate workspace request
  */
@@ -91,6 +152,85 @@ async function authenticateWorkspace(req, res, next) {
   }
 }
 
+/**
+ * Webhook URL for a workspace's bot
+ */
+function webhookUrlFor(workspaceId) {
+  return `${BACKEND_URL}/api/telegram/webhook/${workspaceId}`;
+}
+
+/**
+ * Point a workspace bot's webhook at this backend with a new secret token
+ * The secret is only stored once Telegram has accepted it - updates that
+ * arrive with it before then are rejected and redelivered by Telegram.
+ *
+ * @param {string} workspaceId
+ * @param {string} token - Bot token
+ * @param {object} options - { dropPendingUpdates }
+ * @returns {Promise<string>} Webhook URL
+ */
+async function setBotWebhook(workspaceId, token, { dropPendingUpdates = false } = {}) {
+  const webhookUrl = webhookUrlFor(workspaceId);
+  const secret = generateWebhookSecret();
+  
+  console.log(`🔄 Setting webhook to: ${webhookUrl}`);
+  
+  await callTelegramAPI(token, 'setWebhook', {
+    url: webhookUrl,
+    secret_token: secret,
+    allowed_updates: ALLOWED_UPDATES,
+    drop_pending_updates: dropPendingUpdates
+  });
+  
+  // Verify webhook was set
+  const webhookInfo = await callTelegramAPI(token, 'getWebhookInfo');
+  
+  if (webhookInfo.url !== webhookUrl) {
+    throw new Error('Webhook URL mismatch after setting');
+  }
+  
+  await pool.query(
+    'UPDATE telegram_bots SET webhook_url = $1, webhook_secret_encrypted = $2, updated_at = NOW() WHERE workspace_id = $3',
+    [webhookUrl, encrypt(secret), workspaceId]
+  );
+  
+  console.log(`✅ Webhook set successfully!`);
+  
+  return webhookUrl;
+}
+
+/**
+ * Set the webhook again for active bots that have no secret token yet
+ * Bots connected before secrets were introduced have none, and their updates
+ * are rejected until then - index.js runs this at startup, and
+ * scripts/secure-telegram-webhooks.js by hand. Pending updates are kept:
+ * Telegram redelivers them with the new secret.
+ *
+ * @param {object} options - { all } - give every active bot a new secret
+ * @returns {Promise<object[]>} [{ workspaceId, botUsername, error }] - error is null on success
+ */
+async function secureBotWebhooks({ all = false } = {}) {
+  const result = await pool.query(`
+    SELECT workspace_id, bot_username, token_encrypted
+    FROM telegram_bots
+    WHERE status = 'active' ${all ? '' : 'AND webhook_secret_encrypted IS NULL'}
+    ORDER BY workspace_id
+  `);
+  const outcomes = [];
+  
+  for (const bot of result.rows) {
+    const outcome = { workspaceId: bot.workspace_id, botUsername: bot.bot_username, error: null };
+    try {
+      await setBotWebhook(bot.workspace_id, decrypt(bot.token_encrypted));
+    } catch (error) {
+      outcome.error = error.message;
+    }
+    outcomes.push(outcome);
+  }
+  
+  return outcomes;
+}
+
 /**
  * POST /api/telegram/:workspaceId/connect
  * Validate and store Telegram bot token, set up webhook
@@ -142,48 +282,30 @@ router.post('/:workspaceId/connect', authenticateWorkspace, async (req, res) =>
     
     console.log(`✅ Token stored for workspace ${workspaceId}`);
     
-    // Step 3: Set webhook URL
-    const webhookUrl = `${BACKEND_URL}/api/telegram/webhook/${workspaceId}`;
-    
-    console.log(`🔄 Setting webhook to: ${webhookUrl}`);
+    // Step 3: Set webhook URL - in polling mode the polling runner picks
+    // the bot up instead (lib/telegram-polling.js)
+    const polling = isPollingMode();
+    const webhookUrl = polling ? null : webhookUrlFor(workspaceId);
     
-    try {
-      await callTelegramAPI(token, 'setWebhook', {
-        url: webhookUrl,
-        allowed_updates: ['message', 'callback_query'],
-        drop_pending_updates: true
-      });
-      
-      // Verify webhook was set
-      const webhookInfo = await callTelegramAPI(token, 'getWebhookInfo');
-      
-      if (webhookInfo.url !== webhookUrl) {
-        throw new Error('Webhook URL mismatch after setting');
+    if (!polling) {
+      try {
+        await setBotWebhook(workspaceId, token, { dropPendingUpdates: true });
+      } catch (error) {
+        console.error('Webhook setup failed:', error.message);
+        // Still return success - token is valid, webhook can be retried
+        return res.status(200).json({
+          success: true,
+          bot: {
+            id: botInfo.id,
+            username: botInfo.username,
+            name: botInfo.first_name
+          },
+          webhookUrl,
+          webhookStatus: 'failed',
+          webhookError: error.message,
+          message: 'Bot connected but webhook setup failed. Messages may not be received.'
+        });
       }
-      
-      console.log(`✅ Webhook set successfully!`);
-      
-      // Update webhook URL in database
-      await pool.query(
-        'UPDATE telegram_bots SET webhook_url = $1 WHERE workspace_id = $2',
-        [webhookUrl, workspaceId]
-      );
-      
-    } catch (error) {
-      console.error('Webhook setup failed:', error.message);
-      // Still return success - token is valid, webhook can be retried
-      return res.status(200).json({
-        success: true,
-        bot: {
-          id: botInfo.id,
-          username: botInfo.username,
-          name: botInfo.first_name
-        },
-        webhookUrl,
-        webhookStatus: 'failed',
-        webhookError: error.message,
-        message: 'Bot connected but webhook setup failed. Messages may not be received.'
-      });
     }
     
     logSecurityEvent('TELEGRAM_BOT_CONNECTED', {
@@ -200,7 +322,7 @@ router.post('/:workspaceId/connect', authenticateWorkspace, async (req, res) =>
         name: botInfo.first_name
       },
       webhookUrl,
-      webhookStatus: 'active',
+      webhookStatus: polling ? 'polling' : 'active',
       message: `Bot @${botInfo.username} connected successfully! Send a message to test.`
     });
     
@@ -250,6 +372,37 @@ router.get('/:workspaceId/status', authenticateWorkspace, async (req, res) => {
   }
 });
 
+/**
+ * Remove a workspace's Telegram bot: delete its webhook and the stored token
+ * Also used when a cancelled workspace is deprovisioned.
+ * @returns {Promise<boolean>} Whether a bot was connected
+ */
+async function disconnectBot(workspaceId) {
+  // Get token to remove webhook
+  const result = await pool.query(
+    'SELECT token_encrypted FROM telegram_bots WHERE workspace_id = $1',
+    [workspaceId]
+  );
+  
+  if (result.rows.length > 0 && result.rows[0].token_encrypted) {
+    try {
+      const token = decrypt(result.rows[0].token_encrypted);
+      await callTelegramAPI(token, 'deleteWebhook');
+      console.log(`✅ Webhook removed for workspace ${workspaceId}`);
+    } catch (error) {
+      console.warn('Failed to remove webhook:', error.message);
+    }
+  }
+  
+  // Remove from database
+  await pool.query('DELETE FROM telegram_bots WHERE workspace_id = $1', [workspaceId]);
+  await pool.query('DELETE FROM telegram_groups WHERE workspace_id = $1', [workspaceId]);
+  
+  logSecurityEvent('TELEGRAM_BOT_DISCONNECTED', { workspaceId });
+  
+  return result.rows.length > 0;
+}
+
 /**
  * DELETE /api/telegram/:workspaceId/disconnect
  * Disconnect Telegram bot
@@ -258,31 +411,85 @@ router.delete('/:workspaceId/disconnect', authenticateWorkspace, async (req, res
   const { workspaceId } = req;
   
   try {
-    // Get token to remove webhook
-    const result = await pool.query(
-      'SELECT token_encrypted FROM telegram_bots WHERE workspace_id = $1',
-      [workspaceId]
-    );
+    await disconnectBot(workspaceId);
     
-    if (result.rows.length > 0 && result.rows[0].token_encrypted) {
-      try {
-        const token = decrypt(result.rows[0].token_encrypted);
-        await callTelegramAPI(token, 'deleteWebhook');
-        console.log(`✅ Webhook removed for workspace ${workspaceId}`);
-      } catch (error) {
-        console.warn('Failed to remove webhook:', error.message);
+    res.json({ success: true, message: 'Telegram bot disconnected' });
+  } catch (error) {
+    console.error('Disconnect error:', error);
+    res.status(500).json({ error: 'Failed to disconnect' });
+  }
+});
+
+function formatGroup(group) {
+  return {
+    chatId: Number(group.chat_id),
+    title: group.title,
+    type: group.chat_type,
+    approved: group.approved,
+    member: group.member,
+    updatedAt: group.updated_at
+  };
+}
+
+/**
+ * GET /api/telegram/:workspaceId/groups
+ * Groups the bot has been added to and groups the owner approved
+ */
+router.get('/:workspaceId/groups', authenticateWorkspace, async (req, res) => {
+  try {
+    const groups = await listGroups(pool, req.workspaceId);
+    res.json({ groups: groups.map(formatGroup) });
+  } catch (error) {
+    console.error('List groups error:', error);
+    res.status(500).json({ error: 'Failed to list groups' });
+  }
+});
+
+/**
+ * PUT /api/telegram/:workspaceId/groups/:chatId
+ * Approve a group (`{ approved: true }`) or revoke it (`{ approved: false }`
+ * - the bot leaves the group)
+ */
+router.put('/:workspaceId/groups/:chatId', authenticateWorkspace, async (req, res) => {
+  const { workspaceId } = req;
+  const { chatId } = req.params;
+  const { approved } = req.body;
+  
+  // Group and supergroup IDs are negative
+  if (!/^-\d{1,15}$/.test(chatId)) {
+    return res.status(400).json({ error: 'Invalid group chat ID' });
+  }
+  
+  if (typeof approved !== 'boolean') {
+    return res.status(400).json({ error: 'approved must be true or false' });
+  }
+  
+  try {
+    const group = await setGroupApproval(pool, workspaceId, chatId, approved);
+    
+    if (!approved && group.member) {
+      const bot = await getActiveBot(workspaceId);
+      if (bot) {
+        try {
+          await callTelegramAPI(bot.token, 'leaveChat', { chat_id: chatId });
+        } catch (error) {
+          console.warn(`Failed to leave group ${chatId}:`, error.message);
+        }
       }
     }
     
-    // Remove from database
-    await pool.query('DELETE FROM telegram_bots WHERE workspace_id = $1', [workspaceId]);
+    logSecurityEvent(approved ? 'TELEGRAM_GROUP_APPROVED' : 'TELEGRAM_GROUP_REVOKED', { workspaceId, chatId });
     
-    logSecurityEvent('TELEGRAM_BOT_DISCONNECTED', { workspaceId });
-    
-    res.json({ success: true, message: 'Telegram bot disconnected' });
+    res.json({
+      success: true,
+      group: formatGroup(group),
+      message: approved
+        ? 'Group approved. Add the bot to the group to start chatting.'
+        : 'Group approval revoked'
+    });
   } catch (error) {
-    console.error('Disconnect error:', error);
-    res.status(500).json({ error: 'Failed to disconnect' });
+    console.error('Group approval error:', error);
+    res.status(500).json({ error: 'Failed to update group' });
   }
 });
 
@@ -294,6 +501,25 @@ router.post('/webhook/:workspaceId', async (req, res) => {
   const { workspaceId } = req.params;
   const update = req.body;
   
+  // Only Telegram knows the bot's secret token (set with setWebhook)
+  let secret = null;
+  try {
+    const result = await pool.query(
+      'SELECT webhook_secret_encrypted FROM telegram_bots WHERE workspace_id = $1',
+      [workspaceId]
+    );
+    const encrypted = result.rows[0]?.webhook_secret_encrypted;
+    secret = encrypted ? decrypt(encrypted) : null;
+  } catch (error) {
+    console.error(`Webhook secret lookup failed for ${workspaceId}:`, error);
+    return res.sendStatus(500);
+  }
+  
+  if (!hasValidSecret(req, secret)) {
+    logSecurityEvent('TELEGRAM_WEBHOOK_REJECTED', { workspaceId, ip: req.ip });
+    return res.status(401).json({ error: 'Invalid secret token' });
+  }
+  
   // Acknowledge immediately (Telegram expects quick response)
   res.sendStatus(200);
   
@@ -303,84 +529,327 @@ router.post('/webhook/:workspaceId', async (req, res) => {
   });
 });
 
+/**
+ * The photo, document or voice note in a message
+ * Photos come in several sizes, smallest first - the largest one within
+ * maxBytes is used.
+ * @returns {object|null} { kind, fileId, mimeType, fileName, size }
+ */
+function getMessageMedia(message, maxBytes = Infinity) {
+  if (Array.isArray(message.photo) && message.photo.length > 0) {
+    const fitting = message.photo.filter(size => (size.file_size || 0) <= maxBytes);
+    const photo = fitting[fitting.length - 1] || message.photo[0];
+    return { kind: 'photo', fileId: photo.file_id, mimeType: 'image/jpeg', fileName: null, size: photo.file_size || 0 };
+  }
+
+  if (message.document) {
+    const { document } = message;
+    return {
+      kind: 'document',
+      fileId: document.file_id,
+      mimeType: document.mime_type || 'application/octet-stream',
+      fileName: document.file_name || null,
+      size: document.file_size || 0
+    };
+  }
+
+  if (message.voice) {
+    const { voice } = message;
+    return { kind: 'voice', fileId: voice.file_id, mimeType: voice.mime_type || 'audio/ogg', fileName: 'voice.ogg', size: voice.file_size || 0 };
+  }
+
+  return null;
+}
+
+/**
+ * Check a message against the workspace's plan: the monthly message
+ * allowance, then the attachment limits
+ * @returns {Promise<string|null>} Why the message is refused, null if allowed
+ */
+async function checkPlanLimits(workspaceId, customer, media) {
+  const usageResult = await pool.query(`
+    SELECT COALESCE(SUM(messages_sent), 0) as count
+    FROM usage_tracking
+    WHERE workspace_id = $1
+      AND date >= date_trunc('month', CURRENT_DATE)
+  `, [workspaceId]);
+
+  const allowance = checkMessageAllowance({
+    used: parseInt(usageResult.rows[0].count),
+    messageLimit: getPlanLimits(customer.plan, customer.price_id).messagesPerMonth,
+    pricePerMessage: getOverage(customer.plan, customer.price_id)?.pricePerMessage,
+    spendingLimit: parseSpendingLimit(customer.overage_spending_limit)
+  });
+
+  if (!allowance.allowed) {
+    return `${allowance.error} for this workspace.`;
+  }
+
+  if (!media) return null;
+
+  const check = checkAttachment(
+    media,
+    getAttachmentLimits(customer.plan, customer.price_id),
+    await countAttachmentsThisMonth(pool, workspaceId)
+  );
+  if (!check.allowed) return check.error;
+
+  if (media.kind === 'voice' && !transcription.isConfigured()) {
+    return 'Voice notes can\'t be transcribed yet - please send your message as text.';
+  }
+  return null;
+}
+
+/**
+ * Text stored for an attachment without a caption
+ */
+function describeMedia(media) {
+  if (media.kind === 'photo') return '[Photo]';
+  if (media.kind === 'voice') return '[Voice note]';
+  return `[Document: ${media.fileName || 'file'}]`;
+}
+
+/**
+ * Get a workspace's active bot
+ * @returns {Promise<object|null>} { token, id, username }
+ */
+async function getActiveBot(workspaceId) {
+  const result = await pool.query(
+    'SELECT token_encrypted, bot_id, bot_username FROM telegram_bots WHERE workspace_id = $1 AND status = $2',
+    [workspaceId, 'active']
+  );
+  
+  if (result.rows.length === 0) return null;
+  
+  const bot = result.rows[0];
+  return { token: decrypt(bot.token_encrypted), id: bot.bot_id, username: bot.bot_username };
+}
+
+/**
+ * Leave a group the owner hasn't approved, recording it so they can
+ */
+async function leaveUnapprovedGroup(workspaceId, bot, chat) {
+  console.log(`🚪 Leaving unapproved group ${chat.id} for ${workspaceId}`);
+  
+  await recordGroup(pool, workspaceId, chat, false);
+  logSecurityEvent('TELEGRAM_GROUP_LEFT', { workspaceId, chatId: chat.id, title: chat.title });
+  
+  try {
+    await callTelegramAPI(bot.token, 'sendMessage', {
+      chat_id: chat.id,
+      text: 'This bot only joins groups its workspace owner has approved. Ask them to approve this group, then add the bot again.'
+    });
+  } catch (error) {
+    console.warn(`Failed to notify group ${chat.id}:`, error.message);
+  }
+  
+  await callTelegramAPI(bot.token, 'leaveChat', { chat_id: chat.id });
+}
+
+/**
+ * Handle the bot being added to or removed from a chat
+ */
+async function processMembershipChange(workspaceId, change) {
+  const { chat } = change;
+  
+  if (!isGroupChat(chat)) return;
+  
+  const bot = await getActiveBot(workspaceId);
+  if (!bot) {
+    console.error(`No active bot for workspace ${workspaceId}`);
+    return;
+  }
+  
+  if (!MEMBER_STATUSES.includes(change.new_chat_member.status)) {
+    await recordGroup(pool, workspaceId, chat, false);
+    console.log(`👋 Bot removed from group ${chat.id} for ${workspaceId}`);
+    return;
+  }
+  
+  const group = await getGroup(pool, workspaceId, chat.id);
+  if (!group || !group.approved) {
+    await leaveUnapprovedGroup(workspaceId, bot, chat);
+    return;
+  }
+  
+  await recordGroup(pool, workspaceId, chat, true);
+  console.log(`✅ Bot added to approved group ${chat.id} for ${workspaceId}`);
+}
+
 /**
  * Process incoming Telegram update
+ * In groups, messages not addressed to the bot are only stored as history.
  */
 async function processUpdate(workspaceId, update) {
+  if (update.my_chat_member) {
+    return processMembershipChange(workspaceId, update.my_chat_member);
+  }
+  
   // Handle message updates
   const message = update.message || update.edited_message;
+  const hasMedia = message && getMessageMedia(message);
   
-  if (!message || !message.text) {
-    console.log('Ignoring non-text update');
+  if (!message || (!message.text && !hasMedia)) {
+    console.log('Ignoring unsupported update');
     return;
   }
   
   const chatId = message.chat.id;
   const userId = message.from.id;
   const userFirstName = message.from.first_name || 'User';
-  const text = message.text;
+  const inGroup = isGroupChat(message.chat);
+  let text = message.text || message.caption || '';
+  let addressed = !inGroup;
   
-  console.log(`📩 Telegram message for ${workspaceId}: ${text.substring(0, 50)}...`);
+  console.log(`📩 Telegram ${hasMedia ? hasMedia.kind : 'message'} for ${workspaceId}: ${text.substring(0, 50)}...`);
   
   try {
     // Get bot token and workspace info
-    const botResult = await pool.query(
-      'SELECT token_encrypted FROM telegram_bots WHERE workspace_id = $1 AND status = $2',
-      [workspaceId, 'active']
-    );
+    const bot = await getActiveBot(workspaceId);
     
-    if (botResult.rows.length === 0) {
+    if (!bot) {
       console.error(`No active bot for workspace ${workspaceId}`);
       return;
     }
     
-    const token = decrypt(botResult.rows[0].token_encrypted);
+    const { token } = bot;
+    const channel = inGroup ? GROUP_CHANNEL : 'telegram';
+    const metadata = { chatId, userId, userName: userFirstName, ...(inGroup && { chatType: message.chat.type }) };
+    
+    if (inGroup) {
+      const group = await getGroup(pool, workspaceId, chatId);
+      
+      if (!group || !group.approved) {
+        await leaveUnapprovedGroup(workspaceId, bot, message.chat);
+        return;
+      }
+      if (!group.member) {
+        await recordGroup(pool, workspaceId, message.chat, true);
+      }
+      
+      addressed = isAddressedToBot(message, bot);
+      text = stripMention(text, bot.username);
+      
+      if (!addressed) {
+        // Kept as context for when the bot is mentioned; files aren't fetched
+        await pool.query(`
+          INSERT INTO conversations (workspace_id, agent_id, channel, message, role, metadata, created_at)
+          VALUES ($1, 'main', $2, $3, 'user', $4, NOW())
+        `, [workspaceId, channel, text || describeMedia(hasMedia), JSON.stringify(metadata)]);
+        return;
+      }
+    }
+    
+    // Threads the bot's messages under the one it answers in groups
+    const replyTo = inGroup ? { reply_to_message_id: message.message_id } : {};
     
     // Get workspace plan info
     const customerResult = await pool.query(
-      'SELECT plan FROM customers WHERE workspace_id = $1',
+      'SELECT plan, price_id, overage_spending_limit FROM customers WHERE workspace_id = $1',
       [workspaceId]
     );
     
-    const plan = customerResult.rows[0]?.plan || 'Starter';
+    const customer = customerResult.rows[0] || {};
+    const plan = customer.plan || 'Starter';
+    const attachmentLimits = getAttachmentLimits(customer.plan, customer.price_id);
+    const maxBytes = attachmentLimits ? attachmentLimits.maxFileMb * 1024 * 1024 : 0;
+    const media = hasMedia && getMessageMedia(message, maxBytes);
     
-    // Store incoming message in conversations
-    await pool.query(`
-      INSERT INTO conversations (workspace_id, agent_id, channel, message, role, metadata, created_at)
-      VALUES ($1, 'main', 'telegram', $2, 'user', $3, NOW())
-    `, [workspaceId, text, JSON.stringify({ chatId, userId, userName: userFirstName })]);
+    const refusal = await checkPlanLimits(workspaceId, customer, media);
+    if (refusal) {
+      await callTelegramAPI(token, 'sendMessage', { chat_id: chatId, text: `⚠️ ${refusal}`, ...replyTo });
+      return;
+    }
     
     // Send "typing" indicator
     await callTelegramAPI(token, 'sendChatAction', { chat_id: chatId, action: 'typing' });
     
+    // Download the attachment; voice notes continue as their transcript
+    let attachment = null;
+    let contentBlock = null;
+    
+    if (media) {
+      const data = await downloadTelegramFile(token, media.fileId, maxBytes);
+      attachment = { ...media, data, sizeBytes: data.length };
+      
+      if (media.kind === 'voice') {
+        attachment.transcript = (await transcription.transcribe({
+          audio: data,
+          mimeType: media.mimeType,
+          fileName: media.fileName
+        })).text;
+        text = attachment.transcript;
+      } else {
+        contentBlock = toContentBlock(attachment);
+        text = text || describeMedia(media);
+      }
+      
+      attachment.storagePath = await saveAttachment(workspaceId, attachment);
+    }
+    
+    // Store incoming message in conversations
+    const incoming = await pool.query(`
+      INSERT INTO conversations (workspace_id, agent_id, channel, message, role, metadata, created_at)
+      VALUES ($1, 'main', $2, $3, 'user', $4, NOW())
+      RETURNING id
+    `, [workspaceId, channel, text, JSON.stringify({ ...metadata, ...(attachment && { attachment: attachment.kind }) })]);
+    const conversationId = incoming.rows[0].id;
+    
+    if (attachment) {
+      await recordAttachment(pool, {
+        workspaceId,
+        conversationId,
+        channel,
+        kind: attachment.kind,
+        mimeType: attachment.mimeType,
+        fileName: attachment.fileName,
+        sizeBytes: attachment.sizeBytes,
+        storagePath: attachment.storagePath,
+        sourceFileId: attachment.fileId,
+        transcript: attachment.transcript
+      });
+    }
+    
     // Generate AI response
     let response;
+    let tokensUsed = 0;
     
-    if (process.env.ANTHROPIC_API_KEY) {
-      const Anthropic = require('@anthropic-ai/sdk');
-      const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
-      
+    if (llm.isConfigured()) {
       // Get recent conversation history for context
       const historyResult = await pool.query(`
-        SELECT message, role FROM conversations
-        WHERE workspace_id = $1 AND channel = 'telegram'
-          AND (metadata->>'chatId')::text = $2
+        SELECT id, message, role, metadata->>'userName' AS user_name FROM conversations
+        WHERE workspace_id = $1 AND channel = $2
+          AND (metadata->>'chatId')::text = $3
         ORDER BY created_at DESC LIMIT 10
-      `, [workspaceId, String(chatId)]);
+      `, [workspaceId, channel, String(chatId)]);
       
-      const conversationHistory = historyResult.rows.reverse().map(row => ({
-        role: row.role,
-        content: row.message
-      }));
+      // Earlier attachments are represented by their text; only this
+      // message's file is sent to the model. Group messages carry their
+      // speaker's name.
+      const conversationHistory = historyResult.rows.reverse().map(row => {
+        const rowText = inGroup && row.role === 'user' ? `${row.user_name || 'User'}: ${row.message}` : row.message;
+        return {
+          role: row.role,
+          content: row.id === conversationId && contentBlock
+            ? [contentBlock, { type: 'text', text: rowText }]
+            : rowText
+        };
+      });
       
-      const completion = await anthropic.messages.create({
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 1024,
-        system: `You are a helpful AI assistant connected via Telegram. Be concise and friendly. User's name is ${userFirstName}. Current plan: ${plan}.`,
-        messages: conversationHistory
+      const system = inGroup
+        ? `You are a helpful AI assistant in the Telegram group "${message.chat.title}". Be concise and friendly. Group members' messages start with their name; reply to ${userFirstName}'s latest message. Current plan: ${plan}.`
+        : `You are a helpful AI assistant connected via Telegram. Be concise and friendly. User's name is ${userFirstName}. Current plan: ${plan}.`;
+      
+      const completion = await llm.complete({
+        system,
+        messages: conversationHistory,
+        maxTokens: 1024,
+        plan,
+        priceId: customer.price_id
       });
       
-      response = completion.content[0].text;
+      response = completion.text;
+      tokensUsed = completion.usage.inputTokens + completion.usage.outputTokens;
     } else {
       // Fallback response if no AI API key
       response = `Hello ${userFirstName}! Your message was received, but AI responses are not configured yet. Please contact support.`;
@@ -389,33 +858,37 @@ async function processUpdate(workspaceId, update) {
     // Store response in conversations
     await pool.query(`
       INSERT INTO conversations (workspace_id, agent_id, channel, message, role, metadata, created_at)
-      VALUES ($1, 'main', 'telegram', $2, 'assistant', $3, NOW())
-    `, [workspaceId, response, JSON.stringify({ chatId, userId })]);
+      VALUES ($1, 'main', $2, $3, 'assistant', $4, NOW())
+    `, [workspaceId, channel, response, JSON.stringify({ chatId, userId, ...(inGroup && { chatType: message.chat.type }) })]);
     
     // Track usage
     const today = new Date().toISOString().split('T')[0];
     await pool.query(`
       INSERT INTO usage_tracking (workspace_id, date, messages_sent, api_calls, tokens_used)
-      VALUES ($1, $2, 1, 1, 500)
+      VALUES ($1, $2, 1, 1, $3)
       ON CONFLICT (workspace_id, date)
       DO UPDATE SET
         messages_sent = usage_tracking.messages_sent + 1,
         api_calls = usage_tracking.api_calls + 1,
-        tokens_used = usage_tracking.tokens_used + 500
-    `, [workspaceId, today]);
-    
-    // Send response to Telegram
-    await callTelegramAPI(token, 'sendMessage', {
-      chat_id: chatId,
-      text: response,
-      parse_mode: 'Markdown'
-    });
+        tokens_used = usage_tracking.tokens_used + $3
+    `, [workspaceId, today, tokensUsed]);
+    
+    // Send response to Telegram (lib/telegram-format.js)
+    await sendFormattedMessage(
+      body => callTelegramAPI(token, 'sendMessage', body),
+      chatId,
+      response,
+      replyTo
+    );
     
     console.log(`✅ Sent response to Telegram chat ${chatId}`);
     
   } catch (error) {
     console.error('Error processing Telegram message:', error);
     
+    // Groups only hear about messages addressed to the bot
+    if (!addressed) return;
+    
     // Try to send error message to user
     try {
       const botResult = await pool.query(
@@ -436,4 +909,27 @@ async function processUpdate(workspaceId, update) {
   }
 }
 
+/**
+ * Connected bots, for the polling runner (lib/telegram-polling.js)
+ * @returns {Promise<object[]>} [{ token, name, allowedUpdates, onUpdate }]
+ */
+async function listPollingBots() {
+  const result = await pool.query(
+    'SELECT workspace_id, bot_username, token_encrypted FROM telegram_bots WHERE status = $1',
+    ['active']
+  );
+  
+  return result.rows.map(bot => ({
+    token: decrypt(bot.token_encrypted),
+    name: `@${bot.bot_username} (${bot.workspace_id})`,
+    allowedUpdates: ALLOWED_UPDATES,
+    onUpdate: update => processUpdate(bot.workspace_id, update)
+  }));
+}
+
 module.exports = router;
+module.exports.listPollingBots = listPollingBots;
+module.exports.disconnectBot = disconnectBot;
+module.exports.processUpdate = processUpdate;
+module.exports.setBotWebhook = setBotWebhook;
+module.exports.secureBotWebhooks = secureBotWebhooks;
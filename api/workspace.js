@@ -8,7 +8,28 @@
 const express = require('express');
 const router = express.Router();
 const { Pool } = require('pg');
-const { escapeLikePattern, logSecurityEvent, validateWorkspaceId } = require('../lib/security');
+const { logSecurityEvent, validateWorkspaceId } = require('../lib/security');
+const { chat } = require('./chat-handler');
+const { openEventStream, wantsEventStream } = require('../lib/sse');
+const { searchMemories, storeEmbedding } = require('../lib/embeddings');
+const { getPlan, getPlanLimits, hasFeature, getOverage, isKnownPriceId } = require('../plans');
+const { checkMessageAllowance, parseSpendingLimit, projectOverage } = require('../lib/overage');
+const { getProvisioningProgress } = require('../provisioning/job-queue');
+const { GROUP_CHANNEL } = require('../lib/telegram-groups');
+
+// Agent IDs are used as conversations/memories.agent_id
+const AGENT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+const DEFAULT_AGENT_ID = 'main';
+const AGENT_COLUMNS = 'agent_id, name, persona, model, skills, suspended_at, created_at, updated_at';
+
+// How often a provisioning event stream checks for step transitions
+const PROVISIONING_POLL_MS = 1000;
+
+// Shown instead of step errors, which can carry Railway / Neon API responses
+const PROVISIONING_ERROR_MESSAGE = 'Setup step failed';
+
+// Highest monthly overage spending limit a customer can set (USD)
+const MAX_OVERAGE_SPENDING_LIMIT = 10000;
 
 // Database connection
 // SEC-006 FIX: Use proper SSL config - in production, Neon provides valid certs
@@ -46,7 +67,7 @@ async function authenticateWorkspace(req, res, next) {
   try {
     // Verify API key matches workspace
     const result = await pool.query(
-      'SELECT workspace_id, email, plan, status FROM customers WHERE workspace_id = $1 AND api_key = $2',
+      'SELECT workspace_id, email, plan, price_id, status, overage_spending_limit, discount FROM customers WHERE workspace_id = $1 AND api_key = $2',
       [workspaceId, apiKey]
     );
     
@@ -110,6 +131,103 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/workspace/:id/provisioning
+ * Setup progress: per-step state and timings (public - there's no API key
+ * until provisioning finishes, so failures only get a generic message)
+ * 
+ * Streaming: send `Accept: text/event-stream` (or `?stream=true`) to receive
+ * a `snapshot` event, a `step` event for every step transition and a final
+ * `done` event once the job has completed or failed.
+ */
+router.get('/:id/provisioning', async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const progress = await getPublicProvisioningProgress(id);
+    
+    if (!progress) {
+      return res.status(404).json({ error: 'No provisioning job for this workspace' });
+    }
+    
+    if (!wantsEventStream(req)) {
+      return res.json(progress);
+    }
+    
+    streamProvisioning(id, progress, openEventStream(res));
+  } catch (error) {
+    console.error('Provisioning progress error:', error);
+    res.status(500).json({ error: 'Failed to fetch provisioning progress' });
+  }
+});
+
+/**
+ * Provisioning progress with error details replaced by a generic message
+ */
+async function getPublicProvisioningProgress(workspaceId) {
+  const progress = await getProvisioningProgress(pool, workspaceId);
+  if (!progress) return null;
+  
+  const redact = (error) => (error ? PROVISIONING_ERROR_MESSAGE : null);
+  return {
+    ...progress,
+    lastError: redact(progress.lastError),
+    steps: progress.steps.map(step => ({ ...step, error: redact(step.error) }))
+  };
+}
+
+function isFinished(progress) {
+  return progress.status === 'completed' || progress.status === 'failed';
+}
+
+/**
+ * Poll the job and forward step transitions until it finishes or the
+ * client goes away
+ */
+function streamProvisioning(workspaceId, initial, events) {
+  const stepKey = (step) => `${step.status}:${step.attempts}`;
+  let seen = new Map(initial.steps.map(step => [step.step, stepKey(step)]));
+  
+  events.send('snapshot', initial);
+  if (isFinished(initial)) {
+    events.send('done', initial);
+    return events.close();
+  }
+  
+  const poll = async () => {
+    if (events.closed()) return;
+    
+    try {
+      const progress = await getPublicProvisioningProgress(workspaceId);
+      
+      for (const step of progress.steps) {
+        if (seen.get(step.step) !== stepKey(step)) {
+          events.send('step', {
+            ...step,
+            jobStatus: progress.status,
+            progress: progress.progress,
+            nextAttemptAt: progress.nextAttemptAt
+          });
+        }
+      }
+      seen = new Map(progress.steps.map(step => [step.step, stepKey(step)]));
+      
+      if (isFinished(progress)) {
+        events.send('done', progress);
+        return events.close();
+      }
+    } catch (error) {
+      console.error('Provisioning stream error:', error);
+      events.send('error', { error: 'Failed to fetch provisioning progress' });
+      return events.close();
+    }
+    
+    setTimeout(poll, PROVISIONING_POLL_MS).unref();
+  };
+  
+  setTimeout(poll, PROVISIONING_POLL_MS).unref();
+}
+
 /**
  * GET /api/workspace/:id/status
  * Get detailed workspace status (authenticated)
@@ -128,14 +246,13 @@ router.get('/:id/status', authenticateWorkspace, async (req, res) => {
     
     const usage = usageResult.rows[0];
     
-    // Get plan limits
-    const PLAN_LIMITS = {
-      'Starter': { messages: 5000, agents: 3 },
-      'Pro': { messages: 20000, agents: 10 },
-      'Team': { messages: 100000, agents: -1 }
-    };
+    // Get plan limits (grandfathered customers keep their version's)
+    const { messagesPerMonth, maxAgents } = getPlanLimits(req.workspace.plan, req.workspace.price_id);
+    const limits = { messages: messagesPerMonth, agents: maxAgents };
     
-    const limits = PLAN_LIMITS[req.workspace.plan] || PLAN_LIMITS['Starter'];
+    // Opt-in overage: spend so far and projected to month end
+    const overage = getOverage(req.workspace.plan, req.workspace.price_id);
+    const spendingLimit = parseSpendingLimit(req.workspace.overage_spending_limit);
     
     res.json({
       workspaceId: req.workspaceId,
@@ -147,7 +264,19 @@ router.get('/:id/status', authenticateWorkspace, async (req, res) => {
         messagesRemaining: Math.max(0, limits.messages - parseInt(usage.messages_this_month)),
         percentUsed: ((parseInt(usage.messages_this_month) / limits.messages) * 100).toFixed(1)
       },
-      limits
+      limits,
+      billing: billingDetails(req.workspace),
+      overage: overage ? {
+        enabled: spendingLimit > 0,
+        pricePerMessage: overage.pricePerMessage,
+        spendingLimit,
+        ...projectOverage({
+          used: parseInt(usage.messages_this_month),
+          messageLimit: limits.messages,
+          pricePerMessage: overage.pricePerMessage,
+          spendingLimit
+        })
+      } : null
     });
   } catch (error) {
     console.error('Status fetch error:', error);
@@ -155,12 +284,67 @@ router.get('/:id/status', authenticateWorkspace, async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/workspace/:id/overage
+ * Opt in to overage billing with a monthly spending limit in USD
+ * (`{ spendingLimit: 50 }`); 0 opts out
+ */
+router.put('/:id/overage', authenticateWorkspace, async (req, res) => {
+  const { spendingLimit } = req.body;
+  const overage = getOverage(req.workspace.plan, req.workspace.price_id);
+  
+  if (!overage) {
+    const annual = isKnownPriceId(req.workspace.price_id) && getPlan(req.workspace.price_id).price.interval === 'year';
+    return res.status(400).json({
+      error: `Overage is not available on the ${req.workspace.plan} plan${annual ? ' with annual billing' : ''}`
+    });
+  }
+  
+  if (typeof spendingLimit !== 'number' || !Number.isFinite(spendingLimit) ||
+      spendingLimit < 0 || spendingLimit > MAX_OVERAGE_SPENDING_LIMIT) {
+    return res.status(400).json({ error: `spendingLimit must be a number from 0 to ${MAX_OVERAGE_SPENDING_LIMIT}` });
+  }
+  
+  const limit = Math.round(spendingLimit * 100) / 100;
+  
+  try {
+    const result = await pool.query(`
+      UPDATE customers
+      SET overage_spending_limit = $1, updated_at = NOW()
+      WHERE workspace_id = $2
+      RETURNING instance_id
+    `, [limit, req.workspaceId]);
+    
+    // The instance's runtime enforces the same limit on its own API
+    const instanceId = result.rows[0]?.instance_id;
+    if (instanceId) {
+      const RailwayProvisioner = require('../provisioning/railway-provisioner');
+      new RailwayProvisioner()
+        .configureEnvironment(instanceId, { OVERAGE_SPENDING_LIMIT: limit.toString() })
+        .catch(error => console.error('Overage limit sync failed:', instanceId, error.message));
+    }
+    
+    res.json({
+      enabled: limit > 0,
+      spendingLimit: limit,
+      pricePerMessage: overage.pricePerMessage
+    });
+  } catch (error) {
+    console.error('Overage update error:', error);
+    res.status(500).json({ error: 'Failed to update overage settings' });
+  }
+});
+
 /**
  * POST /api/workspace/:id/chat
  * Send chat message to workspace
+ * 
+ * Streaming: send `Accept: text/event-stream` (or `stream: true`) to receive
+ * `token` events as the reply is generated, then a final `done` event.
  */
 router.post('/:id/chat', authenticateWorkspace, async (req, res) => {
   const { message, agentId = 'main', channel = 'api' } = req.body;
+  let events = null;
   
   if (!message || typeof message !== 'string') {
     return res.status(400).json({ error: 'Message is required' });
@@ -170,7 +354,24 @@ router.post('/:id/chat', authenticateWorkspace, async (req, res) => {
     return res.status(400).json({ error: 'Message too long (max 32000 characters)' });
   }
   
+  // Telegram group history is other people's words - keep it out of API chat
+  if (typeof channel !== 'string' || channel === GROUP_CHANNEL) {
+    return res.status(400).json({ error: 'Invalid channel' });
+  }
+  
   try {
+    // Custom agents bring their own persona, model and skills
+    let agent = null;
+    if (agentId !== DEFAULT_AGENT_ID) {
+      agent = await findAgent(req.workspaceId, agentId);
+      if (!agent) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+      if (agent.suspended_at) {
+        return res.status(403).json({ error: 'Agent is suspended: over your plan\'s agent limit' });
+      }
+    }
+    
     // Check rate limits
     const usageResult = await pool.query(`
       SELECT COALESCE(SUM(messages_sent), 0) as count
@@ -179,34 +380,49 @@ router.post('/:id/chat', authenticateWorkspace, async (req, res) => {
         AND date >= date_trunc('month', CURRENT_DATE)
     `, [req.workspaceId]);
     
-    const PLAN_LIMITS = {
-      'Starter': 5000,
-      'Pro': 20000,
-      'Team': 100000
-    };
-    
-    const limit = PLAN_LIMITS[req.workspace.plan] || 5000;
+    const limit = getPlanLimits(req.workspace.plan, req.workspace.price_id).messagesPerMonth;
     const used = parseInt(usageResult.rows[0].count);
     
-    if (used >= limit) {
+    // Past the limit only with overage opted in, up to the spending limit
+    const allowance = checkMessageAllowance({
+      used,
+      messageLimit: limit,
+      pricePerMessage: getOverage(req.workspace.plan, req.workspace.price_id)?.pricePerMessage,
+      spendingLimit: parseSpendingLimit(req.workspace.overage_spending_limit)
+    });
+    
+    if (!allowance.allowed) {
       return res.status(429).json({
-        error: 'Message limit exceeded',
+        error: allowance.error,
         limit,
         used
       });
     }
     
-    // Store incoming message
+    // Limit checked - safe to start streaming
+    if (wantsEventStream(req)) {
+      events = openEventStream(res);
+    }
+    
+    // Generate reply with the workspace's context (USER.md, SOUL.md, memory)
+    // and the agent's recent conversation history
+    const result = await chat(req.workspaceId, message, {
+      plan: req.workspace.plan,
+      priceId: req.workspace.price_id,
+      agentId,
+      channel,
+      agent,
+      onText: events ? (text) => events.send('token', { text }) : undefined
+    });
+    const response = result.response;
+    const tokensUsed = result.usage.inputTokens + result.usage.outputTokens;
+    
+    // Store the exchange (after chat() so the new message isn't loaded as history)
     await pool.query(`
       INSERT INTO conversations (workspace_id, agent_id, channel, message, role, created_at)
       VALUES ($1, $2, $3, $4, 'user', NOW())
     `, [req.workspaceId, agentId, channel, message]);
     
-    // TODO: Call actual Clawdbot runtime
-    // For now, return a placeholder response
-    const response = `Thanks for your message! Your workspace (${req.workspaceId}) is being set up. Full AI responses coming soon.`;
-    
-    // Store response
     await pool.query(`
       INSERT INTO conversations (workspace_id, agent_id, channel, message, role, created_at)
       VALUES ($1, $2, $3, $4, 'assistant', NOW())
@@ -216,24 +432,40 @@ router.post('/:id/chat', authenticateWorkspace, async (req, res) => {
     const today = new Date().toISOString().split('T')[0];
     await pool.query(`
       INSERT INTO usage_tracking (workspace_id, date, messages_sent, api_calls, tokens_used)
-      VALUES ($1, $2, 1, 1, 100)
+      VALUES ($1, $2, 1, 1, $3)
       ON CONFLICT (workspace_id, date) 
       DO UPDATE SET 
         messages_sent = usage_tracking.messages_sent + 1,
         api_calls = usage_tracking.api_calls + 1,
-        tokens_used = usage_tracking.tokens_used + 100
-    `, [req.workspaceId, today]);
+        tokens_used = usage_tracking.tokens_used + $3
+    `, [req.workspaceId, today, tokensUsed]);
     
-    res.json({
+    const body = {
       response,
       usage: {
         messagesUsed: used + 1,
-        messagesRemaining: limit - used - 1
+        messagesRemaining: Math.max(0, limit - used - 1),
+        overageMessages: Math.max(0, used + 1 - limit),
+        inputTokens: result.usage.inputTokens,
+        outputTokens: result.usage.outputTokens
       }
-    });
+    };
+    
+    if (events) {
+      events.send('done', body);
+      events.close();
+    } else {
+      res.json(body);
+    }
   } catch (error) {
     console.error('Chat error:', error);
-    res.status(500).json({ error: 'Chat failed' });
+    
+    if (events) {
+      events.send('error', { error: 'Chat failed' });
+      events.close();
+    } else {
+      res.status(500).json({ error: 'Chat failed' });
+    }
   }
 });
 
@@ -248,10 +480,10 @@ router.get('/:id/conversations', authenticateWorkspace, async (req, res) => {
     const result = await pool.query(`
       SELECT message, role, channel, created_at
       FROM conversations
-      WHERE workspace_id = $1 AND agent_id = $2
+      WHERE workspace_id = $1 AND agent_id = $2 AND channel <> $5
       ORDER BY created_at DESC
       LIMIT $3 OFFSET $4
-    `, [req.workspaceId, agentId, Math.min(parseInt(limit), 100), parseInt(offset)]);
+    `, [req.workspaceId, agentId, Math.min(parseInt(limit), 100), parseInt(offset), GROUP_CHANNEL]);
     
     res.json({
       conversations: result.rows,
@@ -267,27 +499,106 @@ router.get('/:id/conversations', authenticateWorkspace, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/workspace/:id/memory
+ * List memories, newest first
+ * Query: limit, offset, agentId, tag (repeatable), metadata (JSON object or
+ * metadata[key]=value) - metadata filters match memories containing those values
+ */
+router.get('/:id/memory', authenticateWorkspace, async (req, res) => {
+  const { limit = 50, offset = 0, agentId } = req.query;
+  
+  if (agentId !== undefined && !isAgentId(agentId)) {
+    return res.status(400).json({ error: 'Invalid agentId' });
+  }
+  
+  const filter = parseMetadataFilter(req.query);
+  if (filter.error) {
+    return res.status(400).json({ error: filter.error });
+  }
+  
+  const pageLimit = Math.min(parseInt(limit) || 50, 100);
+  const pageOffset = Math.max(parseInt(offset) || 0, 0);
+  
+  try {
+    const params = [req.workspaceId];
+    const conditions = ['workspace_id = $1'];
+    
+    if (agentId) {
+      params.push(agentId);
+      conditions.push(`agent_id = $${params.length}`);
+    }
+    
+    if (filter.metadata) {
+      params.push(JSON.stringify(filter.metadata));
+      conditions.push(`metadata @> $${params.length}::jsonb`);
+    }
+    
+    params.push(pageLimit, pageOffset);
+    const result = await pool.query(`
+      SELECT id, agent_id, content, metadata, created_at, updated_at,
+             COUNT(*) OVER() AS total
+      FROM memories
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+    
+    const total = result.rows.length > 0 ? parseInt(result.rows[0].total) : 0;
+    
+    res.json({
+      memories: result.rows.map(({ total, ...memory }) => memory),
+      pagination: {
+        limit: pageLimit,
+        offset: pageOffset,
+        total,
+        hasMore: pageOffset + result.rows.length < total
+      }
+    });
+  } catch (error) {
+    console.error('Memory list error:', error);
+    res.status(500).json({ error: 'Failed to list memories' });
+  }
+});
+
 /**
  * POST /api/workspace/:id/memory
  * Store a memory
+ * Body: content, metadata, tags (stored as metadata.tags), agentId (default 'main')
  */
 router.post('/:id/memory', authenticateWorkspace, async (req, res) => {
-  const { content, metadata = {} } = req.body;
+  const { content, metadata = {}, tags, agentId = 'main' } = req.body;
   
   if (!content || typeof content !== 'string') {
     return res.status(400).json({ error: 'Content is required' });
   }
   
+  if (!isPlainObject(metadata)) {
+    return res.status(400).json({ error: 'Metadata must be an object' });
+  }
+  
+  if (tags !== undefined && !isTagList(tags)) {
+    return res.status(400).json({ error: 'Tags must be an array of strings' });
+  }
+  
+  if (!isAgentId(agentId)) {
+    return res.status(400).json({ error: 'Invalid agentId' });
+  }
+  
   try {
     const result = await pool.query(`
       INSERT INTO memories (workspace_id, agent_id, content, metadata, created_at)
-      VALUES ($1, 'main', $2, $3, NOW())
+      VALUES ($1, $2, $3, $4, NOW())
       RETURNING id
-    `, [req.workspaceId, content, JSON.stringify(metadata)]);
+    `, [req.workspaceId, agentId, content, JSON.stringify(tags ? { ...metadata, tags } : metadata)]);
+    
+    const memoryId = result.rows[0].id;
+    const embedded = await storeEmbedding(pool, memoryId, content);
     
     res.json({
       success: true,
-      memoryId: result.rows[0].id
+      memoryId,
+      embedded
     });
   } catch (error) {
     console.error('Memory store error:', error);
@@ -295,13 +606,52 @@ router.post('/:id/memory', authenticateWorkspace, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/workspace/:id/memory/bulk-delete
+ * Delete several memories at once
+ * Body: ids (array of memory IDs, max 1000)
+ */
+router.post('/:id/memory/bulk-delete', authenticateWorkspace, async (req, res) => {
+  const { ids } = req.body;
+  
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return res.status(400).json({ error: 'ids must be a non-empty array' });
+  }
+  
+  if (ids.length > 1000) {
+    return res.status(400).json({ error: 'Too many ids (max 1000)' });
+  }
+  
+  if (!ids.every(isMemoryId)) {
+    return res.status(400).json({ error: 'ids must be positive integers' });
+  }
+  
+  try {
+    const result = await pool.query(`
+      DELETE FROM memories
+      WHERE workspace_id = $1 AND id = ANY($2::int[])
+      RETURNING id
+    `, [req.workspaceId, ids.map(Number)]);
+    
+    res.json({
+      success: true,
+      deleted: result.rows.length,
+      ids: result.rows.map(row => row.id)
+    });
+  } catch (error) {
+    console.error('Memory bulk delete error:', error);
+    res.status(500).json({ error: 'Failed to delete memories' });
+  }
+});
+
 /**
  * GET /api/workspace/:id/memory/search
- * Search memories
+ * Search memories - by embedding similarity when pgvector is available,
+ * topped up / replaced by text matching otherwise (see lib/embeddings.js)
  * SEC-009 FIX: Escape LIKE special characters to prevent injection
  */
 router.get('/:id/memory/search', authenticateWorkspace, async (req, res) => {
-  const { query, limit = 10 } = req.query;
+  const { query, limit = 10, agentId } = req.query;
   
   if (!query) {
     return res.status(400).json({ error: 'Query is required' });
@@ -313,26 +663,447 @@ router.get('/:id/memory/search', authenticateWorkspace, async (req, res) => {
   }
   
   try {
-    // SEC-009 FIX: Escape special LIKE characters to prevent pattern injection
-    const escapedQuery = escapeLikePattern(query);
+    const { memories, mode } = await searchMemories(pool, {
+      query,
+      limit: Math.min(parseInt(limit) || 10, 100),
+      scope: agentId
+        ? { workspace_id: req.workspaceId, agent_id: agentId }
+        : { workspace_id: req.workspaceId }
+    });
     
+    res.json({
+      memories,
+      count: memories.length,
+      mode
+    });
+  } catch (error) {
+    console.error('Memory search error:', error);
+    res.status(500).json({ error: 'Failed to search memories' });
+  }
+});
+
+/**
+ * GET /api/workspace/:id/memory/:memoryId
+ * Fetch a single memory
+ */
+router.get('/:id/memory/:memoryId', authenticateWorkspace, async (req, res) => {
+  if (!isMemoryId(req.params.memoryId)) {
+    return res.status(400).json({ error: 'Invalid memory ID' });
+  }
+  
+  try {
     const result = await pool.query(`
-      SELECT id, content, metadata, created_at
+      SELECT id, agent_id, content, metadata, created_at, updated_at
       FROM memories
+      WHERE workspace_id = $1 AND id = $2
+    `, [req.workspaceId, parseInt(req.params.memoryId)]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Memory not found' });
+    }
+    
+    res.json({ memory: result.rows[0] });
+  } catch (error) {
+    console.error('Memory fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch memory' });
+  }
+});
+
+/**
+ * PATCH /api/workspace/:id/memory/:memoryId
+ * Edit a memory
+ * Body: content, agentId, tags (replaces metadata.tags), metadata (merged into
+ * the existing metadata; keys set to null are removed)
+ */
+router.patch('/:id/memory/:memoryId', authenticateWorkspace, async (req, res) => {
+  const { content, metadata, tags, agentId } = req.body;
+  
+  if (!isMemoryId(req.params.memoryId)) {
+    return res.status(400).json({ error: 'Invalid memory ID' });
+  }
+  
+  if (content === undefined && metadata === undefined && tags === undefined && agentId === undefined) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
+  
+  if (content !== undefined && (!content || typeof content !== 'string')) {
+    return res.status(400).json({ error: 'Content must be a non-empty string' });
+  }
+  
+  if (metadata !== undefined && !isPlainObject(metadata)) {
+    return res.status(400).json({ error: 'Metadata must be an object' });
+  }
+  
+  if (tags !== undefined && !isTagList(tags)) {
+    return res.status(400).json({ error: 'Tags must be an array of strings' });
+  }
+  
+  if (agentId !== undefined && !isAgentId(agentId)) {
+    return res.status(400).json({ error: 'Invalid agentId' });
+  }
+  
+  // Split the patch into keys to set and keys to remove
+  const patch = { ...metadata };
+  if (tags !== undefined) patch.tags = tags;
+  const removedKeys = Object.keys(patch).filter(key => patch[key] === null);
+  removedKeys.forEach(key => delete patch[key]);
+  
+  try {
+    const result = await pool.query(`
+      UPDATE memories
+      SET content = COALESCE($3, content),
+          agent_id = COALESCE($4, agent_id),
+          metadata = (COALESCE(metadata, '{}'::jsonb) || $5::jsonb) - $6::text[],
+          updated_at = NOW()
+      WHERE workspace_id = $1 AND id = $2
+      RETURNING id, agent_id, content, metadata, created_at, updated_at
+    `, [
+      req.workspaceId,
+      parseInt(req.params.memoryId),
+      content ?? null,
+      agentId ?? null,
+      JSON.stringify(patch),
+      removedKeys
+    ]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Memory not found' });
+    }
+    
+    const memory = result.rows[0];
+    
+    // Keep semantic search in step with the new text
+    if (content !== undefined) {
+      await storeEmbedding(pool, memory.id, memory.content);
+    }
+    
+    res.json({ success: true, memory });
+  } catch (error) {
+    console.error('Memory update error:', error);
+    res.status(500).json({ error: 'Failed to update memory' });
+  }
+});
+
+/**
+ * DELETE /api/workspace/:id/memory/:memoryId
+ * Delete a memory
+ */
+router.delete('/:id/memory/:memoryId', authenticateWorkspace, async (req, res) => {
+  if (!isMemoryId(req.params.memoryId)) {
+    return res.status(400).json({ error: 'Invalid memory ID' });
+  }
+  
+  try {
+    const result = await pool.query(`
+      DELETE FROM memories
+      WHERE workspace_id = $1 AND id = $2
+      RETURNING id
+    `, [req.workspaceId, parseInt(req.params.memoryId)]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Memory not found' });
+    }
+    
+    res.json({ success: true, memoryId: result.rows[0].id });
+  } catch (error) {
+    console.error('Memory delete error:', error);
+    res.status(500).json({ error: 'Failed to delete memory' });
+  }
+});
+
+// ========================================
+// AGENTS
+// ========================================
+
+/**
+ * GET /api/workspace/:id/agents
+ * List the workspace's custom agents and the plan quota
+ * Agents suspended after a downgrade are listed but don't count.
+ */
+router.get('/:id/agents', authenticateWorkspace, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT ${AGENT_COLUMNS}
+      FROM agents
       WHERE workspace_id = $1
-        AND content ILIKE $2 ESCAPE '\\'
-      ORDER BY created_at DESC
-      LIMIT $3
-    `, [req.workspaceId, `%${escapedQuery}%`, Math.min(parseInt(limit), 100)]);
+      ORDER BY created_at ASC
+    `, [req.workspaceId]);
+    
+    const { maxAgents } = getPlanLimits(req.workspace.plan, req.workspace.price_id);
     
     res.json({
-      memories: result.rows,
-      count: result.rows.length
+      agents: result.rows,
+      quota: {
+        used: result.rows.filter(agent => !agent.suspended_at).length,
+        limit: maxAgents // -1 = unlimited
+      }
     });
   } catch (error) {
-    console.error('Memory search error:', error);
-    res.status(500).json({ error: 'Failed to search memories' });
+    console.error('Agents list error:', error);
+    res.status(500).json({ error: 'Failed to list agents' });
+  }
+});
+
+/**
+ * POST /api/workspace/:id/agents
+ * Create an agent
+ * Body: name, agentId (optional, derived from name), persona (SOUL text), model, skills
+ * Rejected with 403 once the plan's maxAgents is reached.
+ */
+router.post('/:id/agents', authenticateWorkspace, async (req, res) => {
+  const { name, persona = null, model = null, skills = [] } = req.body;
+  const agentId = req.body.agentId || slugifyAgentId(name);
+  
+  const invalid = validateAgentFields({ name, persona, model, skills }, req.workspace, true);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  
+  if (!AGENT_ID_PATTERN.test(agentId) || agentId === DEFAULT_AGENT_ID) {
+    return res.status(400).json({
+      error: 'agentId must be lowercase letters, numbers, - or _ (max 50) and not "main"'
+    });
+  }
+  
+  try {
+    const { maxAgents } = getPlanLimits(req.workspace.plan, req.workspace.price_id);
+    
+    if (maxAgents !== -1) {
+      const countResult = await pool.query(
+        'SELECT COUNT(*) AS count FROM agents WHERE workspace_id = $1 AND suspended_at IS NULL',
+        [req.workspaceId]
+      );
+      const used = parseInt(countResult.rows[0].count);
+      
+      if (used >= maxAgents) {
+        return res.status(403).json({
+          error: 'Agent limit reached for your plan',
+          limit: maxAgents,
+          used
+        });
+      }
+    }
+    
+    const result = await pool.query(`
+      INSERT INTO agents (workspace_id, agent_id, name, persona, model, skills, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+      RETURNING ${AGENT_COLUMNS}
+    `, [req.workspaceId, agentId, name, persona, model, JSON.stringify(skills)]);
+    
+    res.status(201).json({ success: true, agent: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'An agent with this ID already exists' });
+    }
+    console.error('Agent create error:', error);
+    res.status(500).json({ error: 'Failed to create agent' });
+  }
+});
+
+/**
+ * GET /api/workspace/:id/agents/:agentId
+ * Fetch one agent
+ */
+router.get('/:id/agents/:agentId', authenticateWorkspace, async (req, res) => {
+  try {
+    const agent = await findAgent(req.workspaceId, req.params.agentId);
+    
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    
+    res.json({ agent });
+  } catch (error) {
+    console.error('Agent fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch agent' });
+  }
+});
+
+/**
+ * PATCH /api/workspace/:id/agents/:agentId
+ * Update an agent's name, persona, model or skills (null clears persona/model)
+ */
+router.patch('/:id/agents/:agentId', authenticateWorkspace, async (req, res) => {
+  const fields = {};
+  for (const key of ['name', 'persona', 'model', 'skills']) {
+    if (req.body[key] !== undefined) fields[key] = req.body[key];
+  }
+  
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
+  
+  const invalid = validateAgentFields(fields, req.workspace, false);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  
+  // Build SET list from the fields present (column names are fixed above)
+  const params = [req.workspaceId, req.params.agentId];
+  const assignments = Object.entries(fields).map(([column, value]) => {
+    params.push(column === 'skills' ? JSON.stringify(value) : value);
+    return `${column} = $${params.length}`;
+  });
+  
+  try {
+    const result = await pool.query(`
+      UPDATE agents
+      SET ${assignments.join(', ')}, updated_at = NOW()
+      WHERE workspace_id = $1 AND agent_id = $2
+      RETURNING ${AGENT_COLUMNS}
+    `, params);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    
+    res.json({ success: true, agent: result.rows[0] });
+  } catch (error) {
+    console.error('Agent update error:', error);
+    res.status(500).json({ error: 'Failed to update agent' });
+  }
+});
+
+/**
+ * DELETE /api/workspace/:id/agents/:agentId
+ * Delete an agent (its conversations and memories are kept)
+ */
+router.delete('/:id/agents/:agentId', authenticateWorkspace, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      DELETE FROM agents
+      WHERE workspace_id = $1 AND agent_id = $2
+      RETURNING agent_id
+    `, [req.workspaceId, req.params.agentId]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    
+    res.json({ success: true, agentId: result.rows[0].agent_id });
+  } catch (error) {
+    console.error('Agent delete error:', error);
+    res.status(500).json({ error: 'Failed to delete agent' });
   }
 });
 
+// ========================================
+// HELPERS
+// ========================================
+
+async function findAgent(workspaceId, agentId) {
+  const result = await pool.query(`
+    SELECT ${AGENT_COLUMNS}
+    FROM agents
+    WHERE workspace_id = $1 AND agent_id = $2
+  `, [workspaceId, agentId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Billing interval, list price and any discount for the status response
+ * Discounts are stored from the subscription (webhook); one past its end
+ * date is dropped here before Stripe's update arrives.
+ */
+function billingDetails(workspace) {
+  const price = isKnownPriceId(workspace.price_id) ? getPlan(workspace.price_id).price : null;
+  const discount = workspace.discount && (!workspace.discount.endsAt || new Date(workspace.discount.endsAt) > new Date())
+    ? workspace.discount
+    : null;
+
+  return {
+    interval: price ? price.interval : null,
+    currency: price ? price.currency : null,
+    amount: price ? price.amount : null, // cents per interval, before discount
+    discount
+  };
+}
+
+function slugifyAgentId(name) {
+  if (typeof name !== 'string') return '';
+  return name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50);
+}
+
+/**
+ * Validate agent fields; returns an error message or null
+ * Skills must be features included in the workspace's plan.
+ */
+function validateAgentFields(fields, workspace, creating) {
+  const { name, persona, model, skills } = fields;
+  
+  if ((creating || name !== undefined) && (!name || typeof name !== 'string' || name.length > 100)) {
+    return 'Name is required (max 100 characters)';
+  }
+  if (persona !== undefined && persona !== null && (typeof persona !== 'string' || persona.length > 20000)) {
+    return 'Persona must be text (max 20000 characters)';
+  }
+  if (model !== undefined && model !== null && (typeof model !== 'string' || !model || model.length > 100)) {
+    return 'Model must be a model ID';
+  }
+  if (skills !== undefined) {
+    if (!isTagList(skills)) {
+      return 'Skills must be an array of strings';
+    }
+    const unavailable = skills.filter(skill => !hasFeature(workspace.plan, skill, workspace.price_id));
+    if (unavailable.length > 0) {
+      return `Skills not available on your plan: ${unavailable.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isTagList(tags) {
+  return Array.isArray(tags) && tags.every(tag => typeof tag === 'string' && tag.length > 0);
+}
+
+// memories.id is a SERIAL (int4)
+const MAX_MEMORY_ID = 2147483647;
+
+function isMemoryId(value) {
+  return /^[1-9]\d{0,9}$/.test(String(value)) && Number(value) <= MAX_MEMORY_ID;
+}
+
+// Memories may belong to 'main' or a custom agent
+function isAgentId(value) {
+  return typeof value === 'string' && AGENT_ID_PATTERN.test(value);
+}
+
+/**
+ * Build a JSONB containment filter from list query params
+ * `metadata` may be a JSON string or a qs-parsed object (metadata[key]=value);
+ * `tag` may be repeated. Returns { metadata } or { error }.
+ */
+function parseMetadataFilter(query) {
+  let metadata = {};
+  
+  if (query.metadata !== undefined) {
+    let parsed = query.metadata;
+    if (typeof parsed === 'string') {
+      try {
+        parsed = JSON.parse(parsed);
+      } catch {
+        return { error: 'metadata filter must be a JSON object' };
+      }
+    }
+    if (!isPlainObject(parsed)) {
+      return { error: 'metadata filter must be a JSON object' };
+    }
+    metadata = { ...parsed };
+  }
+  
+  if (query.tag !== undefined) {
+    const tags = [].concat(query.tag);
+    if (!isTagList(tags)) {
+      return { error: 'tag must be a non-empty string' };
+    }
+    metadata.tags = tags;
+  }
+  
+  return { metadata: Object.keys(metadata).length > 0 ? metadata : null };
+}
+
 module.exports = router;
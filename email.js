@@ -321,8 +321,275 @@ async function sendCancellationEmail(email) {
   }
 }
 
+/**
+ * Send plan change confirmation
+ * @param {string} email
+ * @param {object} change - { from, to, direction, suspendedAgents, resumedAgents } (plan-change.js)
+ */
+async function sendPlanChangedEmail(email, change) {
+  console.log(`📧 [EMAIL] Sending plan change email to ${email} (${change.from} → ${change.to})`);
+
+  const upgrade = change.direction === 'upgrade';
+  const subject = upgrade
+    ? `🚀 You're now on Clawdbot ${change.to}`
+    : `Your Clawdbot plan has changed to ${change.to}`;
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: linear-gradient(135deg, #8B5CF6, #D946EF); padding: 30px; text-align: center; border-radius: 12px 12px 0 0; }
+    .header h1 { color: white; margin: 0; font-size: 24px; }
+    .content { background: #f9fafb; padding: 30px; border-radius: 0 0 12px 12px; }
+    .cta-button { display: inline-block; background: #8B5CF6; color: white; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: 600; margin: 20px 0; }
+    .warning { background: #FEF3C7; border: 1px solid #F59E0B; padding: 15px; border-radius: 8px; margin: 15px 0; }
+    .footer { text-align: center; padding: 20px; color: #6b7280; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>${upgrade ? 'Plan upgraded' : 'Plan changed'}</h1>
+    </div>
+    
+    <div class="content">
+      <h2>${change.from} → ${change.to}</h2>
+      
+      <p>Your Clawdbot workspace is now on the <strong>${change.to}</strong> plan. Your new limits and features are already active.</p>
+      
+      ${change.suspendedAgents.length > 0 ? `
+      <div class="warning">
+        <strong>Some agents were paused.</strong> The ${change.to} plan allows fewer agents, so these are paused until you delete others or upgrade again: ${change.suspendedAgents.join(', ')}. Their conversations and memories are kept.
+      </div>
+      ` : ''}
+      
+      ${change.resumedAgents.length > 0 ? `
+      <p>These agents were paused on your previous plan and are active again: ${change.resumedAgents.join(', ')}.</p>
+      ` : ''}
+      
+      <center>
+        <a href="https://setupclaw.com/billing" class="cta-button">View Billing →</a>
+      </center>
+      
+      <p>Questions? Contact us at ${SUPPORT_EMAIL}.</p>
+    </div>
+    
+    <div class="footer">
+      <p>© ${new Date().getFullYear()} Clawdbot. All rights reserved.</p>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+
+  try {
+    if (RESEND_API_KEY) {
+      const response = await fetch('https://api.resend.com/emails', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${RESEND_API_KEY}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          from: FROM_EMAIL,
+          to: email,
+          subject,
+          html,
+        }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Resend API error: ${await response.text()}`);
+      }
+
+      console.log(`✅ [EMAIL] Plan change email sent to ${email}`);
+    } else {
+      console.log(`📧 [EMAIL] (DEV MODE) Would send plan change email to ${email}`);
+    }
+  } catch (error) {
+    console.error(`❌ [EMAIL] Failed to send plan change email:`, error.message);
+  }
+}
+
+/**
+ * Send trial ending reminder (Stripe sends trial_will_end 3 days before)
+ * @param {string} email
+ * @param {Date} trialEnd - When the trial ends and the first charge is made
+ * @param {string} [plan] - Plan name
+ */
+async function sendTrialEndingEmail(email, trialEnd, plan) {
+  const daysRemaining = Math.max(1, Math.ceil((trialEnd.getTime() - Date.now()) / (24 * 60 * 60 * 1000)));
+  const endDate = trialEnd.toLocaleDateString('en-US', {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+
+  console.log(`📧 [EMAIL] Sending trial ending email to ${email} (${daysRemaining} days left)`);
+
+  const subject = `⏰ Your Clawdbot trial ends in ${daysRemaining} day${daysRemaining === 1 ? '' : 's'}`;
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: linear-gradient(135deg, #8B5CF6, #D946EF); padding: 30px; text-align: center; border-radius: 12px 12px 0 0; }
+    .header h1 { color: white; margin: 0; font-size: 24px; }
+    .content { background: #f9fafb; padding: 30px; border-radius: 0 0 12px 12px; }
+    .cta-button { display: inline-block; background: #8B5CF6; color: white; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: 600; margin: 20px 0; }
+    .footer { text-align: center; padding: 20px; color: #6b7280; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>⏰ Your trial is ending</h1>
+    </div>
+    
+    <div class="content">
+      <h2>${daysRemaining} day${daysRemaining === 1 ? '' : 's'} left</h2>
+      
+      <p>Your Clawdbot trial ends on <strong>${endDate}</strong>. After that, you'll be charged for the ${plan ? `<strong>${plan}</strong> plan` : 'plan you selected'} and your workspace keeps running without interruption.</p>
+      
+      <p>Want to make changes? You can upgrade, downgrade, or cancel anytime before then.</p>
+      
+      <center>
+        <a href="https://setupclaw.com/billing" class="cta-button">Manage Subscription →</a>
+      </center>
+      
+      <p>Questions? Contact us at ${SUPPORT_EMAIL}.</p>
+    </div>
+    
+    <div class="footer">
+      <p>© ${new Date().getFullYear()} Clawdbot. All rights reserved.</p>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+
+  try {
+    if (RESEND_API_KEY) {
+      const response = await fetch('https://api.resend.com/emails', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${RESEND_API_KEY}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          from: FROM_EMAIL,
+          to: email,
+          subject,
+          html,
+        }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Resend API error: ${await response.text()}`);
+      }
+
+      console.log(`✅ [EMAIL] Trial ending email sent to ${email}`);
+    } else {
+      console.log(`📧 [EMAIL] (DEV MODE) Would send trial ending email to ${email}`);
+    }
+  } catch (error) {
+    console.error(`❌ [EMAIL] Failed to send trial ending email:`, error.message);
+  }
+}
+
+/**
+ * Alert support about a new chargeback (sent to SUPPORT_EMAIL)
+ * @param {object} dispute - { id, chargeId, amount, currency, reason, evidenceDueBy, customerId, email }
+ */
+async function sendDisputeAlertEmail(dispute) {
+  console.log(`📧 [EMAIL] Sending dispute alert for ${dispute.id} to ${SUPPORT_EMAIL}`);
+
+  const amount = `${(dispute.amount / 100).toFixed(2)} ${dispute.currency.toUpperCase()}`;
+  const subject = `🚨 Chargeback opened: ${amount} (${dispute.reason})`;
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: #DC2626; padding: 30px; text-align: center; border-radius: 12px 12px 0 0; }
+    .header h1 { color: white; margin: 0; font-size: 24px; }
+    .content { background: #f9fafb; padding: 30px; border-radius: 0 0 12px 12px; }
+    .cta-button { display: inline-block; background: #8B5CF6; color: white; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: 600; margin: 20px 0; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>🚨 Chargeback opened</h1>
+    </div>
+    
+    <div class="content">
+      <ul>
+        <li><strong>Dispute:</strong> ${dispute.id}</li>
+        <li><strong>Charge:</strong> ${dispute.chargeId}</li>
+        <li><strong>Amount:</strong> ${amount}</li>
+        <li><strong>Reason:</strong> ${dispute.reason}</li>
+        <li><strong>Customer:</strong> ${dispute.email || 'unknown'} (${dispute.customerId || 'no Stripe customer'})</li>
+        <li><strong>Evidence due:</strong> ${dispute.evidenceDueBy ? dispute.evidenceDueBy.toISOString() : 'n/a'}</li>
+      </ul>
+      
+      <center>
+        <a href="https://dashboard.stripe.com/disputes/${dispute.id}" class="cta-button">Respond in Stripe →</a>
+      </center>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+
+  try {
+    if (RESEND_API_KEY) {
+      const response = await fetch('https://api.resend.com/emails', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${RESEND_API_KEY}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          from: FROM_EMAIL,
+          to: SUPPORT_EMAIL,
+          subject,
+          html,
+        }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Resend API error: ${await response.text()}`);
+      }
+
+      console.log(`✅ [EMAIL] Dispute alert sent for ${dispute.id}`);
+    } else {
+      console.log(`📧 [EMAIL] (DEV MODE) Would send dispute alert for ${dispute.id}`);
+    }
+  } catch (error) {
+    console.error(`❌ [EMAIL] Failed to send dispute alert:`, error.message);
+  }
+}
+
 module.exports = {
   sendWelcomeEmail,
   sendPaymentFailedEmail,
   sendCancellationEmail,
+  sendPlanChangedEmail,
+  sendTrialEndingEmail,
+  sendDisputeAlertEmail,
 };
@@ -1,6 +1,13 @@
 const express = require('express');
 const cors = require('cors');
 const { Pool } = require('pg');
+const { PLANS } = require('./plans');
+const { requireAdmin } = require('./lib/security');
+const {
+  replayStripeEvent,
+  replayFailedStripeEvents,
+  listStripeEvents
+} = require('./lib/stripe-events');
 
 // PAT-004 fix: Validate required environment variables at startup
 const REQUIRED_ENV_VARS = [
@@ -36,7 +43,7 @@ if (missingOptional.length > 0) {
   console.warn('Some features may not work without these.');
 }
 
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const stripe = require('./lib/stripe').createStripeClient();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -58,57 +65,10 @@ const pool = new Pool({
   ssl: { rejectUnauthorized: false }
 });
 
-// Stripe webhook - RAW body needed for signature verification
-app.post('/webhook/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
-
-  let event;
-
-  try {
-    event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
-  } catch (err) {
-    console.error('⚠️ Webhook signature verification failed:', err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
-  }
-
-  console.log('✅ Stripe event received:', event.type);
-
-  // Handle different event types
-  try {
-    switch (event.type) {
-      case 'checkout.session.completed':
-        await handleCheckoutCompleted(event.data.object);
-        break;
-      
-      case 'customer.subscription.created':
-      case 'customer.subscription.updated':
-        await handleSubscriptionChange(event.data.object);
-        break;
-      
-      case 'customer.subscription.deleted':
-        await handleSubscriptionCancelled(event.data.object);
-        break;
-      
-      case 'invoice.payment_succeeded':
-        console.log('💰 Payment succeeded:', event.data.object.id);
-        break;
-      
-      case 'invoice.payment_failed':
-        console.log('❌ Payment failed:', event.data.object.id);
-        await handlePaymentFailed(event.data.object);
-        break;
-      
-      default:
-        console.log(`Unhandled event type: ${event.type}`);
-    }
-  } catch (error) {
-    console.error('Error processing webhook:', error);
-    return res.status(500).json({ error: 'Processing failed' });
-  }
-
-  res.json({ received: true });
-});
+// Stripe webhook - RAW body needed for signature verification, so it's
+// mounted before the JSON parser
+const stripeWebhookRouter = require('./api/stripe-webhook');
+app.use('/webhook/stripe', stripeWebhookRouter);
 
 // Other routes need JSON parser
 app.use(express.json());
@@ -117,6 +77,10 @@ app.use(express.json());
 const workspaceRouter = require('./api/workspace');
 app.use('/api/workspace', workspaceRouter);
 
+// Billing routes (Stripe Checkout and Billing Portal sessions)
+const billingRouter = require('./api/billing');
+app.use('/api/billing', billingRouter);
+
 // Telegram API routes (legacy BYOB model)
 const telegramRouter = require('./api/telegram');
 app.use('/api/telegram', telegramRouter);
@@ -145,6 +109,79 @@ app.get('/health/db', async (req, res) => {
   }
 });
 
+// ========================================
+// ADMIN: STRIPE EVENTS
+// ========================================
+
+// List stored webhook events (?status=failed&type=...&limit=50)
+app.get('/admin/stripe-events', requireAdmin, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  
+  try {
+    const events = await listStripeEvents(pool, {
+      status: req.query.status,
+      type: req.query.type,
+      limit
+    });
+    res.json({ events });
+  } catch (error) {
+    console.error('Stripe events list error:', error);
+    res.status(500).json({ error: 'Failed to list events' });
+  }
+});
+
+// Replay every failed or interrupted event, oldest first
+app.post('/admin/stripe-events/replay', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.body.limit) || 100, 500);
+    const replayed = await replayFailedStripeEvents(pool, stripeWebhookRouter.STRIPE_EVENT_HANDLERS, { limit });
+    res.json({ replayed });
+  } catch (error) {
+    console.error('Stripe events replay error:', error);
+    res.status(500).json({ error: 'Replay failed' });
+  }
+});
+
+// Replay one failed or interrupted event
+app.post('/admin/stripe-events/:eventId/replay', requireAdmin, async (req, res) => {
+  try {
+    const result = await replayStripeEvent(pool, req.params.eventId, stripeWebhookRouter.STRIPE_EVENT_HANDLERS);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    if (result.error && result.status !== 'failed') {
+      return res.status(409).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Stripe event replay error:', error);
+    res.status(500).json({ error: 'Replay failed' });
+  }
+});
+
+// ========================================
+// ADMIN: OVERAGE
+// ========================================
+
+// Report a day's overage now (body: { date: 'YYYY-MM-DD' }, default yesterday)
+app.post('/admin/overage/report', requireAdmin, async (req, res) => {
+  const { date } = req.body;
+  
+  if (date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  }
+  
+  try {
+    const { reportDailyOverage } = require('./lib/overage');
+    const reports = await reportDailyOverage(pool, stripe, { date });
+    res.json({ reports });
+  } catch (error) {
+    console.error('Overage report error:', error);
+    res.status(500).json({ error: 'Overage report failed' });
+  }
+});
+
 // Provisioning status API (for success page polling)
 app.get('/api/status', async (req, res) => {
   const sessionId = req.query.session;
@@ -182,7 +219,11 @@ app.get('/api/status', async (req, res) => {
         }
       });
     } else {
-      return res.json({ status: 'provisioning', message: 'Setting up your workspace...' });
+      return res.json({
+        status: 'provisioning',
+        message: 'Setting up your workspace...',
+        workspaceId: customer.workspace_id
+      });
     }
   } catch (error) {
     console.error('Status check error:', error);
@@ -191,150 +232,69 @@ app.get('/api/status', async (req, res) => {
 });
 
 // ========================================
-// WEBHOOK HANDLERS
+// PROVISIONING SYSTEM
 // ========================================
 
-async function handleCheckoutCompleted(session) {
-  console.log('🎉 New customer checkout completed:', session.id);
-  
-  const customerId = session.customer;
-  const customerEmail = session.customer_details.email;
-  const subscriptionId = session.subscription;
-  
-  // BUG-008 fix: Check for idempotency - prevent duplicate provisioning
-  const existingCustomer = await pool.query(
-    'SELECT workspace_id, provisioned_at FROM customers WHERE stripe_customer_id = $1',
-    [customerId]
-  );
-  
-  if (existingCustomer.rows.length > 0 && existingCustomer.rows[0].provisioned_at) {
-    console.log(`⚠️ Customer ${customerId} already provisioned, skipping duplicate webhook`);
-    return;
-  }
-  
-  // Get subscription details
-  const subscription = await stripe.subscriptions.retrieve(subscriptionId);
-  const plan = subscription.items.data[0].price.id;
+/**
+ * Provisioning job finished: store credentials, restore a returning
+ * customer's archive and send the welcome email
+ */
+async function completeProvisioning(job, credentials) {
+  const customerId = job.stripe_customer_id;
   
-  // Store customer in database with checkout_session_id for idempotency tracking
+  // Store credentials in database
   await pool.query(`
-    INSERT INTO customers (stripe_customer_id, email, subscription_id, plan, status, checkout_session_id, created_at)
-    VALUES ($1, $2, $3, $4, $5, $6, NOW())
-    ON CONFLICT (stripe_customer_id) DO UPDATE
-    SET subscription_id = $3, plan = $4, status = $5, checkout_session_id = $6, updated_at = NOW()
-    WHERE customers.provisioned_at IS NULL
-  `, [customerId, customerEmail, subscriptionId, plan, 'active', session.id]);
-  
-  console.log('✅ Customer stored in database:', customerEmail);
-  
-  // Trigger provisioning
-  const credentials = await provisionCustomer(customerId, customerEmail, plan);
-  
-  // Send welcome email
-  await sendWelcomeEmail(customerEmail, credentials);
-}
-
-async function handleSubscriptionChange(subscription) {
-  console.log('🔄 Subscription updated:', subscription.id);
+    UPDATE customers
+    SET workspace_id = $1, 
+        instance_id = $2, 
+        api_key = $3, 
+        access_url = $4,
+        database_branch_id = $5,
+        provisioned_at = NOW(),
+        status = 'active'
+    WHERE stripe_customer_id = $6
+  `, [
+    credentials.workspaceId,
+    credentials.instanceId,
+    credentials.apiKey,
+    credentials.accessUrl,
+    credentials.databaseBranchId,
+    customerId
+  ]);
   
-  const customerId = subscription.customer;
-  const plan = subscription.items.data[0].price.id;
-  const status = subscription.status;
+  console.log('✅ Customer provisioned successfully:', customerId, credentials.workspaceId);
   
-  await pool.query(`
-    UPDATE customers
-    SET plan = $1, status = $2, updated_at = NOW()
-    WHERE stripe_customer_id = $3
-  `, [plan, status, customerId]);
+  const archivedWorkspaceId = job.payload && job.payload.archivedWorkspaceId;
+  if (archivedWorkspaceId) {
+    await restoreArchivedWorkspace(archivedWorkspaceId, credentials.workspaceId);
+  }
   
-  console.log('✅ Customer plan updated:', customerId);
+  await sendWelcomeEmail(job.email, credentials);
 }
 
-async function handleSubscriptionCancelled(subscription) {
-  console.log('❌ Subscription cancelled:', subscription.id);
-  
-  const customerId = subscription.customer;
+/**
+ * Provisioning job ran out of retries (its resources are already rolled back)
+ */
+async function failProvisioning(job, error) {
+  console.error('❌ Provisioning failed:', job.stripe_customer_id, error.message);
   
+  // Mark customer as failed in database
   await pool.query(`
     UPDATE customers
-    SET status = $1, updated_at = NOW()
-    WHERE stripe_customer_id = $2
-  `, ['cancelled', customerId]);
-  
-  // TODO: Deprovision customer resources
-  console.log('⚠️ TODO: Deprovision customer:', customerId);
-}
-
-async function handlePaymentFailed(invoice) {
-  console.log('⚠️ Payment failed for customer:', invoice.customer);
-  
-  const { sendPaymentFailedEmail } = require('./email');
-  
-  // Get customer email
-  const result = await pool.query(
-    'SELECT email FROM customers WHERE stripe_customer_id = $1',
-    [invoice.customer]
-  );
-  
-  if (result.rows.length > 0) {
-    const email = result.rows[0].email;
-    const attemptNumber = invoice.attempt_count || 1;
-    
-    await sendPaymentFailedEmail(email, attemptNumber);
-    
-    // Suspend service after 3 failed attempts
-    if (attemptNumber >= 3) {
-      await pool.query(
-        'UPDATE customers SET status = $1 WHERE stripe_customer_id = $2',
-        ['suspended', invoice.customer]
-      );
-      console.log('⚠️ Customer suspended due to payment failure:', invoice.customer);
-    }
-  }
+    SET status = 'provisioning_failed'
+    WHERE stripe_customer_id = $1
+  `, [job.stripe_customer_id]);
 }
 
-// ========================================
-// PROVISIONING SYSTEM
-// ========================================
-
-async function provisionCustomer(customerId, email, plan) {
-  // Use REAL provisioning system (not mocks!)
-  const { provisionCustomer: provision } = require('./provisioning/index-real');
+async function restoreArchivedWorkspace(archivedWorkspaceId, workspaceId) {
+  const { restoreWorkspace } = require('./provisioning/workspace-archive');
   
   try {
-    const credentials = await provision(customerId, email, plan);
-    
-    // Store credentials in database
-    await pool.query(`
-      UPDATE customers
-      SET workspace_id = $1, 
-          instance_id = $2, 
-          api_key = $3, 
-          access_url = $4,
-          provisioned_at = NOW(),
-          status = 'active'
-      WHERE stripe_customer_id = $5
-    `, [
-      credentials.workspaceId,
-      credentials.instanceId,
-      credentials.apiKey,
-      credentials.accessUrl,
-      customerId
-    ]);
-    
-    console.log('✅ Customer provisioned successfully:', credentials);
-    return credentials;
+    const { rows } = await restoreWorkspace(archivedWorkspaceId, workspaceId, { pool });
+    console.log(`✅ Restored ${archivedWorkspaceId} into ${workspaceId}:`, rows);
   } catch (error) {
-    console.error('❌ Provisioning failed:', error);
-    
-    // Mark customer as failed in database
-    await pool.query(`
-      UPDATE customers
-      SET status = 'provisioning_failed'
-      WHERE stripe_customer_id = $1
-    `, [customerId]);
-    
-    throw error;
+    console.error('❌ Failed to restore archived workspace:', archivedWorkspaceId, error.message);
+    // The new workspace still works, just without the old history
   }
 }
 
@@ -364,13 +324,19 @@ async function initDatabase() {
         email VARCHAR(255) NOT NULL,
         subscription_id VARCHAR(255),
         plan VARCHAR(255),
+        price_id VARCHAR(255),
         status VARCHAR(50),
         workspace_id VARCHAR(255) UNIQUE,
         instance_id VARCHAR(255),
         api_key VARCHAR(255),
         access_url VARCHAR(255),
         checkout_session_id VARCHAR(255),
+        database_branch_id VARCHAR(255),
         provisioned_at TIMESTAMP,
+        deprovision_after TIMESTAMP,
+        deprovisioned_at TIMESTAMP,
+        rollback_status VARCHAR(50),
+        rollback_error TEXT,
         created_at TIMESTAMP DEFAULT NOW(),
         updated_at TIMESTAMP DEFAULT NOW()
       )
@@ -386,6 +352,188 @@ async function initDatabase() {
       END $$;
     `);
     
+    // Columns used by cancellation deprovisioning
+    await pool.query(`
+      ALTER TABLE customers
+        ADD COLUMN IF NOT EXISTS database_branch_id VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS deprovision_after TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS deprovisioned_at TIMESTAMP
+    `);
+    
+    // customers.plan used to hold the Stripe price ID - now the plan name,
+    // with the price in price_id (plan changes compare prices)
+    await pool.query('ALTER TABLE customers ADD COLUMN IF NOT EXISTS price_id VARCHAR(255)');
+    for (const [priceId, planConfig] of Object.entries(PLANS)) {
+      await pool.query(
+        'UPDATE customers SET plan = $1, price_id = $2 WHERE plan = $2',
+        [planConfig.name, priceId]
+      );
+    }
+    
+    // Subscription discount from a coupon or promotion code (summarizeDiscount)
+    await pool.query('ALTER TABLE customers ADD COLUMN IF NOT EXISTS discount JSONB');
+    
+    // Overage opt-in: monthly spending limit in USD (lib/overage.js)
+    await pool.query('ALTER TABLE customers ADD COLUMN IF NOT EXISTS overage_spending_limit NUMERIC(10, 2)');
+    
+    // Outcome of rolling back a failed provisioning
+    await pool.query(`
+      ALTER TABLE customers
+        ADD COLUMN IF NOT EXISTS rollback_status VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS rollback_error TEXT
+    `);
+    
+    // Resources created while provisioning, released on rollback
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS provisioning_resources (
+        id SERIAL PRIMARY KEY,
+        stripe_customer_id VARCHAR(255) NOT NULL,
+        resource_type VARCHAR(50) NOT NULL,
+        resource_id VARCHAR(500) NOT NULL,
+        details JSONB,
+        status VARCHAR(50) NOT NULL DEFAULT 'active',
+        error TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        released_at TIMESTAMP,
+        UNIQUE(resource_type, resource_id)
+      )
+    `);
+    
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_provisioning_resources_customer
+      ON provisioning_resources(stripe_customer_id)
+    `);
+    
+    // Rollback is scoped to the workspace being provisioned (and its job)
+    await pool.query(`
+      ALTER TABLE provisioning_resources
+        ADD COLUMN IF NOT EXISTS workspace_id VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS job_id INTEGER
+    `);
+    
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_provisioning_resources_workspace
+      ON provisioning_resources(workspace_id)
+    `);
+    
+    // Provisioning job queue (worker: provisioning/job-queue.js)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS provisioning_jobs (
+        id SERIAL PRIMARY KEY,
+        stripe_customer_id VARCHAR(255) NOT NULL,
+        workspace_id VARCHAR(255),
+        email VARCHAR(255) NOT NULL,
+        plan VARCHAR(255),
+        payload JSONB,
+        status VARCHAR(50) NOT NULL DEFAULT 'queued',
+        current_step VARCHAR(50),
+        last_error TEXT,
+        run_after TIMESTAMP DEFAULT NOW(),
+        locked_by VARCHAR(255),
+        locked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        completed_at TIMESTAMP
+      )
+    `);
+    
+    await pool.query(`
+      ALTER TABLE provisioning_jobs ADD COLUMN IF NOT EXISTS workspace_id VARCHAR(255)
+    `);
+    
+    // Setup progress is looked up by workspace
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_provisioning_jobs_workspace
+      ON provisioning_jobs(workspace_id)
+    `);
+    
+    // One queued/running job per customer (enqueue relies on this)
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_provisioning_jobs_active
+      ON provisioning_jobs(stripe_customer_id)
+      WHERE status IN ('queued', 'running')
+    `);
+    
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_provisioning_jobs_due
+      ON provisioning_jobs(status, run_after)
+    `);
+    
+    // Checkpointed steps of each job
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS provisioning_job_steps (
+        id SERIAL PRIMARY KEY,
+        job_id INT NOT NULL REFERENCES provisioning_jobs(id) ON DELETE CASCADE,
+        step VARCHAR(50) NOT NULL,
+        status VARCHAR(50) NOT NULL,
+        attempts INT DEFAULT 0,
+        output JSONB,
+        error TEXT,
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(job_id, step)
+      )
+    `);
+    
+    // Every verified Stripe webhook event (lib/stripe-events.js)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS stripe_events (
+        id VARCHAR(255) PRIMARY KEY,
+        type VARCHAR(100) NOT NULL,
+        object_id VARCHAR(255),
+        stripe_customer_id VARCHAR(255),
+        stripe_created TIMESTAMP NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(50) NOT NULL DEFAULT 'received',
+        attempts INT DEFAULT 0,
+        error TEXT,
+        received_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        processed_at TIMESTAMP
+      )
+    `);
+    
+    // Ordering checks look up the newest event per subscription / customer
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_stripe_events_object
+      ON stripe_events(object_id, stripe_created)
+    `);
+    
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_stripe_events_status
+      ON stripe_events(status, stripe_created)
+    `);
+    
+    // Chargebacks (charge.dispute.created) - answered in the Stripe dashboard
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS stripe_disputes (
+        id VARCHAR(255) PRIMARY KEY,
+        stripe_customer_id VARCHAR(255),
+        charge_id VARCHAR(255) NOT NULL,
+        amount INT NOT NULL,
+        currency VARCHAR(10) NOT NULL,
+        reason VARCHAR(100),
+        status VARCHAR(50),
+        evidence_due_by TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    
+    // Teardown progress per cancelled customer (resumable deprovisioning)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS deprovisioning_steps (
+        id SERIAL PRIMARY KEY,
+        stripe_customer_id VARCHAR(255) NOT NULL,
+        step VARCHAR(100) NOT NULL,
+        status VARCHAR(50) NOT NULL,
+        error TEXT,
+        attempts INT DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(stripe_customer_id, step)
+      )
+    `);
+    
     // Conversations table with workspace isolation
     await pool.query(`
       CREATE TABLE IF NOT EXISTS conversations (
@@ -408,10 +556,24 @@ async function initDatabase() {
         agent_id VARCHAR(255) DEFAULT 'main',
         content TEXT NOT NULL,
         metadata JSONB,
-        created_at TIMESTAMP DEFAULT NOW()
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP
       )
     `);
     
+    // Memories created before editing was supported
+    await pool.query(`
+      ALTER TABLE memories ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP
+    `);
+    
+    // Semantic memory search (optional - falls back to text search without pgvector)
+    try {
+      await pool.query('CREATE EXTENSION IF NOT EXISTS vector');
+      await pool.query('ALTER TABLE memories ADD COLUMN IF NOT EXISTS embedding vector(1536)');
+    } catch (vectorError) {
+      console.warn('⚠️ pgvector not available, memory search will use text matching:', vectorError.message);
+    }
+    
     // Usage tracking with composite unique constraint
     await pool.query(`
       CREATE TABLE IF NOT EXISTS usage_tracking (
@@ -426,6 +588,26 @@ async function initDatabase() {
       )
     `);
     
+    // Agents per workspace (the built-in 'main' agent uses the workspace SOUL.md)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS agents (
+        id SERIAL PRIMARY KEY,
+        workspace_id VARCHAR(255) NOT NULL,
+        agent_id VARCHAR(50) NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        persona TEXT,
+        model VARCHAR(100),
+        skills JSONB DEFAULT '[]',
+        suspended_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (workspace_id, agent_id)
+      )
+    `);
+    
+    // Set on agents over the quota after a downgrade (plan-change.js)
+    await pool.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP');
+    
     // Telegram bots table for storing bot connections
     await pool.query(`
       CREATE TABLE IF NOT EXISTS telegram_bots (
@@ -446,7 +628,66 @@ async function initDatabase() {
       CREATE INDEX IF NOT EXISTS idx_telegram_bots_workspace 
       ON telegram_bots(workspace_id)
     `);
-    
+
+    // setWebhook secret_token, checked on every webhook request
+    await pool.query('ALTER TABLE telegram_bots ADD COLUMN IF NOT EXISTS webhook_secret_encrypted TEXT');
+
+    // Next getUpdates offset per bot in polling mode (lib/telegram-polling.js)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS telegram_update_offsets (
+        bot_id VARCHAR(100) PRIMARY KEY,
+        next_offset BIGINT NOT NULL,
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // Groups a workspace bot may join (approved by the owner) or has been
+    // added to (lib/telegram-groups.js)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS telegram_groups (
+        id SERIAL PRIMARY KEY,
+        workspace_id VARCHAR(255) NOT NULL,
+        chat_id BIGINT NOT NULL,
+        title VARCHAR(255),
+        chat_type VARCHAR(20),
+        approved BOOLEAN DEFAULT false,
+        member BOOLEAN DEFAULT false,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(workspace_id, chat_id)
+      )
+    `);
+
+    // Group traffic used to share the 'telegram' channel with direct messages
+    await pool.query(`
+      UPDATE conversations SET channel = 'telegram_group'
+      WHERE channel = 'telegram' AND metadata->>'chatType' IN ('group', 'supergroup')
+    `);
+
+    // Photos, documents and voice notes sent to workspace bots; files are kept
+    // in the workspace directory (lib/attachments.js)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS attachments (
+        id SERIAL PRIMARY KEY,
+        workspace_id VARCHAR(255) NOT NULL,
+        conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE,
+        channel VARCHAR(100) NOT NULL,
+        kind VARCHAR(20) NOT NULL,
+        mime_type VARCHAR(255),
+        file_name VARCHAR(255),
+        size_bytes INTEGER NOT NULL,
+        storage_path VARCHAR(500) NOT NULL,
+        source_file_id VARCHAR(255),
+        transcript TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_attachments_workspace
+      ON attachments(workspace_id, created_at DESC)
+    `);
+
     // ========================================
     // ALLY BOT TABLES (Managed Multi-tenant)
     // ========================================
@@ -550,6 +791,20 @@ async function initDatabase() {
       ON customers(workspace_id)
     `);
     
+    // Overage reported to Stripe, one row per workspace per day
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS overage_reports (
+        id SERIAL PRIMARY KEY,
+        workspace_id VARCHAR(255) NOT NULL,
+        date DATE NOT NULL,
+        messages INT NOT NULL,
+        amount NUMERIC(10, 2) NOT NULL,
+        stripe_usage_record_id VARCHAR(255),
+        reported_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(workspace_id, date)
+      )
+    `);
+    
     console.log('✅ Database schema initialized');
   } catch (error) {
     console.error('❌ Database initialization failed:', error);
@@ -560,8 +815,84 @@ async function initDatabase() {
 // START SERVER
 // ========================================
 
+// How often to look for cancelled customers whose grace period has ended
+const DEPROVISION_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+function startDeprovisioningSchedule() {
+  const { runDueDeprovisionings } = require('./provisioning/deprovisioning');
+  
+  const check = () => runDueDeprovisionings(pool).catch(error => {
+    console.error('❌ Deprovisioning check failed:', error.message);
+  });
+  
+  check();
+  setInterval(check, DEPROVISION_CHECK_INTERVAL_MS).unref();
+}
+
+function startOverageReporting() {
+  const { reportDailyOverage, OVERAGE_REPORT_INTERVAL_MS } = require('./lib/overage');
+  
+  const report = () => reportDailyOverage(pool, stripe).catch(error => {
+    console.error('❌ Overage reporting failed:', error.message);
+  });
+  
+  report();
+  setInterval(report, OVERAGE_REPORT_INTERVAL_MS).unref();
+}
+
+// Local development: receive Telegram updates with getUpdates instead of
+// webhooks (TELEGRAM_UPDATE_MODE=polling)
+function startTelegramPolling() {
+  const { isPollingMode, createPollingRunner } = require('./lib/telegram-polling');
+  if (!isPollingMode()) return;
+  
+  const runner = createPollingRunner(pool, {
+    listBots: async () => [
+      ...allyRouter.listPollingBots(),
+      ...await telegramRouter.listPollingBots()
+    ]
+  });
+  
+  runner.start();
+}
+
+// Webhooks set before secret tokens were introduced have none, and their
+// updates are rejected until they're set again with one
+async function secureTelegramWebhooks() {
+  const { isPollingMode } = require('./lib/telegram-polling');
+  if (isPollingMode()) return;
+  
+  try {
+    const outcomes = await telegramRouter.secureBotWebhooks();
+    for (const { workspaceId, error } of outcomes) {
+      if (error) console.error(`❌ Failed to set webhook secret for ${workspaceId}:`, error);
+    }
+    if (outcomes.length > 0) {
+      console.log(`🔐 Set webhook secrets for ${outcomes.filter(o => !o.error).length}/${outcomes.length} Telegram bot(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to set Telegram webhook secrets:', error.message);
+  }
+  
+  try {
+    if (await allyRouter.secureAllyWebhook()) {
+      console.log('🔐 Ally webhook set with its secret token');
+    }
+  } catch (error) {
+    console.error('❌ Failed to set Ally webhook secret:', error.message);
+  }
+}
+
 app.listen(PORT, async () => {
   console.log(`🚀 Clawdbot SaaS backend running on port ${PORT}`);
   await initDatabase();
+  
+  const { startProvisioningWorker } = require('./provisioning/job-queue');
+  startProvisioningWorker(pool, { onComplete: completeProvisioning, onFailed: failProvisioning });
+  
+  startDeprovisioningSchedule();
+  startOverageReporting();
+  startTelegramPolling();
+  secureTelegramWebhooks();
   console.log('✅ Ready to accept webhooks');
 });
@@ -0,0 +1,153 @@
+/**
+ * Message Attachments
+ * Photos, documents and voice notes sent to a workspace's Telegram bot.
+ *
+ * Files are kept in the workspace directory under attachments/<YYYY-MM>/
+ * (so they're archived with it) and recorded in the attachments table
+ * against the conversation row they arrived with. Images and PDFs reach the
+ * model as content blocks (lib/llm.js); voice notes as their transcript
+ * (lib/transcription.js).
+ *
+ * Plan limits come from the catalogue's `attachments` (plans.js).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { getWorkspacesDir } = require('./workspaces');
+
+// Formats the model can read
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const DOCUMENT_TYPES = ['application/pdf'];
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf',
+  'audio/ogg': '.ogg',
+  'audio/mpeg': '.mp3'
+};
+
+const MB = 1024 * 1024;
+
+/**
+ * Whether the model can read a file of this type
+ * @param {string} mimeType
+ * @returns {boolean}
+ */
+function isReadableType(mimeType) {
+  return IMAGE_TYPES.includes(mimeType) || DOCUMENT_TYPES.includes(mimeType);
+}
+
+/**
+ * Whether a plan accepts an attachment
+ *
+ * @param {object} attachment - { kind: 'photo'|'document'|'voice', mimeType, size }
+ *   (size in bytes, 0 when unknown)
+ * @param {object|null} limits - The plan's { maxFileMb, perMonth, voice }
+ * @param {number} usedThisMonth - Attachments already received this month
+ * @returns {{allowed: boolean, error?: string}}
+ */
+function checkAttachment({ kind, mimeType, size }, limits, usedThisMonth) {
+  if (!limits) {
+    return { allowed: false, error: 'Your plan doesn\'t include photos, documents or voice notes.' };
+  }
+  if (kind === 'voice' && !limits.voice) {
+    return { allowed: false, error: 'Voice notes aren\'t included in your plan.' };
+  }
+  if (kind !== 'voice' && !isReadableType(mimeType)) {
+    return { allowed: false, error: 'I can read photos, images and PDFs - this file type isn\'t supported.' };
+  }
+  if (size > limits.maxFileMb * MB) {
+    return { allowed: false, error: `Files can be up to ${limits.maxFileMb} MB on your plan.` };
+  }
+  if (usedThisMonth >= limits.perMonth) {
+    return { allowed: false, error: `You've used your plan's ${limits.perMonth} attachments for this month.` };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Model content block for an image or PDF
+ *
+ * @param {object} attachment - { mimeType, fileName, data (Buffer) }
+ * @returns {object|null} Image or document block, null for other types
+ */
+function toContentBlock({ mimeType, fileName, data }) {
+  const source = { type: 'base64', media_type: mimeType, data: data.toString('base64') };
+
+  if (IMAGE_TYPES.includes(mimeType)) {
+    return { type: 'image', source };
+  }
+  if (DOCUMENT_TYPES.includes(mimeType)) {
+    return { type: 'document', source, ...(fileName && { title: fileName }) };
+  }
+  return null;
+}
+
+/**
+ * Write an attachment into the workspace directory
+ *
+ * @param {string} workspaceId
+ * @param {object} attachment - { mimeType, data (Buffer) }
+ * @param {object} [options]
+ * @param {string} [options.workspacesDir] - Defaults to WORKSPACES_DIR
+ * @returns {Promise<string>} Path relative to the workspace directory
+ */
+async function saveAttachment(workspaceId, { mimeType, data }, options = {}) {
+  const month = new Date().toISOString().slice(0, 7);
+  const storagePath = path.join('attachments', month, `${crypto.randomUUID()}${EXTENSIONS[mimeType] || ''}`);
+  const fullPath = path.join(options.workspacesDir || getWorkspacesDir(), workspaceId, storagePath);
+
+  await fs.mkdir(path.dirname(fullPath), { recursive: true });
+  await fs.writeFile(fullPath, data);
+
+  return storagePath;
+}
+
+/**
+ * Record a saved attachment against its conversation row
+ *
+ * @param {object} pool - pg Pool for the main database
+ * @param {object} attachment
+ * @returns {Promise<number>} Attachment ID
+ */
+async function recordAttachment(pool, {
+  workspaceId, conversationId, channel, kind, mimeType, fileName, sizeBytes, storagePath, sourceFileId, transcript
+}) {
+  const result = await pool.query(`
+    INSERT INTO attachments
+      (workspace_id, conversation_id, channel, kind, mime_type, file_name, size_bytes, storage_path, source_file_id, transcript, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+    RETURNING id
+  `, [workspaceId, conversationId, channel, kind, mimeType, fileName || null, sizeBytes, storagePath, sourceFileId || null, transcript || null]);
+
+  return result.rows[0].id;
+}
+
+/**
+ * Attachments a workspace has received this month
+ * @param {object} pool - pg Pool for the main database
+ * @param {string} workspaceId
+ * @returns {Promise<number>}
+ */
+async function countAttachmentsThisMonth(pool, workspaceId) {
+  const result = await pool.query(`
+    SELECT COUNT(*) AS count FROM attachments
+    WHERE workspace_id = $1
+      AND created_at >= date_trunc('month', CURRENT_DATE)
+  `, [workspaceId]);
+
+  return parseInt(result.rows[0].count);
+}
+
+module.exports = {
+  isReadableType,
+  checkAttachment,
+  toContentBlock,
+  saveAttachment,
+  recordAttachment,
+  countAttachmentsThisMonth
+};
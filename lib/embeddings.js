@@ -0,0 +1,357 @@
+/**
+ * Memory Embeddings & Semantic Search
+ * Writes pgvector embeddings for memories and searches them by cosine
+ * similarity, falling back to text search (ILIKE) when pgvector or an
+ * embedder isn't available.
+ *
+ * Every embedder exposes:
+ *   embed(texts) → Promise<number[][]>  (one EMBEDDING_DIMENSIONS vector per text)
+ *
+ * Embedder selection (EMBEDDING_PROVIDER env or first configured API key):
+ * - openai: OpenAI embeddings API (text-embedding-3-small)
+ * - local:  Deterministic feature-hashing embedder, no network (tests / local dev)
+ * With neither configured, memories are stored without embeddings.
+ *
+ * Works against both the main database (memories.workspace_id) and the
+ * per-customer Neon databases used by the runtime (no workspace_id).
+ */
+
+const crypto = require('crypto');
+const { escapeLikePattern } = require('./security');
+
+// Matches the `embedding vector(1536)` column created by neon-provisioner
+const EMBEDDING_DIMENSIONS = 1536;
+const DEFAULT_OPENAI_MODEL = 'text-embedding-3-small';
+
+// Nearest neighbours below this are treated as unrelated (text search fills in)
+const MIN_SIMILARITY = 0.15;
+
+// Embedder override (set by tests / local dev)
+let activeEmbedder = null;
+
+// Per-connection cache of whether memories.embedding exists
+const vectorSupport = new WeakMap();
+
+// ============================================
+// EMBEDDERS
+// ============================================
+
+/**
+ * OpenAI embeddings
+ *
+ * @param {object} options
+ * @param {string} [options.apiKey] - Defaults to OPENAI_API_KEY
+ * @param {object} [options.client] - Pre-built client exposing embeddings.create()
+ * @param {string} [options.model] - Defaults to EMBEDDING_MODEL or text-embedding-3-small
+ * @returns {object} Embedder
+ */
+function createOpenAIEmbedder(options = {}) {
+  let client = options.client || null;
+  const model = options.model || process.env.EMBEDDING_MODEL || DEFAULT_OPENAI_MODEL;
+
+  function getClient() {
+    if (!client) {
+      const OpenAI = require('openai');
+      client = new OpenAI({ apiKey: options.apiKey || process.env.OPENAI_API_KEY });
+    }
+    return client;
+  }
+
+  return {
+    name: 'openai',
+
+    async embed(texts) {
+      const response = await getClient().embeddings.create({
+        model,
+        input: texts,
+        dimensions: EMBEDDING_DIMENSIONS
+      });
+
+      return response.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    }
+  };
+}
+
+/**
+ * Deterministic local embedder (feature hashing of words and word pairs)
+ * Texts sharing vocabulary get similar vectors - good enough for tests and
+ * local development, not a substitute for a real model.
+ *
+ * @param {object} [options]
+ * @param {number} [options.dimensions] - Vector size (default 1536)
+ * @returns {object} Embedder
+ */
+function createLocalEmbedder(options = {}) {
+  const dimensions = options.dimensions || EMBEDDING_DIMENSIONS;
+
+  function embedOne(text) {
+    const vector = new Array(dimensions).fill(0);
+    const words = String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+    const features = [
+      ...words,
+      ...words.slice(1).map((word, i) => `${words[i]} ${word}`)
+    ];
+
+    for (const feature of features) {
+      const hash = crypto.createHash('sha256').update(feature).digest();
+      const index = hash.readUInt32BE(0) % dimensions;
+      vector[index] += hash[4] & 1 ? 1 : -1;
+    }
+
+    return normalize(vector);
+  }
+
+  return {
+    name: 'local',
+
+    async embed(texts) {
+      return texts.map(embedOne);
+    }
+  };
+}
+
+const EMBEDDER_FACTORIES = {
+  openai: createOpenAIEmbedder,
+  local: createLocalEmbedder
+};
+
+// ============================================
+// EMBEDDER SELECTION
+// ============================================
+
+/**
+ * Resolve the embedder name from the environment
+ * @returns {string|null}
+ */
+function getEmbedderName() {
+  if (process.env.EMBEDDING_PROVIDER) return process.env.EMBEDDING_PROVIDER;
+  if (process.env.OPENAI_API_KEY) return 'openai';
+  return null;
+}
+
+/**
+ * Get the active embedder, or null when embeddings are disabled
+ * @returns {object|null}
+ */
+function getEmbedder() {
+  if (activeEmbedder) return activeEmbedder;
+
+  const name = getEmbedderName();
+  if (!name || name === 'none') return null;
+
+  const factory = EMBEDDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown embedding provider: ${name}`);
+  }
+
+  return factory();
+}
+
+/**
+ * Override the active embedder (tests / local dev)
+ * Pass null to go back to environment-based selection.
+ *
+ * @param {object|null} embedder
+ */
+function setEmbedder(embedder) {
+  activeEmbedder = embedder;
+}
+
+// ============================================
+// VECTOR HELPERS
+// ============================================
+
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return length === 0 ? vector : vector.map(v => v / length);
+}
+
+/**
+ * Format a vector as a pgvector literal ('[0.1,0.2,...]')
+ */
+function toPgVector(vector) {
+  return `[${vector.join(',')}]`;
+}
+
+/**
+ * Embed a single text with the active embedder
+ * Failures are logged and return null - a memory is still worth storing
+ * without its embedding.
+ *
+ * @param {string} text
+ * @returns {Promise<number[]|null>}
+ */
+async function embedText(text) {
+  const embedder = getEmbedder();
+  if (!embedder) return null;
+
+  try {
+    const [vector] = await embedder.embed([text]);
+    return vector;
+  } catch (error) {
+    console.error('[EMBEDDINGS] Embedding failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Check (once per connection) whether memories has a pgvector embedding column
+ * A failed check counts as unsupported for that call only and is tried again
+ * next time.
+ *
+ * @param {object} db - pg Pool or Client
+ * @returns {Promise<boolean>}
+ */
+async function hasVectorSupport(db) {
+  if (vectorSupport.has(db)) return vectorSupport.get(db);
+
+  try {
+    const result = await db.query(`
+      SELECT 1 FROM information_schema.columns
+      WHERE table_name = 'memories' AND column_name = 'embedding'
+    `);
+    const supported = result.rows.length > 0;
+    vectorSupport.set(db, supported);
+    return supported;
+  } catch (error) {
+    console.warn('[EMBEDDINGS] Could not check for pgvector:', error.message);
+    return false;
+  }
+}
+
+// ============================================
+// STORE & SEARCH
+// ============================================
+
+/**
+ * Write the embedding for a stored memory (no-op without pgvector/embedder)
+ *
+ * @param {object} db - pg Pool or Client
+ * @param {number} memoryId
+ * @param {string} content
+ * @returns {Promise<boolean>} Whether an embedding was written
+ */
+async function storeEmbedding(db, memoryId, content) {
+  if (!getEmbedder() || !(await hasVectorSupport(db))) return false;
+
+  const vector = await embedText(content);
+  if (!vector) return false;
+
+  try {
+    await db.query(
+      'UPDATE memories SET embedding = $1::vector WHERE id = $2',
+      [toPgVector(vector), memoryId]
+    );
+    return true;
+  } catch (error) {
+    console.error('[EMBEDDINGS] Storing embedding failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Build "col = $n" conditions for the search scope
+ * Column names come from our own code, never from the request.
+ */
+function scopeConditions(scope, params) {
+  return Object.entries(scope).map(([column, value]) => {
+    params.push(value);
+    return `${column} = $${params.length}`;
+  });
+}
+
+async function textSearch(db, { query, limit, scope, excludeIds = [] }) {
+  const params = [];
+  const conditions = scopeConditions(scope, params);
+
+  params.push(`%${escapeLikePattern(query)}%`);
+  conditions.push(`content ILIKE $${params.length} ESCAPE '\\'`);
+
+  if (excludeIds.length > 0) {
+    params.push(excludeIds);
+    conditions.push(`NOT (id = ANY($${params.length}))`);
+  }
+
+  params.push(limit);
+  const result = await db.query(`
+    SELECT id, content, metadata, created_at
+    FROM memories
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY created_at DESC
+    LIMIT $${params.length}
+  `, params);
+
+  return result.rows;
+}
+
+async function vectorSearch(db, { vector, limit, scope, minSimilarity }) {
+  const params = [toPgVector(vector)];
+  const conditions = [...scopeConditions(scope, params), 'embedding IS NOT NULL'];
+
+  params.push(limit);
+  const result = await db.query(`
+    SELECT id, content, metadata, created_at,
+           1 - (embedding <=> $1::vector) AS similarity
+    FROM memories
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY embedding <=> $1::vector
+    LIMIT $${params.length}
+  `, params);
+
+  return result.rows
+    .map(row => ({ ...row, similarity: Number(row.similarity) }))
+    .filter(row => row.similarity >= minSimilarity);
+}
+
+/**
+ * Search memories - semantic when possible, text otherwise
+ *
+ * With pgvector and an embedder, results are ranked by cosine similarity and
+ * topped up with text matches (memories stored before embeddings existed).
+ * Otherwise it's a plain ILIKE search.
+ *
+ * @param {object} db - pg Pool or Client
+ * @param {object} options
+ * @param {string} options.query - Search text
+ * @param {number} [options.limit] - Max results (default 10)
+ * @param {object} [options.scope] - Column filters, e.g. { workspace_id: 'claw_...' }
+ * @param {number} [options.minSimilarity] - Drop semantic matches below this (default 0.15)
+ * @returns {Promise<{memories: Array, mode: 'semantic'|'hybrid'|'text'}>}
+ */
+async function searchMemories(db, { query, limit = 10, scope = {}, minSimilarity = MIN_SIMILARITY }) {
+  if (getEmbedder() && await hasVectorSupport(db)) {
+    const vector = await embedText(query);
+
+    if (vector) {
+      const semantic = await vectorSearch(db, { vector, limit, scope, minSimilarity });
+      if (semantic.length >= limit) {
+        return { memories: semantic, mode: 'semantic' };
+      }
+
+      const text = await textSearch(db, {
+        query,
+        limit: limit - semantic.length,
+        scope,
+        excludeIds: semantic.map(row => row.id)
+      });
+      return { memories: [...semantic, ...text], mode: 'hybrid' };
+    }
+  }
+
+  return { memories: await textSearch(db, { query, limit, scope }), mode: 'text' };
+}
+
+module.exports = {
+  EMBEDDING_DIMENSIONS,
+  searchMemories,
+  storeEmbedding,
+  embedText,
+  hasVectorSupport,
+  toPgVector,
+  getEmbedder,
+  setEmbedder,
+  createOpenAIEmbedder,
+  createLocalEmbedder
+};
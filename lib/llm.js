@@ -0,0 +1,461 @@
+/**
+ * LLM Provider Layer
+ * One model interface shared by every chat path (workspace API, Telegram,
+ * Ally, runtime instances).
+ *
+ * Every provider exposes:
+ *   complete({ system, messages, maxTokens, model }) → { text, model, usage }
+ *   stream({ system, messages, maxTokens, model }, onText) → { text, model, usage }
+ *     (onText is called with each text delta as it arrives)
+ *
+ * Message content is a string or an array of content blocks in Anthropic's
+ * format - { type: 'text', text }, and base64 { type: 'image' } and
+ * { type: 'document' } (PDF) blocks. Other providers convert them.
+ *
+ * Provider selection (LLM_PROVIDER env or first configured API key):
+ * - anthropic: Claude via @anthropic-ai/sdk
+ * - openai:    OpenAI chat completions (fallback)
+ * - fake:      Deterministic replies for tests and local development
+ */
+
+const { getPlanModel } = require('../plans');
+
+const DEFAULT_MAX_TOKENS = 1024;
+
+// Retry settings for transient API failures (rate limits, overload, network)
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BASE_DELAY_MS = 500;
+
+// Provider override (set by tests / local dev)
+let activeProvider = null;
+
+// ============================================
+// PROVIDERS
+// ============================================
+
+/**
+ * Claude provider
+ *
+ * @param {object} options
+ * @param {string} [options.apiKey] - Defaults to ANTHROPIC_API_KEY
+ * @param {object} [options.client] - Pre-built client exposing messages.create()
+ * @returns {object} Provider
+ */
+function createAnthropicProvider(options = {}) {
+  let client = options.client || null;
+
+  function getClient() {
+    if (!client) {
+      const Anthropic = require('@anthropic-ai/sdk').default;
+      client = new Anthropic({ apiKey: options.apiKey || process.env.ANTHROPIC_API_KEY });
+    }
+    return client;
+  }
+
+  return {
+    name: 'anthropic',
+
+    async complete({ system, messages, maxTokens = DEFAULT_MAX_TOKENS, model }) {
+      const completion = await getClient().messages.create({
+        model,
+        max_tokens: maxTokens,
+        system,
+        messages
+      });
+
+      return {
+        text: completion.content
+          .filter(block => block.type === undefined || block.type === 'text')
+          .map(block => block.text)
+          .join(''),
+        model: completion.model || model,
+        usage: {
+          inputTokens: completion.usage?.input_tokens || 0,
+          outputTokens: completion.usage?.output_tokens || 0
+        }
+      };
+    },
+
+    async stream({ system, messages, maxTokens = DEFAULT_MAX_TOKENS, model }, onText) {
+      const events = await getClient().messages.create({
+        model,
+        max_tokens: maxTokens,
+        system,
+        messages,
+        stream: true
+      });
+
+      let text = '';
+      let resolvedModel = model;
+      const usage = { inputTokens: 0, outputTokens: 0 };
+
+      for await (const event of events) {
+        if (event.type === 'message_start') {
+          resolvedModel = event.message.model || model;
+          usage.inputTokens = event.message.usage?.input_tokens || 0;
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          text += event.delta.text;
+          onText(event.delta.text);
+        } else if (event.type === 'message_delta') {
+          usage.outputTokens = event.usage?.output_tokens || usage.outputTokens;
+        }
+      }
+
+      return { text, model: resolvedModel, usage };
+    }
+  };
+}
+
+/**
+ * OpenAI provider (fallback when no Anthropic key is configured)
+ *
+ * @param {object} options
+ * @param {string} [options.apiKey] - Defaults to OPENAI_API_KEY
+ * @param {object} [options.client] - Pre-built client exposing chat.completions.create()
+ * @returns {object} Provider
+ */
+function createOpenAIProvider(options = {}) {
+  let client = options.client || null;
+
+  function getClient() {
+    if (!client) {
+      const OpenAI = require('openai');
+      client = new OpenAI({ apiKey: options.apiKey || process.env.OPENAI_API_KEY });
+    }
+    return client;
+  }
+
+  return {
+    name: 'openai',
+
+    async complete({ system, messages, maxTokens = DEFAULT_MAX_TOKENS, model }) {
+      const completion = await getClient().chat.completions.create({
+        model,
+        max_tokens: maxTokens,
+        messages: [
+          { role: 'system', content: system },
+          ...messages.map(toOpenAIMessage)
+        ]
+      });
+
+      return {
+        text: completion.choices[0].message.content,
+        model: completion.model || model,
+        usage: {
+          inputTokens: completion.usage?.prompt_tokens || 0,
+          outputTokens: completion.usage?.completion_tokens || 0
+        }
+      };
+    },
+
+    async stream({ system, messages, maxTokens = DEFAULT_MAX_TOKENS, model }, onText) {
+      const chunks = await getClient().chat.completions.create({
+        model,
+        max_tokens: maxTokens,
+        messages: [
+          { role: 'system', content: system },
+          ...messages.map(toOpenAIMessage)
+        ],
+        stream: true,
+        stream_options: { include_usage: true }
+      });
+
+      let text = '';
+      let resolvedModel = model;
+      const usage = { inputTokens: 0, outputTokens: 0 };
+
+      for await (const chunk of chunks) {
+        resolvedModel = chunk.model || resolvedModel;
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onText(delta);
+        }
+        if (chunk.usage) {
+          usage.inputTokens = chunk.usage.prompt_tokens || 0;
+          usage.outputTokens = chunk.usage.completion_tokens || 0;
+        }
+      }
+
+      return { text, model: resolvedModel, usage };
+    }
+  };
+}
+
+/**
+ * Convert a message's content blocks to OpenAI's chat format
+ * @param {object} message - { role, content }
+ * @returns {object} Message
+ */
+function toOpenAIMessage(message) {
+  if (!Array.isArray(message.content)) return message;
+
+  return {
+    role: message.role,
+    content: message.content.map(block => {
+      const dataUrl = block.source && `data:${block.source.media_type};base64,${block.source.data}`;
+      if (block.type === 'image') {
+        return { type: 'image_url', image_url: { url: dataUrl } };
+      }
+      if (block.type === 'document') {
+        return { type: 'file', file: { filename: block.title || 'document.pdf', file_data: dataUrl } };
+      }
+      return { type: 'text', text: block.text };
+    })
+  };
+}
+
+/**
+ * Deterministic provider for tests and local development
+ * Echoes the last user message's text (or returns a fixed reply) without
+ * network calls.
+ *
+ * @param {object} options
+ * @param {string|Function} [options.reply] - Fixed reply, or fn(request) → reply
+ * @returns {object} Provider (with a `calls` array recording each request)
+ */
+function createFakeProvider(options = {}) {
+  const calls = [];
+
+  function respond(request) {
+    calls.push(request);
+
+    const lastUser = [...request.messages].reverse().find(m => m.role === 'user');
+    const text = typeof options.reply === 'function'
+      ? options.reply(request)
+      : options.reply || `Echo: ${lastUser ? contentText(lastUser.content) : ''}`;
+
+    return {
+      text,
+      model: request.model,
+      usage: {
+        inputTokens: estimateTokens(request.system) +
+          request.messages.reduce((sum, m) => sum + estimateTokens(contentText(m.content)), 0),
+        outputTokens: estimateTokens(text)
+      }
+    };
+  }
+
+  return {
+    name: 'fake',
+    calls,
+
+    async complete(request) {
+      return respond(request);
+    },
+
+    async stream(request, onText) {
+      const result = respond(request);
+      // Emit word by word (keeping the separating whitespace)
+      for (const piece of result.text.match(/\S+\s*|\s+/g) || []) {
+        onText(piece);
+      }
+      return result;
+    }
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  anthropic: createAnthropicProvider,
+  openai: createOpenAIProvider,
+  fake: createFakeProvider
+};
+
+// ============================================
+// PROVIDER SELECTION
+// ============================================
+
+/**
+ * Resolve the provider name from the environment
+ * @returns {string|null} Provider name, or null if nothing is configured
+ */
+function getProviderName() {
+  if (process.env.LLM_PROVIDER) return process.env.LLM_PROVIDER;
+  if (process.env.ANTHROPIC_API_KEY) return 'anthropic';
+  if (process.env.OPENAI_API_KEY) return 'openai';
+  return null;
+}
+
+/**
+ * Check whether any model provider is available
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return Boolean(activeProvider || getProviderName());
+}
+
+/**
+ * Get the active provider
+ * @returns {object} Provider
+ */
+function getProvider() {
+  if (activeProvider) return activeProvider;
+
+  const name = getProviderName();
+  if (!name) {
+    throw new Error('No AI API key configured');
+  }
+
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+
+  return factory();
+}
+
+/**
+ * Override the active provider (tests / local dev)
+ * Pass null to go back to environment-based selection.
+ *
+ * @param {object|null} provider
+ */
+function setProvider(provider) {
+  activeProvider = provider;
+}
+
+// ============================================
+// COMPLETION
+// ============================================
+
+/**
+ * Generate a completion with the active provider
+ *
+ * @param {object} request
+ * @param {string} request.system - System prompt
+ * @param {Array<{role: string, content: string|object[]}>} request.messages - Conversation
+ * @param {number} [request.maxTokens] - Output token cap
+ * @param {string} [request.model] - Explicit model (overrides plan model)
+ * @param {string} [request.plan] - Plan name used to pick the model
+ * @param {string} [request.priceId] - The customer's price, for grandfathered models
+ * @param {object} [request.retry] - Retry options (see withRetry)
+ * @returns {Promise<{text: string, model: string, usage: {inputTokens: number, outputTokens: number}}>}
+ */
+async function complete({ system, messages, maxTokens = DEFAULT_MAX_TOKENS, model, plan, priceId, retry } = {}) {
+  const provider = getProvider();
+  const resolvedModel = model || process.env.LLM_MODEL || getPlanModel(plan, provider.name, priceId);
+
+  return withRetry(
+    () => provider.complete({ system, messages, maxTokens, model: resolvedModel }),
+    retry
+  );
+}
+
+/**
+ * Stream a completion with the active provider
+ * Retries only happen before the first text delta has been forwarded,
+ * so callers never see duplicated output.
+ *
+ * @param {object} request - Same as complete()
+ * @param {Function} onText - Called with each text delta
+ * @returns {Promise<{text: string, model: string, usage: {inputTokens: number, outputTokens: number}}>}
+ */
+async function stream({ system, messages, maxTokens = DEFAULT_MAX_TOKENS, model, plan, priceId, retry } = {}, onText) {
+  const provider = getProvider();
+  const resolvedModel = model || process.env.LLM_MODEL || getPlanModel(plan, provider.name, priceId);
+  let started = false;
+
+  return withRetry(
+    () => provider.stream({ system, messages, maxTokens, model: resolvedModel }, (text) => {
+      started = true;
+      onText(text);
+    }),
+    { ...retry, shouldRetry: error => !started && (!retry?.shouldRetry || retry.shouldRetry(error)) }
+  );
+}
+
+/**
+ * Retry an async call with exponential backoff
+ * Only transient failures (408, 429, 5xx, network errors) are retried.
+ *
+ * @param {Function} fn - Async function to call
+ * @param {object} [options]
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs] - Delay before the first retry (doubles each time)
+ * @param {Function} [options.sleep] - Delay implementation (injectable for tests)
+ * @param {Function} [options.shouldRetry] - Extra veto, called with the error
+ * @returns {Promise<*>}
+ */
+async function withRetry(fn, options = {}) {
+  const retries = options.retries ?? DEFAULT_RETRIES;
+  const baseDelayMs = options.baseDelayMs ?? DEFAULT_BASE_DELAY_MS;
+  const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  const shouldRetry = options.shouldRetry || (() => true);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error) || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const delay = baseDelayMs * Math.pow(2, attempt);
+      console.warn(`[LLM] Attempt ${attempt + 1} failed (${error.message}), retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+// Socket errors worth another attempt (Node and undici codes)
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'
+]);
+
+/**
+ * Check whether a provider error is worth retrying
+ * HTTP errors are retried on 408, 429 and 5xx. Errors without a status are
+ * only retried when they're network failures, so bugs (a TypeError in a
+ * provider) fail straight away.
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  const status = error.status || error.statusCode;
+  if (status) return status === 408 || status === 429 || status >= 500;
+  return isNetworkError(error);
+}
+
+// Connection errors from the SDKs and fetch() wrap the socket error in `cause`
+function isNetworkError(error) {
+  if (!error) return false;
+  if (NETWORK_ERROR_CODES.has(error.code)) return true;
+  if (/^APIConnection(Timeout)?Error$/.test(error.constructor?.name)) return true;
+  if (error.name === 'TypeError' && error.message === 'fetch failed') return true;
+  return error.cause !== error && isNetworkError(error.cause);
+}
+
+/**
+ * Text of a message's content, leaving out image and document blocks
+ * @param {string|object[]} content
+ * @returns {string}
+ */
+function contentText(content) {
+  if (!Array.isArray(content)) return content;
+  return content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+}
+
+/**
+ * Rough token estimate (~4 characters per token)
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+module.exports = {
+  complete,
+  stream,
+  withRetry,
+  estimateTokens,
+  contentText,
+  getProvider,
+  setProvider,
+  isConfigured,
+  createAnthropicProvider,
+  createOpenAIProvider,
+  createFakeProvider
+};
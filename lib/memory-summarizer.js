@@ -0,0 +1,320 @@
+/**
+ * Memory Summariser
+ * Distils the raw daily transcripts written by chat-handler's saveToMemory
+ * (memory/YYYY-MM-DD.md) into durable facts, then stores them in MEMORY.md
+ * and the `memories` table so the assistant's long-term memory grows.
+ *
+ * Run by scripts/summarize-memory.js (e.g. as a daily Railway cron).
+ *
+ * Progress is tracked per workspace in memory/.summaries.json, keyed by
+ * date with the transcript size, so a day is only summarised again if new
+ * messages were appended to it.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const llm = require('./llm');
+const { storeEmbedding } = require('./embeddings');
+const { getWorkspacesDir } = require('./workspaces');
+
+const STATE_FILE = '.summaries.json';
+const FACTS_HEADING = '## Learned Facts';
+const MAX_TRANSCRIPT_CHARS = 48000; // ~12k tokens
+const SUMMARY_MAX_TOKENS = 800;
+const MAX_KNOWN_FACTS = 200; // Most recent known facts shown to the model
+
+const EXTRACT_PROMPT = `You maintain the long-term memory of a personal AI assistant.
+Read the conversation transcript and list durable facts worth remembering about the user:
+preferences, people, projects, plans, decisions, commitments and personal details.
+
+Rules:
+- One fact per line, each starting with "- "
+- Write facts about the user in the third person ("User prefers ...")
+- Skip small talk, one-off questions and anything already in the known facts
+- If there is nothing worth remembering, reply with NONE`;
+
+/**
+ * Normalise a fact for duplicate detection
+ * @param {string} fact
+ * @returns {string}
+ */
+function normalizeFact(fact) {
+  return fact
+    .toLocaleLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Remove facts already known (and duplicates within the list)
+ *
+ * @param {string[]} facts - Candidate facts
+ * @param {string[]} existing - Facts already stored
+ * @returns {string[]}
+ */
+function dedupeFacts(facts, existing = []) {
+  const seen = new Set(existing.map(normalizeFact));
+  const fresh = [];
+
+  for (const fact of facts) {
+    const key = normalizeFact(fact);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    fresh.push(fact);
+  }
+
+  return fresh;
+}
+
+/**
+ * Ask the model for the durable facts in one day's transcript
+ *
+ * @param {string} transcript - Contents of memory/YYYY-MM-DD.md
+ * @param {object} [options]
+ * @param {string} [options.plan] - Plan name (picks the model)
+ * @param {string[]} [options.known] - Facts already stored, oldest first, so the
+ *   model can skip them (only the latest MAX_KNOWN_FACTS are sent)
+ * @returns {Promise<{facts: string[], usage: object}>}
+ */
+async function extractFacts(transcript, options = {}) {
+  const known = dedupeFacts(options.known || []).slice(-MAX_KNOWN_FACTS);
+  const knownSection = known.length > 0
+    ? `Known facts:\n${known.map(f => `- ${f}`).join('\n')}\n\n`
+    : '';
+
+  const completion = await llm.complete({
+    plan: options.plan,
+    maxTokens: SUMMARY_MAX_TOKENS,
+    system: EXTRACT_PROMPT,
+    messages: [{
+      role: 'user',
+      content: `${knownSection}Transcript:\n${transcript.slice(-MAX_TRANSCRIPT_CHARS)}`
+    }]
+  });
+
+  const facts = completion.text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => /^[-*•]\s+/.test(line))
+    .map(line => line.replace(/^[-*•]\s+/, '').trim())
+    .filter(Boolean);
+
+  return { facts, usage: completion.usage };
+}
+
+/**
+ * Read the facts already listed in MEMORY.md's Learned Facts section
+ * @param {string} content - MEMORY.md contents
+ * @returns {string[]}
+ */
+function parseMemoryFacts(content) {
+  const start = content.indexOf(FACTS_HEADING);
+  if (start === -1) return [];
+
+  const rest = content.slice(start + FACTS_HEADING.length);
+  const end = rest.search(/\n(## |---)/);
+  const section = end === -1 ? rest : rest.slice(0, end);
+
+  return section
+    .split('\n')
+    .filter(line => line.startsWith('- '))
+    .map(line => line.slice(2).trim());
+}
+
+/**
+ * Add facts to MEMORY.md under "## Learned Facts" / "### <date>"
+ * The section is created before the closing `---` footer if missing.
+ *
+ * @param {string} content - MEMORY.md contents
+ * @param {string} date - YYYY-MM-DD the facts came from
+ * @param {string[]} facts - New (already de-duplicated) facts
+ * @returns {string} Updated contents
+ */
+function mergeFactsIntoMemory(content, date, facts) {
+  if (facts.length === 0) return content;
+
+  const lines = facts.map(f => `- ${f}`).join('\n');
+  const dateHeading = `### ${date}`;
+
+  if (!content.includes(FACTS_HEADING)) {
+    const section = `${FACTS_HEADING}\n\n${dateHeading}\n${lines}\n\n`;
+    const footer = content.lastIndexOf('\n---\n');
+    if (footer === -1) {
+      return `${content.trimEnd()}\n\n${section}`;
+    }
+    return `${content.slice(0, footer + 1)}${section}${content.slice(footer + 1)}`;
+  }
+
+  const sectionStart = content.indexOf(FACTS_HEADING);
+  const afterHeading = sectionStart + FACTS_HEADING.length;
+  const nextSection = content.slice(afterHeading).search(/\n(## |---)/);
+  const sectionEnd = nextSection === -1 ? content.length : afterHeading + nextSection;
+  let section = content.slice(sectionStart, sectionEnd).trimEnd();
+
+  const dateStart = section.indexOf(dateHeading);
+  if (dateStart === -1) {
+    section = `${section}\n\n${dateHeading}\n${lines}`;
+  } else {
+    // Append to the end of that date's list
+    const afterDate = dateStart + dateHeading.length;
+    const nextDate = section.slice(afterDate).indexOf('\n### ');
+    const insertAt = nextDate === -1 ? section.length : afterDate + nextDate;
+    section = `${section.slice(0, insertAt).trimEnd()}\n${lines}${section.slice(insertAt)}`;
+  }
+
+  return `${content.slice(0, sectionStart)}${section}\n${content.slice(sectionEnd)}`;
+}
+
+/**
+ * Load the per-workspace summariser state
+ */
+async function loadState(memoryDir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(memoryDir, STATE_FILE), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+async function saveState(memoryDir, state) {
+  await fs.writeFile(path.join(memoryDir, STATE_FILE), JSON.stringify(state, null, 2));
+}
+
+/**
+ * Summarise a workspace's daily transcripts into long-term memory
+ *
+ * @param {string} workspaceId
+ * @param {object} options
+ * @param {object} [options.pool] - pg Pool; when given, facts are also stored in `memories`
+ * @param {string} [options.plan] - Plan name (picks the model)
+ * @param {string} [options.workspacesDir] - Root of the workspace directories
+ * @param {string} [options.date] - Only summarise this day (YYYY-MM-DD)
+ * @param {string} [options.today] - Days from this date on are skipped (still being written)
+ * @returns {Promise<{days: number, facts: string[], usage: object}>}
+ */
+async function summarizeWorkspace(workspaceId, options = {}) {
+  const workspacePath = path.join(options.workspacesDir || getWorkspacesDir(), workspaceId);
+  const memoryDir = path.join(workspacePath, 'memory');
+  const memoryPath = path.join(workspacePath, 'MEMORY.md');
+  const today = options.today || new Date().toISOString().split('T')[0];
+  const result = { days: 0, facts: [], usage: { inputTokens: 0, outputTokens: 0 } };
+
+  let files;
+  try {
+    files = await fs.readdir(memoryDir);
+  } catch {
+    return result; // No transcripts yet
+  }
+
+  const dates = files
+    .filter(f => /^\d{4}-\d{2}-\d{2}\.md$/.test(f))
+    .map(f => f.replace('.md', ''))
+    .filter(date => options.date ? date === options.date : date < today)
+    .sort();
+
+  if (dates.length === 0) return result;
+
+  const state = await loadState(memoryDir);
+  let memoryContent = await fs.readFile(memoryPath, 'utf8').catch(() => '# MEMORY.md - Long-Term Memory\n');
+
+  let storedFacts = [];
+  if (options.pool) {
+    const stored = await options.pool.query(
+      'SELECT content FROM memories WHERE workspace_id = $1 ORDER BY created_at, id',
+      [workspaceId]
+    );
+    storedFacts = stored.rows.map(row => row.content);
+  }
+
+  for (const date of dates) {
+    const transcript = await fs.readFile(path.join(memoryDir, `${date}.md`), 'utf8');
+    const bytes = Buffer.byteLength(transcript);
+
+    // Already summarised and nothing new appended since
+    if (state[date] && state[date].bytes === bytes) continue;
+
+    const known = [...parseMemoryFacts(memoryContent), ...storedFacts];
+    const extracted = await extractFacts(transcript, { plan: options.plan, known });
+    result.usage.inputTokens += extracted.usage.inputTokens;
+    result.usage.outputTokens += extracted.usage.outputTokens;
+
+    const facts = dedupeFacts(extracted.facts, known);
+
+    if (facts.length > 0) {
+      memoryContent = mergeFactsIntoMemory(memoryContent, date, facts);
+      await fs.writeFile(memoryPath, memoryContent);
+
+      if (options.pool) {
+        for (const fact of facts) {
+          const inserted = await options.pool.query(`
+            INSERT INTO memories (workspace_id, agent_id, content, metadata, created_at)
+            VALUES ($1, 'main', $2, $3, NOW())
+            RETURNING id
+          `, [workspaceId, fact, JSON.stringify({ source: 'daily-summary', date })]);
+          await storeEmbedding(options.pool, inserted.rows[0]?.id, fact);
+        }
+        storedFacts.push(...facts);
+      }
+    }
+
+    state[date] = { bytes, facts: facts.length, summarizedAt: new Date().toISOString() };
+    await saveState(memoryDir, state);
+
+    result.days++;
+    result.facts.push(...facts);
+  }
+
+  return result;
+}
+
+/**
+ * Summarise every active workspace
+ *
+ * @param {object} options
+ * @param {object} options.pool - pg Pool for the main database
+ * @param {string} [options.workspaceId] - Only this workspace
+ * @param {string} [options.date] - Only this day
+ * @param {string} [options.workspacesDir]
+ * @returns {Promise<Array<{workspaceId: string, days?: number, facts?: number, error?: string}>>}
+ */
+async function runSummarizer(options) {
+  const { pool } = options;
+  const params = [];
+  let query = `SELECT workspace_id, plan FROM customers WHERE status = 'active' AND workspace_id IS NOT NULL`;
+  if (options.workspaceId) {
+    params.push(options.workspaceId);
+    query += ' AND workspace_id = $1';
+  }
+
+  const workspaces = await pool.query(query, params);
+  const results = [];
+
+  for (const { workspace_id: workspaceId, plan } of workspaces.rows) {
+    try {
+      const summary = await summarizeWorkspace(workspaceId, {
+        pool,
+        plan,
+        date: options.date,
+        workspacesDir: options.workspacesDir
+      });
+      results.push({ workspaceId, days: summary.days, facts: summary.facts.length });
+    } catch (error) {
+      // One broken workspace shouldn't stop the others
+      console.error(`[MEMORY] Summarising ${workspaceId} failed:`, error.message);
+      results.push({ workspaceId, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  runSummarizer,
+  summarizeWorkspace,
+  extractFacts,
+  dedupeFacts,
+  normalizeFact,
+  parseMemoryFacts,
+  mergeFactsIntoMemory
+};
@@ -0,0 +1,221 @@
+/**
+ * Overage Billing
+ * Plans with an `overage` config (plans.js) can keep serving messages past
+ * messageLimit once the customer opts in by setting a monthly spending limit
+ * (customers.overage_spending_limit, USD). Messages past the limit are
+ * reported daily from usage_tracking to the plan's Stripe metered price.
+ *
+ * overage_spending_limit:
+ * - NULL - never opted in, messages stop at messageLimit
+ * - 0 - opted out; overage already used this month is still reported
+ * - > 0 - overage allowed until its cost would exceed the limit
+ */
+
+const { getOverage, getPlanLimits } = require('../plans');
+
+// Reporting runs for the previous (UTC) day; checked hourly so a restart
+// doesn't skip a day
+const OVERAGE_REPORT_INTERVAL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Cost of overage messages, rounded to cents
+ * @param {number} messages
+ * @param {number} pricePerMessage - USD
+ * @returns {number} USD
+ */
+function overageCost(messages, pricePerMessage) {
+  return Math.round(messages * pricePerMessage * 100) / 100;
+}
+
+/**
+ * Parse customers.overage_spending_limit (NUMERIC comes back as a string)
+ * @returns {number|null}
+ */
+function parseSpendingLimit(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const limit = parseFloat(value);
+  return Number.isFinite(limit) ? limit : null;
+}
+
+/**
+ * Overage messages the spending limit pays for
+ * @returns {number}
+ */
+function maxOverageMessages(pricePerMessage, spendingLimit) {
+  if (!pricePerMessage) return 0;
+  return Math.floor((spendingLimit + 1e-9) / pricePerMessage);
+}
+
+/**
+ * Whether one more message may be sent this month
+ *
+ * Used by the workspace router and the runtime (which gets its config from
+ * env vars), so it takes plain values rather than a plan name.
+ *
+ * @param {object} usage
+ * @param {number} usage.used - Messages sent this month
+ * @param {number} usage.messageLimit - Plan's included messages
+ * @param {number} [usage.pricePerMessage] - Plan's overage price, USD
+ * @param {number|null} [usage.spendingLimit] - Customer's limit, USD
+ * @returns {{allowed: boolean, overage: boolean, error?: string}}
+ */
+function checkMessageAllowance({ used, messageLimit, pricePerMessage, spendingLimit = null }) {
+  if (used < messageLimit) {
+    return { allowed: true, overage: false };
+  }
+
+  if (!pricePerMessage || spendingLimit === null) {
+    return { allowed: false, overage: false, error: 'Message limit exceeded' };
+  }
+
+  if (used - messageLimit + 1 > maxOverageMessages(pricePerMessage, spendingLimit)) {
+    return { allowed: false, overage: true, error: 'Overage spending limit reached' };
+  }
+
+  return { allowed: true, overage: true };
+}
+
+/**
+ * This month's overage so far and projected to month end, assuming usage
+ * keeps its current daily rate; the projection is capped by the spending
+ * limit, since messages stop there
+ *
+ * @param {object} usage - { used, messageLimit, pricePerMessage, spendingLimit }
+ * @param {Date} [now]
+ * @returns {object} { messages, cost, projectedMessages, projectedCost, capped }
+ */
+function projectOverage({ used, messageLimit, pricePerMessage, spendingLimit = null }, now = new Date()) {
+  const daysInMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 0)).getUTCDate();
+  const monthStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+  const daysElapsed = Math.max(1, (now.getTime() - monthStart) / DAY_MS);
+
+  const messages = Math.max(0, used - messageLimit);
+  let projectedMessages = Math.max(0, Math.round(used / daysElapsed * daysInMonth) - messageLimit);
+  let capped = false;
+
+  const max = spendingLimit === null ? 0 : maxOverageMessages(pricePerMessage, spendingLimit);
+  if (projectedMessages > max) {
+    projectedMessages = Math.max(messages, max);
+    capped = true;
+  }
+
+  return {
+    messages,
+    cost: overageCost(messages, pricePerMessage),
+    projectedMessages,
+    projectedCost: overageCost(projectedMessages, pricePerMessage),
+    capped
+  };
+}
+
+/**
+ * The subscription item for a metered price, added to the subscription the
+ * first time the customer has overage to report
+ */
+async function findMeteredItem(stripe, subscriptionId, priceId) {
+  const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+  const item = subscription.items.data.find(i => i.price.id === priceId);
+  if (item) return item.id;
+
+  const created = await stripe.subscriptionItems.create(
+    { subscription: subscriptionId, price: priceId },
+    { idempotencyKey: `overage-item-${subscriptionId}-${priceId}` }
+  );
+  return created.id;
+}
+
+/**
+ * Report the month's unreported overage, up to and including a day, to Stripe
+ *
+ * Works on month-to-date totals, so a day missed by the schedule is picked up
+ * by the next run. What's already reported counts every report in the month,
+ * whatever its date, so running a day again or running an earlier day after
+ * later ones only bills usage no report has covered. Reports are recorded in
+ * overage_reports (one row per workspace per day, added to when a day is
+ * reported again) and sent with an idempotency key tied to the month's
+ * reported total, so a retry after a crash doesn't double-bill either.
+ *
+ * @param {object} pool - pg Pool for the main database
+ * @param {object} stripe - Stripe client
+ * @param {object} [options] - { date: 'YYYY-MM-DD' } (default yesterday, UTC)
+ * @returns {Promise<Array<{workspaceId, messages, amount, error?}>>}
+ */
+async function reportDailyOverage(pool, stripe, options = {}) {
+  const date = options.date || new Date(Date.now() - DAY_MS).toISOString().split('T')[0];
+
+  const result = await pool.query(`
+    SELECT c.workspace_id, c.plan, c.price_id, c.subscription_id,
+      COALESCE(SUM(u.messages_sent), 0) AS used,
+      (SELECT COALESCE(SUM(r.messages), 0) FROM overage_reports r
+        WHERE r.workspace_id = c.workspace_id
+          AND r.date >= date_trunc('month', $1::date)
+          AND r.date < date_trunc('month', $1::date) + INTERVAL '1 month') AS reported
+    FROM customers c
+    JOIN usage_tracking u ON u.workspace_id = c.workspace_id
+      AND u.date >= date_trunc('month', $1::date) AND u.date <= $1::date
+    WHERE c.overage_spending_limit IS NOT NULL
+      AND c.subscription_id IS NOT NULL
+    GROUP BY c.workspace_id, c.plan, c.price_id, c.subscription_id
+  `, [date]);
+
+  const reports = [];
+
+  for (const row of result.rows) {
+    const overage = getOverage(row.plan, row.price_id);
+    if (!overage) continue;
+
+    // The spending limit is enforced when messages are sent
+    // (checkMessageAllowance); everything past messageLimit is billed
+    const { messagesPerMonth } = getPlanLimits(row.plan, row.price_id);
+    const reported = parseInt(row.reported);
+    const messages = Math.max(0, parseInt(row.used) - messagesPerMonth) - reported;
+
+    if (messages <= 0) continue;
+
+    if (!overage.meteredPriceId) {
+      console.warn(`⚠️ No metered price configured for ${row.plan} overage, ${row.workspace_id} not reported`);
+      continue;
+    }
+
+    const amount = overageCost(messages, overage.pricePerMessage);
+
+    try {
+      const itemId = await findMeteredItem(stripe, row.subscription_id, overage.meteredPriceId);
+      const record = await stripe.subscriptionItems.createUsageRecord(
+        itemId,
+        { quantity: messages, timestamp: 'now', action: 'increment' },
+        { idempotencyKey: `overage-${row.workspace_id}-${date}-${reported}` }
+      );
+
+      await pool.query(`
+        INSERT INTO overage_reports (workspace_id, date, messages, amount, stripe_usage_record_id, reported_at)
+        VALUES ($1, $2, $3, $4, $5, NOW())
+        ON CONFLICT (workspace_id, date) DO UPDATE
+        SET messages = overage_reports.messages + EXCLUDED.messages,
+            amount = overage_reports.amount + EXCLUDED.amount,
+            stripe_usage_record_id = EXCLUDED.stripe_usage_record_id,
+            reported_at = NOW()
+      `, [row.workspace_id, date, messages, amount, record.id]);
+
+      console.log(`💳 Reported ${messages} overage messages for ${row.workspace_id} ($${amount.toFixed(2)})`);
+      reports.push({ workspaceId: row.workspace_id, messages, amount });
+    } catch (error) {
+      // Left unreported - the next run includes it
+      console.error(`❌ Overage report failed for ${row.workspace_id}:`, error.message);
+      reports.push({ workspaceId: row.workspace_id, messages, amount, error: error.message });
+    }
+  }
+
+  return reports;
+}
+
+module.exports = {
+  OVERAGE_REPORT_INTERVAL_MS,
+  overageCost,
+  parseSpendingLimit,
+  checkMessageAllowance,
+  projectOverage,
+  reportDailyOverage
+};
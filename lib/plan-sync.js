@@ -0,0 +1,183 @@
+/**
+ * Plan Catalogue Sync
+ * Reconciles the plan catalogue (plans.js) with Stripe: one product per
+ * plan, one price per catalogue price.
+ *
+ * - Products are matched on metadata.plan_id (or, for products created
+ *   before the catalogue, by name) and kept in step with the current
+ *   version's name, description and limits
+ * - Catalogue prices without an ID are created; the IDs are returned in the
+ *   updated catalogue for the caller to save
+ * - Current versions' prices are kept active, older versions' archived: new
+ *   checkouts can't use them, existing subscriptions keep billing on them
+ *
+ * Stripe prices can't be edited, so a price whose amount, currency or
+ * interval differs from the catalogue is reported as a problem - add a new
+ * plan version instead.
+ */
+
+/**
+ * Product fields for a plan's current version
+ * Metadata values are strings in Stripe.
+ */
+function productFields(plan, version) {
+  return {
+    name: plan.name,
+    description: plan.description,
+    metadata: {
+      plan_id: plan.id,
+      plan_version: String(version.version),
+      messageLimit: String(version.messageLimit),
+      agents: version.agents === -1 ? 'unlimited' : String(version.agents),
+      features: version.features.join(',')
+    }
+  };
+}
+
+/**
+ * Stable Stripe lookup key for a catalogue price
+ * @returns {string} e.g. 'pro_v2_month_usd'
+ */
+function priceLookupKey(plan, version, price) {
+  return `${plan.id}_v${version.version}_${price.interval}_${price.currency}`;
+}
+
+function productDrift(product, wanted) {
+  const fields = ['name', 'description'].filter(f => (product[f] || null) !== (wanted[f] || null));
+  for (const [key, value] of Object.entries(wanted.metadata)) {
+    if ((product.metadata || {})[key] !== value) fields.push(`metadata.${key}`);
+  }
+  if (product.active === false) fields.push('active');
+  return fields;
+}
+
+function priceDrift(stripePrice, price) {
+  const fields = [];
+  if (stripePrice.currency !== price.currency) fields.push(`currency ${stripePrice.currency} ≠ ${price.currency}`);
+  if (stripePrice.unit_amount !== price.amount) fields.push(`amount ${stripePrice.unit_amount} ≠ ${price.amount}`);
+  const interval = stripePrice.recurring ? stripePrice.recurring.interval : 'one_time';
+  if (interval !== price.interval) fields.push(`interval ${interval} ≠ ${price.interval}`);
+  return fields;
+}
+
+async function retrievePrice(stripe, priceId) {
+  try {
+    return await stripe.prices.retrieve(priceId);
+  } catch (error) {
+    if (error.statusCode === 404 || error.code === 'resource_missing') return null;
+    throw error;
+  }
+}
+
+/**
+ * Reconcile a catalogue with Stripe
+ *
+ * @param {object} stripe - Stripe client
+ * @param {object} catalogue - Validated catalogue (plans.loadCatalogue)
+ * @param {object} [options]
+ * @param {boolean} [options.apply=false] - Make the changes; otherwise only report them
+ * @returns {Promise<{changes: object[], problems: object[], catalogue: object}>}
+ *   changes made (or to make), problems needing a catalogue edit, and the
+ *   catalogue with created price IDs filled in
+ */
+async function syncPlanCatalogue(stripe, catalogue, options = {}) {
+  const apply = options.apply === true;
+  const updated = JSON.parse(JSON.stringify(catalogue));
+  const changes = [];
+  const problems = [];
+
+  const products = await stripe.products.list({ limit: 100 }).autoPagingToArray({ limit: 10000 });
+
+  for (const plan of updated.plans) {
+    const current = plan.versions.reduce((a, b) => (b.version > a.version ? b : a));
+    const wanted = productFields(plan, current);
+
+    let product = products.find(p => p.metadata && p.metadata.plan_id === plan.id)
+      || products.find(p => !(p.metadata && p.metadata.plan_id) && p.name === plan.name);
+
+    if (!product) {
+      changes.push({ type: 'create_product', plan: plan.id });
+      if (apply) product = await stripe.products.create(wanted);
+    } else {
+      const fields = productDrift(product, wanted);
+      if (fields.length > 0) {
+        changes.push({ type: 'update_product', plan: plan.id, product: product.id, fields });
+        if (apply) await stripe.products.update(product.id, { ...wanted, active: true });
+      }
+    }
+
+    const stripePrices = product
+      ? await stripe.prices.list({ product: product.id, limit: 100 }).autoPagingToArray({ limit: 10000 })
+      : [];
+    const tracked = new Set();
+
+    for (const version of plan.versions) {
+      const legacy = version !== current;
+
+      for (const price of version.prices) {
+        const lookupKey = priceLookupKey(plan, version, price);
+
+        if (!price.id) {
+          changes.push({ type: 'create_price', plan: plan.id, version: version.version, price: lookupKey });
+          if (apply) {
+            const created = await stripe.prices.create({
+              product: product.id,
+              currency: price.currency,
+              unit_amount: price.amount,
+              recurring: { interval: price.interval },
+              lookup_key: lookupKey,
+              active: !legacy,
+              metadata: { plan_id: plan.id, plan_version: String(version.version) }
+            });
+            price.id = created.id;
+          }
+          continue;
+        }
+
+        tracked.add(price.id);
+        const stripePrice = stripePrices.find(p => p.id === price.id) || await retrievePrice(stripe, price.id);
+
+        if (!stripePrice) {
+          problems.push({ type: 'missing_price', plan: plan.id, version: version.version, price: price.id });
+          continue;
+        }
+
+        const productId = typeof stripePrice.product === 'string' ? stripePrice.product : stripePrice.product.id;
+        const fields = priceDrift(stripePrice, price);
+        if (product && productId !== product.id) {
+          fields.push(`product ${productId} ≠ ${product.id}`);
+        }
+        if (fields.length > 0) {
+          problems.push({ type: 'price_mismatch', plan: plan.id, version: version.version, price: price.id, fields });
+          continue;
+        }
+
+        if (stripePrice.active === legacy) {
+          changes.push({
+            type: legacy ? 'archive_price' : 'activate_price',
+            plan: plan.id,
+            version: version.version,
+            price: price.id
+          });
+          if (apply) await stripe.prices.update(price.id, { active: !legacy });
+        }
+      }
+    }
+
+    // Active prices the catalogue doesn't know about (metered overage
+    // prices are configured separately)
+    for (const stripePrice of stripePrices) {
+      const metered = stripePrice.recurring && stripePrice.recurring.usage_type === 'metered';
+      if (stripePrice.active && !metered && !tracked.has(stripePrice.id)) {
+        problems.push({ type: 'untracked_price', plan: plan.id, price: stripePrice.id });
+      }
+    }
+  }
+
+  return { changes, problems, catalogue: updated };
+}
+
+module.exports = {
+  priceLookupKey,
+  syncPlanCatalogue
+};
@@ -212,6 +212,36 @@ function createRateLimiter(options = {}) {
   };
 }
 
+// ============================================
+// ADMIN AUTHENTICATION
+// ============================================
+
+/**
+ * Express middleware for admin endpoints
+ * Requires `Authorization: Bearer <ADMIN_SECRET>`; admin endpoints are
+ * disabled (503) while ADMIN_SECRET is unset.
+ */
+function requireAdmin(req, res, next) {
+  const secret = process.env.ADMIN_SECRET;
+  
+  if (!secret) {
+    return res.status(503).json({ error: 'Admin API not configured' });
+  }
+  
+  const authHeader = req.headers.authorization || '';
+  const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : '';
+  
+  if (!timingSafeEqual(token, secret)) {
+    logSecurityEvent('ADMIN_AUTH_FAILED', {
+      path: req.path,
+      ip: req.ip || req.headers['x-forwarded-for'] || 'unknown',
+    });
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+  
+  next();
+}
+
 // ============================================
 // REQUEST VALIDATION
 // ============================================
@@ -347,6 +377,9 @@ module.exports = {
   // Rate limiting
   createRateLimiter,
   
+  // Admin authentication
+  requireAdmin,
+  
   // Validation
   validateEmail,
   validateWorkspaceId,
@@ -0,0 +1,85 @@
+/**
+ * Server-Sent Events helper
+ * Turns an Express response into an event stream for the dashboard
+ */
+
+// Comment ping interval so proxies don't close idle streams
+const KEEPALIVE_MS = 15000;
+
+/**
+ * Open an SSE stream on an Express response
+ *
+ * @param {object} res - Express response
+ * @returns {{send: Function, close: Function, closed: Function}}
+ */
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx / Railway)
+  });
+  res.flushHeaders();
+
+  let isClosed = false;
+
+  const keepalive = setInterval(() => {
+    if (!isClosed) res.write(': ping\n\n');
+  }, KEEPALIVE_MS);
+  keepalive.unref();
+
+  res.on('close', () => {
+    isClosed = true;
+    clearInterval(keepalive);
+  });
+
+  return {
+    /**
+     * Send one event (data is JSON-encoded)
+     * @param {string} event - Event name
+     * @param {*} data - Payload
+     */
+    send(event, data) {
+      if (isClosed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    /**
+     * End the stream
+     */
+    close() {
+      if (isClosed) return;
+      isClosed = true;
+      clearInterval(keepalive);
+      res.end();
+    },
+
+    /**
+     * Whether the client went away (or we closed)
+     * @returns {boolean}
+     */
+    closed() {
+      return isClosed;
+    }
+  };
+}
+
+/**
+ * Check whether a request asked for an event stream
+ * Either `Accept: text/event-stream` or `stream: true` in the body/query.
+ *
+ * @param {object} req - Express request
+ * @returns {boolean}
+ */
+function wantsEventStream(req) {
+  const accept = req.headers.accept || '';
+  return accept.includes('text/event-stream') ||
+    req.body?.stream === true ||
+    req.query?.stream === 'true';
+}
+
+module.exports = {
+  openEventStream,
+  wantsEventStream
+};
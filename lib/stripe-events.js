@@ -0,0 +1,246 @@
+/**
+ * Stripe Event Ledger
+ * Every verified webhook event is stored in `stripe_events` with its
+ * processing status, so redelivered events aren't handled twice and failed
+ * ones can be replayed.
+ *
+ * Statuses:
+ * - received / processing - stored, handler not finished. A redelivery while
+ *   an event is processing gets a 409 so Stripe keeps retrying it; one left
+ *   processing past PROCESSING_TIMEOUT_MS was interrupted and is taken again
+ *   by the next redelivery or replay.
+ * - processed - handler succeeded
+ * - failed - handler threw (Stripe redelivers; admins can replay)
+ * - skipped - a newer event for the same object was already processed
+ * - ignored - no handler for the event type
+ *
+ * Subscription and customer events describe the object's whole state, so an
+ * older one arriving after a newer one (Stripe doesn't guarantee order) would
+ * undo it; those are skipped, comparing Stripe's `created` timestamps.
+ * Notifications such as `trial_will_end` are always handled.
+ */
+
+// Event types whose handlers apply the object's full state
+const ORDERED_EVENT_TYPES = [
+  'customer.subscription.created',
+  'customer.subscription.updated',
+  'customer.subscription.deleted',
+  'customer.subscription.paused',
+  'customer.subscription.resumed',
+  'customer.updated'
+];
+
+// A 'processing' event older than this was interrupted (crash / deploy)
+const PROCESSING_TIMEOUT_MS = 10 * 60 * 1000;
+
+// SQL condition for an interrupted event; $2 is PROCESSING_TIMEOUT_MS
+const STALLED = `status = 'processing' AND updated_at < NOW() - ($2::int * INTERVAL '1 millisecond')`;
+
+function isOrdered(type) {
+  return ORDERED_EVENT_TYPES.includes(type);
+}
+
+/**
+ * Store a verified event (no-op if already stored)
+ * @param {object} pool - pg Pool for the main database
+ * @param {object} event - Stripe event
+ */
+async function recordEvent(pool, event) {
+  const object = event.data?.object || {};
+  const customerId = typeof object.customer === 'string' ? object.customer : object.customer?.id;
+
+  await pool.query(`
+    INSERT INTO stripe_events (id, type, object_id, stripe_customer_id, stripe_created, payload, status, received_at, updated_at)
+    VALUES ($1, $2, $3, $4, to_timestamp($5), $6, 'received', NOW(), NOW())
+    ON CONFLICT (id) DO NOTHING
+  `, [event.id, event.type, object.id || null, customerId || null, event.created, JSON.stringify(event)]);
+}
+
+/**
+ * Take an event for processing; fails if it's done or being processed
+ * @returns {Promise<boolean>}
+ */
+async function claimEvent(pool, eventId) {
+  const result = await pool.query(`
+    UPDATE stripe_events
+    SET status = 'processing', attempts = attempts + 1, updated_at = NOW()
+    WHERE id = $1 AND (status IN ('received', 'failed') OR (${STALLED}))
+    RETURNING id
+  `, [eventId, PROCESSING_TIMEOUT_MS]);
+
+  return result.rows.length > 0;
+}
+
+async function getEventStatus(pool, eventId) {
+  const result = await pool.query('SELECT status FROM stripe_events WHERE id = $1', [eventId]);
+  return result.rows[0]?.status || null;
+}
+
+async function finishEvent(pool, eventId, status, error = null) {
+  await pool.query(`
+    UPDATE stripe_events
+    SET status = $2, error = $3, updated_at = NOW(),
+        processed_at = CASE WHEN $4 THEN NOW() ELSE processed_at END
+    WHERE id = $1
+  `, [eventId, status, error, status !== 'failed']);
+}
+
+/**
+ * The newest already-processed state event for the same object, if it's
+ * newer than this one
+ */
+async function findNewerEvent(pool, event) {
+  const result = await pool.query(`
+    SELECT id FROM stripe_events
+    WHERE object_id = $1
+      AND type = ANY($3)
+      AND status = 'processed'
+      AND stripe_created > to_timestamp($2)
+    ORDER BY stripe_created DESC
+    LIMIT 1
+  `, [event.data.object.id, event.created, ORDERED_EVENT_TYPES]);
+
+  return result.rows[0]?.id || null;
+}
+
+/**
+ * Record and handle a verified event exactly once
+ *
+ * @param {object} pool - pg Pool for the main database
+ * @param {object} event - Stripe event (from constructEvent or the ledger)
+ * @param {object} handlers - { [eventType]: async (object, event) => void }
+ * @returns {Promise<{status: string, supersededBy?: string}>} 'processed',
+ *   'duplicate', 'in_progress' (another attempt is still handling it),
+ *   'skipped' or 'ignored'
+ * @throws The handler's error, after recording the event as failed
+ */
+async function processStripeEvent(pool, event, handlers) {
+  await recordEvent(pool, event);
+
+  if (!(await claimEvent(pool, event.id))) {
+    if (await getEventStatus(pool, event.id) === 'processing') {
+      console.log(`⏳ Stripe event ${event.id} is still being processed`);
+      return { status: 'in_progress' };
+    }
+    console.log(`↩️  Stripe event ${event.id} already handled, skipping`);
+    return { status: 'duplicate' };
+  }
+
+  const handler = handlers[event.type];
+  if (!handler) {
+    console.log(`Unhandled event type: ${event.type}`);
+    await finishEvent(pool, event.id, 'ignored');
+    return { status: 'ignored' };
+  }
+
+  if (isOrdered(event.type)) {
+    const newer = await findNewerEvent(pool, event);
+    if (newer) {
+      console.log(`⏭️  Stripe event ${event.id} is older than ${newer}, skipping`);
+      await finishEvent(pool, event.id, 'skipped', `Superseded by ${newer}`);
+      return { status: 'skipped', supersededBy: newer };
+    }
+  }
+
+  try {
+    await handler(event.data.object, event);
+  } catch (error) {
+    await finishEvent(pool, event.id, 'failed', error.message);
+    throw error;
+  }
+
+  await finishEvent(pool, event.id, 'processed');
+  return { status: 'processed' };
+}
+
+/**
+ * Re-run a failed or interrupted event from its stored payload
+ *
+ * @param {object} pool
+ * @param {string} eventId - evt_...
+ * @param {object} handlers - See processStripeEvent
+ * @returns {Promise<object|null>} { id, status, error? }, null if unknown
+ */
+async function replayStripeEvent(pool, eventId, handlers) {
+  const result = await pool.query(
+    `SELECT id, status, payload, (${STALLED}) AS stalled FROM stripe_events WHERE id = $1`,
+    [eventId, PROCESSING_TIMEOUT_MS]
+  );
+
+  const row = result.rows[0];
+  if (!row) return null;
+
+  if (row.status !== 'failed' && !row.stalled) {
+    return { id: row.id, status: row.status, error: 'Only failed or interrupted events can be replayed' };
+  }
+
+  try {
+    const { status } = await processStripeEvent(pool, row.payload, handlers);
+    return { id: row.id, status };
+  } catch (error) {
+    return { id: row.id, status: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Replay every failed or interrupted event, oldest first
+ *
+ * @param {object} pool
+ * @param {object} handlers - See processStripeEvent
+ * @param {object} [options] - { limit } (default 100)
+ * @returns {Promise<Array<{id, status, error?}>>}
+ */
+async function replayFailedStripeEvents(pool, handlers, options = {}) {
+  const result = await pool.query(`
+    SELECT id FROM stripe_events
+    WHERE status = 'failed' OR (${STALLED})
+    ORDER BY stripe_created ASC, received_at ASC
+    LIMIT $1
+  `, [options.limit ?? 100, PROCESSING_TIMEOUT_MS]);
+
+  const replayed = [];
+  for (const { id } of result.rows) {
+    replayed.push(await replayStripeEvent(pool, id, handlers));
+  }
+  return replayed;
+}
+
+/**
+ * Events for the admin API, newest first
+ *
+ * @param {object} pool
+ * @param {object} [filter] - { status, type, limit (default 50) }
+ * @returns {Promise<Array>}
+ */
+async function listStripeEvents(pool, filter = {}) {
+  const params = [];
+  const conditions = [];
+
+  if (filter.status) {
+    params.push(filter.status);
+    conditions.push(`status = $${params.length}`);
+  }
+  if (filter.type) {
+    params.push(filter.type);
+    conditions.push(`type = $${params.length}`);
+  }
+  params.push(filter.limit ?? 50);
+
+  const result = await pool.query(`
+    SELECT id, type, object_id, stripe_customer_id, stripe_created, status, attempts, error,
+           received_at, processed_at
+    FROM stripe_events
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY stripe_created DESC
+    LIMIT $${params.length}
+  `, params);
+
+  return result.rows;
+}
+
+module.exports = {
+  processStripeEvent,
+  replayStripeEvent,
+  replayFailedStripeEvents,
+  listStripeEvents
+};
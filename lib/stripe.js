@@ -0,0 +1,56 @@
+/**
+ * Stripe Client
+ * Creates the Stripe SDK client and shapes Stripe objects we store.
+ * STRIPE_API_BASE points it at another API host - a local Stripe mock
+ * (stripe-mock, or the test server in __tests__/helpers/stripe-server.js)
+ * instead of api.stripe.com.
+ */
+
+const Stripe = require('stripe');
+
+/**
+ * @param {string} [apiKey] - Defaults to STRIPE_SECRET_KEY
+ * @returns {object} Stripe client
+ */
+function createStripeClient(apiKey = process.env.STRIPE_SECRET_KEY) {
+  const apiBase = process.env.STRIPE_API_BASE;
+  if (!apiBase) {
+    return Stripe(apiKey);
+  }
+
+  const url = new URL(apiBase);
+  return Stripe(apiKey, {
+    host: url.hostname,
+    port: url.port,
+    protocol: url.protocol.replace(':', '')
+  });
+}
+
+/**
+ * The parts of a subscription's discount shown to the customer
+ * (customers.discount, /api/workspace/:id/status)
+ *
+ * @param {object|null} discount - Stripe discount (subscription.discount)
+ * @returns {object|null} { coupon, name, percentOff, amountOff, currency,
+ *   duration, durationInMonths, promotionCode, endsAt }
+ */
+function summarizeDiscount(discount) {
+  if (!discount || !discount.coupon) return null;
+  const { coupon } = discount;
+
+  return {
+    coupon: coupon.id,
+    name: coupon.name || null,
+    percentOff: coupon.percent_off || null,
+    amountOff: coupon.amount_off || null,
+    currency: coupon.currency || null,
+    duration: coupon.duration,
+    durationInMonths: coupon.duration_in_months || null,
+    promotionCode: typeof discount.promotion_code === 'string'
+      ? discount.promotion_code
+      : discount.promotion_code?.id || null,
+    endsAt: discount.end ? new Date(discount.end * 1000).toISOString() : null
+  };
+}
+
+module.exports = { createStripeClient, summarizeDiscount };
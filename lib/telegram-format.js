@@ -0,0 +1,194 @@
+/**
+ * Telegram Message Formatting
+ * Turns model output (markdown) into Telegram HTML that Telegram always
+ * accepts, split into messages under Telegram's 4096 character limit.
+ *
+ * HTML rather than MarkdownV2: only &, < and > need escaping, and markdown
+ * the converter doesn't recognise (an unmatched * or a snake_case name) is
+ * left as literal text instead of breaking the message. If Telegram still
+ * rejects a message with a 400, it's sent again as plain text.
+ */
+
+const MAX_MESSAGE_LENGTH = 4096;
+
+// Below this, chunks can't expand past the limit when escaped
+const MIN_SPLIT_LENGTH = 512;
+
+// Placeholders for spans that are already HTML (code, links)
+const PLACEHOLDER = /\u0000(\d+)\u0000/g;
+
+/**
+ * Escape text for Telegram HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHTML(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Convert markdown to Telegram HTML
+ * Supports code blocks, inline code, links, bold, italic, strikethrough,
+ * headings (bold), bullet lists and blockquotes.
+ *
+ * @param {string} markdown
+ * @returns {string}
+ */
+function toTelegramHTML(markdown) {
+  const spans = [];
+  const hold = html => `\u0000${spans.push(html) - 1}\u0000`;
+
+  let text = markdown.replace(/\u0000/g, '');
+
+  // Code blocks - an unclosed one (cut-off output) runs to the end
+  text = text.replace(/```([\w+-]*)[^\S\n]*\n?([\s\S]*?)(?:```|$)/g, (match, lang, code) => {
+    const body = escapeHTML(code.replace(/\n$/, ''));
+    return hold(lang
+      ? `<pre><code class="language-${lang}">${body}</code></pre>`
+      : `<pre>${body}</pre>`);
+  });
+
+  text = text.replace(/`([^`\n]+)`/g, (match, code) => hold(`<code>${escapeHTML(code)}</code>`));
+
+  text = text.replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g, (match, label, url) =>
+    hold(`<a href="${escapeHTML(url).replace(/"/g, '&quot;')}">${escapeHTML(label)}</a>`));
+
+  text = escapeHTML(text);
+
+  // Line formats
+  text = text
+    .replace(/^#{1,6}[^\S\n]+(.+?)[^\S\n]*#*$/gm, (match, heading) => `<b>${heading.replace(/\*\*|__/g, '')}</b>`)
+    .replace(/^([^\S\n]*)[-*+][^\S\n]+/gm, '$1• ')
+    .replace(/^&gt;[^\S\n]?.*(?:\n&gt;[^\S\n]?.*)*/gm, quote =>
+      `<blockquote>${quote.replace(/^&gt;[^\S\n]?/gm, '')}</blockquote>`);
+
+  // Inline formats - contents can't contain a tag, so tags never overlap
+  text = text
+    .replace(/\*\*([^<\n]+?)\*\*/g, '<b>$1</b>')
+    .replace(/(^|[^\w])__([^<\n]+?)__(?!\w)/g, '$1<b>$2</b>')
+    .replace(/(^|[^\w*])\*(?![\s*])([^*<\n]+?)(?<!\s)\*(?![\w*])/g, '$1<i>$2</i>')
+    .replace(/(^|[^\w])_(?![\s_])([^_<\n]+?)(?<!\s)_(?!\w)/g, '$1<i>$2</i>')
+    .replace(/~~([^<\n]+?)~~/g, '<s>$1</s>');
+
+  // A link label can hold inline code, so spans can contain placeholders
+  const expand = html => html.replace(PLACEHOLDER, (match, index) => expand(spans[index]));
+  return expand(text);
+}
+
+// Where to end a chunk of at most `max` characters: the last paragraph
+// break, line break, sentence end or space in its second half
+function findBreak(text, max) {
+  const window = text.slice(0, max);
+  const minimum = Math.floor(max / 2);
+
+  for (const pattern of [/\n\n/g, /\n/g, /[.!?][^\S\n]/g, /[^\S\n]/g]) {
+    let cut = -1;
+    for (const match of window.matchAll(pattern)) {
+      cut = match.index + match[0].length;
+    }
+    if (cut >= minimum) return cut;
+  }
+
+  // Don't split a surrogate pair (emoji)
+  const code = text.charCodeAt(max - 1);
+  return code >= 0xd800 && code <= 0xdbff ? max - 1 : max;
+}
+
+/**
+ * Split markdown into chunks of at most `limit` characters on paragraph,
+ * line, sentence or word boundaries. A code block that's split is closed at
+ * the end of one chunk and reopened at the start of the next.
+ *
+ * @param {string} text
+ * @param {number} [limit]
+ * @returns {string[]}
+ */
+function splitMessage(text, limit = MAX_MESSAGE_LENGTH) {
+  const chunks = [];
+  let rest = text.trim();
+
+  while (rest.length > limit) {
+    // Room to close a code block
+    const cut = findBreak(rest, limit - 4);
+    let chunk = rest.slice(0, cut).trimEnd();
+    rest = rest.slice(cut);
+
+    const fences = [...chunk.matchAll(/```([\w+-]*)/g)];
+    if (fences.length % 2 === 1) {
+      const lang = fences[fences.length - 1][1];
+      chunk += '\n```';
+      rest = '```' + lang + '\n' + rest.replace(/^\n+/, '');
+    } else {
+      rest = rest.trimStart();
+    }
+
+    if (chunk) chunks.push(chunk);
+  }
+
+  if (rest) chunks.push(rest);
+  return chunks;
+}
+
+/**
+ * Format model output as Telegram messages
+ * @param {string} text - Markdown
+ * @param {number} [limit] - Markdown characters per message
+ * @returns {{ html: string, plain: string }[]} One per message; plain is the
+ *   markdown it came from, for the plain-text fallback
+ */
+function formatMessage(text, limit = MAX_MESSAGE_LENGTH) {
+  const messages = [];
+
+  for (const chunk of splitMessage(text, limit)) {
+    const html = toTelegramHTML(chunk);
+
+    // Escaping and tags can push a chunk over the limit
+    if (html.length > MAX_MESSAGE_LENGTH && limit > MIN_SPLIT_LENGTH) {
+      messages.push(...formatMessage(chunk, Math.floor(limit / 2)));
+    } else {
+      messages.push({ html, plain: chunk });
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * Send model output as formatted messages, falling back to plain text for
+ * any message Telegram rejects with a 400
+ *
+ * @param {function} send - async (sendMessage body) => result; throws errors
+ *   with code set to Telegram's error_code
+ * @param {number|string} chatId
+ * @param {string} text - Markdown
+ * @param {object} [options] - Extra sendMessage fields; reply_to_message_id
+ *   only applies to the first message
+ * @returns {Promise<object[]>} send results
+ */
+async function sendFormattedMessage(send, chatId, text, options = {}) {
+  const { reply_to_message_id: replyTo, ...extra } = options;
+  const results = [];
+
+  for (const [index, message] of formatMessage(text).entries()) {
+    const fields = { chat_id: chatId, ...extra, ...(index === 0 && replyTo && { reply_to_message_id: replyTo }) };
+
+    try {
+      results.push(await send({ ...fields, text: message.html, parse_mode: 'HTML' }));
+    } catch (error) {
+      if (error.code !== 400) throw error;
+      console.warn(`Telegram rejected formatted message (${error.message}), sending plain text`);
+      results.push(await send({ ...fields, text: message.plain }));
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  escapeHTML,
+  toTelegramHTML,
+  splitMessage,
+  formatMessage,
+  sendFormattedMessage
+};
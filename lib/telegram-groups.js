@@ -0,0 +1,147 @@
+/**
+ * Telegram Groups
+ * Lets a workspace's bot take part in group and supergroup chats.
+ *
+ * The workspace owner approves groups by chat ID (PUT
+ * /api/telegram/:workspaceId/groups/:chatId); the bot leaves any other group
+ * it's added to. Every group the bot has seen is kept in telegram_groups so
+ * the owner can find the chat ID to approve.
+ *
+ * In groups the bot reads along (history keeps each speaker's name) but only
+ * replies when it's mentioned, replied to or sent one of its commands.
+ *
+ * Group traffic is stored under its own conversations channel, GROUP_CHANNEL:
+ * it's other people's words, so only the group's own history reads it - never
+ * the owner's chat history or conversation list.
+ */
+
+const GROUP_TYPES = ['group', 'supergroup'];
+
+const GROUP_CHANNEL = 'telegram_group';
+
+/**
+ * Whether a chat is a group or supergroup
+ * @param {object} chat - Telegram Chat
+ * @returns {boolean}
+ */
+function isGroupChat(chat) {
+  return Boolean(chat) && GROUP_TYPES.includes(chat.type);
+}
+
+/**
+ * Whether a group message is addressed to the bot: an @mention, a reply to
+ * one of its messages or a /command@bot
+ *
+ * @param {object} message - Telegram Message
+ * @param {object} bot - { id, username }
+ * @returns {boolean}
+ */
+function isAddressedToBot(message, bot) {
+  if (message.reply_to_message?.from?.id === Number(bot.id)) {
+    return true;
+  }
+
+  const text = message.text || message.caption || '';
+  const entities = message.entities || message.caption_entities || [];
+  const username = `@${bot.username}`.toLowerCase();
+
+  return entities.some(entity => {
+    const value = text.substr(entity.offset, entity.length).toLowerCase();
+    if (entity.type === 'mention') return value === username;
+    if (entity.type === 'text_mention') return entity.user?.id === Number(bot.id);
+    if (entity.type === 'bot_command') return value.endsWith(username);
+    return false;
+  });
+}
+
+/**
+ * Remove the bot's @mention from a message
+ * @param {string} text
+ * @param {string} username - Bot username, without the @
+ * @returns {string}
+ */
+function stripMention(text, username) {
+  const escaped = username.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return text.replace(new RegExp(`@${escaped}\\b`, 'gi'), '').replace(/\s{2,}/g, ' ').trim();
+}
+
+/**
+ * Get a group the workspace's bot has seen or the owner has approved
+ * @returns {Promise<object|null>} telegram_groups row
+ */
+async function getGroup(pool, workspaceId, chatId) {
+  const result = await pool.query(
+    'SELECT chat_id, title, chat_type, approved, member FROM telegram_groups WHERE workspace_id = $1 AND chat_id = $2',
+    [workspaceId, chatId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Record the bot joining, leaving or being seen in a group
+ *
+ * @param {object} pool - pg Pool for the main database
+ * @param {string} workspaceId
+ * @param {object} chat - Telegram Chat
+ * @param {boolean} member - Whether the bot is in the group now
+ * @returns {Promise<object>} telegram_groups row
+ */
+async function recordGroup(pool, workspaceId, chat, member) {
+  const result = await pool.query(`
+    INSERT INTO telegram_groups (workspace_id, chat_id, title, chat_type, approved, member, created_at, updated_at)
+    VALUES ($1, $2, $3, $4, false, $5, NOW(), NOW())
+    ON CONFLICT (workspace_id, chat_id) DO UPDATE SET
+      title = $3,
+      chat_type = $4,
+      member = $5,
+      updated_at = NOW()
+    RETURNING chat_id, title, chat_type, approved, member
+  `, [workspaceId, chat.id, chat.title || null, chat.type, member]);
+
+  return result.rows[0];
+}
+
+/**
+ * Approve a group, or revoke its approval
+ * Groups can be approved before the bot has been added to them.
+ *
+ * @returns {Promise<object>} telegram_groups row
+ */
+async function setGroupApproval(pool, workspaceId, chatId, approved) {
+  const result = await pool.query(`
+    INSERT INTO telegram_groups (workspace_id, chat_id, approved, member, created_at, updated_at)
+    VALUES ($1, $2, $3, false, NOW(), NOW())
+    ON CONFLICT (workspace_id, chat_id) DO UPDATE SET
+      approved = $3,
+      updated_at = NOW()
+    RETURNING chat_id, title, chat_type, approved, member
+  `, [workspaceId, chatId, approved]);
+
+  return result.rows[0];
+}
+
+/**
+ * List a workspace's groups, approved first
+ * @returns {Promise<object[]>} telegram_groups rows
+ */
+async function listGroups(pool, workspaceId) {
+  const result = await pool.query(`
+    SELECT chat_id, title, chat_type, approved, member, created_at, updated_at
+    FROM telegram_groups
+    WHERE workspace_id = $1
+    ORDER BY approved DESC, updated_at DESC
+  `, [workspaceId]);
+
+  return result.rows;
+}
+
+module.exports = {
+  GROUP_CHANNEL,
+  isGroupChat,
+  isAddressedToBot,
+  stripMention,
+  getGroup,
+  recordGroup,
+  setGroupApproval,
+  listGroups
+};
@@ -0,0 +1,269 @@
+/**
+ * Telegram Long Polling
+ * Receives bot updates with getUpdates instead of a webhook, so the Telegram
+ * flow runs somewhere Telegram can't reach (a laptop). Set
+ * TELEGRAM_UPDATE_MODE=polling to use it; updates go to the same
+ * processUpdate / processAllyUpdate functions as the webhook routes.
+ *
+ * Each bot gets a poller. The next offset is stored per bot ID in
+ * telegram_update_offsets after every update, so a restart carries on where
+ * it left off instead of replaying updates Telegram hasn't been told about.
+ *
+ * Polling deletes the bot's webhook (getUpdates is refused while one is set)
+ * - use separate bots for development.
+ */
+
+const TELEGRAM_API_BASE = process.env.TELEGRAM_API_BASE || 'https://api.telegram.org';
+
+// How long getUpdates waits for an update before returning empty
+const LONG_POLL_TIMEOUT_SECONDS = 30;
+
+// How often the runner picks up bots connected or disconnected since
+const BOT_SYNC_INTERVAL_MS = 30 * 1000;
+
+// Backoff after a failed getUpdates
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30 * 1000;
+
+// Telegram picks update IDs at random after a week without updates, so an
+// offset older than that could skip new ones
+const OFFSET_MAX_AGE_DAYS = 7;
+
+/**
+ * Whether updates are received by long polling rather than webhooks
+ * @returns {boolean}
+ */
+function isPollingMode() {
+  return process.env.TELEGRAM_UPDATE_MODE === 'polling';
+}
+
+/**
+ * Bot ID from a bot token (the part before the colon)
+ * @param {string} token
+ * @returns {string}
+ */
+function botIdFromToken(token) {
+  return token.split(':')[0];
+}
+
+/**
+ * Stored offset for a bot, unless it's too old to trust
+ * @returns {Promise<number|null>}
+ */
+async function loadOffset(pool, botId) {
+  const result = await pool.query(`
+    SELECT next_offset FROM telegram_update_offsets
+    WHERE bot_id = $1 AND updated_at > NOW() - INTERVAL '${OFFSET_MAX_AGE_DAYS} days'
+  `, [botId]);
+  return result.rows.length > 0 ? Number(result.rows[0].next_offset) : null;
+}
+
+/**
+ * Store the offset of the next update to fetch for a bot
+ */
+async function saveOffset(pool, botId, offset) {
+  await pool.query(`
+    INSERT INTO telegram_update_offsets (bot_id, next_offset, updated_at)
+    VALUES ($1, $2, NOW())
+    ON CONFLICT (bot_id) DO UPDATE SET next_offset = $2, updated_at = NOW()
+  `, [botId, offset]);
+}
+
+async function callBotAPI(apiBase, token, method, body, signal) {
+  const response = await fetch(`${apiBase}/bot${token}/${method}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal
+  });
+  const data = await response.json();
+
+  if (!data.ok) {
+    throw new Error(data.description || `Telegram API error (${response.status})`);
+  }
+
+  return data.result;
+}
+
+/**
+ * Long-poll one bot
+ *
+ * @param {object} options
+ * @param {string} options.token - Bot token
+ * @param {string} [options.name] - For logs
+ * @param {string[]} [options.allowedUpdates] - Update types to receive
+ * @param {function} options.onUpdate - async (update) => void; errors are logged and the update skipped
+ * @param {function} [options.loadOffset] - async () => offset or null
+ * @param {function} [options.saveOffset] - async (offset) => void
+ * @param {string} [options.apiBase] - Defaults to TELEGRAM_API_BASE
+ * @param {number} [options.timeoutSeconds] - getUpdates long-poll timeout
+ * @returns {{ start, stop, pollOnce }}
+ */
+function createPoller({
+  token,
+  name = botIdFromToken(token),
+  allowedUpdates,
+  onUpdate,
+  loadOffset: load = async () => null,
+  saveOffset: save = async () => {},
+  apiBase = TELEGRAM_API_BASE,
+  timeoutSeconds = LONG_POLL_TIMEOUT_SECONDS
+}) {
+  let offset;
+  let running = false;
+  let controller = null;
+  let loop = null;
+
+  // Fetch and process one batch of updates, in order
+  async function pollOnce() {
+    if (offset === undefined) {
+      offset = await load();
+    }
+
+    controller = new AbortController();
+    const updates = await callBotAPI(apiBase, token, 'getUpdates', {
+      offset: offset ?? undefined,
+      timeout: timeoutSeconds,
+      allowed_updates: allowedUpdates
+    }, controller.signal);
+
+    for (const update of updates) {
+      try {
+        await onUpdate(update);
+      } catch (error) {
+        console.error(`Error processing Telegram update ${update.update_id} for ${name}:`, error);
+      }
+      offset = update.update_id + 1;
+      await save(offset);
+    }
+
+    return updates.length;
+  }
+
+  async function run() {
+    let failures = 0;
+
+    while (running) {
+      try {
+        await pollOnce();
+        failures = 0;
+      } catch (error) {
+        if (!running) break;
+        failures++;
+        const delay = Math.min(RETRY_BASE_MS * 2 ** (failures - 1), RETRY_MAX_MS);
+        console.error(`❌ Telegram polling failed for ${name} (retrying in ${delay}ms):`, error.message);
+        await new Promise(resolve => setTimeout(resolve, delay).unref());
+      }
+    }
+  }
+
+  return {
+    pollOnce,
+
+    /**
+     * Delete the webhook and poll until stopped
+     */
+    async start() {
+      if (running) return;
+      await callBotAPI(apiBase, token, 'deleteWebhook', { drop_pending_updates: false });
+      running = true;
+      console.log(`📡 Polling Telegram updates for ${name}`);
+      loop = run();
+    },
+
+    /**
+     * Stop polling, abandoning a getUpdates in progress
+     * Updates it would have returned are fetched again next time.
+     */
+    async stop() {
+      running = false;
+      if (controller) controller.abort();
+      await loop;
+    }
+  };
+}
+
+/**
+ * Keep a poller running for every bot
+ * listBots is called on start and every BOT_SYNC_INTERVAL_MS; pollers are
+ * started for new bots and stopped for bots that have gone.
+ *
+ * @param {object} pool - pg Pool with telegram_update_offsets
+ * @param {object} options
+ * @param {function} options.listBots - async () => [{ token, name, allowedUpdates, onUpdate }]
+ * @param {string} [options.apiBase]
+ * @param {number} [options.timeoutSeconds]
+ * @param {number} [options.syncIntervalMs]
+ * @returns {{ start, stop, sync, pollers }}
+ */
+function createPollingRunner(pool, {
+  listBots,
+  apiBase,
+  timeoutSeconds,
+  syncIntervalMs = BOT_SYNC_INTERVAL_MS
+}) {
+  const pollers = new Map(); // bot ID → { token, poller }
+  let timer = null;
+
+  async function sync() {
+    const bots = await listBots();
+    const wanted = new Map(bots.map(bot => [botIdFromToken(bot.token), bot]));
+
+    for (const [botId, { token, poller }] of pollers) {
+      if (wanted.get(botId)?.token !== token) {
+        pollers.delete(botId);
+        await poller.stop();
+      }
+    }
+
+    for (const [botId, bot] of wanted) {
+      if (pollers.has(botId)) continue;
+
+      const poller = createPoller({
+        ...bot,
+        apiBase,
+        timeoutSeconds,
+        loadOffset: () => loadOffset(pool, botId),
+        saveOffset: offset => saveOffset(pool, botId, offset)
+      });
+
+      try {
+        await poller.start();
+        pollers.set(botId, { token: bot.token, poller });
+      } catch (error) {
+        console.error(`❌ Could not start Telegram polling for ${bot.name || botId}:`, error.message);
+      }
+    }
+  }
+
+  const syncSafely = () => sync().catch(error => {
+    console.error('❌ Telegram polling sync failed:', error.message);
+  });
+
+  return {
+    sync,
+    pollers,
+
+    async start() {
+      await syncSafely();
+      timer = setInterval(syncSafely, syncIntervalMs);
+      timer.unref();
+    },
+
+    async stop() {
+      clearInterval(timer);
+      await Promise.all([...pollers.values()].map(({ poller }) => poller.stop()));
+      pollers.clear();
+    }
+  };
+}
+
+module.exports = {
+  TELEGRAM_API_BASE,
+  isPollingMode,
+  botIdFromToken,
+  loadOffset,
+  saveOffset,
+  createPoller,
+  createPollingRunner
+};
@@ -0,0 +1,54 @@
+/**
+ * Telegram Webhook Secrets
+ * Telegram sends the secret_token given to setWebhook back in the
+ * X-Telegram-Bot-Api-Secret-Token header of every update, so webhook routes
+ * can reject requests that didn't come from Telegram.
+ *
+ * Workspace bots get a random secret stored encrypted with their token
+ * (api/telegram.js). The Ally bot's token lives in the environment, so its
+ * secret is derived from the token instead.
+ */
+
+const crypto = require('crypto');
+
+// Express lower-cases header names
+const SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+
+/**
+ * New random secret (Telegram allows 1-256 of A-Z, a-z, 0-9, _ and -)
+ * @returns {string}
+ */
+function generateWebhookSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Stable secret for a bot whose token is configured rather than stored
+ * @param {string} botToken
+ * @returns {string}
+ */
+function deriveWebhookSecret(botToken) {
+  return crypto.createHmac('sha256', botToken).update('telegram-webhook-secret').digest('hex');
+}
+
+/**
+ * Check a request's secret header in constant time
+ * @param {object} req - Express request
+ * @param {string|null} expected - The bot's secret; null never matches
+ * @returns {boolean}
+ */
+function hasValidSecret(req, expected) {
+  const received = req.headers[SECRET_HEADER];
+  if (!expected || typeof received !== 'string') return false;
+
+  const a = Buffer.from(received);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  SECRET_HEADER,
+  generateWebhookSecret,
+  deriveWebhookSecret,
+  hasValidSecret
+};
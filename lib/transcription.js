@@ -0,0 +1,153 @@
+/**
+ * Voice Transcription
+ * Turns voice notes into text before they reach the model (Telegram voice
+ * messages).
+ *
+ * Every transcriber exposes:
+ *   transcribe({ audio, mimeType, fileName }) → { text }
+ *   (audio is a Buffer)
+ *
+ * Transcriber selection (TRANSCRIPTION_PROVIDER env, or openai when
+ * OPENAI_API_KEY is set):
+ * - openai: Whisper via the OpenAI SDK
+ * - fake:   Fixed transcript for tests and local development
+ */
+
+const DEFAULT_OPENAI_MODEL = 'whisper-1';
+
+// Transcriber override (set by tests / local dev)
+let activeTranscriber = null;
+
+/**
+ * Whisper transcriber
+ *
+ * @param {object} options
+ * @param {string} [options.apiKey] - Defaults to OPENAI_API_KEY
+ * @param {object} [options.client] - Pre-built client exposing audio.transcriptions.create()
+ * @param {string} [options.model] - Defaults to TRANSCRIPTION_MODEL or whisper-1
+ * @returns {object} Transcriber
+ */
+function createOpenAITranscriber(options = {}) {
+  let client = options.client || null;
+
+  function getClient() {
+    if (!client) {
+      const OpenAI = require('openai');
+      client = new OpenAI({ apiKey: options.apiKey || process.env.OPENAI_API_KEY });
+    }
+    return client;
+  }
+
+  return {
+    name: 'openai',
+
+    async transcribe({ audio, mimeType, fileName = 'voice.ogg' }) {
+      const { toFile } = require('openai');
+      const result = await getClient().audio.transcriptions.create({
+        file: await toFile(audio, fileName, { type: mimeType }),
+        model: options.model || process.env.TRANSCRIPTION_MODEL || DEFAULT_OPENAI_MODEL
+      });
+
+      return { text: result.text.trim() };
+    }
+  };
+}
+
+/**
+ * Deterministic transcriber for tests and local development
+ *
+ * @param {object} options
+ * @param {string|Function} [options.text] - Fixed transcript, or fn(request) → transcript
+ * @returns {object} Transcriber (with a `calls` array recording each request)
+ */
+function createFakeTranscriber(options = {}) {
+  const calls = [];
+
+  return {
+    name: 'fake',
+    calls,
+
+    async transcribe(request) {
+      calls.push(request);
+      const text = typeof options.text === 'function'
+        ? options.text(request)
+        : options.text || `Voice note (${request.audio.length} bytes)`;
+      return { text };
+    }
+  };
+}
+
+const TRANSCRIBER_FACTORIES = {
+  openai: createOpenAITranscriber,
+  fake: createFakeTranscriber
+};
+
+/**
+ * Resolve the transcriber name from the environment
+ * @returns {string|null} Transcriber name, or null if nothing is configured
+ */
+function getTranscriberName() {
+  if (process.env.TRANSCRIPTION_PROVIDER) return process.env.TRANSCRIPTION_PROVIDER;
+  if (process.env.OPENAI_API_KEY) return 'openai';
+  return null;
+}
+
+/**
+ * Check whether voice notes can be transcribed
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return Boolean(activeTranscriber || getTranscriberName());
+}
+
+/**
+ * Get the active transcriber
+ * @returns {object} Transcriber
+ */
+function getTranscriber() {
+  if (activeTranscriber) return activeTranscriber;
+
+  const name = getTranscriberName();
+  if (!name) {
+    throw new Error('No transcription provider configured');
+  }
+
+  const factory = TRANSCRIBER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown transcription provider: ${name}`);
+  }
+
+  return factory();
+}
+
+/**
+ * Override the active transcriber (tests / local dev)
+ * Pass null to go back to environment-based selection.
+ *
+ * @param {object|null} transcriber
+ */
+function setTranscriber(transcriber) {
+  activeTranscriber = transcriber;
+}
+
+/**
+ * Transcribe a voice note with the active transcriber
+ *
+ * @param {object} request
+ * @param {Buffer} request.audio - Audio file contents
+ * @param {string} [request.mimeType] - e.g. audio/ogg
+ * @param {string} [request.fileName] - Name with an extension the provider recognises
+ * @returns {Promise<{text: string}>}
+ */
+async function transcribe({ audio, mimeType, fileName } = {}) {
+  return getTranscriber().transcribe({ audio, mimeType, fileName });
+}
+
+module.exports = {
+  transcribe,
+  getTranscriber,
+  setTranscriber,
+  isConfigured,
+  createOpenAITranscriber,
+  createFakeTranscriber
+};
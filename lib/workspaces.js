@@ -0,0 +1,21 @@
+/**
+ * Workspace Directories
+ * Where customer workspaces live on disk. WorkspaceBuilder creates them, chat,
+ * memory and attachments write into them and archiving packs them up, so they
+ * all resolve the root here.
+ */
+
+const DEFAULT_WORKSPACES_DIR = '/var/clawdbot/workspaces';
+
+/**
+ * Root directory holding customer workspaces
+ * @returns {string} WORKSPACES_DIR, or DEFAULT_WORKSPACES_DIR when unset
+ */
+function getWorkspacesDir() {
+  return process.env.WORKSPACES_DIR || DEFAULT_WORKSPACES_DIR;
+}
+
+module.exports = {
+  DEFAULT_WORKSPACES_DIR,
+  getWorkspacesDir
+};
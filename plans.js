@@ -1,74 +1,288 @@
 /**
  * Clawdbot SaaS Plans Configuration
  * Single source of truth for plan definitions
- * 
+ *
  * PAT-001 fix: Deduplicate PLANS constant
+ *
+ * Plans are defined in plan-catalogue.json (or the file PLAN_CATALOGUE_PATH
+ * points to, e.g. one with test-mode price IDs) and reconciled with Stripe
+ * by scripts/sync-plans.js.
  */
 
-// Plan configurations mapped to Stripe price IDs
-const PLANS = {
-  // Starter Plan
-  'price_1SwtCbBfSldKMuDjM3p0kyG4': {
-    name: 'Starter',
-    displayName: 'Starter',
-    messageLimit: 5000,
-    agents: 3,
-    features: ['chat', 'memory', 'web_search'],
-    priceMonthly: 29,
-    trialDays: 14,
-    description: 'Perfect for individuals getting started with AI automation'
-  },
-  
-  // Pro Plan
-  'price_1SwtCbBfSldKMuDjDmRHqErh': {
-    name: 'Pro',
-    displayName: 'Pro',
-    messageLimit: 20000,
-    agents: 10,
-    features: ['chat', 'memory', 'web_search', 'gmail', 'calendar', 'browser'],
-    priceMonthly: 79,
-    trialDays: 14,
-    description: 'For power users who need advanced integrations'
-  },
-  
-  // Team Plan
-  'price_1SwtCcBfSldKMuDjEKBqQ6lH': {
-    name: 'Team',
-    displayName: 'Team',
-    messageLimit: 100000,
-    agents: -1, // unlimited
-    features: ['all'],
-    priceMonthly: 199,
-    trialDays: 14,
-    description: 'For teams who want shared workspaces and unlimited agents'
+const fs = require('fs');
+const path = require('path');
+
+const CATALOGUE_PATH = process.env.PLAN_CATALOGUE_PATH
+  ? path.resolve(process.env.PLAN_CATALOGUE_PATH)
+  : path.join(__dirname, 'plan-catalogue.json');
+
+const PRICE_INTERVALS = ['month', 'year'];
+
+// Largest file a Telegram bot can download (getFile)
+const MAX_ATTACHMENT_MB = 20;
+
+// ========================================
+// CATALOGUE
+// ========================================
+//
+// { defaultPlan, plans: [{ id, name, description, versions: [...] }] }
+//
+// Each version holds the limits and its Stripe prices (one per currency and
+// billing interval - monthly and annual prices share the version's limits).
+// The highest version is current: new checkouts only get its prices.
+// Customers subscribed to an older version's price keep that version's limits
+// (grandfathered) until they change plan.
+//
+// `overage`: plans that can keep serving messages past messageLimit when the
+// customer opts in with a spending limit (lib/overage.js). pricePerMessage is
+// in USD; meteredPriceId is the Stripe metered price overage is reported to
+// (STRIPE_<PLAN ID>_OVERAGE_PRICE_ID overrides it). null = the plan stops at
+// messageLimit. Annual prices never have overage: Stripe can't put the monthly
+// metered price on a yearly subscription.
+//
+// `attachments`: photos, documents and voice notes sent to the workspace's
+// Telegram bot - { maxFileMb, perMonth, voice }. Absent or null = text only.
+//
+// A price without an `id` hasn't been created in Stripe yet - sync-plans
+// creates it and writes the ID back.
+
+/**
+ * Check a catalogue's structure
+ * @param {object} catalogue
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateCatalogue(catalogue) {
+  const errors = [];
+  const isPositiveInt = (n) => Number.isInteger(n) && n > 0;
+
+  if (!catalogue || !Array.isArray(catalogue.plans) || catalogue.plans.length === 0) {
+    return ['plans must be a non-empty array'];
   }
-};
+
+  const planIds = new Set();
+  const planNames = new Set();
+  const priceIds = new Set();
+
+  catalogue.plans.forEach((plan, i) => {
+    const where = `plans[${i}]${plan && plan.id ? ` (${plan.id})` : ''}`;
+
+    if (!plan || typeof plan.id !== 'string' || !/^[a-z][a-z0-9_]*$/.test(plan.id)) {
+      errors.push(`${where}: id must be lowercase letters, numbers or _`);
+      return;
+    }
+    if (planIds.has(plan.id)) errors.push(`${where}: duplicate plan id`);
+    planIds.add(plan.id);
+
+    if (typeof plan.name !== 'string' || !plan.name) errors.push(`${where}: name is required`);
+    if (planNames.has(plan.name)) errors.push(`${where}: duplicate plan name ${plan.name}`);
+    planNames.add(plan.name);
+
+    if (!Array.isArray(plan.versions) || plan.versions.length === 0) {
+      errors.push(`${where}: versions must be a non-empty array`);
+      return;
+    }
+
+    const versions = new Set();
+    plan.versions.forEach((version) => {
+      const at = `${where} v${version.version}`;
+
+      if (!isPositiveInt(version.version)) errors.push(`${where}: version must be a positive integer`);
+      if (versions.has(version.version)) errors.push(`${at}: duplicate version`);
+      versions.add(version.version);
+
+      if (!isPositiveInt(version.messageLimit)) errors.push(`${at}: messageLimit must be a positive integer`);
+      if (version.agents !== -1 && !isPositiveInt(version.agents)) errors.push(`${at}: agents must be -1 or a positive integer`);
+      if (!Array.isArray(version.features) || version.features.length === 0 || version.features.some(f => typeof f !== 'string')) {
+        errors.push(`${at}: features must be a non-empty array of strings`);
+      }
+      if (!version.models || typeof version.models.anthropic !== 'string') errors.push(`${at}: models.anthropic is required`);
+      if (!Number.isInteger(version.trialDays) || version.trialDays < 0) errors.push(`${at}: trialDays must be 0 or more`);
+      if (version.overage !== null && !(version.overage && version.overage.pricePerMessage > 0)) {
+        errors.push(`${at}: overage must be null or have a positive pricePerMessage`);
+      }
+      if (version.attachments !== undefined && version.attachments !== null) {
+        const { maxFileMb, perMonth, voice } = version.attachments;
+        if (!(maxFileMb > 0 && maxFileMb <= MAX_ATTACHMENT_MB)) {
+          errors.push(`${at}: attachments.maxFileMb must be more than 0 and at most ${MAX_ATTACHMENT_MB}`);
+        }
+        if (!isPositiveInt(perMonth)) errors.push(`${at}: attachments.perMonth must be a positive integer`);
+        if (typeof voice !== 'boolean') errors.push(`${at}: attachments.voice must be true or false`);
+      }
+
+      if (!Array.isArray(version.prices) || version.prices.length === 0) {
+        errors.push(`${at}: prices must be a non-empty array`);
+        return;
+      }
+
+      const slots = new Set();
+      version.prices.forEach((price) => {
+        if (price.id !== null && price.id !== undefined) {
+          if (typeof price.id !== 'string' || !/^price_[A-Za-z0-9]+$/.test(price.id)) {
+            errors.push(`${at}: invalid price id ${price.id}`);
+          } else if (priceIds.has(price.id)) {
+            errors.push(`${at}: price ${price.id} is listed more than once`);
+          }
+          priceIds.add(price.id);
+        }
+        if (typeof price.currency !== 'string' || !/^[a-z]{3}$/.test(price.currency)) {
+          errors.push(`${at}: currency must be a lowercase ISO code`);
+        }
+        if (!PRICE_INTERVALS.includes(price.interval)) {
+          errors.push(`${at}: interval must be one of ${PRICE_INTERVALS.join(', ')}`);
+        }
+        if (!isPositiveInt(price.amount)) errors.push(`${at}: amount must be a positive integer (cents)`);
+
+        const slot = `${price.currency}/${price.interval}`;
+        if (slots.has(slot)) errors.push(`${at}: more than one ${slot} price`);
+        slots.add(slot);
+      });
+
+      if (!version.prices.some(p => p.interval === 'month')) {
+        errors.push(`${at}: a monthly price is required`);
+      }
+    });
+  });
+
+  if (!planIds.has(catalogue.defaultPlan)) {
+    errors.push(`defaultPlan must be one of the plan ids`);
+  }
+
+  return errors;
+}
+
+function assertValidCatalogue(catalogue, file) {
+  const errors = validateCatalogue(catalogue);
+  if (errors.length > 0) {
+    throw new Error(`Invalid plan catalogue ${file}:\n- ${errors.join('\n- ')}`);
+  }
+  return catalogue;
+}
+
+/**
+ * Read and validate a catalogue file
+ * @param {string} [file] - Defaults to CATALOGUE_PATH
+ * @returns {object} Catalogue
+ * @throws {Error} When the file is missing, isn't JSON or is invalid
+ */
+function loadCatalogue(file = CATALOGUE_PATH) {
+  return assertValidCatalogue(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+}
+
+/**
+ * Flatten a catalogue into plan definitions
+ * @returns {object} { plans: priceId → plan, current: name → plan, purchasable: priceId[] }
+ */
+function buildPlans(catalogue) {
+  const plans = {};
+  const current = new Map();
+  const purchasable = [];
+
+  for (const entry of catalogue.plans) {
+    const latest = Math.max(...entry.versions.map(v => v.version));
+    const meteredPriceOverride = process.env[`STRIPE_${entry.id.toUpperCase()}_OVERAGE_PRICE_ID`];
+
+    for (const version of entry.versions) {
+      const monthly = version.prices.find(p => p.interval === 'month');
+      const annual = version.prices.find(p => p.interval === 'year' && p.currency === monthly.currency);
+      const definition = {
+        planId: entry.id,
+        name: entry.name,
+        displayName: entry.displayName || entry.name,
+        description: entry.description,
+        version: version.version,
+        legacy: version.version !== latest,
+        messageLimit: version.messageLimit,
+        agents: version.agents,
+        features: version.features,
+        models: version.models,
+        priceMonthly: monthly.amount / 100,
+        priceAnnual: annual ? annual.amount / 100 : null,
+        overage: version.overage && {
+          pricePerMessage: version.overage.pricePerMessage,
+          meteredPriceId: meteredPriceOverride || version.overage.meteredPriceId || null
+        },
+        attachments: version.attachments || null,
+        trialDays: version.trialDays
+      };
+
+      if (!definition.legacy) current.set(entry.name, definition);
+
+      for (const price of version.prices) {
+        if (!price.id) continue;
+        // Shares `overage` with the version, so every monthly price sees the
+        // same config
+        plans[price.id] = {
+          ...definition,
+          overage: price.interval === 'year' ? null : definition.overage,
+          price: { currency: price.currency, interval: price.interval, amount: price.amount }
+        };
+        if (!definition.legacy) purchasable.push(price.id);
+      }
+    }
+  }
+
+  return { plans, current, purchasable };
+}
+
+const catalogue = assertValidCatalogue(require(CATALOGUE_PATH), CATALOGUE_PATH);
+const built = buildPlans(catalogue);
+
+// Plan configurations mapped to Stripe price IDs - every version, including
+// grandfathered ones
+const PLANS = built.plans;
+const CURRENT_PLANS = built.current;
+const PURCHASABLE_PRICE_IDS = built.purchasable;
 
 // Default plan if price ID not found
-const DEFAULT_PLAN_ID = 'price_1SwtCbBfSldKMuDjM3p0kyG4';
+const DEFAULT_PLAN_ID = PURCHASABLE_PRICE_IDS.find(id => PLANS[id].planId === catalogue.defaultPlan);
+
+/**
+ * Check a price ID is in the catalogue, including grandfathered versions
+ * @param {string} priceId
+ * @returns {boolean}
+ */
+function isKnownPriceId(priceId) {
+  // Own keys only - `'constructor' in PLANS` is true
+  return typeof priceId === 'string' && Object.prototype.hasOwnProperty.call(PLANS, priceId);
+}
 
 /**
  * Get plan configuration by Stripe price ID
+ * Any of a plan's prices - monthly or annual, any currency or version -
+ * resolves to its limits; `price` holds { currency, interval, amount }.
  * @param {string} priceId - Stripe price ID
  * @returns {object} Plan configuration
  */
 function getPlan(priceId) {
-  return PLANS[priceId] || PLANS[DEFAULT_PLAN_ID];
+  return isKnownPriceId(priceId) ? PLANS[priceId] : PLANS[DEFAULT_PLAN_ID];
+}
+
+/**
+ * The plan definition a customer is on
+ * Their price's version when it belongs to the plan (grandfathered limits),
+ * otherwise the plan's current version.
+ * @param {string} planName - Plan name (Starter, Pro, Team)
+ * @param {string} [priceId] - The customer's Stripe price ID
+ * @returns {object|null} Plan configuration, null for unknown plans
+ */
+function resolvePlan(planName, priceId) {
+  if (isKnownPriceId(priceId) && PLANS[priceId].name === planName) {
+    return PLANS[priceId];
+  }
+  return CURRENT_PLANS.get(planName) || null;
 }
 
 /**
  * Get plan limits for rate limiting
  * @param {string} planName - Plan name (Starter, Pro, Team)
+ * @param {string} [priceId] - The customer's price, for grandfathered limits
  * @returns {object} Plan limits
  */
-function getPlanLimits(planName) {
-  const plan = Object.values(PLANS).find(p => p.name === planName);
-  return plan ? {
+function getPlanLimits(planName, priceId) {
+  const plan = resolvePlan(planName, priceId) || PLANS[DEFAULT_PLAN_ID];
+  return {
     messagesPerMonth: plan.messageLimit,
     maxAgents: plan.agents
-  } : {
-    messagesPerMonth: 5000,
-    maxAgents: 3
   };
 }
 
@@ -76,37 +290,82 @@ function getPlanLimits(planName) {
  * Check if a feature is available for a plan
  * @param {string} planName - Plan name
  * @param {string} feature - Feature name
+ * @param {string} [priceId] - The customer's price, for grandfathered features
  * @returns {boolean}
  */
-function hasFeature(planName, feature) {
-  const plan = Object.values(PLANS).find(p => p.name === planName);
+function hasFeature(planName, feature, priceId) {
+  const plan = resolvePlan(planName, priceId);
   if (!plan) return false;
   return plan.features.includes('all') || plan.features.includes(feature);
 }
 
 /**
- * Get all price IDs
+ * Get a plan's overage billing config
+ * @param {string} planName - Plan name (Starter, Pro, Team)
+ * @param {string} [priceId] - The customer's price, for grandfathered pricing
+ * @returns {object|null} { pricePerMessage, meteredPriceId }, null if the
+ *   plan has no overage mode
+ */
+function getOverage(planName, priceId) {
+  return resolvePlan(planName, priceId)?.overage || null;
+}
+
+/**
+ * Get a plan's attachment limits
+ * @param {string} planName - Plan name (Starter, Pro, Team)
+ * @param {string} [priceId] - The customer's price, for grandfathered limits
+ * @returns {object|null} { maxFileMb, perMonth, voice }, null if the plan
+ *   only takes text
+ */
+function getAttachmentLimits(planName, priceId) {
+  return resolvePlan(planName, priceId)?.attachments || null;
+}
+
+/**
+ * Get the model a plan runs on for a given provider
+ * Unknown plans (e.g. Ally 'free') get the default plan's model.
+ * @param {string} planName - Plan name (Starter, Pro, Team)
+ * @param {string} provider - Provider name (anthropic, openai, fake)
+ * @param {string} [priceId] - The customer's price, for grandfathered models
+ * @returns {string} Model ID
+ */
+function getPlanModel(planName, provider = 'anthropic', priceId) {
+  const plan = resolvePlan(planName, priceId) || PLANS[DEFAULT_PLAN_ID];
+  return plan.models[provider] || plan.models.anthropic;
+}
+
+/**
+ * Get the price IDs new subscriptions can use (current plan versions)
  * @returns {string[]}
  */
 function getAllPriceIds() {
-  return Object.keys(PLANS);
+  return [...PURCHASABLE_PRICE_IDS];
 }
 
 /**
- * Validate a price ID
+ * Validate a price ID for checkout - grandfathered prices aren't accepted
  * @param {string} priceId
  * @returns {boolean}
  */
 function isValidPriceId(priceId) {
-  return priceId in PLANS;
+  return isKnownPriceId(priceId) && !PLANS[priceId].legacy;
 }
 
 module.exports = {
   PLANS,
   DEFAULT_PLAN_ID,
+  CATALOGUE_PATH,
+  loadCatalogue,
+  validateCatalogue,
+  buildPlans,
   getPlan,
+  resolvePlan,
   getPlanLimits,
   hasFeature,
+  getOverage,
+  getAttachmentLimits,
+  getPlanModel,
   getAllPriceIds,
+  isKnownPriceId,
   isValidPriceId
 };
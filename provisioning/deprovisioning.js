@@ -0,0 +1,170 @@
+/**
+ * Cancellation Deprovisioning
+ * Tears down a cancelled customer's resources once their grace period ends.
+ *
+ * Cancelling only schedules the teardown (customers.deprovision_after), so a
+ * customer who re-subscribes within the grace period keeps their workspace.
+ * Each teardown step from deprovisionCustomer is recorded in
+ * `deprovisioning_steps`; a failed teardown is retried from the step that
+ * failed, never repeating the ones that already succeeded.
+ */
+
+const { deprovisionCustomer } = require('./index-real');
+
+const DEFAULT_GRACE_DAYS = 7;
+
+/**
+ * Grace period between cancellation and teardown (DEPROVISION_GRACE_DAYS)
+ * @returns {number} Days (0 = tear down immediately)
+ */
+function getGracePeriodDays() {
+  const raw = process.env.DEPROVISION_GRACE_DAYS;
+  if (raw === undefined || raw === '') return DEFAULT_GRACE_DAYS;
+
+  const days = Number(raw);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_GRACE_DAYS;
+}
+
+/**
+ * Mark a customer cancelled and schedule their teardown
+ *
+ * @param {object} pool - pg Pool for the main database
+ * @param {string} customerId - Stripe customer ID
+ * @param {object} [options]
+ * @param {number} [options.graceDays] - Defaults to getGracePeriodDays()
+ * @returns {Promise<{deprovisionAfter: Date|null, graceDays: number}>}
+ */
+async function scheduleDeprovisioning(pool, customerId, options = {}) {
+  const graceDays = options.graceDays ?? getGracePeriodDays();
+
+  const result = await pool.query(`
+    UPDATE customers
+    SET status = 'cancelled',
+        deprovision_after = NOW() + ($2::numeric * INTERVAL '1 day'),
+        updated_at = NOW()
+    WHERE stripe_customer_id = $1
+    RETURNING deprovision_after
+  `, [customerId, graceDays]);
+
+  const deprovisionAfter = result.rows[0]?.deprovision_after || null;
+  console.log(`🗓️  Deprovisioning ${customerId} after ${graceDays} day(s)`);
+
+  return { deprovisionAfter, graceDays };
+}
+
+/**
+ * Record a teardown step's progress in deprovisioning_steps
+ */
+async function recordStep(pool, customerId, step, status, error) {
+  await pool.query(`
+    INSERT INTO deprovisioning_steps (stripe_customer_id, step, status, error, attempts, updated_at)
+    VALUES ($1, $2, $3, $4, $5, NOW())
+    ON CONFLICT (stripe_customer_id, step) DO UPDATE
+    SET status = EXCLUDED.status,
+        error = EXCLUDED.error,
+        attempts = deprovisioning_steps.attempts + EXCLUDED.attempts,
+        updated_at = NOW()
+  `, [customerId, step, status, error ? error.message : null, status === 'started' ? 1 : 0]);
+}
+
+/**
+ * Tear down a cancelled customer's resources, resuming a failed teardown
+ *
+ * Customers that re-activated (status no longer 'cancelled') or are already
+ * deprovisioned are skipped. Errors are recorded against the failing step and
+ * re-thrown; the customer stays 'cancelled' so the next run picks it up again.
+ *
+ * @param {object} pool - pg Pool for the main database
+ * @param {string} customerId - Stripe customer ID
+ * @param {object} [options] - Passed through to deprovisionCustomer
+ *   (railway / neon / disconnectTelegram / archiveWorkspace stand-ins)
+ * @returns {Promise<{status: 'deprovisioned'|'skipped', reason?: string, steps?: string[]}>}
+ */
+async function runDeprovisioning(pool, customerId, options = {}) {
+  const customer = await pool.query(`
+    SELECT email, status, workspace_id, instance_id, database_branch_id, deprovisioned_at
+    FROM customers
+    WHERE stripe_customer_id = $1
+  `, [customerId]);
+
+  if (customer.rows.length === 0) {
+    return { status: 'skipped', reason: 'Customer not found' };
+  }
+
+  const row = customer.rows[0];
+  if (row.deprovisioned_at) {
+    return { status: 'skipped', reason: 'Already deprovisioned' };
+  }
+  if (row.status !== 'cancelled') {
+    return { status: 'skipped', reason: `Customer is ${row.status}` };
+  }
+
+  const done = await pool.query(`
+    SELECT step FROM deprovisioning_steps
+    WHERE stripe_customer_id = $1 AND status = 'completed'
+  `, [customerId]);
+  const completedSteps = done.rows.map(r => r.step);
+  const ranSteps = [];
+
+  await deprovisionCustomer(customerId, {
+    email: row.email,
+    workspaceId: row.workspace_id,
+    instanceId: row.instance_id,
+    databaseBranchId: row.database_branch_id
+  }, {
+    ...options,
+    pool,
+    completedSteps,
+    onStep: async (step, status, error) => {
+      if (status === 'completed') ranSteps.push(step);
+      await recordStep(pool, customerId, step, status, error);
+    }
+  });
+
+  await pool.query(`
+    UPDATE customers
+    SET status = 'deprovisioned', deprovisioned_at = NOW(), updated_at = NOW()
+    WHERE stripe_customer_id = $1
+  `, [customerId]);
+
+  return { status: 'deprovisioned', steps: ranSteps };
+}
+
+/**
+ * Tear down every cancelled customer whose grace period has ended
+ *
+ * @param {object} pool - pg Pool for the main database
+ * @param {object} [options] - Passed through to runDeprovisioning
+ * @returns {Promise<Array<{customerId: string, status?: string, error?: string}>>}
+ */
+async function runDueDeprovisionings(pool, options = {}) {
+  const due = await pool.query(`
+    SELECT stripe_customer_id FROM customers
+    WHERE status = 'cancelled'
+      AND deprovisioned_at IS NULL
+      AND deprovision_after <= NOW()
+    ORDER BY deprovision_after
+  `);
+
+  const results = [];
+  for (const { stripe_customer_id: customerId } of due.rows) {
+    try {
+      const result = await runDeprovisioning(pool, customerId, options);
+      results.push({ customerId, ...result });
+    } catch (error) {
+      // Recorded against the failed step; retried on the next run
+      console.error(`[DEPROVISION] ${customerId} failed:`, error.message);
+      results.push({ customerId, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  DEFAULT_GRACE_DAYS,
+  getGracePeriodDays,
+  scheduleDeprovisioning,
+  runDeprovisioning,
+  runDueDeprovisionings
+};
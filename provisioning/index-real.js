@@ -6,73 +6,227 @@
 const RailwayProvisioner = require('./railway-provisioner');
 const { NeonProvisioner } = require('./neon-provisioner');
 const WorkspaceBuilder = require('./workspace-builder');
+const { archiveWorkspace } = require('./workspace-archive');
+const { RESOURCE_TYPES, createResourceLedger } = require('./resource-ledger');
 
 // PAT-001 fix: Use shared plans module
 const { PLANS, getPlan } = require('../plans');
 
 /**
- * Main provisioning orchestrator
- * THIS IS THE REAL DEAL - NO MOCK DATA
+ * Provisioning steps, in order
  */
-async function provisionCustomer(customerId, email, planId) {
-  console.log(`\n🚀 [REAL PROVISION] Starting for ${email} (${planId})`);
-  console.log(`[PROVISION] This will create ACTUAL infrastructure`);
-  
-  const plan = getPlan(planId);
-  const startTime = Date.now();
+const PROVISION_STEPS = [
+  'railway_deploy',
+  'workspace_build',
+  'neon_database',
+  'runtime_init',
+  'health_check'
+];
+
+// Shown on the dashboard's setup progress bar
+const STEP_LABELS = {
+  railway_deploy: 'Deploying Railway service',
+  workspace_build: 'Building workspace',
+  neon_database: 'Creating customer database',
+  runtime_init: 'Initializing Clawdbot runtime',
+  health_check: 'Running health check'
+};
 
-  try {
-    // Step 1: Create Railway service (actual deployment)
-    console.log(`\n📦 [STEP 1/5] Deploying Railway service...`);
-    const railway = new RailwayProvisioner();
-    const deployment = await railway.deployCustomerInstance(customerId, email, plan);
+const STEP_DESCRIPTIONS = {
+  railway_deploy: `📦 ${STEP_LABELS.railway_deploy}`,
+  workspace_build: `📁 ${STEP_LABELS.workspace_build}`,
+  neon_database: `🗄️  ${STEP_LABELS.neon_database}`,
+  runtime_init: `🤖 ${STEP_LABELS.runtime_init}`,
+  health_check: `🏥 ${STEP_LABELS.health_check}`
+};
+
+/**
+ * Step implementations
+ *
+ * Each takes the provisioning context - { customerId, email, planId, plan }
+ * plus the outputs of the steps before it - and returns its own output. The
+ * job queue checkpoints these outputs, so a step must be able to run from a
+ * context rebuilt from the database (see runtime_init).
+ */
+const provisionSteps = {
+  async railway_deploy(context, options) {
+    const deployment = await options.railway().deployCustomerInstance(
+      context.customerId, context.email, context.plan,
+      { onResource: options.onResource, workspaceId: context.workspaceId }
+    );
     console.log(`✅ Railway service deployed: ${deployment.instanceId}`);
     console.log(`   URL: ${deployment.accessUrl}`);
 
-    // Step 2: Build workspace structure
-    console.log(`\n📁 [STEP 2/5] Building workspace...`);
-    const workspace = new WorkspaceBuilder(deployment.workspaceId, email, plan);
+    return {
+      instanceId: deployment.instanceId,
+      workspaceId: deployment.workspaceId,
+      accessUrl: deployment.accessUrl,
+      railwayServiceUrl: deployment.railwayServiceUrl
+    };
+  },
+
+  async workspace_build(context, options) {
+    const workspace = new WorkspaceBuilder(context.workspaceId, context.email, context.plan);
+    // Recorded first so a half-built directory is cleaned up too
+    await options.onResource(RESOURCE_TYPES.WORKSPACE_DIRECTORY, workspace.workspacePath, {
+      workspaceId: context.workspaceId
+    });
     const workspaceData = await workspace.build();
     console.log(`✅ Workspace built: ${workspaceData.workspacePath}`);
 
-    // Step 3: Create isolated database
-    console.log(`\n🗄️  [STEP 3/5] Creating customer database...`);
-    const neon = new NeonProvisioner();
-    const database = await neon.createDatabase(deployment.workspaceId);
+    return { workspacePath: workspaceData.workspacePath, apiKey: workspaceData.apiKey };
+  },
+
+  async neon_database(context, options) {
+    const database = await options.neon().createDatabase(context.workspaceId, {
+      onResource: options.onResource
+    });
     console.log(`✅ Database created: ${database.branchId}`);
 
-    // Step 4: Initialize agent runtime
-    console.log(`\n🤖 [STEP 4/5] Initializing Clawdbot runtime...`);
-    await initializeClawdbotRuntime(deployment.instanceId, {
-      workspaceId: deployment.workspaceId,
-      email,
-      plan: plan.name,
-      features: plan.features,
-      databaseUrl: database.connectionString,
-      apiKey: workspaceData.apiKey
+    return { databaseBranchId: database.branchId, databaseUrl: database.connectionString };
+  },
+
+  async runtime_init(context, options) {
+    // Not checkpointed (it's a credential) - fetched again when resuming
+    const databaseUrl = context.databaseUrl ||
+      await options.neon().getConnectionString(context.databaseBranchId);
+
+    await initializeClawdbotRuntime(options.railway(), context.instanceId, {
+      workspaceId: context.workspaceId,
+      email: context.email,
+      plan: context.plan.name,
+      features: context.plan.features,
+      databaseUrl,
+      apiKey: context.apiKey
     });
     console.log(`✅ Clawdbot runtime initialized`);
 
-    // Step 5: Health check
-    console.log(`\n🏥 [STEP 5/5] Running health check...`);
-    await waitForHealthCheck(deployment.accessUrl);
+    return { databaseUrl };
+  },
+
+  async health_check(context, options) {
+    await waitForHealthCheck(context.accessUrl, options.healthCheckAttempts);
     console.log(`✅ Instance is healthy and responding`);
+    return {};
+  }
+};
+
+/**
+ * Workspace ID for a new customer (same format Railway deploys used)
+ * @param {string} customerId - Stripe customer ID
+ * @returns {string}
+ */
+function generateWorkspaceId(customerId) {
+  return `ws_${customerId.substring(4, 16)}_${Date.now()}`;
+}
+
+/**
+ * Build the provisioning context for a customer
+ * @param {string} [workspaceId] - Assigned up front (job queue); otherwise Railway picks one
+ * @returns {object} { customerId, email, planId, plan, workspaceId }
+ */
+function createProvisionContext(customerId, email, planId, workspaceId) {
+  return { customerId, email, planId, plan: getPlan(planId), workspaceId };
+}
+
+/**
+ * Run one provisioning step
+ *
+ * @param {string} step - One of PROVISION_STEPS
+ * @param {object} context - See createProvisionContext, plus earlier step outputs
+ * @param {object} [options]
+ * @param {object} [options.pool] - Main database pool (resource ledger)
+ * @param {number} [options.jobId] - Provisioning job the resources belong to
+ * @param {object} [options.railway] - Railway provisioner (default: RailwayProvisioner)
+ * @param {object} [options.neon] - Neon provisioner (default: NeonProvisioner)
+ * @param {number} [options.healthCheckAttempts] - Health check polls (10s apart)
+ * @returns {Promise<object>} The step's output
+ */
+async function runProvisionStep(step, context, options = {}) {
+  const implementation = provisionSteps[step];
+  if (!implementation) {
+    throw new Error(`Unknown provisioning step: ${step}`);
+  }
+
+  const ledger = options.pool
+    ? createResourceLedger(options.pool, {
+      customerId: context.customerId,
+      workspaceId: context.workspaceId,
+      jobId: options.jobId
+    })
+    : null;
+  let railway = options.railway;
+  let neon = options.neon;
+
+  return implementation(context, {
+    healthCheckAttempts: options.healthCheckAttempts,
+    // Created on first use - their constructors need API tokens
+    railway: () => (railway = railway || new RailwayProvisioner()),
+    neon: () => (neon = neon || new NeonProvisioner()),
+    onResource: async (type, resourceId, details = {}) => {
+      if (ledger) await ledger.record(type, resourceId, { ...details, step });
+    }
+  });
+}
+
+/**
+ * Credentials handed to the customer once every step has run
+ */
+function buildCredentials(context, elapsed) {
+  return {
+    workspaceId: context.workspaceId,
+    instanceId: context.instanceId,
+    accessUrl: context.accessUrl,
+    apiKey: context.apiKey,
+    databaseUrl: context.databaseUrl,
+    databaseBranchId: context.databaseBranchId,
+    railwayServiceUrl: context.railwayServiceUrl,
+    provisionedAt: new Date().toISOString(),
+    provisioningTime: `${elapsed}s`
+  };
+}
+
+/**
+ * Main provisioning orchestrator
+ * THIS IS THE REAL DEAL - NO MOCK DATA
+ *
+ * Runs every step inline. The Stripe webhook goes through the job queue
+ * instead (provisioning/job-queue.js), which checkpoints and retries steps.
+ *
+ * With `options.pool`, every resource created is recorded in the
+ * provisioning_resources ledger under the new workspace. A failure rolls them
+ * back; success marks them kept.
+ *
+ * @param {string} customerId - Stripe customer ID
+ * @param {string} email
+ * @param {string} planId - Stripe price ID
+ * @param {object} [options] - See runProvisionStep
+ */
+async function provisionCustomer(customerId, email, planId, options = {}) {
+  console.log(`\n🚀 [REAL PROVISION] Starting for ${email} (${planId})`);
+  console.log(`[PROVISION] This will create ACTUAL infrastructure`);
+  
+  // Assigned up front so the ledger can scope rollback to this workspace
+  const workspaceId = generateWorkspaceId(customerId);
+  const context = createProvisionContext(customerId, email, planId, workspaceId);
+  const startTime = Date.now();
+
+  try {
+    for (const [index, step] of PROVISION_STEPS.entries()) {
+      console.log(`\n${STEP_DESCRIPTIONS[step]} [STEP ${index + 1}/${PROVISION_STEPS.length}]...`);
+      Object.assign(context, await runProvisionStep(step, context, options));
+    }
+
+    if (options.pool) {
+      await createResourceLedger(options.pool, { customerId, workspaceId }).markKept();
+    }
 
     // Calculate provisioning time
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
     console.log(`\n✅ [PROVISION COMPLETE] ${email} provisioned in ${elapsed}s`);
 
     // Return credentials
-    const credentials = {
-      workspaceId: deployment.workspaceId,
-      instanceId: deployment.instanceId,
-      accessUrl: deployment.accessUrl,
-      apiKey: workspaceData.apiKey,
-      databaseUrl: database.connectionString,
-      railwayServiceUrl: deployment.railwayServiceUrl,
-      provisionedAt: new Date().toISOString(),
-      provisioningTime: `${elapsed}s`
-    };
+    const credentials = buildCredentials(context, elapsed);
 
     console.log(`\n📋 Credentials:`, JSON.stringify(credentials, null, 2));
     return credentials;
@@ -84,7 +238,7 @@ async function provisionCustomer(customerId, email, planId) {
     // Attempt cleanup on failure
     try {
       console.log(`\n🧹 [CLEANUP] Rolling back failed provisioning...`);
-      await rollbackProvisioning(customerId);
+      await rollbackProvisioning(customerId, { ...options, workspaceId });
     } catch (cleanupError) {
       console.error(`⚠️  Cleanup failed:`, cleanupError.message);
     }
@@ -96,9 +250,7 @@ async function provisionCustomer(customerId, email, planId) {
 /**
  * Initialize Clawdbot runtime on Railway service
  */
-async function initializeClawdbotRuntime(instanceId, config) {
-  const railway = new RailwayProvisioner();
-
+async function initializeClawdbotRuntime(railway, instanceId, config) {
   // Update environment with full configuration
   await railway.configureEnvironment(instanceId, {
     // Customer
@@ -155,80 +307,214 @@ async function waitForHealthCheck(url, maxAttempts = 30) {
 
 /**
  * Rollback failed provisioning
+ *
+ * Releases the resources ledgered for the workspace being provisioned,
+ * newest first. Resources of the customer's other workspaces (a returning
+ * customer's old one) and resources kept by a successful provisioning are
+ * never touched. Safe to run again: released resources are skipped, and a
+ * resource that failed to release is retried. The outcome is stored on the
+ * customer (rollback_status/error).
+ *
+ * With `options.step`, only the resources that step created are released
+ * (the job queue does this before retrying a step) and the customer is left
+ * alone.
+ *
+ * @param {string} customerId - Stripe customer ID
+ * @param {object} options
+ * @param {object} options.pool - Main database pool (resource ledger)
+ * @param {string} options.workspaceId - Workspace whose provisioning failed
+ * @param {number} [options.jobId] - Only release resources this provisioning job created
+ * @param {string} [options.step] - Only release resources created by this step
+ * @param {object} [options.railway] - Railway provisioner
+ * @param {object} [options.neon] - Neon provisioner
+ * @returns {Promise<{released: string[], failed: Array<{resource: string, error: string}>}>}
  */
-async function rollbackProvisioning(customerId) {
-  const railway = new RailwayProvisioner();
+async function rollbackProvisioning(customerId, options = {}) {
+  if (!options.pool || !options.workspaceId) {
+    console.warn(`⚠️  No resource ledger for ${customerId}, nothing to roll back`);
+    return { released: [], failed: [] };
+  }
+
+  console.log(`Rolling back resources for ${customerId} (${options.workspaceId})...`);
+
+  const ledger = createResourceLedger(options.pool, {
+    customerId,
+    workspaceId: options.workspaceId,
+    jobId: options.jobId
+  });
+  const resources = await ledger.listActive({ step: options.step });
+  const released = [];
+  const failed = [];
+
+  const release = {
+    [RESOURCE_TYPES.NEON_BRANCH]: async (branchId) => {
+      const neon = options.neon || new NeonProvisioner();
+      try {
+        await neon.deleteDatabase(branchId);
+      } catch (error) {
+        if (error.response?.status !== 404) throw error; // Already gone
+      }
+    },
+
+    [RESOURCE_TYPES.WORKSPACE_DIRECTORY]: async (workspacePath) => {
+      await require('fs').promises.rm(workspacePath, { recursive: true, force: true });
+    },
+
+    [RESOURCE_TYPES.RAILWAY_SERVICE]: async (serviceId) => {
+      const railway = options.railway || new RailwayProvisioner();
+      await railway.deprovisionCustomer(serviceId);
+    }
+  };
+
+  for (const resource of resources) {
+    const label = `${resource.resource_type} ${resource.resource_id}`;
+
+    try {
+      const releaseResource = release[resource.resource_type];
+      if (!releaseResource) {
+        throw new Error(`Unknown resource type: ${resource.resource_type}`);
+      }
+      await releaseResource(resource.resource_id);
+      await ledger.markReleased(resource.id);
+      released.push(label);
+      console.log(`   ✅ Released ${label}`);
+    } catch (error) {
+      // Keep going - the other resources still need releasing
+      await ledger.markFailed(resource.id, error);
+      failed.push({ resource: label, error: error.message });
+      console.error(`   ❌ Failed to release ${label}:`, error.message);
+    }
+  }
 
-  // Try to find and delete any services created
-  // This is a safety net - in production you'd track resources better
-  console.log(`Rolling back resources for ${customerId}...`);
+  if (options.step) {
+    return { released, failed };
+  }
 
-  // TODO: Implement proper resource tracking and cleanup
+  await options.pool.query(`
+    UPDATE customers
+    SET rollback_status = $1, rollback_error = $2, updated_at = NOW()
+    WHERE stripe_customer_id = $3
+  `, [
+    failed.length > 0 ? 'rollback_failed' : 'rolled_back',
+    failed.length > 0 ? failed.map(f => `${f.resource}: ${f.error}`).join('; ') : null,
+    customerId
+  ]);
+
+  return { released, failed };
 }
 
+/**
+ * Teardown steps, in order. Data is archived before anything is deleted.
+ */
+const DEPROVISION_STEPS = [
+  'disconnect_telegram',
+  'archive_workspace',
+  'delete_railway_service',
+  'delete_database'
+];
+
 /**
  * Deprovision customer (on cancellation)
+ *
+ * Runs DEPROVISION_STEPS in order. Steps listed in `options.completedSteps`
+ * are skipped so a failed teardown can be resumed, and `options.onStep` is
+ * told as each step starts, completes or fails (see deprovisioning.js).
+ *
+ * @param {string} customerId - Stripe customer ID
+ * @param {object} instanceData - { workspaceId, instanceId, databaseBranchId, email }
+ * @param {object} [options]
+ * @param {string[]} [options.completedSteps] - Steps already done
+ * @param {Function} [options.onStep] - async (step, status, error) => void
+ * @param {object} [options.railway] - Railway provisioner (default: RailwayProvisioner)
+ * @param {object} [options.neon] - Neon provisioner (default: NeonProvisioner)
+ * @param {Function} [options.disconnectTelegram] - async (workspaceId) => void
+ * @param {Function} [options.archiveWorkspace] - async (workspaceId, { pool, customerId }) => void
+ * @param {object} [options.pool] - Main database pool (archives the workspace's
+ *   rows, marks its ledgered resources released)
  */
-async function deprovisionCustomer(customerId, instanceData) {
+async function deprovisionCustomer(customerId, instanceData, options = {}) {
   console.log(`\n🗑️  [DEPROVISION] Starting for ${customerId}`);
 
-  try {
-    // Step 1: Delete Railway service
-    if (instanceData.instanceId) {
-      console.log(`[DEPROVISION] Deleting Railway service...`);
-      const railway = new RailwayProvisioner();
+  const completed = new Set(options.completedSteps || []);
+  const onStep = options.onStep || (async () => {});
+  const ledger = options.pool && instanceData.workspaceId
+    ? createResourceLedger(options.pool, { customerId, workspaceId: instanceData.workspaceId })
+    : null;
+
+  const steps = {
+    // Stop Telegram delivering messages to a workspace that's going away
+    disconnect_telegram: async () => {
+      if (!instanceData.workspaceId) return;
+      const disconnect = options.disconnectTelegram || require('../api/telegram').disconnectBot;
+      await disconnect(instanceData.workspaceId);
+    },
+
+    archive_workspace: async () => {
+      if (!instanceData.workspaceId) return;
+      const archive = options.archiveWorkspace || archiveWorkspace;
+      await archive(instanceData.workspaceId, { pool: options.pool, customerId });
+    },
+
+    delete_railway_service: async () => {
+      if (!instanceData.instanceId) return;
+      const railway = options.railway || new RailwayProvisioner();
       await railway.deprovisionCustomer(instanceData.instanceId);
-      console.log(`✅ Railway service deleted`);
-    }
+      if (ledger) await ledger.markTypeReleased(RESOURCE_TYPES.RAILWAY_SERVICE);
+    },
 
-    // Step 2: Delete Neon database
-    if (instanceData.databaseBranchId) {
-      console.log(`[DEPROVISION] Deleting database...`);
-      const neon = new NeonProvisioner();
+    delete_database: async () => {
+      if (!instanceData.databaseBranchId) return;
+      const neon = options.neon || new NeonProvisioner();
       await neon.deleteDatabase(instanceData.databaseBranchId);
-      console.log(`✅ Database deleted`);
+      if (ledger) await ledger.markTypeReleased(RESOURCE_TYPES.NEON_BRANCH);
     }
+  };
 
-    // Step 3: Archive workspace (optional)
-    console.log(`[DEPROVISION] Archiving workspace...`);
-    await archiveWorkspace(instanceData.workspaceId);
-    console.log(`✅ Workspace archived`);
-
-    console.log(`\n✅ [DEPROVISION COMPLETE] ${customerId}`);
+  for (const [index, step] of DEPROVISION_STEPS.entries()) {
+    const label = `[STEP ${index + 1}/${DEPROVISION_STEPS.length}] ${step}`;
 
-  } catch (error) {
-    console.error(`\n❌ [DEPROVISION FAILED] ${customerId}:`, error.message);
-    throw error;
-  }
-}
+    if (completed.has(step)) {
+      console.log(`⏭️  ${label} already done`);
+      continue;
+    }
 
-/**
- * Archive workspace data before deletion
- */
-async function archiveWorkspace(workspaceId) {
-  const fs = require('fs').promises;
-  const path = require('path');
-  const archiver = require('archiver');
+    console.log(`[DEPROVISION] ${label}...`);
+    await onStep(step, 'started');
 
-  const workspacePath = path.join('/var/clawdbot/workspaces', workspaceId);
-  const archivePath = path.join('/var/clawdbot/archives', `${workspaceId}.tar.gz`);
+    try {
+      await steps[step]();
+    } catch (error) {
+      console.error(`\n❌ [DEPROVISION FAILED] ${customerId} at ${step}:`, error.message);
+      await onStep(step, 'failed', error);
+      throw error;
+    }
 
-  // Create archives directory
-  await fs.mkdir('/var/clawdbot/archives', { recursive: true });
+    await onStep(step, 'completed');
+    console.log(`✅ ${step}`);
+  }
 
-  // Archive workspace (simplified - in production use proper archiving)
-  console.log(`Archiving ${workspacePath} to ${archivePath}`);
-  // TODO: Implement proper archiving with tar/zip
+  console.log(`\n✅ [DEPROVISION COMPLETE] ${customerId}`);
 }
 
 /**
  * Upgrade/downgrade customer plan
+ * Scales the Railway service, updates its plan env vars and brings the
+ * workspace's skills in line with the new plan (see plan-change.js for the
+ * database side).
+ *
+ * @param {string} customerId - Stripe customer ID
+ * @param {object} instanceData - { instanceId, workspaceId, email }
+ * @param {string} newPlanId - Stripe price ID
+ * @param {object} [options] - { railway } stand-in
  */
-async function changePlan(customerId, instanceData, newPlanId) {
+async function changePlan(customerId, instanceData, newPlanId, options = {}) {
   console.log(`\n🔄 [PLAN CHANGE] ${customerId} → ${newPlanId}`);
 
   const newPlan = PLANS[newPlanId];
-  const railway = new RailwayProvisioner();
+  if (!newPlan) {
+    throw new Error(`Unknown plan: ${newPlanId}`);
+  }
+  const railway = options.railway || new RailwayProvisioner();
 
   // Update resource allocation
   await railway.scaleService(instanceData.instanceId, newPlan);
@@ -238,7 +524,8 @@ async function changePlan(customerId, instanceData, newPlanId) {
     PLAN_NAME: newPlan.name,
     MESSAGE_LIMIT: newPlan.messageLimit.toString(),
     MAX_AGENTS: newPlan.agents.toString(),
-    FEATURES: newPlan.features.join(',')
+    FEATURES: newPlan.features.join(','),
+    OVERAGE_PRICE_PER_MESSAGE: newPlan.overage ? newPlan.overage.pricePerMessage.toString() : ''
   });
 
   // Install/remove skills as needed
@@ -285,7 +572,16 @@ async function getUsageMetrics(instanceData) {
 
 module.exports = {
   provisionCustomer,
+  runProvisionStep,
+  createProvisionContext,
+  generateWorkspaceId,
+  buildCredentials,
+  PROVISION_STEPS,
+  STEP_LABELS,
+  STEP_DESCRIPTIONS,
   deprovisionCustomer,
+  rollbackProvisioning,
+  DEPROVISION_STEPS,
   changePlan,
   getUsageMetrics,
   PLANS
@@ -9,6 +9,7 @@ const execAsync = promisify(exec);
 
 // PAT-001 fix: Use shared plans module
 const { PLANS, getPlan } = require('../plans');
+const { getWorkspacesDir } = require('../lib/workspaces');
 
 /**
  * Main provisioning orchestrator
@@ -63,7 +64,7 @@ async function provisionCustomer(customerId, email, planId) {
  */
 async function createWorkspace(customerId, username) {
   const workspaceId = `claw_${customerId.substring(0, 12)}_${Date.now()}`;
-  const workspacePath = `/var/clawdbot/workspaces/${workspaceId}`;
+  const workspacePath = `${getWorkspacesDir()}/${workspaceId}`;
   
   // Create directory structure
   await execAsync(`mkdir -p ${workspacePath}/{config,memory,skills,logs}`);
@@ -141,7 +142,7 @@ async function deployClawdbotInstance(workspaceId, config) {
  * Install skills based on plan features
  */
 async function installSkills(workspaceId, features) {
-  const workspacePath = `/var/clawdbot/workspaces/${workspaceId}`;
+  const workspacePath = `${getWorkspacesDir()}/${workspaceId}`;
   
   if (features.includes('all')) {
     // Install all skills
@@ -165,7 +166,7 @@ async function installSkills(workspaceId, features) {
  * Initialize memory system with user context
  */
 async function initializeMemory(workspaceId, email) {
-  const workspacePath = `/var/clawdbot/workspaces/${workspaceId}`;
+  const workspacePath = `${getWorkspacesDir()}/${workspaceId}`;
   const now = new Date().toISOString().split('T')[0];
   
   await execAsync(`cat > ${workspacePath}/memory/${now}.md << 'EOF'
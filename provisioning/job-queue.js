@@ -0,0 +1,420 @@
+/**
+ * Provisioning Job Queue
+ * Postgres-backed queue that runs provisioning outside the Stripe webhook.
+ *
+ * The webhook only enqueues a job (provisioning_jobs). A worker claims jobs
+ * with FOR UPDATE SKIP LOCKED and runs the steps from index-real.js one at a
+ * time, checkpointing each step's output in provisioning_job_steps:
+ *
+ * - A step that fails is retried with exponential backoff; the resources the
+ *   failed attempt created are released first, so retries don't leak them.
+ *   Rollback is scoped to the job's own resources (provisioning_resources.job_id).
+ * - A job whose worker died (lock older than LOCK_TIMEOUT_MS) is picked up
+ *   again and resumes after its last completed step.
+ * - Once a step runs out of attempts the job fails and everything it created
+ *   is rolled back.
+ */
+
+const os = require('os');
+const {
+  PROVISION_STEPS,
+  STEP_LABELS,
+  STEP_DESCRIPTIONS,
+  runProvisionStep,
+  createProvisionContext,
+  generateWorkspaceId,
+  buildCredentials,
+  rollbackProvisioning
+} = require('./index-real');
+const { createResourceLedger } = require('./resource-ledger');
+
+const MAX_STEP_ATTEMPTS = 5;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 30 * 60 * 1000;
+const POLL_INTERVAL_MS = 5 * 1000;
+
+// Longer than the slowest step (Railway deploy, 5 min health check)
+const LOCK_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Step outputs kept in memory only - fetched again when a job resumes
+const UNCHECKPOINTED_OUTPUTS = ['databaseUrl'];
+
+/**
+ * Delay before retrying a step
+ * @param {number} attempt - Attempts made so far (1 = first failure)
+ * @param {object} [options] - { retryBaseMs, retryMaxMs }
+ * @returns {number} Milliseconds
+ */
+function getBackoffMs(attempt, options = {}) {
+  const base = options.retryBaseMs ?? RETRY_BASE_MS;
+  const max = options.retryMaxMs ?? RETRY_MAX_MS;
+  return Math.min(base * 2 ** (attempt - 1), max);
+}
+
+/**
+ * Queue provisioning for a customer
+ *
+ * At most one job per customer is queued or running; enqueueing again
+ * (e.g. a redelivered webhook) returns the existing job. The workspace ID is
+ * assigned here so the dashboard can follow progress from the start.
+ *
+ * @param {object} pool - pg Pool for the main database
+ * @param {object} job
+ * @param {string} job.customerId - Stripe customer ID
+ * @param {string} job.email
+ * @param {string} job.plan - Stripe price ID
+ * @param {object} [job.payload] - Extra data for the completion handler
+ * @returns {Promise<{id: number, workspaceId: string, created: boolean}>}
+ */
+async function enqueueProvisioningJob(pool, { customerId, email, plan, payload = {} }) {
+  const inserted = await pool.query(`
+    INSERT INTO provisioning_jobs (stripe_customer_id, workspace_id, email, plan, payload, status, run_after, created_at, updated_at)
+    VALUES ($1, $2, $3, $4, $5, 'queued', NOW(), NOW(), NOW())
+    ON CONFLICT (stripe_customer_id) WHERE status IN ('queued', 'running') DO NOTHING
+    RETURNING id, workspace_id
+  `, [customerId, generateWorkspaceId(customerId), email, plan, JSON.stringify(payload)]);
+
+  if (inserted.rows.length > 0) {
+    const job = inserted.rows[0];
+    console.log(`📥 Provisioning job ${job.id} queued for ${customerId}`);
+    return { id: job.id, workspaceId: job.workspace_id, created: true };
+  }
+
+  const existing = await pool.query(`
+    SELECT id, workspace_id FROM provisioning_jobs
+    WHERE stripe_customer_id = $1 AND status IN ('queued', 'running')
+  `, [customerId]);
+
+  return { id: existing.rows[0]?.id, workspaceId: existing.rows[0]?.workspace_id, created: false };
+}
+
+/**
+ * Claim the next due job (or one whose worker stopped responding)
+ *
+ * @param {object} pool
+ * @param {string} workerId
+ * @param {object} [options] - { lockTimeoutMs }
+ * @returns {Promise<object|null>} The job row
+ */
+async function claimNextJob(pool, workerId, options = {}) {
+  const lockTimeoutMs = options.lockTimeoutMs ?? LOCK_TIMEOUT_MS;
+
+  const result = await pool.query(`
+    UPDATE provisioning_jobs
+    SET status = 'running', locked_by = $1, locked_at = NOW(), updated_at = NOW()
+    WHERE id = (
+      SELECT id FROM provisioning_jobs
+      WHERE (status = 'queued' AND run_after <= NOW())
+         OR (status = 'running' AND locked_at < NOW() - ($2::int * INTERVAL '1 millisecond'))
+      ORDER BY run_after, id
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    RETURNING *
+  `, [workerId, lockTimeoutMs]);
+
+  return result.rows[0] || null;
+}
+
+async function loadCompletedSteps(pool, jobId) {
+  const result = await pool.query(`
+    SELECT step, output FROM provisioning_job_steps
+    WHERE job_id = $1 AND status = 'completed'
+  `, [jobId]);
+
+  return new Map(result.rows.map(row => [row.step, row.output || {}]));
+}
+
+async function recordStepStarted(pool, jobId, step) {
+  const result = await pool.query(`
+    INSERT INTO provisioning_job_steps (job_id, step, status, attempts, started_at, updated_at)
+    VALUES ($1, $2, 'running', 1, NOW(), NOW())
+    ON CONFLICT (job_id, step) DO UPDATE
+    SET status = 'running',
+        attempts = provisioning_job_steps.attempts + 1,
+        error = NULL,
+        started_at = NOW(),
+        updated_at = NOW()
+    RETURNING attempts
+  `, [jobId, step]);
+
+  return result.rows[0].attempts;
+}
+
+async function recordStepCompleted(pool, jobId, step, output) {
+  const checkpoint = { ...output };
+  for (const key of UNCHECKPOINTED_OUTPUTS) delete checkpoint[key];
+
+  await pool.query(`
+    UPDATE provisioning_job_steps
+    SET status = 'completed', output = $3, completed_at = NOW(), updated_at = NOW()
+    WHERE job_id = $1 AND step = $2
+  `, [jobId, step, JSON.stringify(checkpoint)]);
+}
+
+async function recordStepFailed(pool, jobId, step, error, retrying) {
+  await pool.query(`
+    UPDATE provisioning_job_steps
+    SET status = $3, error = $4, updated_at = NOW()
+    WHERE job_id = $1 AND step = $2
+  `, [jobId, step, retrying ? 'retrying' : 'failed', error.message]);
+}
+
+/**
+ * Run a claimed job from its last checkpoint
+ *
+ * @param {object} pool
+ * @param {object} job - Row from claimNextJob
+ * @param {object} [options]
+ * @param {Function} [options.onComplete] - async (job, credentials) => void
+ * @param {Function} [options.onFailed] - async (job, error) => void
+ * @param {number} [options.maxAttempts] - Per step (default 5)
+ * @param {number} [options.retryBaseMs] / [options.retryMaxMs] - Backoff
+ * @param {object} [options.railway] / [options.neon] - Provisioner stand-ins
+ * @returns {Promise<'completed'|'retrying'|'failed'>}
+ */
+async function runProvisioningJob(pool, job, options = {}) {
+  const maxAttempts = options.maxAttempts ?? MAX_STEP_ATTEMPTS;
+  const customerId = job.stripe_customer_id;
+  const stepOptions = {
+    pool,
+    workspaceId: job.workspace_id,
+    jobId: job.id,
+    railway: options.railway,
+    neon: options.neon,
+    healthCheckAttempts: options.healthCheckAttempts
+  };
+
+  const context = createProvisionContext(customerId, job.email, job.plan, job.workspace_id);
+  const completed = await loadCompletedSteps(pool, job.id);
+  const startTime = Date.now();
+
+  console.log(`\n🚀 [JOB ${job.id}] Provisioning ${job.email} (${completed.size}/${PROVISION_STEPS.length} steps done)`);
+
+  for (const [index, step] of PROVISION_STEPS.entries()) {
+    if (completed.has(step)) {
+      Object.assign(context, completed.get(step));
+      continue;
+    }
+
+    console.log(`\n${STEP_DESCRIPTIONS[step]} [STEP ${index + 1}/${PROVISION_STEPS.length}]...`);
+    await pool.query(
+      'UPDATE provisioning_jobs SET current_step = $2, updated_at = NOW() WHERE id = $1',
+      [job.id, step]
+    );
+    const attempts = await recordStepStarted(pool, job.id, step);
+
+    if (attempts > 1) {
+      // Whatever the failed (or interrupted) attempt created would be orphaned
+      await rollbackProvisioning(customerId, { ...stepOptions, step }).catch(cleanupError => {
+        console.error(`⚠️  [JOB ${job.id}] Cleanup before retry failed:`, cleanupError.message);
+      });
+    }
+
+    try {
+      const output = await runProvisionStep(step, context, stepOptions);
+      Object.assign(context, output);
+      await recordStepCompleted(pool, job.id, step, output);
+    } catch (error) {
+      const retrying = attempts < maxAttempts;
+      console.error(`❌ [JOB ${job.id}] ${step} failed (attempt ${attempts}/${maxAttempts}):`, error.message);
+      await recordStepFailed(pool, job.id, step, error, retrying);
+
+      if (retrying) {
+        const delayMs = getBackoffMs(attempts, options);
+        await pool.query(`
+          UPDATE provisioning_jobs
+          SET status = 'queued', last_error = $2, locked_by = NULL, locked_at = NULL,
+              run_after = NOW() + ($3::int * INTERVAL '1 millisecond'), updated_at = NOW()
+          WHERE id = $1
+        `, [job.id, error.message, delayMs]);
+        console.log(`🔁 [JOB ${job.id}] Retrying ${step} in ${Math.round(delayMs / 1000)}s`);
+        return 'retrying';
+      }
+
+      await pool.query(`
+        UPDATE provisioning_jobs
+        SET status = 'failed', last_error = $2, locked_by = NULL, locked_at = NULL,
+            completed_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+      `, [job.id, error.message]);
+
+      try {
+        console.log(`\n🧹 [CLEANUP] Rolling back failed provisioning...`);
+        await rollbackProvisioning(customerId, stepOptions);
+      } catch (cleanupError) {
+        console.error(`⚠️  Cleanup failed:`, cleanupError.message);
+      }
+
+      if (options.onFailed) await options.onFailed(job, error);
+      return 'failed';
+    }
+  }
+
+  await createResourceLedger(pool, { customerId, workspaceId: job.workspace_id, jobId: job.id }).markKept();
+
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+  const credentials = buildCredentials(context, elapsed);
+
+  // Before marking the job done: if this throws, the job is picked up again
+  // once its lock expires and only the completion handler re-runs
+  if (options.onComplete) await options.onComplete(job, credentials);
+
+  await pool.query(`
+    UPDATE provisioning_jobs
+    SET status = 'completed', current_step = NULL, last_error = NULL, locked_by = NULL, locked_at = NULL,
+        completed_at = NOW(), updated_at = NOW()
+    WHERE id = $1
+  `, [job.id]);
+  console.log(`\n✅ [JOB ${job.id}] ${job.email} provisioned`);
+
+  return 'completed';
+}
+
+function toTime(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function durationMs(from, to) {
+  return from && to ? new Date(to) - new Date(from) : null;
+}
+
+/**
+ * Setup progress of a workspace (latest provisioning job)
+ *
+ * Steps without a row yet are 'pending'. Timings are for the latest attempt
+ * of each step; a running step's duration is measured up to now.
+ *
+ * @param {object} pool
+ * @param {string} workspaceId
+ * @returns {Promise<object|null>} Progress, or null if no job exists
+ */
+async function getProvisioningProgress(pool, workspaceId) {
+  const jobResult = await pool.query(`
+    SELECT id, workspace_id, status, current_step, last_error, run_after, created_at, completed_at
+    FROM provisioning_jobs
+    WHERE workspace_id = $1
+    ORDER BY id DESC
+    LIMIT 1
+  `, [workspaceId]);
+
+  const job = jobResult.rows[0];
+  if (!job) return null;
+
+  const stepResult = await pool.query(`
+    SELECT step, status, attempts, error, started_at, completed_at
+    FROM provisioning_job_steps
+    WHERE job_id = $1
+  `, [job.id]);
+  const rows = new Map(stepResult.rows.map(row => [row.step, row]));
+  const now = new Date();
+
+  const steps = PROVISION_STEPS.map(step => {
+    const row = rows.get(step);
+    if (!row) {
+      return {
+        step,
+        label: STEP_LABELS[step],
+        status: 'pending',
+        attempts: 0,
+        startedAt: null,
+        completedAt: null,
+        durationMs: null,
+        error: null
+      };
+    }
+
+    return {
+      step,
+      label: STEP_LABELS[step],
+      status: row.status,
+      attempts: row.attempts,
+      startedAt: toTime(row.started_at),
+      completedAt: toTime(row.completed_at),
+      durationMs: durationMs(row.started_at, row.completed_at || (row.status === 'running' ? now : null)),
+      error: row.error || null
+    };
+  });
+
+  const finished = job.status === 'completed' || job.status === 'failed';
+
+  return {
+    workspaceId: job.workspace_id,
+    jobId: job.id,
+    status: job.status,
+    currentStep: job.current_step,
+    progress: {
+      completed: steps.filter(s => s.status === 'completed').length,
+      total: steps.length
+    },
+    lastError: job.last_error,
+    // Set while a failed step waits for its retry
+    nextAttemptAt: job.status === 'queued' && job.last_error ? toTime(job.run_after) : null,
+    createdAt: toTime(job.created_at),
+    completedAt: toTime(job.completed_at),
+    durationMs: durationMs(job.created_at, finished ? job.completed_at : now),
+    steps
+  };
+}
+
+/**
+ * Claim and run one job
+ * @returns {Promise<boolean>} Whether a job was run
+ */
+async function processNextJob(pool, workerId, options = {}) {
+  const job = await claimNextJob(pool, workerId, options);
+  if (!job) return false;
+
+  await runProvisioningJob(pool, job, options);
+  return true;
+}
+
+/**
+ * Start a worker loop in this process
+ *
+ * @param {object} pool
+ * @param {object} [options] - See runProvisioningJob, plus pollIntervalMs
+ * @returns {{stop: Function}}
+ */
+function startProvisioningWorker(pool, options = {}) {
+  const workerId = options.workerId || `${os.hostname()}:${process.pid}`;
+  const pollIntervalMs = options.pollIntervalMs ?? POLL_INTERVAL_MS;
+  let stopped = false;
+  let timer = null;
+
+  async function tick() {
+    let ranJob = false;
+    try {
+      ranJob = await processNextJob(pool, workerId, options);
+    } catch (error) {
+      console.error('❌ Provisioning worker error:', error.message);
+    }
+
+    if (!stopped) {
+      // Straight on to the next job while there's a backlog
+      timer = setTimeout(tick, ranJob ? 0 : pollIntervalMs);
+      timer.unref();
+    }
+  }
+
+  console.log(`👷 Provisioning worker ${workerId} started`);
+  tick();
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
+}
+
+module.exports = {
+  MAX_STEP_ATTEMPTS,
+  getBackoffMs,
+  enqueueProvisioningJob,
+  claimNextJob,
+  runProvisioningJob,
+  processNextJob,
+  startProvisioningWorker,
+  getProvisioningProgress
+};
@@ -23,13 +23,17 @@ class NeonProvisioner {
 
   /**
    * Create isolated branch/database for customer
+   * `options.onResource(type, id, details)` is called once the branch exists.
    */
-  async createDatabase(workspaceId) {
+  async createDatabase(workspaceId, options = {}) {
     console.log(`[NEON] Creating database for ${workspaceId}`);
 
     // Create a new branch (isolated copy of the database)
     const branch = await this.createBranch(workspaceId);
     console.log(`[NEON] Branch created: ${branch.id}`);
+    if (options.onResource) {
+      await options.onResource('neon_branch', branch.id, { workspaceId });
+    }
 
     // Get connection string
     const connectionString = await this.getConnectionString(branch.id);
@@ -0,0 +1,143 @@
+/**
+ * Plan Changes
+ * Applies a subscription's new price to a customer when Stripe reports an
+ * upgrade, downgrade or a switch between monthly and annual billing.
+ *
+ * The instance is changed first (changePlan: Railway resources, env vars,
+ * skills) and the customer row last, so a failure leaves the old plan stored
+ * and the redelivered webhook tries again. Agents beyond the new plan's quota
+ * are suspended rather than deleted - oldest agents stay active - and resumed
+ * when the customer upgrades again.
+ */
+
+const { changePlan } = require('./index-real');
+const { PLANS, isKnownPriceId } = require('../plans');
+
+/**
+ * Suspend or resume agents so the active ones fit a quota
+ *
+ * @param {object} pool - pg Pool for the main database
+ * @param {string} workspaceId
+ * @param {number} maxAgents - -1 = unlimited
+ * @returns {Promise<{suspended: string[], resumed: string[]}>} Agent IDs
+ */
+async function enforceAgentQuota(pool, workspaceId, maxAgents) {
+  const result = await pool.query(`
+    SELECT agent_id, suspended_at FROM agents
+    WHERE workspace_id = $1
+    ORDER BY created_at ASC, id ASC
+  `, [workspaceId]);
+
+  const active = result.rows.filter(agent => !agent.suspended_at).map(agent => agent.agent_id);
+  const suspended = result.rows.filter(agent => agent.suspended_at).map(agent => agent.agent_id);
+  const limit = maxAgents === -1 ? Infinity : maxAgents;
+
+  if (active.length > limit) {
+    const toSuspend = active.slice(limit);
+    await pool.query(`
+      UPDATE agents SET suspended_at = NOW(), updated_at = NOW()
+      WHERE workspace_id = $1 AND agent_id = ANY($2)
+    `, [workspaceId, toSuspend]);
+    return { suspended: toSuspend, resumed: [] };
+  }
+
+  const toResume = suspended.slice(0, limit - active.length);
+  if (toResume.length > 0) {
+    await pool.query(`
+      UPDATE agents SET suspended_at = NULL, updated_at = NOW()
+      WHERE workspace_id = $1 AND agent_id = ANY($2)
+    `, [workspaceId, toResume]);
+  }
+  return { suspended: [], resumed: toResume };
+}
+
+/**
+ * Apply a subscription's price to the customer
+ *
+ * Subscription updates that don't change the price (status changes, renewals)
+ * are no-ops. Customers still being provisioned get the new plan through
+ * their queued job. Switching between a plan's monthly and annual price
+ * keeps the same limits, so it is applied without a confirmation email.
+ *
+ * @param {object} pool - pg Pool for the main database
+ * @param {string} customerId - Stripe customer ID
+ * @param {string} priceId - The subscription's Stripe price ID
+ * @param {object} [options]
+ * @param {object} [options.railway] - Passed through to changePlan
+ * @param {Function} [options.changePlan] - Stand-in for index-real changePlan
+ * @param {Function} [options.sendEmail] - Stand-in for sendPlanChangedEmail
+ * @returns {Promise<object>} { changed, from, to, direction, suspendedAgents, resumedAgents }
+ *   direction is 'upgrade', 'downgrade' or 'interval'
+ */
+async function applyPlanChange(pool, customerId, priceId, options = {}) {
+  const result = await pool.query(`
+    SELECT email, plan, price_id, workspace_id, instance_id, provisioned_at, deprovisioned_at
+    FROM customers
+    WHERE stripe_customer_id = $1
+  `, [customerId]);
+
+  const customer = result.rows[0];
+  if (!customer || customer.price_id === priceId) {
+    return { changed: false };
+  }
+
+  if (!isKnownPriceId(priceId)) {
+    // Retrying won't help - leave the customer on their current plan
+    console.warn(`⚠️ Unknown price ${priceId} for ${customerId}, plan not changed`);
+    return { changed: false };
+  }
+
+  const previous = PLANS[customer.price_id];
+  const next = PLANS[priceId];
+  const intervalOnly = previous && previous.planId === next.planId && previous.version === next.version;
+  const direction = intervalOnly
+    ? 'interval'
+    : previous && next.priceMonthly < previous.priceMonthly ? 'downgrade' : 'upgrade';
+  const live = customer.provisioned_at && !customer.deprovisioned_at;
+  let agents = { suspended: [], resumed: [] };
+
+  console.log(`🔄 ${customerId}: ${previous?.name || customer.plan} → ${next.name} (${direction})`);
+
+  if (live) {
+    const applyToInstance = options.changePlan || changePlan;
+    await applyToInstance(customerId, {
+      instanceId: customer.instance_id,
+      workspaceId: customer.workspace_id,
+      email: customer.email
+    }, priceId, { railway: options.railway });
+
+    agents = await enforceAgentQuota(pool, customer.workspace_id, next.agents);
+  } else {
+    await pool.query(`
+      UPDATE provisioning_jobs SET plan = $2, updated_at = NOW()
+      WHERE stripe_customer_id = $1 AND status IN ('queued', 'running')
+    `, [customerId, priceId]);
+  }
+
+  await pool.query(`
+    UPDATE customers
+    SET plan = $1, price_id = $2, updated_at = NOW()
+    WHERE stripe_customer_id = $3
+  `, [next.name, priceId, customerId]);
+
+  const change = {
+    changed: true,
+    from: previous?.name || customer.plan,
+    to: next.name,
+    direction,
+    suspendedAgents: agents.suspended,
+    resumedAgents: agents.resumed
+  };
+
+  if (!intervalOnly) {
+    const sendEmail = options.sendEmail || require('../email').sendPlanChangedEmail;
+    await sendEmail(customer.email, change);
+  }
+
+  return change;
+}
+
+module.exports = {
+  applyPlanChange,
+  enforceAgentQuota
+};
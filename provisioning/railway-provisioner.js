@@ -48,17 +48,22 @@ class RailwayProvisioner {
 
   /**
    * Deploy new service from template for customer
+   * `options.onResource(type, id, details)` is called as soon as the service
+   * (and its database) exist, so a failed deploy can still be rolled back.
+   * `options.workspaceId` keeps the ID the customer was already given.
    */
-  async deployCustomerInstance(customerId, email, planConfig) {
+  async deployCustomerInstance(customerId, email, planConfig, options = {}) {
+    const onResource = options.onResource || (async () => {});
     console.log(`[RAILWAY] Deploying instance for ${email}`);
 
     // Create unique service name
     const serviceName = `clawdbot-${customerId.substring(4, 16)}`;
-    const workspaceId = `ws_${customerId.substring(4, 16)}_${Date.now()}`;
+    const workspaceId = options.workspaceId || `ws_${customerId.substring(4, 16)}_${Date.now()}`;
 
     // Create new service from template
     const service = await this.createService(serviceName);
     console.log(`[RAILWAY] Service created: ${service.id}`);
+    await onResource('railway_service', service.id, { name: serviceName });
 
     // Configure environment variables
     await this.configureEnvironment(service.id, {
@@ -69,9 +74,10 @@ class RailwayProvisioner {
       MESSAGE_LIMIT: planConfig.messageLimit.toString(),
       MAX_AGENTS: planConfig.agents.toString(),
       FEATURES: planConfig.features.join(','),
+      OVERAGE_PRICE_PER_MESSAGE: planConfig.overage ? planConfig.overage.pricePerMessage.toString() : '',
       // Clawdbot configuration
       ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY,
-      DATABASE_URL: await this.createCustomerDatabase(workspaceId),
+      DATABASE_URL: await this.createCustomerDatabase(workspaceId, { onResource }),
       // Memory configuration
       SUPERMEMORY_ENABLED: 'true',
       // Skills
@@ -239,12 +245,12 @@ class RailwayProvisioner {
   /**
    * Create isolated database for customer
    */
-  async createCustomerDatabase(workspaceId) {
+  async createCustomerDatabase(workspaceId, options = {}) {
     // Use Neon for PostgreSQL databases
     const { NeonProvisioner } = require('./neon-provisioner');
     const neon = new NeonProvisioner();
 
-    const db = await neon.createDatabase(workspaceId);
+    const db = await neon.createDatabase(workspaceId, options);
     return db.connectionString;
   }
 
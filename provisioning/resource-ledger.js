@@ -0,0 +1,117 @@
+/**
+ * Provisioning Resource Ledger
+ * Records every resource provisioning creates (Railway service, workspace
+ * directory, Neon branch) in `provisioning_resources`, so a failed
+ * provisioning can be rolled back without guessing what exists.
+ *
+ * Resources are recorded as soon as they're created, before the step that
+ * created them finishes, tagged with that step (details.step), the
+ * workspace being provisioned and the provisioning job (if any). Rollback only
+ * sees that workspace's (and job's) resources and releases them newest first;
+ * released resources are never torn down twice.
+ *
+ * Statuses: 'active' while provisioning runs, 'kept' once it succeeded,
+ * 'released' after rollback or teardown, 'release_failed' when a rollback
+ * couldn't release it (retried by the next rollback).
+ */
+
+const RESOURCE_TYPES = {
+  RAILWAY_SERVICE: 'railway_service',
+  WORKSPACE_DIRECTORY: 'workspace_directory',
+  NEON_BRANCH: 'neon_branch'
+};
+
+/**
+ * Ledger of the resources provisioned for one workspace
+ *
+ * @param {object} pool - pg Pool for the main database
+ * @param {object} scope
+ * @param {string} scope.customerId - Stripe customer ID
+ * @param {string} scope.workspaceId - Workspace being provisioned
+ * @param {number} [scope.jobId] - Provisioning job (provisioning/job-queue.js)
+ * @returns {object} { record, listActive, markReleased, markFailed, markKept, markTypeReleased }
+ */
+function createResourceLedger(pool, { customerId, workspaceId, jobId = null }) {
+  return {
+    /**
+     * Record a created resource
+     * Recording a released resource again (e.g. a rebuilt workspace
+     * directory) marks it active again.
+     * @param {string} type - One of RESOURCE_TYPES
+     * @param {string} resourceId - Provider ID or path
+     * @param {object} [details]
+     */
+    async record(type, resourceId, details = {}) {
+      await pool.query(`
+        INSERT INTO provisioning_resources (stripe_customer_id, workspace_id, job_id, resource_type, resource_id, details, status, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, 'active', NOW())
+        ON CONFLICT (resource_type, resource_id) DO UPDATE
+        SET stripe_customer_id = EXCLUDED.stripe_customer_id, workspace_id = EXCLUDED.workspace_id, job_id = EXCLUDED.job_id,
+            status = 'active', details = EXCLUDED.details, error = NULL, released_at = NULL
+      `, [customerId, workspaceId, jobId, type, resourceId, JSON.stringify(details)]);
+    },
+
+    /**
+     * Resources still to release, newest first (rollback order)
+     * @param {object} [filter]
+     * @param {string} [filter.step] - Only resources created by this provisioning step
+     * @returns {Promise<Array<{id, resource_type, resource_id, details, status}>>}
+     */
+    async listActive(filter = {}) {
+      const result = await pool.query(`
+        SELECT id, resource_type, resource_id, details, status
+        FROM provisioning_resources
+        WHERE workspace_id = $1 AND status IN ('active', 'release_failed')
+          AND ($2::int IS NULL OR job_id = $2)
+          AND ($3::text IS NULL OR details->>'step' = $3)
+        ORDER BY id DESC
+      `, [workspaceId, jobId, filter.step || null]);
+      return result.rows;
+    },
+
+    async markReleased(id) {
+      await pool.query(`
+        UPDATE provisioning_resources
+        SET status = 'released', error = NULL, released_at = NOW()
+        WHERE id = $1
+      `, [id]);
+    },
+
+    async markFailed(id, error) {
+      await pool.query(`
+        UPDATE provisioning_resources
+        SET status = 'release_failed', error = $2
+        WHERE id = $1
+      `, [id, error.message]);
+    },
+
+    /**
+     * Provisioning succeeded: the workspace's resources are no longer
+     * rollback candidates
+     */
+    async markKept() {
+      await pool.query(`
+        UPDATE provisioning_resources
+        SET status = 'kept'
+        WHERE workspace_id = $1 AND status = 'active'
+      `, [workspaceId]);
+    },
+
+    /**
+     * Deprovisioning tore down every resource of a type
+     * @param {string} type - One of RESOURCE_TYPES
+     */
+    async markTypeReleased(type) {
+      await pool.query(`
+        UPDATE provisioning_resources
+        SET status = 'released', error = NULL, released_at = NOW()
+        WHERE workspace_id = $1 AND resource_type = $2 AND status <> 'released'
+      `, [workspaceId, type]);
+    }
+  };
+}
+
+module.exports = {
+  RESOURCE_TYPES,
+  createResourceLedger
+};
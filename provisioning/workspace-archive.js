@@ -0,0 +1,265 @@
+/**
+ * Workspace Archives
+ * Saves a workspace before it's deprovisioned and restores it into a new
+ * workspace when the customer comes back.
+ *
+ * An archive is a directory <ARCHIVES_DIR>/<workspaceId>/ holding:
+ *   workspace.tar.gz - the workspace directory (SOUL.md, MEMORY.md, memory/, ...)
+ *   data.json        - the workspace's conversations, memories, agents and usage rows
+ *   manifest.json    - sizes and sha256 checksums of the above
+ *
+ * manifest.json is written last, so an archive without one is incomplete.
+ * Restores verify every checksum before changing anything, and add the rows
+ * in one transaction so a failed restore can simply be run again.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const tar = require('tar');
+const { storeEmbedding } = require('../lib/embeddings');
+const { getWorkspacesDir } = require('../lib/workspaces');
+
+const ARCHIVE_FORMAT_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
+const WORKSPACE_FILE = 'workspace.tar.gz';
+const DATA_FILE = 'data.json';
+
+// Rows saved per table. Ids are not kept - restored rows get new ones.
+// Memory embeddings are recomputed on restore rather than archived.
+const ARCHIVED_TABLES = {
+  conversations: ['agent_id', 'channel', 'message', 'role', 'metadata', 'created_at'],
+  memories: ['agent_id', 'content', 'metadata', 'created_at', 'updated_at'],
+  agents: ['agent_id', 'name', 'persona', 'model', 'skills', 'created_at', 'updated_at'],
+  usage_tracking: ['date', 'messages_sent', 'api_calls', 'tokens_used', 'created_at']
+};
+
+// JSONB columns are serialised explicitly so arrays aren't sent as pg arrays
+const JSON_COLUMNS = new Set(['metadata', 'skills']);
+
+function getArchivesDir(options) {
+  return options.archivesDir || process.env.ARCHIVES_DIR || '/var/clawdbot/archives';
+}
+
+async function sha256File(filePath) {
+  const content = await fs.readFile(filePath);
+  return {
+    bytes: content.length,
+    sha256: crypto.createHash('sha256').update(content).digest('hex')
+  };
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read a workspace's rows from the main database
+ * @returns {Promise<object>} { conversations: [...], memories: [...], ... }
+ */
+async function dumpWorkspaceData(pool, workspaceId) {
+  const data = {};
+
+  for (const [table, columns] of Object.entries(ARCHIVED_TABLES)) {
+    const result = await pool.query(
+      `SELECT ${columns.join(', ')} FROM ${table} WHERE workspace_id = $1 ORDER BY id`,
+      [workspaceId]
+    );
+    data[table] = result.rows;
+  }
+
+  return data;
+}
+
+/**
+ * Archive a workspace's files and database rows
+ *
+ * Safe to run again (e.g. when a deprovisioning step is retried): the
+ * archive is rewritten from the current state.
+ *
+ * @param {string} workspaceId
+ * @param {object} options
+ * @param {object} options.pool - pg Pool for the main database
+ * @param {string} [options.customerId] - Stripe customer ID, recorded in the manifest
+ * @param {string} [options.workspacesDir] - Defaults to WORKSPACES_DIR
+ * @param {string} [options.archivesDir] - Defaults to ARCHIVES_DIR
+ * @returns {Promise<{path: string, manifest: object}>}
+ */
+async function archiveWorkspace(workspaceId, options = {}) {
+  if (!options.pool) {
+    throw new Error('archiveWorkspace requires a database pool');
+  }
+
+  const workspacePath = path.join(options.workspacesDir || getWorkspacesDir(), workspaceId);
+  const archivePath = path.join(getArchivesDir(options), workspaceId);
+
+  await fs.mkdir(archivePath, { recursive: true });
+  // An archive being rewritten is incomplete until its manifest is back
+  await fs.rm(path.join(archivePath, MANIFEST_FILE), { force: true });
+
+  const files = {};
+
+  if (await exists(workspacePath)) {
+    const tarball = path.join(archivePath, WORKSPACE_FILE);
+    await tar.c({ gzip: true, file: tarball, cwd: workspacePath, portable: true }, ['.']);
+    files[WORKSPACE_FILE] = await sha256File(tarball);
+  } else {
+    console.warn(`[ARCHIVE] No workspace directory at ${workspacePath}, archiving data only`);
+  }
+
+  const data = await dumpWorkspaceData(options.pool, workspaceId);
+  const dataPath = path.join(archivePath, DATA_FILE);
+  await fs.writeFile(dataPath, JSON.stringify(data, null, 2));
+  files[DATA_FILE] = await sha256File(dataPath);
+
+  const manifest = {
+    version: ARCHIVE_FORMAT_VERSION,
+    workspaceId,
+    customerId: options.customerId || null,
+    createdAt: new Date().toISOString(),
+    files,
+    rows: Object.fromEntries(Object.entries(data).map(([table, rows]) => [table, rows.length]))
+  };
+  await fs.writeFile(path.join(archivePath, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+  console.log(`[ARCHIVE] ${workspaceId} archived to ${archivePath}`);
+  return { path: archivePath, manifest };
+}
+
+/**
+ * Read an archive's manifest and check every file against its checksum
+ *
+ * @param {string} workspaceId - Workspace the archive was made from
+ * @param {object} [options]
+ * @param {string} [options.archivesDir]
+ * @returns {Promise<object>} The manifest
+ */
+async function verifyArchive(workspaceId, options = {}) {
+  const archivePath = path.join(getArchivesDir(options), workspaceId);
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(path.join(archivePath, MANIFEST_FILE), 'utf8'));
+  } catch {
+    throw new Error(`No complete archive for workspace ${workspaceId}`);
+  }
+
+  if (manifest.version !== ARCHIVE_FORMAT_VERSION) {
+    throw new Error(`Unsupported archive version: ${manifest.version}`);
+  }
+
+  for (const [file, expected] of Object.entries(manifest.files)) {
+    const actual = await sha256File(path.join(archivePath, file)).catch(() => null);
+    if (!actual || actual.sha256 !== expected.sha256) {
+      throw new Error(`Archive file ${file} is missing or corrupt`);
+    }
+  }
+
+  return manifest;
+}
+
+// This month's usage stays in the archive: restored, it would count against
+// the new subscription's message limit and be billed as overage again
+function restorableRows(table, rows) {
+  if (table !== 'usage_tracking') return rows;
+  const month = new Date().toISOString().slice(0, 7);
+  return rows.filter(row => String(row.date).slice(0, 7) < month);
+}
+
+// Returns the inserted memories ({ id, content }) to embed once committed
+async function restoreRows(client, table, workspaceId, rows) {
+  const columns = ['workspace_id', ...ARCHIVED_TABLES[table]];
+  const placeholders = columns.map((_, i) => `$${i + 1}`).join(', ');
+  const conflict = table === 'agents' || table === 'usage_tracking' ? ' ON CONFLICT DO NOTHING' : '';
+  const returning = table === 'memories' ? ' RETURNING id' : '';
+  const memories = [];
+
+  for (const row of rows) {
+    const values = [workspaceId, ...ARCHIVED_TABLES[table].map(column => {
+      const value = row[column] ?? null;
+      return JSON_COLUMNS.has(column) && value !== null ? JSON.stringify(value) : value;
+    })];
+
+    const inserted = await client.query(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})${conflict}${returning}`,
+      values
+    );
+
+    if (table === 'memories') {
+      memories.push({ id: inserted.rows[0]?.id, content: row.content });
+    }
+  }
+
+  return memories;
+}
+
+/**
+ * Restore an archived workspace into a (newly provisioned) workspace
+ *
+ * Archived files overwrite the new workspace's template files, and archived
+ * rows are added under the new workspace ID - all of them or, if the restore
+ * fails, none. Usage rows from the current month aren't restored.
+ *
+ * @param {string} archivedWorkspaceId - Workspace the archive was made from
+ * @param {string} workspaceId - Workspace to restore into
+ * @param {object} options
+ * @param {object} options.pool - pg Pool for the main database
+ * @param {string} [options.workspacesDir]
+ * @param {string} [options.archivesDir]
+ * @returns {Promise<{manifest: object, rows: object}>} rows: rows restored
+ *   per table
+ */
+async function restoreWorkspace(archivedWorkspaceId, workspaceId, options = {}) {
+  if (!options.pool) {
+    throw new Error('restoreWorkspace requires a database pool');
+  }
+
+  const manifest = await verifyArchive(archivedWorkspaceId, options);
+  const archivePath = path.join(getArchivesDir(options), archivedWorkspaceId);
+
+  if (manifest.files[WORKSPACE_FILE]) {
+    const workspacePath = path.join(options.workspacesDir || getWorkspacesDir(), workspaceId);
+    await fs.mkdir(workspacePath, { recursive: true });
+    await tar.x({ file: path.join(archivePath, WORKSPACE_FILE), cwd: workspacePath });
+  }
+
+  const data = JSON.parse(await fs.readFile(path.join(archivePath, DATA_FILE), 'utf8'));
+  const rows = {};
+  const memories = [];
+
+  const client = await options.pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const table of Object.keys(ARCHIVED_TABLES)) {
+      const tableRows = restorableRows(table, data[table] || []);
+      memories.push(...await restoreRows(client, table, workspaceId, tableRows));
+      rows[table] = tableRows.length;
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Embeddings may call an external API, so they're made outside the transaction
+  for (const memory of memories) {
+    await storeEmbedding(options.pool, memory.id, memory.content);
+  }
+
+  console.log(`[ARCHIVE] ${archivedWorkspaceId} restored into ${workspaceId}`);
+  return { manifest, rows };
+}
+
+module.exports = {
+  archiveWorkspace,
+  restoreWorkspace,
+  verifyArchive,
+  ARCHIVED_TABLES
+};
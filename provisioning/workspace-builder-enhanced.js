@@ -13,6 +13,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const { getWorkspacesDir } = require('../lib/workspaces');
 
 // Import the full skills installer
 let FullSkillsInstaller;
@@ -29,7 +30,7 @@ class EnhancedWorkspaceBuilder {
     this.workspaceId = workspaceId;
     this.customerEmail = customerEmail;
     this.planConfig = planConfig;
-    this.baseDir = process.env.WORKSPACES_DIR || '/var/clawdbot/workspaces';
+    this.baseDir = getWorkspacesDir();
     this.workspacePath = path.join(this.baseDir, workspaceId);
   }
 
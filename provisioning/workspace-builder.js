@@ -6,13 +6,14 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const { getWorkspacesDir } = require('../lib/workspaces');
 
 class WorkspaceBuilder {
   constructor(workspaceId, customerEmail, planConfig) {
     this.workspaceId = workspaceId;
     this.customerEmail = customerEmail;
     this.planConfig = planConfig;
-    this.baseDir = process.env.WORKSPACES_DIR || '/var/clawdbot/workspaces';
+    this.baseDir = getWorkspacesDir();
     this.workspacePath = path.join(this.baseDir, workspaceId);
   }
 
@@ -351,6 +352,15 @@ This file stores curated long-term memories. Update it regularly.
       await this.installSkill(skill);
     }
 
+    // Skills from a previous (bigger) plan
+    const installed = await fs.readdir(path.join(this.workspacePath, 'skills')).catch(() => []);
+    for (const file of installed) {
+      const skill = path.basename(file, '.json');
+      if (file.endsWith('.json') && skill !== 'manifest' && !skillsToInstall.includes(skill)) {
+        await this.uninstallSkill(skill);
+      }
+    }
+
     // Write skills manifest
     const manifest = {
       installed: this.planConfig.features,
@@ -381,6 +391,11 @@ This file stores curated long-term memories. Update it regularly.
     );
   }
 
+  async uninstallSkill(skillName) {
+    await fs.rm(path.join(this.workspacePath, 'skills', `${skillName}.json`), { force: true });
+    console.log(`[WORKSPACE] Skill removed: ${skillName}`);
+  }
+
   /**
    * Write secrets file
    */
@@ -5,7 +5,10 @@
 
 const express = require('express');
 const { Client } = require('pg');
-const Anthropic = require('@anthropic-ai/sdk');
+const llm = require('../lib/llm');
+const { openEventStream, wantsEventStream } = require('../lib/sse');
+const { searchMemories, storeEmbedding } = require('../lib/embeddings');
+const { checkMessageAllowance, parseSpendingLimit, projectOverage } = require('../lib/overage');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -17,21 +20,18 @@ const CONFIG = {
   workspaceId: process.env.WORKSPACE_ID,
   planName: process.env.PLAN_NAME,
   messageLimit: parseInt(process.env.MESSAGE_LIMIT) || 5000,
+  // Overage (lib/overage.js): plan's price, customer's spending limit
+  overagePricePerMessage: parseFloat(process.env.OVERAGE_PRICE_PER_MESSAGE) || 0,
+  overageSpendingLimit: parseSpendingLimit(process.env.OVERAGE_SPENDING_LIMIT),
   maxAgents: parseInt(process.env.MAX_AGENTS) || 3,
   features: (process.env.FEATURES || '').split(',').filter(Boolean),
   databaseUrl: process.env.DATABASE_URL,
-  apiKey: process.env.API_KEY,
-  anthropicApiKey: process.env.ANTHROPIC_API_KEY
+  apiKey: process.env.API_KEY
 };
 
 // Database connection
 let db;
 
-// Anthropic client
-const anthropic = new Anthropic({
-  apiKey: CONFIG.anthropicApiKey
-});
-
 app.use(express.json());
 
 // ========================================
@@ -86,6 +86,17 @@ app.get('/status', async (req, res) => {
       remainingMessages: Math.max(0, CONFIG.messageLimit - usage.messages),
       percentUsed: ((usage.messages / CONFIG.messageLimit) * 100).toFixed(1)
     },
+    overage: CONFIG.overagePricePerMessage ? {
+      enabled: CONFIG.overageSpendingLimit > 0,
+      pricePerMessage: CONFIG.overagePricePerMessage,
+      spendingLimit: CONFIG.overageSpendingLimit,
+      ...projectOverage({
+        used: parseInt(usage.messages),
+        messageLimit: CONFIG.messageLimit,
+        pricePerMessage: CONFIG.overagePricePerMessage,
+        spendingLimit: CONFIG.overageSpendingLimit
+      })
+    } : null,
     features: CONFIG.features
   });
 });
@@ -94,19 +105,28 @@ app.get('/status', async (req, res) => {
 // CHAT API
 // ========================================
 
+// Streaming: `Accept: text/event-stream` (or `stream: true`) sends `token`
+// events as the reply is generated, then a final `done` event.
 app.post('/api/chat', authenticateRequest, async (req, res) => {
   const { message, agentId = 'main', channel = 'api' } = req.body;
+  let events = null;
 
   if (!message) {
     return res.status(400).json({ error: 'message required' });
   }
 
   try {
-    // Check usage limits
+    // Check usage limits (past the limit only with overage opted in)
     const usage = await getUsageStats();
-    if (usage.messages >= CONFIG.messageLimit) {
+    const allowance = checkMessageAllowance({
+      used: parseInt(usage.messages),
+      messageLimit: CONFIG.messageLimit,
+      pricePerMessage: CONFIG.overagePricePerMessage,
+      spendingLimit: CONFIG.overageSpendingLimit
+    });
+    if (!allowance.allowed) {
       return res.status(429).json({
-        error: 'Message limit exceeded',
+        error: allowance.error,
         limit: CONFIG.messageLimit,
         used: usage.messages
       });
@@ -118,33 +138,53 @@ app.post('/api/chat', authenticateRequest, async (req, res) => {
     // Get conversation history
     const history = await getConversationHistory(agentId, channel);
 
-    // Call Claude
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4',
-      max_tokens: 4096,
+    // Call the model configured for this plan
+    const request = {
+      plan: CONFIG.planName,
+      maxTokens: 4096,
       system: await getSystemPrompt(),
       messages: history
-    });
+    };
+
+    let completion;
+    if (wantsEventStream(req)) {
+      events = openEventStream(res);
+      completion = await llm.stream(request, (text) => events.send('token', { text }));
+    } else {
+      completion = await llm.complete(request);
+    }
 
-    const reply = response.content[0].text;
+    const reply = completion.text;
 
     // Store response
     await storeMessage(agentId, channel, reply, 'assistant');
 
     // Track usage
-    await trackUsage(1, response.usage.input_tokens + response.usage.output_tokens);
+    await trackUsage(1, completion.usage.inputTokens + completion.usage.outputTokens);
 
-    res.json({
+    const body = {
       reply,
       usage: {
         messagesUsed: usage.messages + 1,
-        messagesRemaining: CONFIG.messageLimit - usage.messages - 1
+        messagesRemaining: Math.max(0, CONFIG.messageLimit - usage.messages - 1)
       }
-    });
+    };
+
+    if (events) {
+      events.send('done', body);
+      events.close();
+    } else {
+      res.json(body);
+    }
 
   } catch (error) {
     console.error('Chat error:', error);
-    res.status(500).json({ error: error.message });
+    if (events) {
+      events.send('error', { error: error.message });
+      events.close();
+    } else {
+      res.status(500).json({ error: error.message });
+    }
   }
 });
 
@@ -155,14 +195,21 @@ app.post('/api/chat', authenticateRequest, async (req, res) => {
 app.post('/api/memory', authenticateRequest, async (req, res) => {
   const { content, metadata = {} } = req.body;
 
+  if (!content || typeof content !== 'string') {
+    return res.status(400).json({ error: 'content required' });
+  }
+
   try {
-    await db.query(
+    const result = await db.query(
       `INSERT INTO memories (agent_id, content, metadata, created_at)
-       VALUES ($1, $2, $3, NOW())`,
+       VALUES ($1, $2, $3, NOW())
+       RETURNING id`,
       ['main', content, JSON.stringify(metadata)]
     );
 
-    res.json({ success: true, message: 'Memory stored' });
+    const embedded = await storeEmbedding(db, result.rows[0].id, content);
+
+    res.json({ success: true, message: 'Memory stored', memoryId: result.rows[0].id, embedded });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -171,17 +218,18 @@ app.post('/api/memory', authenticateRequest, async (req, res) => {
 app.get('/api/memory/search', authenticateRequest, async (req, res) => {
   const { query, limit = 10 } = req.query;
 
+  if (!query) {
+    return res.status(400).json({ error: 'query required' });
+  }
+
   try {
-    const result = await db.query(
-      `SELECT content, metadata, created_at
-       FROM memories
-       WHERE content ILIKE $1
-       ORDER BY created_at DESC
-       LIMIT $2`,
-      [`%${query}%`, limit]
-    );
+    // Semantic search with pgvector, text search otherwise
+    const { memories, mode } = await searchMemories(db, {
+      query,
+      limit: Math.min(parseInt(limit) || 10, 100)
+    });
 
-    res.json({ memories: result.rows });
+    res.json({ memories, mode });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Run (or resume) cancellation deprovisioning
+ *
+ * The backend checks hourly for cancelled customers whose grace period has
+ * ended. Use this to retry a failed teardown straight away - steps that
+ * already succeeded are not repeated.
+ *
+ * Usage: node scripts/deprovision.js [--customer <stripe_customer_id>]
+ * Without --customer, every customer past their grace period is processed.
+ */
+
+require('dotenv').config();
+
+const { Pool } = require('pg');
+const { runDeprovisioning, runDueDeprovisionings } = require('../provisioning/deprovisioning');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--customer') args.customerId = argv[++i];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!process.env.DATABASE_URL) {
+    console.error('❌ DATABASE_URL environment variable is required');
+    process.exit(1);
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production'
+      ? { rejectUnauthorized: true }
+      : false
+  });
+
+  console.log('🗑️  Deprovisioning cancelled customers\n');
+
+  try {
+    const results = args.customerId
+      ? [{ customerId: args.customerId, ...await runDeprovisioning(pool, args.customerId) }]
+      : await runDueDeprovisionings(pool);
+    let failed = 0;
+
+    for (const result of results) {
+      if (result.error) {
+        failed++;
+        console.log(`❌ ${result.customerId}: ${result.error}`);
+      } else if (result.status === 'skipped') {
+        console.log(`⏭️  ${result.customerId}: ${result.reason}`);
+      } else {
+        console.log(`✅ ${result.customerId}: ${result.steps.join(', ') || 'nothing left to do'}`);
+      }
+    }
+
+    console.log(`\nDone: ${results.length} customer(s), ${failed} failed`);
+    process.exitCode = failed > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('❌ Deprovisioning failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Restore an archived workspace
+ *
+ * Returning customers are restored automatically when they're re-provisioned.
+ * Use this to restore by hand, or --verify to only check an archive's checksums.
+ *
+ * Usage: node scripts/restore-workspace.js --from <archived workspace id> [--into <workspace id>] [--verify]
+ */
+
+require('dotenv').config();
+
+const { Pool } = require('pg');
+const { restoreWorkspace, verifyArchive } = require('../provisioning/workspace-archive');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--from') args.from = argv[++i];
+    else if (argv[i] === '--into') args.into = argv[++i];
+    else if (argv[i] === '--verify') args.verify = true;
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.from || (!args.verify && !args.into)) {
+    console.error('Usage: node scripts/restore-workspace.js --from <workspace id> [--into <workspace id>] [--verify]');
+    process.exit(1);
+  }
+
+  if (args.verify) {
+    try {
+      const manifest = await verifyArchive(args.from);
+      console.log(`✅ Archive of ${args.from} from ${manifest.createdAt} is intact:`, manifest.rows);
+    } catch (error) {
+      console.error('❌', error.message);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (!process.env.DATABASE_URL) {
+    console.error('❌ DATABASE_URL environment variable is required');
+    process.exit(1);
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production'
+      ? { rejectUnauthorized: true }
+      : false
+  });
+
+  try {
+    const { rows } = await restoreWorkspace(args.from, args.into, { pool });
+    console.log(`✅ Restored ${args.from} into ${args.into}:`, rows);
+  } catch (error) {
+    console.error('❌ Restore failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * Give workspace Telegram bots a webhook secret token
+ *
+ * The webhook rejects updates without the bot's secret token. Bots connected
+ * before secrets were introduced have none, so their updates are rejected
+ * until their webhook is set again. The backend does that for them at
+ * startup; this runs the same step by hand. Pending updates are kept:
+ * Telegram redelivers them with the new secret.
+ *
+ * Usage: node scripts/secure-telegram-webhooks.js [--all]
+ * With --all, every active bot gets a new secret (e.g. after a leak).
+ */
+
+require('dotenv').config();
+
+const { secureBotWebhooks } = require('../api/telegram');
+
+async function main() {
+  const all = process.argv.includes('--all');
+
+  if (!process.env.DATABASE_URL) {
+    console.error('❌ DATABASE_URL environment variable is required');
+    process.exit(1);
+  }
+
+  console.log('🔐 Setting Telegram webhook secrets\n');
+
+  try {
+    const outcomes = await secureBotWebhooks({ all });
+    let failed = 0;
+
+    for (const { workspaceId, botUsername, error } of outcomes) {
+      if (error) {
+        failed++;
+        console.log(`❌ ${workspaceId} (@${botUsername}): ${error}`);
+      } else {
+        console.log(`✅ ${workspaceId} (@${botUsername})`);
+      }
+    }
+
+    console.log(`\nDone: ${outcomes.length} bot(s), ${failed} failed`);
+    process.exitCode = failed > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    // api/telegram.js keeps its pool open
+    process.exit();
+  }
+}
+
+main();
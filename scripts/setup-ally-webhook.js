@@ -8,7 +8,10 @@
 
 require('dotenv').config();
 
+const { deriveWebhookSecret } = require('../lib/telegram-webhook');
+
 const ALLY_BOT_TOKEN = process.env.ALLY_BOT_TOKEN;
+const TELEGRAM_API = `${process.env.TELEGRAM_API_BASE || 'https://api.telegram.org'}/bot`;
 const BACKEND_URL = process.env.BACKEND_URL || process.env.RAILWAY_PUBLIC_DOMAIN 
   ? `https://${process.env.RAILWAY_PUBLIC_DOMAIN}` 
   : null;
@@ -34,7 +37,7 @@ async function main() {
   
   try {
     // Get bot info first
-    const meResponse = await fetch(`https://api.telegram.org/bot${ALLY_BOT_TOKEN}/getMe`);
+    const meResponse = await fetch(`${TELEGRAM_API}${ALLY_BOT_TOKEN}/getMe`);
     const meData = await meResponse.json();
     
     if (!meData.ok) {
@@ -44,11 +47,13 @@ async function main() {
     console.log(`✅ Bot found: @${meData.result.username} (${meData.result.first_name})`);
     
     // Set webhook
-    const webhookResponse = await fetch(`https://api.telegram.org/bot${ALLY_BOT_TOKEN}/setWebhook`, {
+    const webhookResponse = await fetch(`${TELEGRAM_API}${ALLY_BOT_TOKEN}/setWebhook`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         url: webhookUrl,
+        // /api/ally/webhook rejects updates without it
+        secret_token: deriveWebhookSecret(ALLY_BOT_TOKEN),
         allowed_updates: ['message'],
         drop_pending_updates: true
       })
@@ -63,7 +68,7 @@ async function main() {
     console.log(`✅ Webhook set successfully!\n`);
     
     // Verify webhook
-    const infoResponse = await fetch(`https://api.telegram.org/bot${ALLY_BOT_TOKEN}/getWebhookInfo`);
+    const infoResponse = await fetch(`${TELEGRAM_API}${ALLY_BOT_TOKEN}/getWebhookInfo`);
     const infoData = await infoResponse.json();
     
     console.log('📋 Webhook Info:');
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Summarise daily conversation transcripts into long-term memory
+ *
+ * Distils each workspace's memory/YYYY-MM-DD.md files into facts stored in
+ * MEMORY.md and the memories table. Safe to re-run: days are only summarised
+ * again when new messages were appended, and known facts are skipped.
+ *
+ * Usage: node scripts/summarize-memory.js [--workspace <id>] [--date YYYY-MM-DD]
+ * Schedule it daily (e.g. a Railway cron service running `npm run memory:summarize`).
+ */
+
+require('dotenv').config();
+
+const { Pool } = require('pg');
+const { runSummarizer } = require('../lib/memory-summarizer');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--workspace') args.workspaceId = argv[++i];
+    else if (argv[i] === '--date') args.date = argv[++i];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!process.env.DATABASE_URL) {
+    console.error('❌ DATABASE_URL environment variable is required');
+    process.exit(1);
+  }
+
+  if (args.date && !/^\d{4}-\d{2}-\d{2}$/.test(args.date)) {
+    console.error('❌ --date must be YYYY-MM-DD');
+    process.exit(1);
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production'
+      ? { rejectUnauthorized: true }
+      : false
+  });
+
+  console.log('🧠 Summarising conversation memory\n');
+
+  try {
+    const results = await runSummarizer({ pool, ...args });
+    let failed = 0;
+
+    for (const result of results) {
+      if (result.error) {
+        failed++;
+        console.log(`❌ ${result.workspaceId}: ${result.error}`);
+      } else {
+        console.log(`✅ ${result.workspaceId}: ${result.days} day(s), ${result.facts} new fact(s)`);
+      }
+    }
+
+    console.log(`\nDone: ${results.length} workspace(s), ${failed} failed`);
+    process.exitCode = failed > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('❌ Summariser failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
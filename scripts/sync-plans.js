@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Sync the plan catalogue with Stripe
+ *
+ * Creates missing products and prices, updates product details and archives
+ * prices of superseded plan versions (lib/plan-sync.js). Without --apply it
+ * only lists what would change.
+ *
+ * Created price IDs are written back to the catalogue file - commit it.
+ *
+ * Usage: node scripts/sync-plans.js [--apply] [--catalogue <file>]
+ * The catalogue defaults to PLAN_CATALOGUE_PATH or plan-catalogue.json.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { CATALOGUE_PATH, loadCatalogue } = require('../plans');
+const { createStripeClient } = require('../lib/stripe');
+const { syncPlanCatalogue } = require('../lib/plan-sync');
+
+function parseArgs(argv) {
+  const args = { catalogue: CATALOGUE_PATH };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--apply') args.apply = true;
+    else if (argv[i] === '--catalogue') args.catalogue = argv[++i];
+  }
+  return args;
+}
+
+function describe(item) {
+  const target = [item.plan, item.version && `v${item.version}`, item.price || item.product].filter(Boolean).join(' ');
+  return `${item.type} ${target}${item.fields ? ` (${item.fields.join(', ')})` : ''}`;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!process.env.STRIPE_SECRET_KEY) {
+    console.error('❌ STRIPE_SECRET_KEY environment variable is required');
+    process.exit(1);
+  }
+
+  console.log(`🔄 Syncing ${args.catalogue} with Stripe${args.apply ? '' : ' (dry run)'}\n`);
+
+  try {
+    const catalogue = loadCatalogue(args.catalogue);
+    const { changes, problems, catalogue: updated } = await syncPlanCatalogue(
+      createStripeClient(),
+      catalogue,
+      { apply: args.apply }
+    );
+
+    for (const change of changes) {
+      console.log(`${args.apply ? '✅' : '📝'} ${describe(change)}`);
+    }
+    for (const problem of problems) {
+      console.log(`⚠️  ${describe(problem)}`);
+    }
+
+    if (args.apply && JSON.stringify(updated) !== JSON.stringify(catalogue)) {
+      fs.writeFileSync(args.catalogue, JSON.stringify(updated, null, 2) + '\n');
+      console.log(`\n💾 New price IDs written to ${args.catalogue}`);
+    }
+
+    console.log(`\nDone: ${changes.length} change(s)${args.apply ? '' : ' to make'}, ${problems.length} problem(s)`);
+    if (!args.apply && changes.length > 0) {
+      console.log('Run again with --apply to make the changes');
+    }
+    process.exitCode = problems.length > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('❌ Sync failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+main();